@@ -8,6 +8,11 @@
 
 const { Command } = require('commander');
 const CommitAnalyzer = require('../utils/CommitAnalyzer');
+const AuthorMap = require('../utils/AuthorMap');
+const ContributionReconciler = require('../utils/ContributionReconciler');
+const GitManager = require('../core/GitManager');
+const GitHubManager = require('../core/GitHubManager');
+const ConfigManager = require('../config/ConfigManager');
 const { ProgressUtils } = require('../utils/progress');
 const { FeedbackUtils } = require('../utils/feedback');
 const ValidationUtils = require('../utils/ValidationUtils');
@@ -23,6 +28,7 @@ analyzeCommand
   .option('-u, --until <date>', 'Analyze commits until date (YYYY-MM-DD)')
   .option('-a, --author <author>', 'Filter by author')
   .option('-b, --branch <branch>', 'Analyze specific branch')
+  .option('--author-map <file>', 'Merge identities with a .mailmap or JSON file so each person counts once')
   .option('--max-commits <number>', 'Maximum commits to analyze', '1000')
   .option('--include-files', 'Include file change statistics')
   .option('--include-diffs', 'Include diff statistics')
@@ -49,11 +55,12 @@ analyzeCommand
   .option('-s, --since <date>', 'Analyze commits since date')
   .option('-u, --until <date>', 'Analyze commits until date')
   .option('-a, --author <author>', 'Filter by author')
+  .option('--author-map <file>', 'Merge identities with a .mailmap or JSON file so each person counts once')
   .option('--output <file>', 'Save statistics to file')
   .option('--format <format>', 'Output format (json|table)', 'table')
-  .action(async (options) => {
+  .action(async (options, command) => {
     try {
-      await handleStatsCommand(options);
+      await handleStatsCommand({ ...options, ...typedOptions(command.parent) });
     } catch (error) {
       FeedbackUtils.error('Statistics generation failed', error.message);
       process.exit(1);
@@ -126,8 +133,811 @@ analyzeCommand
     }
   });
 
+analyzeCommand
+  .command('reconcile')
+  .description('Compare local daily commit counts with the GitHub contribution calendar and explain the differences')
+  .option('--user <login>', 'GitHub login (default: github.username from config)')
+  .option('-y, --year <year>', 'Calendar year to compare (default: this year)')
+  .option('-a, --author <author>', 'Local author to count (default: your git user.email)')
+  .option('--remote <name>', 'Remote that points at the GitHub repository', 'origin')
+  .option('--output <file>', 'Save the comparison to a JSON file')
+  .action(async (options) => {
+    try {
+      await handleReconcileCommand(options);
+    } catch (error) {
+      console.error(`Reconciliation failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 /**
  * Handle main analyze command
  */
 async function handleAnalyzeCommand(options) {
-  const analyzer = new CommitAnalyzer();\n\n  // Validate options\n  const analysisOptions = await validateAndPrepareOptions(options);\n\n  if (options.interactive) {\n    return await runInteractiveAnalysis(analyzer, analysisOptions);\n  }\n\n  // Run comprehensive analysis\n  const results = await analyzer.getComprehensiveStats(analysisOptions);\n\n  // Generate specific analyses based on flags\n  if (options.heatmap) {\n    results.heatmap = await analyzer.generateHeatmap(analysisOptions);\n  }\n\n  if (options.patterns) {\n    const commits = await analyzer.gitManager.getCommitHistory(analysisOptions);\n    results.patterns = analyzer.analyzeCommitPatterns(commits);\n  }\n\n  // Display results\n  await displayAnalysisResults(results, options);\n\n  // Save to file if requested\n  if (options.output) {\n    await saveAnalysisResults(results, options.output, options.format);\n    FeedbackUtils.success(`Analysis saved to ${options.output}`);\n  }\n}\n\n/**\n * Handle stats subcommand\n */\nasync function handleStatsCommand(options) {\n  const analyzer = new CommitAnalyzer();\n  const analysisOptions = await validateAndPrepareOptions(options);\n\n  const progress = ProgressUtils.spinner('Generating statistics...');\n  progress.start();\n\n  try {\n    const stats = await analyzer.getComprehensiveStats(analysisOptions);\n    progress.succeed('Statistics generated');\n\n    if (options.format === 'table') {\n      displayStatsTable(stats);\n    } else {\n      console.log(JSON.stringify(stats, null, 2));\n    }\n\n    if (options.output) {\n      await saveAnalysisResults(stats, options.output, options.format);\n      FeedbackUtils.success(`Statistics saved to ${options.output}`);\n    }\n  } catch (error) {\n    progress.fail('Statistics generation failed');\n    throw error;\n  }\n}\n\n/**\n * Handle heatmap subcommand\n */\nasync function handleHeatmapCommand(options) {\n  const analyzer = new CommitAnalyzer();\n  \n  const heatmapOptions = {\n    since: options.since ? new Date(options.since) : moment().subtract(1, 'year').toDate(),\n    until: options.until ? new Date(options.until) : new Date(),\n    author: options.author\n  };\n\n  const progress = ProgressUtils.spinner('Generating heatmap...');\n  progress.start();\n\n  try {\n    const heatmap = await analyzer.generateHeatmap(heatmapOptions);\n    progress.succeed('Heatmap generated');\n\n    displayHeatmapSummary(heatmap);\n\n    if (options.output) {\n      await saveAnalysisResults(heatmap, options.output, options.format);\n      FeedbackUtils.success(`Heatmap data saved to ${options.output}`);\n    }\n  } catch (error) {\n    progress.fail('Heatmap generation failed');\n    throw error;\n  }\n}\n\n/**\n * Handle patterns subcommand\n */\nasync function handlePatternsCommand(options) {\n  const analyzer = new CommitAnalyzer();\n  const analysisOptions = await validateAndPrepareOptions(options);\n\n  const progress = ProgressUtils.spinner('Analyzing commit patterns...');\n  progress.start();\n\n  try {\n    const commits = await analyzer.gitManager.getCommitHistory(analysisOptions);\n    const patterns = analyzer.analyzeCommitPatterns(commits);\n    progress.succeed('Pattern analysis completed');\n\n    displayPatternAnalysis(patterns, options.suggestions);\n\n    if (options.output) {\n      await saveAnalysisResults(patterns, options.output, 'json');\n      FeedbackUtils.success(`Pattern analysis saved to ${options.output}`);\n    }\n  } catch (error) {\n    progress.fail('Pattern analysis failed');\n    throw error;\n  }\n}\n\n/**\n * Handle health subcommand\n */\nasync function handleHealthCommand(options) {\n  const analyzer = new CommitAnalyzer();\n  const analysisOptions = await validateAndPrepareOptions(options);\n\n  const progress = ProgressUtils.spinner('Analyzing repository health...');\n  progress.start();\n\n  try {\n    const stats = await analyzer.getComprehensiveStats(analysisOptions);\n    const health = stats.health;\n    progress.succeed('Health analysis completed');\n\n    displayHealthReport(health, options.detailed);\n\n    if (options.output) {\n      await saveAnalysisResults(health, options.output, 'json');\n      FeedbackUtils.success(`Health report saved to ${options.output}`);\n    }\n  } catch (error) {\n    progress.fail('Health analysis failed');\n    throw error;\n  }\n}\n\n/**\n * Handle trends subcommand\n */\nasync function handleTrendsCommand(options) {\n  const analyzer = new CommitAnalyzer();\n  const analysisOptions = await validateAndPrepareOptions(options);\n\n  const progress = ProgressUtils.spinner('Analyzing trends...');\n  progress.start();\n\n  try {\n    const stats = await analyzer.getComprehensiveStats(analysisOptions);\n    const trends = stats.trends;\n    progress.succeed('Trend analysis completed');\n\n    displayTrendAnalysis(trends, options.predictions);\n\n    if (options.output) {\n      await saveAnalysisResults(trends, options.output, 'json');\n      FeedbackUtils.success(`Trend analysis saved to ${options.output}`);\n    }\n  } catch (error) {\n    progress.fail('Trend analysis failed');\n    throw error;\n  }\n}\n\n/**\n * Validate and prepare analysis options\n */\nasync function validateAndPrepareOptions(options) {\n  const analysisOptions = {\n    maxCommits: parseInt(options.maxCommits) || 1000,\n    includeFiles: options.includeFiles || false,\n    includeDiffs: options.includeDiffs || false\n  };\n\n  // Validate and set date range\n  if (options.since) {\n    if (!ValidationUtils.isValidDate(options.since)) {\n      throw new Error('Invalid since date format. Use YYYY-MM-DD');\n    }\n    analysisOptions.since = options.since;\n  }\n\n  if (options.until) {\n    if (!ValidationUtils.isValidDate(options.until)) {\n      throw new Error('Invalid until date format. Use YYYY-MM-DD');\n    }\n    analysisOptions.until = options.until;\n  }\n\n  // Validate date range\n  if (options.since && options.until) {\n    const sinceDate = new Date(options.since);\n    const untilDate = new Date(options.until);\n    if (sinceDate >= untilDate) {\n      throw new Error('Since date must be before until date');\n    }\n  }\n\n  // Set author filter\n  if (options.author) {\n    analysisOptions.author = options.author;\n  }\n\n  // Set branch filter\n  if (options.branch) {\n    analysisOptions.branch = options.branch;\n  }\n\n  return analysisOptions;\n}\n\n/**\n * Run interactive analysis mode\n */\nasync function runInteractiveAnalysis(analyzer, baseOptions) {\n  const inquirer = require('inquirer');\n\n  console.log('\\n🔍 Interactive Commit Analysis\\n');\n\n  const answers = await inquirer.prompt([\n    {\n      type: 'checkbox',\n      name: 'analyses',\n      message: 'Select analyses to run:',\n      choices: [\n        { name: 'Comprehensive Statistics', value: 'stats' },\n        { name: 'Activity Heatmap', value: 'heatmap' },\n        { name: 'Commit Patterns', value: 'patterns' },\n        { name: 'Repository Health', value: 'health' },\n        { name: 'Trend Analysis', value: 'trends' }\n      ],\n      default: ['stats']\n    },\n    {\n      type: 'input',\n      name: 'author',\n      message: 'Filter by author (optional):',\n      when: () => !baseOptions.author\n    },\n    {\n      type: 'input',\n      name: 'since',\n      message: 'Analyze since date (YYYY-MM-DD, optional):',\n      when: () => !baseOptions.since,\n      validate: (input) => {\n        if (!input) return true;\n        return ValidationUtils.isValidDate(input) || 'Invalid date format';\n      }\n    },\n    {\n      type: 'confirm',\n      name: 'saveResults',\n      message: 'Save results to file?',\n      default: false\n    },\n    {\n      type: 'input',\n      name: 'outputFile',\n      message: 'Output file path:',\n      when: (answers) => answers.saveResults,\n      default: `analysis-${moment().format('YYYY-MM-DD')}.json`\n    }\n  ]);\n\n  // Merge options\n  const options = {\n    ...baseOptions,\n    author: answers.author || baseOptions.author,\n    since: answers.since || baseOptions.since\n  };\n\n  const results = {};\n\n  // Run selected analyses\n  for (const analysis of answers.analyses) {\n    const progress = ProgressUtils.spinner(`Running ${analysis} analysis...`);\n    progress.start();\n\n    try {\n      switch (analysis) {\n        case 'stats':\n          results.stats = await analyzer.getComprehensiveStats(options);\n          break;\n        case 'heatmap':\n          results.heatmap = await analyzer.generateHeatmap(options);\n          break;\n        case 'patterns':\n          const commits = await analyzer.gitManager.getCommitHistory(options);\n          results.patterns = analyzer.analyzeCommitPatterns(commits);\n          break;\n        case 'health':\n          if (!results.stats) {\n            results.stats = await analyzer.getComprehensiveStats(options);\n          }\n          results.health = results.stats.health;\n          break;\n        case 'trends':\n          if (!results.stats) {\n            results.stats = await analyzer.getComprehensiveStats(options);\n          }\n          results.trends = results.stats.trends;\n          break;\n      }\n      progress.succeed(`${analysis} analysis completed`);\n    } catch (error) {\n      progress.fail(`${analysis} analysis failed`);\n      throw error;\n    }\n  }\n\n  // Display results\n  console.log('\\n📊 Analysis Results\\n');\n  await displayAnalysisResults(results, { format: 'table' });\n\n  // Save results if requested\n  if (answers.saveResults) {\n    await saveAnalysisResults(results, answers.outputFile, 'json');\n    FeedbackUtils.success(`Results saved to ${answers.outputFile}`);\n  }\n}\n\n/**\n * Display analysis results\n */\nasync function displayAnalysisResults(results, options) {\n  if (results.stats) {\n    displayStatsTable(results.stats);\n  }\n\n  if (results.heatmap) {\n    displayHeatmapSummary(results.heatmap);\n  }\n\n  if (results.patterns) {\n    displayPatternAnalysis(results.patterns, true);\n  }\n\n  if (results.health) {\n    displayHealthReport(results.health, true);\n  }\n\n  if (results.trends) {\n    displayTrendAnalysis(results.trends, true);\n  }\n}\n\n/**\n * Display statistics in table format\n */\nfunction displayStatsTable(stats) {\n  const Table = require('cli-table3');\n\n  console.log('\\n📈 Repository Overview\\n');\n  \n  const overviewTable = new Table({\n    head: ['Metric', 'Value'],\n    colWidths: [25, 20]\n  });\n\n  overviewTable.push(\n    ['Total Commits', stats.overview.totalCommits],\n    ['Unique Authors', stats.overview.uniqueAuthors],\n    ['Repository Age (days)', stats.overview.repositoryAge],\n    ['Avg Commits/Day', stats.overview.averageCommitsPerDay]\n  );\n\n  console.log(overviewTable.toString());\n\n  // Top authors\n  if (stats.authors.topAuthors.length > 0) {\n    console.log('\\n👥 Top Contributors\\n');\n    \n    const authorsTable = new Table({\n      head: ['Author', 'Commits', 'Percentage', 'Active Days'],\n      colWidths: [25, 10, 12, 12]\n    });\n\n    stats.authors.topAuthors.slice(0, 5).forEach(author => {\n      authorsTable.push([\n        author.author,\n        author.commits,\n        `${author.percentage}%`,\n        author.activeDays\n      ]);\n    });\n\n    console.log(authorsTable.toString());\n  }\n\n  // Temporal patterns\n  console.log('\\n⏰ Activity Patterns\\n');\n  \n  const temporalTable = new Table({\n    head: ['Pattern', 'Value'],\n    colWidths: [25, 30]\n  });\n\n  temporalTable.push(\n    ['Peak Hour', `${stats.temporal.peakHour}:00`],\n    ['Most Active Day', getDayName(stats.temporal.peakDay)]\n  );\n\n  if (stats.temporal.patterns.length > 0) {\n    stats.temporal.patterns.forEach(pattern => {\n      temporalTable.push([pattern.type, pattern.description]);\n    });\n  }\n\n  console.log(temporalTable.toString());\n\n  // Health score\n  if (stats.health) {\n    console.log('\\n🏥 Repository Health\\n');\n    \n    const healthTable = new Table({\n      head: ['Factor', 'Score', 'Grade'],\n      colWidths: [20, 10, 8]\n    });\n\n    healthTable.push(\n      ['Overall Score', stats.health.score, stats.health.grade],\n      ['Frequency', Math.round(stats.health.factors.frequency), ''],\n      ['Message Quality', Math.round(stats.health.factors.messageQuality), ''],\n      ['Consistency', Math.round(stats.health.factors.consistency), '']\n    );\n\n    console.log(healthTable.toString());\n  }\n}\n\n/**\n * Display heatmap summary\n */\nfunction displayHeatmapSummary(heatmap) {\n  console.log('\\n🔥 Activity Heatmap Summary\\n');\n  \n  const Table = require('cli-table3');\n  const table = new Table({\n    head: ['Metric', 'Value'],\n    colWidths: [25, 15]\n  });\n\n  table.push(\n    ['Total Days', heatmap.summary.totalDays],\n    ['Active Days', heatmap.summary.activeDays],\n    ['Total Commits', heatmap.summary.totalCommits],\n    ['Max Commits/Day', heatmap.summary.maxCommitsPerDay],\n    ['Avg Commits/Day', heatmap.summary.averageCommitsPerDay]\n  );\n\n  console.log(table.toString());\n\n  const activityRate = Math.round((heatmap.summary.activeDays / heatmap.summary.totalDays) * 100);\n  console.log(`\\n📊 Activity Rate: ${activityRate}%`);\n}\n\n/**\n * Display pattern analysis\n */\nfunction displayPatternAnalysis(patterns, includeSuggestions = false) {\n  console.log('\\n📝 Commit Message Patterns\\n');\n  \n  const Table = require('cli-table3');\n  const patternsTable = new Table({\n    head: ['Pattern Type', 'Count', 'Percentage'],\n    colWidths: [20, 10, 12]\n  });\n\n  const total = Object.values(patterns.patterns).reduce((a, b) => a + b, 0);\n  \n  Object.entries(patterns.patterns).forEach(([type, count]) => {\n    const percentage = total > 0 ? Math.round((count / total) * 100) : 0;\n    patternsTable.push([type, count, `${percentage}%`]);\n  });\n\n  console.log(patternsTable.toString());\n\n  if (patterns.issues.length > 0) {\n    console.log(`\\n⚠️  Found ${patterns.issues.length} message formatting issues`);\n  }\n\n  if (includeSuggestions && patterns.suggestions.length > 0) {\n    console.log('\\n💡 Suggestions for Improvement\\n');\n    \n    patterns.suggestions.forEach((suggestion, index) => {\n      console.log(`${index + 1}. [${suggestion.priority.toUpperCase()}] ${suggestion.message}`);\n      if (suggestion.example) {\n        console.log(`   Example: ${suggestion.example}`);\n      }\n      console.log('');\n    });\n  }\n}\n\n/**\n * Display health report\n */\nfunction displayHealthReport(health, detailed = false) {\n  console.log('\\n🏥 Repository Health Report\\n');\n  \n  const scoreColor = health.score >= 80 ? '\\x1b[32m' : health.score >= 60 ? '\\x1b[33m' : '\\x1b[31m';\n  console.log(`Overall Health Score: ${scoreColor}${health.score}/100 (Grade: ${health.grade})\\x1b[0m\\n`);\n\n  const Table = require('cli-table3');\n  const factorsTable = new Table({\n    head: ['Health Factor', 'Score', 'Status'],\n    colWidths: [20, 10, 15]\n  });\n\n  Object.entries(health.factors).forEach(([factor, score]) => {\n    const status = score >= 80 ? 'Excellent' : score >= 60 ? 'Good' : score >= 40 ? 'Fair' : 'Poor';\n    factorsTable.push([factor, Math.round(score), status]);\n  });\n\n  console.log(factorsTable.toString());\n\n  if (detailed && health.recommendations.length > 0) {\n    console.log('\\n📋 Recommendations\\n');\n    \n    health.recommendations.forEach((rec, index) => {\n      console.log(`${index + 1}. ${rec}`);\n    });\n    console.log('');\n  }\n}\n\n/**\n * Display trend analysis\n */\nfunction displayTrendAnalysis(trends, includePredictions = false) {\n  console.log('\\n📈 Commit Trends Analysis\\n');\n  \n  const Table = require('cli-table3');\n  const trendsTable = new Table({\n    head: ['Metric', 'Value'],\n    colWidths: [20, 25]\n  });\n\n  trendsTable.push(\n    ['Activity Status', trends.activity],\n    ['Velocity', `${Math.round(trends.velocity)}%`],\n    ['Momentum', trends.momentum]\n  );\n\n  console.log(trendsTable.toString());\n\n  if (includePredictions && trends.predictions) {\n    console.log('\\n🔮 Predictions\\n');\n    \n    const predictionsTable = new Table({\n      head: ['Prediction', 'Value', 'Confidence'],\n      colWidths: [20, 15, 12]\n    });\n\n    predictionsTable.push(\n      ['Next Month Commits', trends.predictions.nextMonth || 'N/A', trends.predictions.confidence || 'N/A'],\n      ['Trend Direction', trends.predictions.trend || 'N/A', '']\n    );\n\n    console.log(predictionsTable.toString());\n  }\n}\n\n/**\n * Save analysis results to file\n */\nasync function saveAnalysisResults(results, outputFile, format) {\n  const outputDir = path.dirname(outputFile);\n  await fs.mkdir(outputDir, { recursive: true });\n\n  let content;\n  \n  switch (format.toLowerCase()) {\n    case 'json':\n      content = JSON.stringify(results, null, 2);\n      break;\n    case 'csv':\n      content = convertToCSV(results);\n      break;\n    case 'html':\n      content = generateHTMLReport(results);\n      break;\n    default:\n      throw new Error(`Unsupported output format: ${format}`);\n  }\n\n  await fs.writeFile(outputFile, content, 'utf8');\n}\n\n/**\n * Convert results to CSV format\n */\nfunction convertToCSV(results) {\n  // Simple CSV conversion for overview stats\n  if (results.overview) {\n    const headers = ['Metric', 'Value'];\n    const rows = [\n      ['Total Commits', results.overview.totalCommits],\n      ['Unique Authors', results.overview.uniqueAuthors],\n      ['Repository Age', results.overview.repositoryAge],\n      ['Average Commits Per Day', results.overview.averageCommitsPerDay]\n    ];\n    \n    return [headers, ...rows].map(row => row.join(',')).join('\\n');\n  }\n  \n  return JSON.stringify(results, null, 2);\n}\n\n/**\n * Generate HTML report\n */\nfunction generateHTMLReport(results) {\n  return `\n<!DOCTYPE html>\n<html>\n<head>\n    <title>Commit Analysis Report</title>\n    <style>\n        body { font-family: Arial, sans-serif; margin: 20px; }\n        .metric { margin: 10px 0; }\n        .score { font-size: 24px; font-weight: bold; }\n        table { border-collapse: collapse; width: 100%; margin: 20px 0; }\n        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }\n        th { background-color: #f2f2f2; }\n    </style>\n</head>\n<body>\n    <h1>Commit Analysis Report</h1>\n    <div id=\"report-content\">\n        <pre>${JSON.stringify(results, null, 2)}</pre>\n    </div>\n    <p>Generated on: ${new Date().toISOString()}</p>\n</body>\n</html>\n  `;\n}\n\n/**\n * Helper function to get day name\n */\nfunction getDayName(dayIndex) {\n  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];\n  return days[dayIndex] || 'Unknown';\n}\n\nmodule.exports = analyzeCommand;
\ No newline at end of file
+  const analyzer = new CommitAnalyzer();
+
+  // Validate options
+  const analysisOptions = await validateAndPrepareOptions(options);
+
+  if (options.interactive) {
+    return await runInteractiveAnalysis(analyzer, analysisOptions);
+  }
+
+  // Run comprehensive analysis
+  const results = await analyzer.getComprehensiveStats(analysisOptions);
+
+  // Generate specific analyses based on flags
+  if (options.heatmap) {
+    results.heatmap = await analyzer.generateHeatmap(analysisOptions);
+  }
+
+  if (options.patterns) {
+    const commits = await analyzer.gitManager.getCommitHistory(analysisOptions);
+    results.patterns = analyzer.analyzeCommitPatterns(commits);
+  }
+
+  // Display results
+  await displayAnalysisResults(results, options);
+
+  // Save to file if requested
+  if (options.output) {
+    await saveAnalysisResults(results, options.output, options.format);
+    FeedbackUtils.success(`Analysis saved to ${options.output}`);
+  }
+}
+
+/**
+ * Handle stats subcommand
+ */
+async function handleStatsCommand(options) {
+  const analyzer = new CommitAnalyzer();
+  const analysisOptions = await validateAndPrepareOptions(options);
+
+  const progress = ProgressUtils.spinner('Generating statistics...');
+  progress.start();
+
+  try {
+    const stats = await analyzer.getComprehensiveStats(analysisOptions);
+    progress.succeed('Statistics generated');
+
+    if (options.format === 'table') {
+      displayStatsTable(stats);
+    } else {
+      console.log(JSON.stringify(stats, null, 2));
+    }
+
+    if (options.output) {
+      await saveAnalysisResults(stats, options.output, options.format);
+      FeedbackUtils.success(`Statistics saved to ${options.output}`);
+    }
+  } catch (error) {
+    progress.fail('Statistics generation failed');
+    throw error;
+  }
+}
+
+/**
+ * Handle heatmap subcommand
+ */
+async function handleHeatmapCommand(options) {
+  const analyzer = new CommitAnalyzer();
+  
+  const heatmapOptions = {
+    since: options.since ? new Date(options.since) : moment().subtract(1, 'year').toDate(),
+    until: options.until ? new Date(options.until) : new Date(),
+    author: options.author
+  };
+
+  const progress = ProgressUtils.spinner('Generating heatmap...');
+  progress.start();
+
+  try {
+    const heatmap = await analyzer.generateHeatmap(heatmapOptions);
+    progress.succeed('Heatmap generated');
+
+    displayHeatmapSummary(heatmap);
+
+    if (options.output) {
+      await saveAnalysisResults(heatmap, options.output, options.format);
+      FeedbackUtils.success(`Heatmap data saved to ${options.output}`);
+    }
+  } catch (error) {
+    progress.fail('Heatmap generation failed');
+    throw error;
+  }
+}
+
+/**
+ * Handle patterns subcommand
+ */
+async function handlePatternsCommand(options) {
+  const analyzer = new CommitAnalyzer();
+  const analysisOptions = await validateAndPrepareOptions(options);
+
+  const progress = ProgressUtils.spinner('Analyzing commit patterns...');
+  progress.start();
+
+  try {
+    const commits = await analyzer.gitManager.getCommitHistory(analysisOptions);
+    const patterns = analyzer.analyzeCommitPatterns(commits);
+    progress.succeed('Pattern analysis completed');
+
+    displayPatternAnalysis(patterns, options.suggestions);
+
+    if (options.output) {
+      await saveAnalysisResults(patterns, options.output, 'json');
+      FeedbackUtils.success(`Pattern analysis saved to ${options.output}`);
+    }
+  } catch (error) {
+    progress.fail('Pattern analysis failed');
+    throw error;
+  }
+}
+
+/**
+ * Handle health subcommand
+ */
+async function handleHealthCommand(options) {
+  const analyzer = new CommitAnalyzer();
+  const analysisOptions = await validateAndPrepareOptions(options);
+
+  const progress = ProgressUtils.spinner('Analyzing repository health...');
+  progress.start();
+
+  try {
+    const stats = await analyzer.getComprehensiveStats(analysisOptions);
+    const health = stats.health;
+    progress.succeed('Health analysis completed');
+
+    displayHealthReport(health, options.detailed);
+
+    if (options.output) {
+      await saveAnalysisResults(health, options.output, 'json');
+      FeedbackUtils.success(`Health report saved to ${options.output}`);
+    }
+  } catch (error) {
+    progress.fail('Health analysis failed');
+    throw error;
+  }
+}
+
+/**
+ * Handle trends subcommand
+ */
+async function handleTrendsCommand(options) {
+  const analyzer = new CommitAnalyzer();
+  const analysisOptions = await validateAndPrepareOptions(options);
+
+  const progress = ProgressUtils.spinner('Analyzing trends...');
+  progress.start();
+
+  try {
+    const stats = await analyzer.getComprehensiveStats(analysisOptions);
+    const trends = stats.trends;
+    progress.succeed('Trend analysis completed');
+
+    displayTrendAnalysis(trends, options.predictions);
+
+    if (options.output) {
+      await saveAnalysisResults(trends, options.output, 'json');
+      FeedbackUtils.success(`Trend analysis saved to ${options.output}`);
+    }
+  } catch (error) {
+    progress.fail('Trend analysis failed');
+    throw error;
+  }
+}
+
+/**
+ * Handle reconcile subcommand
+ */
+async function handleReconcileCommand(options) {
+  const config = await new ConfigManager().loadConfig();
+  const username = options.user || config.github.username;
+  const token = config.github.token || process.env.GITHUB_TOKEN;
+
+  if (!username) {
+    throw new Error('No GitHub login given; use --user <login> or histofy config set github.username <login>');
+  }
+  if (!token) {
+    throw new Error('The contribution calendar needs a GitHub token; run histofy config set github.token <token>');
+  }
+  if (options.year && !/^\d{4}$/.test(options.year)) {
+    throw new Error('Year must have four digits, e.g. 2024');
+  }
+
+  const gitManager = new GitManager();
+  const author = options.author || (await gitManager.getCommitterIdentity()).email;
+  const reconciler = new ContributionReconciler({
+    gitManager,
+    githubManager: new GitHubManager(token)
+  });
+
+  const progress = ProgressUtils.spinner('Comparing with the GitHub calendar...');
+  progress.start();
+
+  let report;
+  try {
+    report = await reconciler.reconcile({
+      username,
+      year: options.year ? Number(options.year) : null,
+      author,
+      remote: options.remote
+    });
+    progress.succeed('Comparison completed');
+  } catch (error) {
+    progress.fail('Comparison failed');
+    throw error;
+  }
+
+  displayReconciliation(report, author);
+
+  if (options.output) {
+    await saveAnalysisResults(report, options.output, 'json');
+    console.log(`\nComparison saved to ${options.output}`);
+  }
+}
+
+/**
+ * Options typed after a subcommand are parsed by analyze itself, which declares the same flags
+ * @param {Command} command - Parent command
+ * @returns {Object} Options given on the command line
+ */
+function typedOptions(command) {
+  const options = command.opts();
+  return Object.fromEntries(Object.keys(options)
+    .filter(key => command.getOptionValueSource(key) === 'cli')
+    .map(key => [key, options[key]]));
+}
+
+/**
+ * Validate and prepare analysis options
+ */
+async function validateAndPrepareOptions(options) {
+  const analysisOptions = {
+    maxCommits: parseInt(options.maxCommits) || 1000,
+    includeFiles: options.includeFiles || false,
+    includeDiffs: options.includeDiffs || false
+  };
+
+  // Validate and set date range
+  if (options.since) {
+    if (!ValidationUtils.isValidDate(options.since)) {
+      throw new Error('Invalid since date format. Use YYYY-MM-DD');
+    }
+    analysisOptions.since = options.since;
+  }
+
+  if (options.until) {
+    if (!ValidationUtils.isValidDate(options.until)) {
+      throw new Error('Invalid until date format. Use YYYY-MM-DD');
+    }
+    analysisOptions.until = options.until;
+  }
+
+  // Validate date range
+  if (options.since && options.until) {
+    const sinceDate = new Date(options.since);
+    const untilDate = new Date(options.until);
+    if (sinceDate >= untilDate) {
+      throw new Error('Since date must be before until date');
+    }
+  }
+
+  // Set author filter
+  if (options.author) {
+    analysisOptions.author = options.author;
+  }
+
+  // Set branch filter
+  if (options.branch) {
+    analysisOptions.branch = options.branch;
+  }
+
+  // Merge identities so one person's old names and emails count once
+  if (options.authorMap) {
+    analysisOptions.authorMap = await AuthorMap.load(options.authorMap);
+  }
+
+  return analysisOptions;
+}
+
+/**
+ * Run interactive analysis mode
+ */
+async function runInteractiveAnalysis(analyzer, baseOptions) {
+  const inquirer = require('inquirer');
+
+  console.log('\n🔍 Interactive Commit Analysis\n');
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'analyses',
+      message: 'Select analyses to run:',
+      choices: [
+        { name: 'Comprehensive Statistics', value: 'stats' },
+        { name: 'Activity Heatmap', value: 'heatmap' },
+        { name: 'Commit Patterns', value: 'patterns' },
+        { name: 'Repository Health', value: 'health' },
+        { name: 'Trend Analysis', value: 'trends' }
+      ],
+      default: ['stats']
+    },
+    {
+      type: 'input',
+      name: 'author',
+      message: 'Filter by author (optional):',
+      when: () => !baseOptions.author
+    },
+    {
+      type: 'input',
+      name: 'since',
+      message: 'Analyze since date (YYYY-MM-DD, optional):',
+      when: () => !baseOptions.since,
+      validate: (input) => {
+        if (!input) return true;
+        return ValidationUtils.isValidDate(input) || 'Invalid date format';
+      }
+    },
+    {
+      type: 'confirm',
+      name: 'saveResults',
+      message: 'Save results to file?',
+      default: false
+    },
+    {
+      type: 'input',
+      name: 'outputFile',
+      message: 'Output file path:',
+      when: (answers) => answers.saveResults,
+      default: `analysis-${moment().format('YYYY-MM-DD')}.json`
+    }
+  ]);
+
+  // Merge options
+  const options = {
+    ...baseOptions,
+    author: answers.author || baseOptions.author,
+    since: answers.since || baseOptions.since
+  };
+
+  const results = {};
+
+  // Run selected analyses
+  for (const analysis of answers.analyses) {
+    const progress = ProgressUtils.spinner(`Running ${analysis} analysis...`);
+    progress.start();
+
+    try {
+      switch (analysis) {
+        case 'stats':
+          results.stats = await analyzer.getComprehensiveStats(options);
+          break;
+        case 'heatmap':
+          results.heatmap = await analyzer.generateHeatmap(options);
+          break;
+        case 'patterns':
+          const commits = await analyzer.gitManager.getCommitHistory(options);
+          results.patterns = analyzer.analyzeCommitPatterns(commits);
+          break;
+        case 'health':
+          if (!results.stats) {
+            results.stats = await analyzer.getComprehensiveStats(options);
+          }
+          results.health = results.stats.health;
+          break;
+        case 'trends':
+          if (!results.stats) {
+            results.stats = await analyzer.getComprehensiveStats(options);
+          }
+          results.trends = results.stats.trends;
+          break;
+      }
+      progress.succeed(`${analysis} analysis completed`);
+    } catch (error) {
+      progress.fail(`${analysis} analysis failed`);
+      throw error;
+    }
+  }
+
+  // Display results
+  console.log('\n📊 Analysis Results\n');
+  await displayAnalysisResults(results, { format: 'table' });
+
+  // Save results if requested
+  if (answers.saveResults) {
+    await saveAnalysisResults(results, answers.outputFile, 'json');
+    FeedbackUtils.success(`Results saved to ${answers.outputFile}`);
+  }
+}
+
+/**
+ * Display analysis results
+ */
+async function displayAnalysisResults(results, options) {
+  if (results.stats) {
+    displayStatsTable(results.stats);
+  }
+
+  if (results.heatmap) {
+    displayHeatmapSummary(results.heatmap);
+  }
+
+  if (results.patterns) {
+    displayPatternAnalysis(results.patterns, true);
+  }
+
+  if (results.health) {
+    displayHealthReport(results.health, true);
+  }
+
+  if (results.trends) {
+    displayTrendAnalysis(results.trends, true);
+  }
+}
+
+/**
+ * Display statistics in table format
+ */
+function displayStatsTable(stats) {
+  const Table = require('cli-table3');
+
+  console.log('\n📈 Repository Overview\n');
+  
+  const overviewTable = new Table({
+    head: ['Metric', 'Value'],
+    colWidths: [25, 20]
+  });
+
+  overviewTable.push(
+    ['Total Commits', stats.overview.totalCommits],
+    ['Unique Authors', stats.overview.uniqueAuthors],
+    ['Repository Age (days)', stats.overview.repositoryAge],
+    ['Avg Commits/Day', stats.overview.averageCommitsPerDay]
+  );
+
+  console.log(overviewTable.toString());
+
+  // Top authors
+  if (stats.authors.topAuthors.length > 0) {
+    console.log('\n👥 Top Contributors\n');
+    
+    const authorsTable = new Table({
+      head: ['Author', 'Commits', 'Percentage', 'Active Days'],
+      colWidths: [25, 10, 12, 12]
+    });
+
+    stats.authors.topAuthors.slice(0, 5).forEach(author => {
+      authorsTable.push([
+        author.author,
+        author.commits,
+        `${author.percentage}%`,
+        author.activeDays
+      ]);
+    });
+
+    console.log(authorsTable.toString());
+  }
+
+  // Temporal patterns
+  console.log('\n⏰ Activity Patterns\n');
+  
+  const temporalTable = new Table({
+    head: ['Pattern', 'Value'],
+    colWidths: [25, 30]
+  });
+
+  temporalTable.push(
+    ['Peak Hour', `${stats.temporal.peakHour}:00`],
+    ['Most Active Day', getDayName(stats.temporal.peakDay)]
+  );
+
+  if (stats.temporal.patterns.length > 0) {
+    stats.temporal.patterns.forEach(pattern => {
+      temporalTable.push([pattern.type, pattern.description]);
+    });
+  }
+
+  console.log(temporalTable.toString());
+
+  // Health score
+  if (stats.health) {
+    console.log('\n🏥 Repository Health\n');
+    
+    const healthTable = new Table({
+      head: ['Factor', 'Score', 'Grade'],
+      colWidths: [20, 10, 8]
+    });
+
+    healthTable.push(
+      ['Overall Score', stats.health.score, stats.health.grade],
+      ['Frequency', Math.round(stats.health.factors.frequency), ''],
+      ['Message Quality', Math.round(stats.health.factors.messageQuality), ''],
+      ['Consistency', Math.round(stats.health.factors.consistency), '']
+    );
+
+    console.log(healthTable.toString());
+  }
+}
+
+/**
+ * Display heatmap summary
+ */
+function displayHeatmapSummary(heatmap) {
+  console.log('\n🔥 Activity Heatmap Summary\n');
+  
+  const Table = require('cli-table3');
+  const table = new Table({
+    head: ['Metric', 'Value'],
+    colWidths: [25, 15]
+  });
+
+  table.push(
+    ['Total Days', heatmap.summary.totalDays],
+    ['Active Days', heatmap.summary.activeDays],
+    ['Total Commits', heatmap.summary.totalCommits],
+    ['Max Commits/Day', heatmap.summary.maxCommitsPerDay],
+    ['Avg Commits/Day', heatmap.summary.averageCommitsPerDay]
+  );
+
+  console.log(table.toString());
+
+  const activityRate = Math.round((heatmap.summary.activeDays / heatmap.summary.totalDays) * 100);
+  console.log(`\n📊 Activity Rate: ${activityRate}%`);
+}
+
+/**
+ * Display a reconciliation report
+ */
+function displayReconciliation(report, author) {
+  const Table = require('cli-table3');
+  const { summary } = report;
+
+  console.log(`\n🔁 ${report.year}: ${author} locally vs ${report.username} on GitHub\n`);
+  if (report.repository) {
+    console.log(`Repository: ${report.repository.nameWithOwner} (default branch ${report.repository.defaultBranch})`);
+  }
+
+  const table = new Table({
+    head: ['Metric', 'Value'],
+    colWidths: [30, 15]
+  });
+  table.push(
+    ['Local Commits', summary.localCommits],
+    ['GitHub Contributions', summary.githubContributions],
+    ['Matching Days', `${summary.matching}/${summary.days}`],
+    ['Days Missing Commits', summary.missingDays],
+    ['Commits Missing on GitHub', summary.missingCommits],
+    ['Days With Other Activity', summary.extraDays]
+  );
+  console.log(table.toString());
+
+  const missing = report.days.filter(day => day.status === 'missing');
+  if (missing.length > 0) {
+    console.log('\n📉 Days GitHub shows fewer commits\n');
+
+    const daysTable = new Table({
+      head: ['Date', 'Local', 'GitHub', 'Possible Causes'],
+      colWidths: [12, 8, 8, 50]
+    });
+    missing.slice(0, 20).forEach(day => {
+      const causes = Object.entries(day.reasons)
+        .map(([reason, count]) => `${ContributionReconciler.REASONS[reason].title} (${count})`)
+        .join(', ');
+      daysTable.push([day.date, day.local, day.github, causes]);
+    });
+    console.log(daysTable.toString());
+
+    if (missing.length > 20) {
+      console.log(`... and ${missing.length - 20} more days (use --output for all)`);
+    }
+  }
+
+  if (report.findings.length > 0) {
+    console.log('\n💡 Explanations\n');
+    report.findings.forEach((finding, index) => {
+      console.log(`${index + 1}. ${finding.title}: ${finding.message}`);
+      console.log(`   ${finding.suggestion}`);
+    });
+  } else if (summary.missingDays === 0) {
+    console.log('\n✅ Every local commit is on the GitHub calendar');
+  }
+
+  if (summary.extraDays > 0) {
+    console.log(`\nGitHub shows more on ${summary.extraDays} day(s): other repositories, issues, pull requests and reviews also count`);
+  }
+  report.notes.forEach(note => console.log(`\n⚠️  ${note}`));
+}
+
+/**
+ * Display pattern analysis
+ */
+function displayPatternAnalysis(patterns, includeSuggestions = false) {
+  console.log('\n📝 Commit Message Patterns\n');
+  
+  const Table = require('cli-table3');
+  const patternsTable = new Table({
+    head: ['Pattern Type', 'Count', 'Percentage'],
+    colWidths: [20, 10, 12]
+  });
+
+  const total = Object.values(patterns.patterns).reduce((a, b) => a + b, 0);
+  
+  Object.entries(patterns.patterns).forEach(([type, count]) => {
+    const percentage = total > 0 ? Math.round((count / total) * 100) : 0;
+    patternsTable.push([type, count, `${percentage}%`]);
+  });
+
+  console.log(patternsTable.toString());
+
+  if (patterns.issues.length > 0) {
+    console.log(`\n⚠️  Found ${patterns.issues.length} message formatting issues`);
+  }
+
+  if (includeSuggestions && patterns.suggestions.length > 0) {
+    console.log('\n💡 Suggestions for Improvement\n');
+    
+    patterns.suggestions.forEach((suggestion, index) => {
+      console.log(`${index + 1}. [${suggestion.priority.toUpperCase()}] ${suggestion.message}`);
+      if (suggestion.example) {
+        console.log(`   Example: ${suggestion.example}`);
+      }
+      console.log('');
+    });
+  }
+}
+
+/**
+ * Display health report
+ */
+function displayHealthReport(health, detailed = false) {
+  console.log('\n🏥 Repository Health Report\n');
+  
+  const scoreColor = health.score >= 80 ? '\x1b[32m' : health.score >= 60 ? '\x1b[33m' : '\x1b[31m';
+  console.log(`Overall Health Score: ${scoreColor}${health.score}/100 (Grade: ${health.grade})\x1b[0m\n`);
+
+  const Table = require('cli-table3');
+  const factorsTable = new Table({
+    head: ['Health Factor', 'Score', 'Status'],
+    colWidths: [20, 10, 15]
+  });
+
+  Object.entries(health.factors).forEach(([factor, score]) => {
+    const status = score >= 80 ? 'Excellent' : score >= 60 ? 'Good' : score >= 40 ? 'Fair' : 'Poor';
+    factorsTable.push([factor, Math.round(score), status]);
+  });
+
+  console.log(factorsTable.toString());
+
+  if (detailed && health.recommendations.length > 0) {
+    console.log('\n📋 Recommendations\n');
+    
+    health.recommendations.forEach((rec, index) => {
+      console.log(`${index + 1}. ${rec}`);
+    });
+    console.log('');
+  }
+}
+
+/**
+ * Display trend analysis
+ */
+function displayTrendAnalysis(trends, includePredictions = false) {
+  console.log('\n📈 Commit Trends Analysis\n');
+  
+  const Table = require('cli-table3');
+  const trendsTable = new Table({
+    head: ['Metric', 'Value'],
+    colWidths: [20, 25]
+  });
+
+  trendsTable.push(
+    ['Activity Status', trends.activity],
+    ['Velocity', `${Math.round(trends.velocity)}%`],
+    ['Momentum', trends.momentum]
+  );
+
+  console.log(trendsTable.toString());
+
+  if (includePredictions && trends.predictions) {
+    console.log('\n🔮 Predictions\n');
+    
+    const predictionsTable = new Table({
+      head: ['Prediction', 'Value', 'Confidence'],
+      colWidths: [20, 15, 12]
+    });
+
+    predictionsTable.push(
+      ['Next Month Commits', trends.predictions.nextMonth || 'N/A', trends.predictions.confidence || 'N/A'],
+      ['Trend Direction', trends.predictions.trend || 'N/A', '']
+    );
+
+    console.log(predictionsTable.toString());
+  }
+}
+
+/**
+ * Save analysis results to file
+ */
+async function saveAnalysisResults(results, outputFile, format) {
+  const outputDir = path.dirname(outputFile);
+  await fs.mkdir(outputDir, { recursive: true });
+
+  let content;
+  
+  switch (format.toLowerCase()) {
+    case 'json':
+      content = JSON.stringify(results, null, 2);
+      break;
+    case 'csv':
+      content = convertToCSV(results);
+      break;
+    case 'html':
+      content = generateHTMLReport(results);
+      break;
+    default:
+      throw new Error(`Unsupported output format: ${format}`);
+  }
+
+  await fs.writeFile(outputFile, content, 'utf8');
+}
+
+/**
+ * Convert results to CSV format
+ */
+function convertToCSV(results) {
+  // Simple CSV conversion for overview stats
+  if (results.overview) {
+    const headers = ['Metric', 'Value'];
+    const rows = [
+      ['Total Commits', results.overview.totalCommits],
+      ['Unique Authors', results.overview.uniqueAuthors],
+      ['Repository Age', results.overview.repositoryAge],
+      ['Average Commits Per Day', results.overview.averageCommitsPerDay]
+    ];
+    
+    return [headers, ...rows].map(row => row.join(',')).join('\n');
+  }
+  
+  return JSON.stringify(results, null, 2);
+}
+
+/**
+ * Generate HTML report
+ */
+function generateHTMLReport(results) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Commit Analysis Report</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .metric { margin: 10px 0; }
+        .score { font-size: 24px; font-weight: bold; }
+        table { border-collapse: collapse; width: 100%; margin: 20px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+        th { background-color: #f2f2f2; }
+    </style>
+</head>
+<body>
+    <h1>Commit Analysis Report</h1>
+    <div id="report-content">
+        <pre>${JSON.stringify(results, null, 2)}</pre>
+    </div>
+    <p>Generated on: ${new Date().toISOString()}</p>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Helper function to get day name
+ */
+function getDayName(dayIndex) {
+  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  return days[dayIndex] || 'Unknown';
+}
+
+module.exports = analyzeCommand;
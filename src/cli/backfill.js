@@ -0,0 +1,273 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * Backfill Command - Fill idle days in a date window with commits
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const chalk = require('chalk');
+const GitManager = require('../core/GitManager');
+const {
+  ErrorHandler,
+  ValidationError,
+  GitError,
+  ProgressUtils
+} = require('../utils');
+const AuthorMap = require('../utils/AuthorMap');
+const BackfillPlanner = require('../utils/BackfillPlanner');
+const BatchCommitManager = require('../utils/BatchCommitManager');
+const CommitAnalyzer = require('../utils/CommitAnalyzer');
+const OperationHistory = require('../utils/OperationHistory');
+
+const DEFAULT_MESSAGE = 'Backfill activity on {{date}}';
+const DEFAULT_CONTENT = '{{date}} {{time}}';
+
+/**
+ * Handle backfill command
+ * @param {Object} options - Command options
+ */
+async function backfillCommand(options = {}) {
+  const progress = ProgressUtils.spinner('Initializing backfill...');
+  const startTime = Date.now();
+
+  try {
+    console.log(chalk.blue('Histofy Gap Backfill\n'));
+    progress.start();
+
+    progress.update('Validating inputs...');
+    let window;
+    let minPerDay;
+    let author = null;
+    let file = null;
+    const gitManager = new GitManager();
+    try {
+      window = BackfillPlanner.getWindow({ since: options.since, until: options.until });
+
+      const value = options.minPerDay === undefined ? '1' : String(options.minPerDay);
+      if (!/^\d+$/.test(value) || Number(value) < 1) {
+        throw new Error(`--min-per-day must be a whole number of at least 1, got "${value}"`);
+      }
+      minPerDay = Number(value);
+
+      if (options.author) {
+        author = AuthorMap.parseIdentity(options.author);
+        if (!author || !author.name || !author.email) {
+          throw new Error('--author must be "Name <email>"');
+        }
+      }
+
+      if (options.content && !options.file) {
+        throw new Error('--content needs --file to write to');
+      }
+      if (options.file) {
+        const absolute = path.resolve(gitManager.repoPath, options.file);
+        const relative = path.relative(gitManager.repoPath, absolute);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+          throw new Error(`--file must be a file inside the repository, got "${options.file}"`);
+        }
+        file = { absolute, relative };
+      }
+    } catch (error) {
+      progress.fail('Input validation failed');
+      console.log(ErrorHandler.handleValidationError({
+        error: error.message,
+        suggestion: 'Try: histofy backfill --since 2024-01-01 --until 2024-03-31 --weekdays-only'
+      }, 'backfill validation'));
+      return;
+    }
+
+    if (!(await gitManager.isGitRepo())) {
+      progress.fail('Repository validation failed');
+      console.log(ErrorHandler.handleValidationError({
+        error: 'Not a git repository',
+        suggestion: 'Run this command inside the repository to backfill'
+      }, 'Git repository check'));
+      return;
+    }
+    progress.succeed('Input validation completed');
+
+    const analysisProgress = ProgressUtils.spinner('Looking for idle days...');
+    analysisProgress.start();
+
+    let plan;
+    let commitData;
+    try {
+      const heatmap = await new CommitAnalyzer().generateHeatmap({
+        since: window.start.toDate(),
+        until: window.end.clone().endOf('day').toDate()
+      });
+      const existing = new Map(Object.entries(heatmap.data).map(([date, day]) => [date, day.count]));
+
+      plan = BackfillPlanner.findGaps(existing, window, {
+        minPerDay,
+        weekdaysOnly: Boolean(options.weekdaysOnly)
+      });
+      commitData = BackfillPlanner.schedule(plan, { startTime: options.startTime });
+      analysisProgress.succeed('Idle days found');
+    } catch (error) {
+      analysisProgress.fail('Planning failed');
+      console.log(ErrorHandler.handleGitError(new GitError(error.message, 'backfill planning', error), 'planning the backfill'));
+      return;
+    }
+
+    const range = `${window.start.format('YYYY-MM-DD')} to ${window.end.format('YYYY-MM-DD')}`;
+    console.log(chalk.yellow(`\nBackfill Plan (${range}):`));
+    console.log(chalk.gray(`   ${plan.totalCommits} commit(s) on ${plan.days.length} day(s) with fewer than ${minPerDay} commit(s)`));
+    if (plan.skippedWeekends > 0) {
+      console.log(chalk.gray(`   ${plan.skippedWeekends} weekend day(s) left as they are`));
+    }
+    console.log(chalk.gray(`   ${file ? `Each commit appends a line to ${file.relative}` : 'Commits are empty'}`));
+    console.log();
+
+    if (plan.totalCommits === 0) {
+      console.log(chalk.green('Nothing to backfill: every day in the window already has enough commits'));
+      return { success: true, commits: 0 };
+    }
+
+    // Message and content placeholders work like batch templates
+    const templates = new BatchCommitManager();
+    const render = (text, commit) => templates.substituteVariables(text, {}, commit);
+    const message = options.message || DEFAULT_MESSAGE;
+    const content = options.content || DEFAULT_CONTENT;
+
+    if (options.dryRun) {
+      console.log(chalk.cyan('🔍 DRY RUN MODE - No changes will be made\n'));
+
+      commitData.slice(0, 10).forEach(commit => {
+        console.log(`   ${commit.index}. ${chalk.cyan(`${commit.date} ${commit.time}`)} ${chalk.gray(render(message, commit))}`);
+      });
+      if (commitData.length > 10) {
+        console.log(chalk.gray(`   ... and ${commitData.length - 10} more commits`));
+      }
+
+      console.log(chalk.blue('\n💡 To backfill, run the same command with --execute instead of --dry-run'));
+      return { success: true, dryRun: true, plan, commits: commitData.length };
+    }
+
+    if (!options.execute) {
+      console.log(chalk.blue('To create these commits:'));
+      console.log(chalk.gray('   histofy backfill ... --execute'));
+      return { success: true, plan };
+    }
+
+    // Every backfill commit would otherwise pick up whatever is already staged or edited
+    const status = await gitManager.getStatus();
+    if (status.staged && status.staged.length > 0) {
+      console.log(ErrorHandler.handleValidationError({
+        error: `${status.staged.length} file(s) are staged and would be committed with the first backfilled day`,
+        suggestion: 'Commit or unstage them first'
+      }, 'backfill execution'));
+      return;
+    }
+    if (file && status.modified && status.modified.includes(file.relative.split(path.sep).join('/'))) {
+      console.log(ErrorHandler.handleValidationError({
+        error: `${file.relative} has uncommitted changes`,
+        suggestion: 'Commit or discard them, or pick another --file'
+      }, 'backfill execution'));
+      return;
+    }
+
+    let parentHash = null;
+    try {
+      parentHash = await gitManager.getCurrentCommitHash();
+    } catch (error) {
+      // An empty repository has no HEAD yet; the first commit becomes the root
+    }
+
+    const commitProgress = ProgressUtils.spinner(`Creating ${commitData.length} commit(s)...`);
+    commitProgress.start();
+
+    const createdCommits = [];
+    let failure = null;
+    for (const commit of commitData) {
+      commitProgress.update(`Creating commit ${commit.index}/${commit.total} on ${commit.date}...`);
+      try {
+        if (file) {
+          await fs.mkdir(path.dirname(file.absolute), { recursive: true });
+          await fs.appendFile(file.absolute, `${render(content, commit)}\n`);
+          await gitManager.addFiles(file.absolute);
+        }
+
+        const result = await gitManager.commitWithDate(
+          render(message, commit),
+          commit.date,
+          commit.time,
+          author ? `${author.name} <${author.email}>` : null,
+          { timezone: options.tz, allowEmpty: !file }
+        );
+        createdCommits.push({ hash: result.hash, parentHash, date: commit.date, time: commit.time });
+        parentHash = result.hash;
+      } catch (error) {
+        failure = { commit, error };
+        break;
+      }
+    }
+
+    if (failure) {
+      commitProgress.fail(`Commit ${failure.commit.index} on ${failure.commit.date} failed`);
+    } else {
+      commitProgress.succeed(`Created ${createdCommits.length} commit(s)`);
+    }
+
+    // One history entry covers the whole backfill, so a single undo removes it
+    if (createdCommits.length > 0) {
+      try {
+        await new OperationHistory().recordOperation({
+          type: 'backfill',
+          command: 'backfill',
+          args: {
+            since: window.start.format('YYYY-MM-DD'),
+            until: window.end.format('YYYY-MM-DD'),
+            minPerDay,
+            weekdaysOnly: Boolean(options.weekdaysOnly),
+            file: file ? file.relative : null,
+            message,
+            author: options.author
+          },
+          description: `Backfill ${createdCommits.length} commit(s) from ${range}`,
+          result: {
+            commits: createdCommits.length,
+            days: new Set(createdCommits.map(commit => commit.date)).size,
+            failed: failure ? failure.error.message : null
+          },
+          undoData: { createdCommits },
+          duration: Math.round((Date.now() - startTime) / 1000)
+        });
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not record the backfill in operation history: ${error.message}`));
+      }
+    }
+
+    if (failure) {
+      console.log(ErrorHandler.handleGitError(new GitError(failure.error.message, 'backfill commit', failure.error), 'backfilling'));
+      if (createdCommits.length > 0) {
+        console.log(chalk.yellow(`${createdCommits.length} commit(s) were created before the failure; remove them with: histofy undo`));
+      }
+      return { success: false, plan, createdCommits, error: failure.error.message };
+    }
+
+    console.log(chalk.green(`\n✅ Backfilled ${createdCommits.length} commit(s) on ${plan.days.length} day(s)`));
+    console.log(chalk.blue('\nNext steps:'));
+    console.log(chalk.gray('1. Check the result with: histofy analyze --heatmap'));
+    console.log(chalk.gray('2. Undo the whole backfill with: histofy undo'));
+    console.log(chalk.gray('3. Push with: git push origin <branch>'));
+
+    return { success: true, plan, createdCommits };
+  } catch (error) {
+    progress.fail('Backfill operation failed');
+
+    if (error instanceof ValidationError) {
+      console.log(ErrorHandler.handleValidationError(error, 'backfill operation'));
+    } else {
+      console.log(ErrorHandler.formatUserFriendlyError(error, {
+        operation: 'backfill operation',
+        command: 'histofy backfill'
+      }));
+    }
+  }
+}
+
+module.exports = backfillCommand;
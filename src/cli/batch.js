@@ -8,11 +8,28 @@
 
 const chalk = require('chalk');
 const inquirer = require('inquirer');
+const fs = require('fs').promises;
+const os = require('os');
+const crypto = require('crypto');
 const path = require('path');
+const GitManager = require('../core/GitManager');
 const BatchCommitManager = require('../utils/BatchCommitManager');
+const TrailerUtils = require('../utils/TrailerUtils');
+const AuthorMap = require('../utils/AuthorMap');
+const BatchFileOperations = require('../utils/BatchFileOperations');
+const BatchJournal = require('../core/BatchJournal');
+const HistoryTransplant = require('../utils/HistoryTransplant');
+const ScheduleGenerator = require('../utils/ScheduleGenerator');
+const ContributionPainter = require('../utils/ContributionPainter');
+const TimezoneUtils = require('../utils/TimezoneUtils');
 const { ErrorHandler, ValidationError, FileSystemError } = require('../utils/errors');
 const FeedbackUtils = require('../utils/feedback');
 
+// Transplanted subjects are replayed as they are, whatever their length
+const TRANSPLANT_MESSAGE_RULES = { minLength: 1, maxLength: Infinity };
+// Transplanted trailers were accepted by Git once; only their syntax is checked
+const TRANSPLANT_TRAILER_RULES = { checkIdentities: false };
+
 /**
  * Handle batch commit command
  */
@@ -36,6 +53,12 @@ async function batchCommand(action, options) {
       case 'validate':
         await handleValidateCommand(batchManager, options);
         break;
+      case 'transplant':
+        await handleTransplantCommand(batchManager, options);
+        break;
+      case 'generate':
+        await handleGenerateCommand(batchManager, options);
+        break;
       default:
         console.log(chalk.red(`Unknown batch action: ${action}`));
         showBatchHelp();
@@ -72,23 +95,52 @@ async function handleBatchCommit(batchManager, options) {
 
   // Load commit data
   console.log(chalk.cyan('📂 Loading commit data...'));
-  let commitData;
-  
-  const inputPath = path.resolve(options.input);
-  const fileExtension = path.extname(inputPath).toLowerCase();
+  let commitData = await loadCommitData(batchManager, options);
 
-  if (fileExtension === '.csv') {
-    commitData = await batchManager.importFromCSV(inputPath, {
-      separator: options.separator || ',',
-      headers: options.headers !== false
-    });
-  } else if (fileExtension === '.json') {
-    commitData = await batchManager.importFromJSON(inputPath);
-  } else {
-    throw new ValidationError('Unsupported input format', 'input_format', 'Use .csv or .json files');
+  console.log(chalk.green(`✅ Loaded ${commitData.length} commit records\n`));
+
+  // Apply default timezone, co-authors and trailers to every entry
+  commitData = applyEntryDefaults(commitData, options);
+
+  await commitEntries(batchManager, commitData, options, {
+    fixturesDir: getFixturesDir(options),
+    rerun: `histofy batch commit --input ${options.input}`
+  });
+}
+
+/**
+ * Preview, confirm and commit batch entries (shared by batch commit and batch transplant)
+ * @param {BatchCommitManager} batchManager - Batch manager
+ * @param {Array} commitData - Entries with command-line defaults applied
+ * @param {Object} options - Command options
+ * @param {Object} context - How the entries were produced
+ * @param {string} context.fixturesDir - Directory copy and patch file operations read from
+ * @param {string} context.rerun - Command that produced the entries, for the --resume hint
+ * @param {boolean} context.allowEmpty - Create commits even when nothing is staged
+ * @param {Object} context.messageOptions - Message rules instead of the defaults
+ * @param {Object} context.trailerOptions - Trailer rules instead of the defaults
+ */
+async function commitEntries(batchManager, commitData, options, context) {
+  let authorMap = null;
+  if (options.authorMap) {
+    try {
+      authorMap = await AuthorMap.load(options.authorMap);
+    } catch (error) {
+      throw new ValidationError(error.message, 'author_map', 'Use a .mailmap file or a JSON object of "old@email": "Name <email>"');
+    }
+    console.log(chalk.green(`✅ Loaded ${authorMap.size} author map entries\n`));
   }
 
-  console.log(chalk.green(`✅ Loaded ${commitData.length} commit records\n`));
+  // Every batch records its committed rows; --resume continues a journal instead of starting a new one
+  const journal = new BatchJournal(batchManager.gitManager.repoPath, options.resume || options.journal);
+  if (options.resume) {
+    try {
+      await journal.load();
+    } catch (error) {
+      throw new ValidationError(error.message, 'resume', 'Pass the journal path printed by the interrupted batch');
+    }
+    console.log(chalk.green(`✅ Resuming from ${await journal.getPath()}: ${journal.rows.size} row(s) already committed\n`));
+  }
 
   // Load template if specified
   let template = null;
@@ -106,16 +158,17 @@ async function handleBatchCommit(batchManager, options) {
     const previewTable = [];
     
     previewData.forEach((commit, index) => {
-      const processedCommit = template ? 
+      const processedCommit = batchManager.applyAuthorMap(template ? 
         batchManager.processTemplate(template, { ...commit, index, total: commitData.length }) :
-        commit;
+        commit, authorMap);
       
       previewTable.push({
         '#': index + 1,
         'Message': processedCommit.message.substring(0, 50) + (processedCommit.message.length > 50 ? '...' : ''),
         'Date': processedCommit.date,
-        'Time': processedCommit.time,
-        'Author': processedCommit.author || 'Default'
+        'Time': processedCommit.timezone ? `${processedCommit.time} ${processedCommit.timezone}` : processedCommit.time,
+        'Author': processedCommit.author || 'Default',
+        'Files': describeFileOperations(commit.files)
       });
     });
 
@@ -123,8 +176,9 @@ async function handleBatchCommit(batchManager, options) {
       { key: '#', header: '#', width: 5 },
       { key: 'Message', header: 'Message', width: 52 },
       { key: 'Date', header: 'Date', width: 12 },
-      { key: 'Time', header: 'Time', width: 8 },
-      { key: 'Author', header: 'Author', width: 15 }
+      { key: 'Time', header: 'Time', width: previewData.some(commit => commit.timezone) ? 26 : 8 },
+      { key: 'Author', header: 'Author', width: 15 },
+      ...(previewData.some(commit => commit.files) ? [{ key: 'Files', header: 'Files', width: 30 }] : [])
     ], { title: 'Commit Preview' });
 
     if (commitData.length > 5) {
@@ -149,18 +203,297 @@ async function handleBatchCommit(batchManager, options) {
     }
   }
 
+  // Resolve signing once so a missing SSH key fails before any commit is created
+  const signing = await batchManager.gitManager.resolveSigning({
+    sign: options.sign,
+    signingKey: options.signingKey
+  });
+  if (signing) {
+    console.log(chalk.blue(`🔏 Signing commits with ${signing.format} key ${signing.key || '(default for committer email)'}\n`));
+  }
+
   // Execute batch commit
   const batchOptions = {
     dryRun: options.dryRun || false,
     continueOnError: options.continueOnError || false,
     maxConcurrent: options.concurrent || 1,
-    validateOnly: options.validateOnly || false
+    validateOnly: options.validateOnly || false,
+    signing,
+    authorMap,
+    isolated: Boolean(options.isolated),
+    allowEmpty: Boolean(context.allowEmpty),
+    fixturesDir: context.fixturesDir,
+    messageOptions: context.messageOptions,
+    trailerOptions: context.trailerOptions,
+    journal
   };
 
-  const result = await batchManager.executeBatchCommit(commitData, template, batchOptions);
+  let result;
+  try {
+    result = await batchManager.executeBatchCommit(commitData, template, batchOptions);
+  } catch (error) {
+    if (journal.rows.size > 0) {
+      console.log(chalk.yellow(`\nCommitted rows are recorded in ${await journal.getPath()}`));
+      console.log(chalk.cyan(`Fix the failing row and run: ${context.rerun} --resume ${await journal.getPath()}\n`));
+    }
+    throw error;
+  }
 
   // Display results
-  displayBatchResults(result, options);
+  displayBatchResults(result, options, context.rerun);
+}
+
+/**
+ * Handle batch transplant: replay another repository's commits as a batch
+ */
+async function handleTransplantCommand(batchManager, options) {
+  console.log(chalk.blue('🌱 Batch Transplant\n'));
+
+  if (!options.from) {
+    throw new ValidationError('Source repository is required', 'from', 'Specify the repository to replay with --from <path>');
+  }
+  if (options.offset && options.start) {
+    throw new ValidationError('--offset and --start cannot be combined', 'offset', 'Move the dates by a fixed amount or to a start date, not both');
+  }
+
+  const timezone = options.tz || 'UTC';
+  if (!TimezoneUtils.isValidTimezone(timezone)) {
+    throw new ValidationError(`Unknown timezone: ${timezone}`, 'tz', 'Use an IANA timezone such as Europe/Berlin');
+  }
+
+  const sourcePath = path.resolve(options.from);
+  if (sourcePath === path.resolve(batchManager.gitManager.repoPath)) {
+    throw new ValidationError('The source must be another repository', 'from', 'Run the transplant from inside the target repository');
+  }
+
+  const source = new GitManager(sourcePath);
+  if (!(await source.isGitRepo())) {
+    throw new ValidationError(`${sourcePath} is not a Git repository`, 'from', 'Point --from at the repository whose history should be replayed');
+  }
+
+  const range = options.range || 'HEAD';
+  console.log(chalk.cyan(`📂 Reading ${range} from ${sourcePath}...`));
+
+  let commits;
+  try {
+    const count = await source.getCommitCount({ branch: range });
+    commits = count > 0 ? (await source.getCommitHistory({ branch: range, limit: count, dateOrder: true })).reverse() : [];
+  } catch (error) {
+    throw new ValidationError(error.message, 'range', 'Use a revision range of the source repository, e.g. v1.0..main');
+  }
+  if (commits.length === 0) {
+    throw new ValidationError(`No commits in ${range}`, 'range', 'Check the range against the source repository\'s log');
+  }
+
+  let offset = 0;
+  try {
+    if (options.start) {
+      offset = HistoryTransplant.offsetToStart(commits, options.start, timezone);
+    } else if (options.offset) {
+      offset = HistoryTransplant.parseOffset(options.offset);
+    }
+  } catch (error) {
+    throw new ValidationError(error.message, 'offset', 'Use --offset +30d or --start YYYY-MM-DD');
+  }
+
+  // Patches live in a scratch directory that acts as the fixtures directory of the batch
+  const fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-transplant-'));
+
+  try {
+    const patches = options.withTree ? await HistoryTransplant.writePatches(source, commits, fixturesDir) : new Map();
+    let commitData = HistoryTransplant.toEntries(commits, { offset, timezone, patches });
+
+    const first = commitData[0];
+    const last = commitData[commitData.length - 1];
+    console.log(chalk.green(`✅ Read ${commits.length} commits${options.withTree ? `, ${patches.size} with tree changes` : ''}`));
+    console.log(chalk.gray(`   New dates: ${first.date} ${first.time} → ${last.date} ${last.time} (${timezone})\n`));
+
+    commitData = applyEntryDefaults(commitData, options);
+
+    // Name the source commit of a row the batch would reject, before anything is previewed
+    const validation = await batchManager.validateBatchData(commitData, null, {
+      fixturesDir,
+      messageOptions: TRANSPLANT_MESSAGE_RULES,
+      trailerOptions: TRANSPLANT_TRAILER_RULES
+    });
+    if (!validation.valid) {
+      const [invalid] = validation.errors;
+      const commit = commits[invalid.index];
+      throw new ValidationError(
+        `Source commit ${commit.hash.substring(0, 7)} ("${commit.message}", row ${invalid.index + 1}): ${invalid.error}`,
+        'range',
+        invalid.suggestion || 'Exclude the commit from --range or fix it in the source repository'
+      );
+    }
+
+    const rerun = ['histofy batch transplant', `--from ${options.from}`, `--range ${range}`,
+      options.withTree ? '--with-tree' : null,
+      options.offset ? `--offset ${options.offset}` : null,
+      options.start ? `--start ${options.start}` : null,
+      options.tz ? `--tz ${options.tz}` : null].filter(Boolean).join(' ');
+
+    await commitEntries(batchManager, commitData, options, {
+      fixturesDir,
+      rerun,
+      allowEmpty: true,
+      messageOptions: TRANSPLANT_MESSAGE_RULES,
+      trailerOptions: TRANSPLANT_TRAILER_RULES
+    });
+  } finally {
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Handle batch generate: write a commit schedule for a date window as batch input
+ */
+async function handleGenerateCommand(batchManager, options) {
+  console.log(chalk.blue('🗓️  Batch Schedule Generator\n'));
+
+  const sources = ['words', 'template', 'repoMessages'].filter(source => options[source]);
+  if (sources.length > 1) {
+    throw new ValidationError('Give at most one of --words, --template or --repo-messages', 'messages', 'Pick one message source');
+  }
+  if (options.tz && !TimezoneUtils.isValidTimezone(options.tz)) {
+    throw new ValidationError(`Unknown timezone: ${options.tz}`, 'tz', 'Use an IANA timezone such as Europe/Berlin');
+  }
+
+  const parse = (field, suggestion, parser) => {
+    try {
+      return parser();
+    } catch (error) {
+      throw new ValidationError(error.message, field, suggestion);
+    }
+  };
+  const window = parse('from', 'Use --from 2025-01-01 --to 2025-12-31', () => ScheduleGenerator.getWindow(options));
+  const perDay = parse('per_day', 'Use --per-day 0-4 or --per-day 2', () => ScheduleGenerator.parsePerDay(options.perDay));
+  const weekdays = parse('weekdays', 'Use --weekdays sat=0.3,sun=0', () => ScheduleGenerator.parseWeekdays(options.weekdays));
+  const hours = parse('hours', 'Use --hours 9-12:3,13-17:2', () => ScheduleGenerator.parseHours(options.hours));
+  const blackouts = parse('blackout', 'Use --blackout 2025-08-01..2025-08-14', () => ScheduleGenerator.parseBlackouts(options.blackout));
+
+  // Without --seed a fresh one is drawn and printed, so a schedule worth keeping can be regenerated
+  const seed = options.seed || crypto.randomBytes(4).toString('hex');
+  const plan = ScheduleGenerator.plan(window, { perDay, weekdays, blackouts, seed });
+  const schedule = parse('hours', 'Widen --hours or lower --per-day', () => ScheduleGenerator.schedule(plan, { hours, seed }));
+
+  // Messages come first so a broken template or word list fails before the preview
+  const messages = schedule.length > 0 ? await loadScheduleMessages(batchManager, options, schedule, seed) : [];
+  const commitData = schedule.map((commit, index) => ({
+    message: messages[index],
+    date: commit.date,
+    time: commit.time,
+    ...(options.tz ? { timezone: options.tz } : {})
+  }));
+
+  const validation = commitData.length > 0 ? await batchManager.validateBatchData(commitData) : { valid: true };
+  if (!validation.valid) {
+    const [first] = validation.errors;
+    throw new ValidationError(`Generated row ${first.index + 1} is invalid: ${first.error}`, 'messages',
+      'Check the message source; messages need 10-72 characters');
+  }
+
+  const from = window.start.format('YYYY-MM-DD');
+  const to = window.end.format('YYYY-MM-DD');
+  const { levels, calendars } = ScheduleGenerator.heatmap(plan);
+  calendars.forEach(({ label, window: calendar }) => {
+    if (calendars.length > 1) {
+      console.log(chalk.yellow(`${label}:`));
+    }
+    console.log(ContributionPainter.render(levels, calendar));
+    console.log();
+  });
+
+  console.log(chalk.yellow('Schedule:'));
+  console.log(chalk.gray(`   ${plan.totalCommits} commit(s) on ${plan.activeDays} of ${plan.days.length} day(s), ${from} to ${to}`));
+  if (plan.blackoutDays > 0) {
+    console.log(chalk.gray(`   ${plan.blackoutDays} day(s) blacked out`));
+  }
+  console.log(chalk.gray(`   Seed: ${seed} (pass --seed ${seed} to generate the same schedule again)\n`));
+
+  if (commitData.length === 0) {
+    console.log(chalk.yellow('Nothing to write: the schedule has no commits; raise --per-day or the weekday weights'));
+    return;
+  }
+
+  commitData.slice(0, 5).forEach((commit, index) => {
+    console.log(`   ${index + 1}. ${chalk.cyan(`${commit.date} ${commit.time}`)} ${chalk.gray(commit.message)}`);
+  });
+  if (commitData.length > 5) {
+    console.log(chalk.gray(`   ... and ${commitData.length - 5} more commits`));
+  }
+  console.log();
+
+  const outputPath = options.output || `schedule-${from}-${to}.csv`;
+  const extension = path.extname(outputPath).toLowerCase();
+  const format = extension === '.json' ? 'json' : (extension === '.yaml' || extension === '.yml' ? 'yaml' : 'csv');
+
+  if (options.dryRun) {
+    console.log(chalk.yellow(`🔍 DRY RUN - ${outputPath} was not written`));
+    return;
+  }
+
+  if (!options.yes) {
+    const { confirmed } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Write ${commitData.length} commits to ${outputPath}?`,
+      default: true
+    }]);
+    if (!confirmed) {
+      console.log(chalk.yellow('Schedule generation cancelled by user'));
+      return;
+    }
+  }
+
+  const result = await batchManager.exportCommitData(commitData, format, outputPath);
+  console.log(chalk.green(`✅ Wrote ${result.recordCount} commits to ${result.outputPath}`));
+  console.log(chalk.cyan(`Create them with: histofy batch commit --input ${outputPath}`));
+}
+
+/**
+ * Messages for generated commits, from --words, --template, --repo-messages or the built-in list
+ * @param {BatchCommitManager} batchManager - Batch manager
+ * @param {Object} options - Command options
+ * @param {Array} schedule - Scheduled commits ({date, time})
+ * @param {string} seed - Schedule seed
+ * @returns {Promise<Array<string>>} One message per commit
+ */
+async function loadScheduleMessages(batchManager, options, schedule, seed) {
+  if (options.template) {
+    const template = await batchManager.loadTemplate(options.template);
+    return schedule.map((commit, index) => batchManager.processTemplate(template, {
+      ...commit,
+      index,
+      total: schedule.length
+    }).message);
+  }
+
+  let messages = ScheduleGenerator.DEFAULT_MESSAGES;
+  if (options.words) {
+    let content;
+    try {
+      content = await fs.readFile(path.resolve(options.words), 'utf8');
+    } catch (error) {
+      throw new FileSystemError(`Failed to read word list: ${error.message}`, options.words, 'read');
+    }
+    messages = ScheduleGenerator.parseWordList(content);
+    if (messages.length === 0) {
+      throw new ValidationError(`Word list ${options.words} has no messages`, 'words', 'Put one commit message per line');
+    }
+  } else if (options.repoMessages) {
+    let history = [];
+    try {
+      history = await batchManager.gitManager.getCommitHistory({ limit: 1000 });
+    } catch (error) {
+      // A repository without commits has no messages either
+    }
+    messages = [...new Set(history.map(commit => commit.message).filter(Boolean))];
+    if (messages.length === 0) {
+      throw new ValidationError('This repository has no commit messages to reuse', 'repo_messages', 'Use --words or --template instead');
+    }
+  }
+
+  return ScheduleGenerator.pickMessages(messages, schedule.length, seed);
 }
 
 /**
@@ -190,7 +523,7 @@ async function createTemplate(batchManager, options) {
     {
       type: 'input',
       name: 'message',
-      message: 'Commit message template (use {{variable}} for substitution):',
+      message: 'Commit message template (use {{variable}}, helpers like {{date | addDays(1)}} and {{#if}} blocks):',
       validate: input => input.trim().length > 0 || 'Message template is required'
     },
     {
@@ -321,20 +654,7 @@ async function handleImportCommand(batchManager, options) {
     throw new ValidationError('Input file is required', 'input', 'Specify input file with --input option');
   }
 
-  const inputPath = path.resolve(options.input);
-  const fileExtension = path.extname(inputPath).toLowerCase();
-
-  let commitData;
-  if (fileExtension === '.csv') {
-    commitData = await batchManager.importFromCSV(inputPath, {
-      separator: options.separator || ',',
-      headers: options.headers !== false
-    });
-  } else if (fileExtension === '.json') {
-    commitData = await batchManager.importFromJSON(inputPath);
-  } else {
-    throw new ValidationError('Unsupported input format', 'input_format', 'Use .csv or .json files');
-  }
+  const commitData = await loadCommitData(batchManager, options);
 
   console.log(chalk.green(`✅ Successfully imported ${commitData.length} records`));
 
@@ -347,7 +667,7 @@ async function handleImportCommand(batchManager, options) {
   // Validate data if requested
   if (options.validate) {
     console.log(chalk.cyan('\n🔍 Validating imported data...'));
-    const validation = await batchManager.validateBatchData(commitData);
+    const validation = await batchManager.validateBatchData(commitData, null, { fixturesDir: getFixturesDir(options) });
     
     if (validation.valid) {
       console.log(chalk.green(`✅ All ${validation.validCount} records are valid`));
@@ -390,17 +710,9 @@ async function handleValidateCommand(batchManager, options) {
   }
 
   // Load and validate data
-  const inputPath = path.resolve(options.input);
-  const fileExtension = path.extname(inputPath).toLowerCase();
+  let commitData = await loadCommitData(batchManager, options);
 
-  let commitData;
-  if (fileExtension === '.csv') {
-    commitData = await batchManager.importFromCSV(inputPath);
-  } else if (fileExtension === '.json') {
-    commitData = await batchManager.importFromJSON(inputPath);
-  } else {
-    throw new ValidationError('Unsupported input format', 'input_format', 'Use .csv or .json files');
-  }
+  commitData = applyEntryDefaults(commitData, options);
 
   // Load template if specified
   let template = null;
@@ -409,7 +721,7 @@ async function handleValidateCommand(batchManager, options) {
   }
 
   // Validate
-  const validation = await batchManager.validateBatchData(commitData, template);
+  const validation = await batchManager.validateBatchData(commitData, template, { fixturesDir: getFixturesDir(options) });
 
   // Display results
   console.log(chalk.cyan(`📊 Validation Results:`));
@@ -442,20 +754,94 @@ async function handleValidateCommand(batchManager, options) {
   }
 }
 
+/**
+ * Read the entries of the --input file (CSV, JSON or YAML)
+ * @param {BatchCommitManager} batchManager - Batch manager
+ * @param {Object} options - Command options
+ * @returns {Promise<Array>} Commit data
+ */
+async function loadCommitData(batchManager, options) {
+  const inputPath = path.resolve(options.input);
+  const fileExtension = path.extname(inputPath).toLowerCase();
+
+  if (fileExtension === '.csv') {
+    return await batchManager.importFromCSV(inputPath, {
+      separator: options.separator || ',',
+      headers: options.headers !== false
+    });
+  } else if (fileExtension === '.json') {
+    return await batchManager.importFromJSON(inputPath);
+  } else if (fileExtension === '.yaml' || fileExtension === '.yml') {
+    return await batchManager.importFromYAML(inputPath);
+  }
+  throw new ValidationError('Unsupported input format', 'input_format', 'Use .csv, .json or .yaml files');
+}
+
+/**
+ * Directory that copy and patch file operations read from: --fixtures, or the input file's directory
+ * @param {Object} options - Command options
+ * @returns {string|null} Absolute path
+ */
+function getFixturesDir(options) {
+  if (options.fixtures) {
+    return path.resolve(options.fixtures);
+  }
+  return options.input ? path.dirname(path.resolve(options.input)) : null;
+}
+
+/**
+ * One-line summary of an entry's file operations for the preview
+ * @param {Array|string} files - Entry "files" value
+ * @returns {string} Summary, e.g. "write README.md, delete old.txt"
+ */
+function describeFileOperations(files) {
+  try {
+    return BatchFileOperations.normalize(files)
+      .map(operation => `${operation.op} ${operation.path || operation.to || operation.source}`)
+      .join(', ');
+  } catch (error) {
+    return 'invalid';
+  }
+}
+
+/**
+ * Apply command-line defaults (--tz, --co-author, --trailer) to every entry
+ */
+function applyEntryDefaults(commitData, options) {
+  const coAuthors = options.coAuthor || [];
+  const trailers = options.trailer || [];
+
+  if (!options.tz && coAuthors.length === 0 && trailers.length === 0) {
+    return commitData;
+  }
+
+  return commitData.map(commit => ({
+    ...commit,
+    timezone: commit.timezone || options.tz,
+    ...(coAuthors.length > 0 ? { coAuthors: [...TrailerUtils.toList(commit.coAuthors), ...coAuthors] } : {}),
+    ...(trailers.length > 0 ? { trailers: [...TrailerUtils.toList(commit.trailers), ...trailers] } : {})
+  }));
+}
+
 /**
  * Display batch operation results
  */
-function displayBatchResults(result, options) {
+function displayBatchResults(result, options, rerun) {
   console.log(chalk.blue('\n📊 Batch Operation Results\n'));
 
   if (result.dryRun) {
     console.log(chalk.yellow('🔍 DRY RUN - No commits were actually created\n'));
   }
 
+  if (result.isolated) {
+    console.log(chalk.gray('Commits were created in an isolated worktree; your working tree and index were not touched\n'));
+  }
+
   // Summary table
   const summaryData = [
     { metric: 'Total Commits', value: result.totalCommits },
-    { metric: 'Successful', value: result.successfulCommits || result.processedCommits },
+    { metric: 'Successful', value: result.dryRun ? result.processedCommits : result.successfulCommits },
+    ...(result.skippedCommits ? [{ metric: 'Already committed', value: result.skippedCommits }] : []),
     { metric: 'Failed', value: result.failedCommits || result.errors },
     { metric: 'Duration', value: result.duration ? `${Math.round(result.duration / 1000)}s` : 'N/A' }
   ];
@@ -486,6 +872,9 @@ function displayBatchResults(result, options) {
     } else {
       console.log(chalk.green('\n🎉 Batch commit completed successfully!'));
     }
+    if (result.journalPath && result.failedCommits > 0) {
+      console.log(chalk.cyan(`Fix the failed rows and run: ${rerun} --resume ${result.journalPath}`));
+    }
   } else {
     console.log(chalk.red('\n❌ Batch commit completed with errors'));
     console.log(chalk.yellow('Use --continue-on-error to process remaining commits despite errors'));
@@ -504,17 +893,45 @@ function showBatchHelp() {
   console.log('  import     - Import and validate commit data');
   console.log('  export     - Export commit data to file');
   console.log('  validate   - Validate batch data without execution');
+  console.log('  transplant - Replay another repository\'s commits (--from, --range)');
+  console.log('  generate   - Write a commit schedule for a date window (--from, --to)');
   
   console.log(chalk.yellow('\nCommon Options:'));
-  console.log('  --input <file>      - Input data file (CSV or JSON)');
+  console.log('  --input <file>      - Input data file (CSV, JSON or YAML)');
+  console.log('  --fixtures <dir>    - Directory for copy and patch file operations (default: input file directory)');
   console.log('  --template <file>   - Commit template file');
+  console.log('  --tz <timezone>     - Default IANA timezone for entries without a timezone column');
+  console.log('  --co-author <author> - Co-author added to every commit (repeatable)');
+  console.log('  --trailer <key=value> - Trailer added to every commit (repeatable)');
+  console.log('  --author-map <file> - .mailmap or JSON map applied to authors and the committer');
+  console.log('  --journal <file>    - Where committed rows are recorded (default: .git/histofy/batch-journal.jsonl)');
+  console.log('  --resume <journal> - Skip rows the journal already holds and commit the rest');
+  console.log('  --from <repo>       - Repository a transplant reads from; --range <A..B> picks its commits');
+  console.log('  --with-tree         - Transplant each commit\'s files too, not just its message and dates');
+  console.log('  --offset <amount>   - Move transplanted dates, e.g. +30d, -2w, 90m (or --start YYYY-MM-DD)');
+  console.log('  --per-day <range>   - Commits per generated day, e.g. 0-4; --weekdays sat=0.3,sun=0 weighs days');
+  console.log('  --hours <list>      - Hours generated commits fall in, with weights, e.g. 9-12:3,13-17:2');
+  console.log('  --blackout <range>  - Days a schedule leaves empty, e.g. 2025-08-01..2025-08-14 (repeatable)');
+  console.log('  --words <file>      - Messages to pick from, one per line (or --template, --repo-messages)');
+  console.log('  --seed <value>      - Seed that makes a generated schedule repeatable');
   console.log('  --dry-run          - Preview without executing');
   console.log('  --verbose          - Show detailed output');
   console.log('  --yes              - Skip confirmation prompts');
   
+  console.log(chalk.yellow('\nData Columns:'));
+  console.log('  message, date (YYYY-MM-DD), time (HH:MM), author, email, timezone (IANA, e.g. Europe/Berlin)');
+  console.log('  authorDate, committerDate (YYYY-MM-DD HH:MM, override the date/time for one side only)');
+  console.log('  coAuthors ("Name <email>" list, ";"-separated in CSV), trailers (key=value list or JSON object)');
+  console.log('  files (list of {op, ...}, a JSON string in CSV): write/append {path, content}, delete {path},');
+  console.log('    rename {from, to}, copy {source, path} and patch {source}; sources are read from --fixtures');
+
   console.log(chalk.yellow('\nExamples:'));
   console.log(chalk.cyan('  histofy batch commit --input commits.csv --template template.json'));
   console.log(chalk.cyan('  histofy batch validate --input data.json'));
+  console.log(chalk.cyan('  histofy batch commit --input history.yaml --fixtures fixtures/ --isolated'));
+  console.log(chalk.cyan('  histofy batch commit --input commits.csv --resume .git/histofy/batch-journal.jsonl'));
+  console.log(chalk.cyan('  histofy batch transplant --from ../private --range v1.0..main --with-tree --start 2024-01-01 --dry-run'));
+  console.log(chalk.cyan('  histofy batch generate --from 2025-01-01 --to 2025-12-31 --per-day 0-3 --weekdays sun=0 --seed 42'));
   console.log(chalk.cyan('  histofy batch template --create --output my-template.json'));
 }
 
@@ -131,14 +131,44 @@ async function commitCommand(messageArg, options) {
       }
     }
 
-    // Validate time
-    const timeValidation = EnhancedValidationUtils.validateTime(time);
+    // Validate timezone if provided
+    if (options.tz) {
+      const timezoneValidation = EnhancedValidationUtils.validateTimezone(options.tz);
+      if (!timezoneValidation.isValid) {
+        multiProgress.failStep(0, new Error('Timezone validation failed'));
+        console.log(ErrorHandler.handleValidationError(timezoneValidation, 'timezone validation'));
+        return;
+      }
+    }
+
+    // Validate time (rejects times skipped by a DST transition in the given timezone)
+    const timeValidation = EnhancedValidationUtils.validateTime(time, {
+      timezone: options.tz,
+      date: dateValidation.value
+    });
     if (!timeValidation.isValid) {
       multiProgress.failStep(0, new Error('Time validation failed'));
       console.log(ErrorHandler.handleValidationError(timeValidation, 'time validation'));
       return;
     }
 
+    // Validate independent author/committer dates if provided
+    const dateOverrides = {};
+    for (const [field, label] of [['authorDate', 'Author date'], ['committerDate', 'Committer date']]) {
+      if (options[field]) {
+        const dateTimeValidation = EnhancedValidationUtils.validateDateTime(options[field], {
+          timezone: options.tz,
+          fieldName: label
+        });
+        if (!dateTimeValidation.isValid) {
+          multiProgress.failStep(0, new Error(`${label} validation failed`));
+          console.log(ErrorHandler.handleValidationError(dateTimeValidation, `${label.toLowerCase()} validation`));
+          return;
+        }
+        dateOverrides[field] = dateTimeValidation.value;
+      }
+    }
+
     // Validate author if provided
     if (options.author) {
       const authorValidation = EnhancedValidationUtils.validateAuthor(options.author);
@@ -149,6 +179,28 @@ async function commitCommand(messageArg, options) {
       }
     }
 
+    // Validate co-authors and trailers (identity trailers go through author validation)
+    const trailerValidation = EnhancedValidationUtils.validateTrailers({
+      coAuthors: options.coAuthor,
+      trailers: options.trailer
+    });
+    if (!trailerValidation.isValid) {
+      multiProgress.failStep(0, new Error('Trailer validation failed'));
+      console.log(ErrorHandler.handleValidationError(trailerValidation, 'trailer validation'));
+      return;
+    }
+    const trailers = trailerValidation.value;
+
+    // Resolve signing up front so a missing SSH key is reported before anything is staged
+    let signing = null;
+    try {
+      signing = await gitManager.resolveSigning({ sign: options.sign, signingKey: options.signingKey });
+    } catch (error) {
+      multiProgress.failStep(0, new Error('Signing validation failed'));
+      console.log(ErrorHandler.formatUserFriendlyError(error, { operation: 'signing validation' }));
+      return;
+    }
+
     multiProgress.completeStep(0, 'All inputs validated successfully');
 
     // Handle dry-run mode
@@ -162,10 +214,15 @@ async function commitCommand(messageArg, options) {
         message: messageValidation.value,
         date: dateValidation.value,
         time: timeValidation.value,
+        timezone: options.tz,
         author: options.author,
         addAll: options.addAll,
         push: options.push,
-        files: options.addAll ? null : ['staged files']
+        files: options.addAll ? null : ['staged files'],
+        sign: Boolean(signing),
+        signingKey: signing ? signing.key : null,
+        trailers,
+        ...dateOverrides
       };
 
       const dryRun = DryRunManager.forCommitOperation(commitData);
@@ -248,7 +305,12 @@ async function commitCommand(messageArg, options) {
     let result;
     try {
       multiProgress.updateStepProgress(3, 30, 'Preparing commit...');
-      result = await gitManager.commitWithDate(messageValidation.value, dateValidation.value, timeValidation.value, options.author);
+      result = await gitManager.commitWithDate(messageValidation.value, dateValidation.value, timeValidation.value, options.author, {
+        timezone: options.tz,
+        ...dateOverrides,
+        ...(signing || {}),
+        trailers
+      });
       multiProgress.completeStep(3, `Commit created: ${result.hash.substring(0, 8)}`);
     } catch (error) {
       multiProgress.failStep(3, error, 'Failed to create commit');
@@ -269,16 +331,23 @@ async function commitCommand(messageArg, options) {
           message: messageValidation.value,
           date: dateValidation.value,
           time: timeValidation.value,
+          timezone: options.tz,
+          ...dateOverrides,
           author: options.author,
           addAll: options.addAll,
-          push: options.push
+          push: options.push,
+          sign: Boolean(signing),
+          trailers
         },
         description: `Create commit: ${messageValidation.value}`,
         result: {
           hash: result.hash,
           message: messageValidation.value,
           date: dateValidation.value,
-          time: timeValidation.value
+          time: timeValidation.value,
+          gitDate: result.date,
+          authorDate: result.authorDate,
+          committerDate: result.committerDate
         },
         undoData: {
           commitHash: result.hash,
@@ -296,10 +365,23 @@ async function commitCommand(messageArg, options) {
     console.log(chalk.blue('\nCommit Details:'));
     console.log(`   Hash: ${chalk.cyan(result.hash.substring(0, 8))}`);
     console.log(`   Date: ${chalk.yellow(dateValidation.value)} at ${chalk.yellow(timeValidation.value)}`);
+    if (options.tz) {
+      console.log(`   Timezone: ${chalk.yellow(options.tz)} (${chalk.gray(result.date)})`);
+    }
+    if (result.authorDate !== result.committerDate) {
+      console.log(`   Author Date: ${chalk.yellow(result.authorDate)}`);
+      console.log(`   Committer Date: ${chalk.yellow(result.committerDate)}`);
+    }
     console.log(`   Message: ${chalk.white(messageValidation.value)}`);
     if (options.author) {
       console.log(`   Author: ${chalk.white(options.author)}`);
     }
+    trailers.forEach(({ key, value }) => {
+      console.log(`   ${key}: ${chalk.white(value)}`);
+    });
+    if (result.signed) {
+      console.log(`   Signed: ${chalk.green(`${signing.format} key ${signing.key || '(default for committer email)'}`)}`);
+    }
 
     // Step 5: Remote Push
     if (options.push) {
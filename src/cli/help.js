@@ -30,7 +30,7 @@ const helpCommand = new Command('help')
           if (!subtopic) {
             console.log(chalk.yellow('Please specify a command name for examples.'));
             console.log(chalk.gray('Usage: histofy help examples <command>'));
-            console.log(chalk.gray('Available commands: commit, status, config, migrate, batch, analyze, performance\\n'));
+            console.log(chalk.gray('Available commands: commit, status, config, migrate, batch, analyze, performance\n'));
             return;
           }
           helpSystem.showExamples(subtopic);
@@ -65,7 +65,7 @@ const helpCommand = new Command('help')
           } else {
             console.log(chalk.yellow(`Unknown help topic: ${topic}`));
             console.log(chalk.gray('Available topics: examples, tutorial, tutorials, troubleshooting, faq'));
-            console.log(chalk.gray('Available commands: commit, status, config, migrate, batch, analyze, performance\\n'));
+            console.log(chalk.gray('Available commands: commit, status, config, migrate, batch, analyze, performance\n'));
             helpSystem.showMainHelp();
           }
           break;
@@ -167,53 +167,53 @@ function getCommandHelp(commandName) {
  * Show troubleshooting guide
  */
 function showTroubleshootingGuide() {
-  console.log(chalk.blue('\\n🔧 Troubleshooting Guide\\n'));
+  console.log(chalk.blue('\n🔧 Troubleshooting Guide\n'));
   
-  console.log(chalk.bold('Common Issues and Solutions:\\n'));
+  console.log(chalk.bold('Common Issues and Solutions:\n'));
   
   console.log(chalk.yellow('1. "Not a git repository" error'));
-  console.log('   • Make sure you\\'re in a Git repository directory');
+  console.log('   • Make sure you\'re in a Git repository directory');
   console.log('   • Run: git init (to initialize a new repository)');
-  console.log('   • Run: git status (to verify Git repository)\\n');
+  console.log('   • Run: git status (to verify Git repository)\n');
   
   console.log(chalk.yellow('2. "Configuration file not found" error'));
   console.log('   • Run: histofy config init');
   console.log('   • Check: ~/.histofy.yml exists');
-  console.log('   • Verify: file permissions are correct\\n');
+  console.log('   • Verify: file permissions are correct\n');
   
   console.log(chalk.yellow('3. "GitHub token invalid" error'));
   console.log('   • Generate new token: GitHub Settings > Developer settings > Personal access tokens');
   console.log('   • Run: histofy config set github.token YOUR_NEW_TOKEN');
-  console.log('   • Verify: token has required permissions (repo access)\\n');
+  console.log('   • Verify: token has required permissions (repo access)\n');
   
   console.log(chalk.yellow('4. "Permission denied" errors'));
   console.log('   • Check file permissions: ls -la');
   console.log('   • Fix permissions: chmod 644 filename');
-  console.log('   • Check directory permissions: chmod 755 dirname\\n');
+  console.log('   • Check directory permissions: chmod 755 dirname\n');
   
   console.log(chalk.yellow('5. "Invalid date format" errors'));
   console.log('   • Use YYYY-MM-DD format for dates');
   console.log('   • Use HH:MM format for times');
-  console.log('   • Example: --date 2023-06-15 --time 14:30\\n');
+  console.log('   • Example: --date 2023-06-15 --time 14:30\n');
   
   console.log(chalk.yellow('6. Migration conflicts'));
   console.log('   • Use --dry-run first to preview changes');
   console.log('   • Check for merge conflicts: git status');
   console.log('   • Resolve conflicts manually if needed');
-  console.log('   • Use --force only if you\\'re sure\\n');
+  console.log('   • Use --force only if you\'re sure\n');
   
   console.log(chalk.bold('Getting More Help:'));
   console.log(chalk.green('  histofy help faq               ') + 'Frequently asked questions');
   console.log(chalk.green('  histofy help tutorial getting-started') + 'Interactive tutorial');
   console.log(chalk.green('  histofy status                 ') + 'Check repository health');
-  console.log(chalk.green('  histofy --verbose <command>    ') + 'Enable detailed logging\\n');
+  console.log(chalk.green('  histofy --verbose <command>    ') + 'Enable detailed logging\n');
 }
 
 /**
  * Show frequently asked questions
  */
 function showFAQ() {
-  console.log(chalk.blue('\\n❓ Frequently Asked Questions\\n'));
+  console.log(chalk.blue('\n❓ Frequently Asked Questions\n'));
   
   const faqs = [
     {
@@ -260,13 +260,13 @@ function showFAQ() {
 
   faqs.forEach((faq, index) => {
     console.log(chalk.bold(`${index + 1}. ${faq.question}`));
-    console.log(chalk.gray(`   ${faq.answer}\\n`));
+    console.log(chalk.gray(`   ${faq.answer}\n`));
   });
 
   console.log(chalk.bold('Still need help?'));
   console.log(chalk.green('  histofy help troubleshooting   ') + 'Troubleshooting guide');
   console.log(chalk.green('  histofy help tutorial getting-started') + 'Interactive tutorial');
-  console.log(chalk.green('  histofy status                 ') + 'Check repository status\\n');
+  console.log(chalk.green('  histofy status                 ') + 'Check repository status\n');
 }
 
 module.exports = helpCommand;
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * Lint Command - Report timestamp anomalies and impossible chronology
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const GitManager = require('../core/GitManager');
+const ConfigManager = require('../config/ConfigManager');
+const { ErrorHandler, GitError } = require('../utils');
+const HistoryLinter = require('../utils/HistoryLinter');
+
+const FORMATS = ['table', 'json', 'sarif'];
+const LEVEL_COLORS = { error: chalk.red, warning: chalk.yellow, note: chalk.gray };
+
+/**
+ * Handle lint command
+ * @param {string} range - Commit range or revision to lint (default: HEAD)
+ * @param {Object} options - Command options
+ */
+async function lintCommand(range, options = {}) {
+  const format = (options.format || 'table').toLowerCase();
+  const table = format === 'table';
+
+  try {
+    let window;
+    let minRun;
+    try {
+      if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${options.format}": use ${FORMATS.join(', ')}`);
+      }
+      if (options.minRun !== undefined && !/^\d+$/.test(String(options.minRun))) {
+        throw new Error(`--min-run must be a whole number, got "${options.minRun}"`);
+      }
+      minRun = options.minRun === undefined ? undefined : Number(options.minRun);
+
+      // The window comes from the options, or lint.since / lint.until in the configuration
+      const config = new ConfigManager();
+      window = {
+        since: options.since || await config.get('lint.since') || null,
+        until: options.until || await config.get('lint.until') || null
+      };
+      HistoryLinter.getWindow(window);
+    } catch (error) {
+      console.error(ErrorHandler.handleValidationError({
+        error: error.message,
+        suggestion: 'Try: histofy lint --since 2024-01-01 --format sarif --output lint.sarif'
+      }, 'lint validation'));
+      return { success: false, error: error.message };
+    }
+
+    const gitManager = new GitManager();
+    if (!(await gitManager.isGitRepo())) {
+      console.error(ErrorHandler.handleValidationError({
+        error: 'Not a git repository',
+        suggestion: 'Run this command inside the repository to lint'
+      }, 'Git repository check'));
+      return { success: false, error: 'Not a git repository' };
+    }
+
+    const revision = range || 'HEAD';
+    let commits;
+    let report;
+    try {
+      commits = await gitManager.listCommitChronology(revision);
+      report = HistoryLinter.lint(commits, { ...window, minRun });
+    } catch (error) {
+      console.error(ErrorHandler.handleGitError(new GitError(error.message, 'history lint', error), 'linting history'));
+      return { success: false, error: error.message };
+    }
+
+    let output;
+    if (format === 'json') {
+      output = `${JSON.stringify({ range: revision, window, ...report }, null, 2)}\n`;
+    } else if (format === 'sarif') {
+      output = `${JSON.stringify(HistoryLinter.toSarif(report, { range: revision }), null, 2)}\n`;
+    }
+
+    if (options.output) {
+      const content = output || `${JSON.stringify({ range: revision, window, ...report }, null, 2)}\n`;
+      await fs.writeFile(path.resolve(options.output), content, 'utf8');
+    }
+
+    if (table) {
+      displayReport(report, revision, window);
+      if (options.output) {
+        console.log(chalk.green(`\nReport written to ${options.output}`));
+      }
+    } else if (!options.output) {
+      process.stdout.write(output);
+    }
+
+    if (options.fix) {
+      await writeFixPlan(gitManager, commits, revision, window, options.fix, table);
+    }
+
+    return { success: true, ...report };
+  } catch (error) {
+    console.error(ErrorHandler.formatUserFriendlyError(error, {
+      operation: 'history lint',
+      command: 'histofy lint'
+    }));
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Print the findings as tables
+ * @param {Object} report - Report from HistoryLinter.lint
+ * @param {string} revision - Linted range
+ * @param {Object} window - Date window ({since, until})
+ */
+function displayReport(report, revision, window) {
+  console.log(chalk.blue('Histofy History Lint\n'));
+  console.log(chalk.gray(`Range: ${revision} (${report.summary.commits} commit(s))`));
+  if (window.since || window.until) {
+    console.log(chalk.gray(`Window: ${window.since || 'any'} to ${window.until || 'any'}`));
+  }
+  console.log();
+
+  if (report.findings.length === 0) {
+    console.log(chalk.green('✅ No timestamp anomalies found'));
+    return;
+  }
+
+  const findingsTable = new Table({
+    head: ['Level', 'Rule', 'Commit', 'Problem'],
+    colWidths: [9, 25, 10, 70],
+    wordWrap: true
+  });
+  report.findings.forEach(finding => {
+    findingsTable.push([
+      LEVEL_COLORS[finding.level](finding.level),
+      finding.rule,
+      finding.hash.substring(0, 8),
+      `${finding.message}\n${chalk.gray(finding.subject)}`
+    ]);
+  });
+  console.log(findingsTable.toString());
+
+  const { errors, warnings, notes } = report.summary;
+  console.log(`\n${chalk.red(`${errors} error(s)`)}, ${chalk.yellow(`${warnings} warning(s)`)}, ${chalk.gray(`${notes} note(s)`)}`);
+
+  const fixable = report.findings.filter(finding => HistoryLinter.RULES[finding.rule].fixable);
+  if (fixable.length > 0) {
+    console.log(chalk.blue('\n💡 Write a migration plan that repairs the chronology with: histofy lint --fix plan.yaml'));
+  }
+  if (report.summary.byRule['uniform-spacing']) {
+    console.log(chalk.blue('💡 Uniform spacing is not fixed automatically; re-run the migration with --distribution jitter or poisson'));
+  }
+}
+
+/**
+ * Write a migration plan that repairs the chronology
+ * @param {GitManager} gitManager - Repository
+ * @param {Array} commits - Linted commits
+ * @param {string} revision - Linted range
+ * @param {Object} window - Date window ({since, until})
+ * @param {string} file - Plan file (.json, .yaml or .yml)
+ * @param {boolean} verbose - Print progress (table output only; JSON and SARIF keep stdout clean)
+ */
+async function writeFixPlan(gitManager, commits, revision, window, file, verbose) {
+  const log = verbose ? console.log : console.error;
+  const status = await gitManager.getStatus().catch(() => ({}));
+  const fix = HistoryLinter.fix(commits, window, {
+    branch: status.currentBranch || null,
+    head: await gitManager.getCurrentCommitHash().catch(() => null),
+    range: revision
+  });
+
+  if (!fix.plan) {
+    log(chalk.green('\nNothing to fix: no commit needs a new date'));
+    return;
+  }
+
+  await fix.plan.save(file);
+  log(chalk.green(`\n🔧 Wrote a migration plan moving ${fix.changes.length} commit(s) to ${file}`));
+  fix.changes.slice(0, 10).forEach(change => {
+    log(chalk.gray(`   ${change.hash.substring(0, 8)} ${change.from} → ${change.to}`));
+  });
+  if (fix.changes.length > 10) {
+    log(chalk.gray(`   ... and ${fix.changes.length - 10} more`));
+  }
+  if (fix.unresolved.length > 0) {
+    log(chalk.yellow(`   ⚠️  ${fix.unresolved.length} commit(s) still end up after the window or in the future; ` +
+      'widen the window or edit the plan'));
+  }
+  log(chalk.blue(`   Review it, then apply it with: histofy migrate --plan-in ${file} --dry-run`));
+}
+
+module.exports = lintCommand;
@@ -0,0 +1,81 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * Map CLI - Translate commit hashes through the maps recorded by history rewrites
+ */
+
+const { Command } = require('commander');
+const OperationHistory = require('../utils/OperationHistory');
+const { ErrorHandler } = require('../utils/errors');
+const chalk = require('chalk');
+const moment = require('moment');
+
+const mapCommand = new Command('map');
+
+mapCommand
+  .description('Translate commit hashes rewritten by Histofy operations');
+
+mapCommand
+  .command('lookup <sha...>')
+  .description('Find what an old commit was rewritten to (or what a new commit replaced)')
+  .option('--json', 'Output matches as JSON')
+  .action(async (hashes, options) => {
+    try {
+      await handleLookupCommand(hashes, options);
+    } catch (error) {
+      console.log(ErrorHandler.formatUserFriendlyError(error, { operation: 'commit map lookup' }));
+      process.exit(1);
+    }
+  });
+
+/**
+ * Handle map lookup subcommand
+ */
+async function handleLookupCommand(hashes, options) {
+  const operationHistory = new OperationHistory();
+  const results = [];
+
+  for (const hash of hashes) {
+    const matches = await operationHistory.lookupCommit(hash);
+    results.push({ hash, matches });
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results.map(({ hash, matches }) => ({
+      hash,
+      matches: matches.map(match => ({
+        operationId: match.operationId,
+        original: match.original,
+        rewritten: match.rewritten,
+        matched: match.matched
+      }))
+    })), null, 2));
+    return { success: true, results };
+  }
+
+  results.forEach(({ hash, matches }) => {
+    if (matches.length === 0) {
+      console.log(`${chalk.yellow(hash)} ${chalk.gray('- not found in any commit map')}`);
+      return;
+    }
+
+    matches.forEach(match => {
+      const arrow = match.matched === 'original'
+        ? `${chalk.cyan(match.original)} → ${chalk.green(match.rewritten)}`
+        : `${chalk.green(match.rewritten)} ← ${chalk.cyan(match.original)}`;
+      console.log(arrow);
+
+      const details = [match.operationId];
+      if (match.operation) {
+        details.unshift(match.operation.type, moment(match.operation.timestamp).fromNow());
+      }
+      console.log(`   ${chalk.gray(details.join(' • '))}`);
+    });
+  });
+
+  return { success: true, results };
+}
+
+module.exports = mapCommand;
@@ -10,20 +10,29 @@
 const chalk = require('chalk');
 const ora = require('ora');
 const GitManager = require('../core/GitManager');
+const EnhancedValidationUtils = require('../utils/validation');
 const { 
-  EnhancedValidationUtils, 
   ErrorHandler, 
   ValidationError, 
   GitError,
   ProgressUtils 
 } = require('../utils');
 const DryRunManager = require('../utils/DryRunManager');
+const DateDistribution = require('../utils/DateDistribution');
 const OperationHistory = require('../utils/OperationHistory');
+const MessageFilter = require('../utils/MessageFilter');
+const AuthorMap = require('../utils/AuthorMap');
+const MigrationPlan = require('../utils/MigrationPlan');
+const PlanEditor = require('../utils/PlanEditor');
 
 /**
  * Handle migrate command
  */
 async function migrateCommand(commitRange, options) {
+  if (options.continue || options.abort || options.status) {
+    return await resumeMigrationCommand(options);
+  }
+
   const progress = ProgressUtils.spinner('Initializing migration process...');
   
   try {
@@ -33,43 +42,169 @@ async function migrateCommand(commitRange, options) {
     // Validate inputs first
     progress.update('Validating inputs...');
     
-    // Validate commit range
-    const rangeValidation = EnhancedValidationUtils.validateCommitRange(commitRange);
-    if (!rangeValidation.isValid) {
+    // Validate which dates (author/committer) are moved
+    const dateTarget = options.dateTarget || 'both';
+    if (!['both', 'author', 'committer'].includes(dateTarget)) {
       progress.fail('Input validation failed');
-      console.log(ErrorHandler.handleValidationError(rangeValidation, 'commit range validation'));
+      console.log(ErrorHandler.handleValidationError({
+        error: `Invalid date target: ${dateTarget}`,
+        suggestion: 'Use --date-target both, author or committer'
+      }, 'date target validation'));
       return;
     }
 
-    // Validate target date
-    const dateValidation = EnhancedValidationUtils.validateDate(options.toDate);
-    if (!dateValidation.isValid) {
+    // A plan file replaces the range and schedule options: it says exactly which commit gets which date
+    let planFile = null;
+    let rangeValidation = null;
+    let dateValidation = null;
+    let spreadValidation = null;
+    let timeValidation = null;
+    let distributionValidation = null;
+
+    if (options.planIn) {
+      const conflicting = [
+        commitRange && 'a commit range',
+        options.toDate && '--to-date',
+        options.tz && '--tz',
+        dateTarget !== 'both' && '--date-target',
+        [].concat(options.messageFilter || []).length > 0 && '--message-filter',
+        options.authorMap && '--author-map'
+      ].filter(Boolean);
+      if (conflicting.length > 0) {
+        progress.fail('Input validation failed');
+        console.log(ErrorHandler.handleValidationError({
+          error: `--plan-in cannot be combined with ${conflicting.join(', ')}`,
+          suggestion: 'Edit the dates, messages and authors in the plan file instead'
+        }, 'migration plan validation'));
+        return;
+      }
+
+      try {
+        planFile = await MigrationPlan.load(options.planIn);
+      } catch (error) {
+        progress.fail('Input validation failed');
+        console.log(ErrorHandler.handleValidationError({
+          error: error.message,
+          suggestion: 'Write a plan with histofy migrate <range> --to-date <date> --plan-out plan.json and edit it'
+        }, 'migration plan validation'));
+        return;
+      }
+    } else {
+      // Validate commit range
+      rangeValidation = EnhancedValidationUtils.validateCommitRange(commitRange);
+      if (!rangeValidation.isValid) {
+        progress.fail('Input validation failed');
+        console.log(ErrorHandler.handleValidationError(rangeValidation, 'commit range validation'));
+        return;
+      }
+
+      // Validate target date
+      dateValidation = EnhancedValidationUtils.validateDate(options.toDate);
+      if (!dateValidation.isValid) {
+        progress.fail('Input validation failed');
+        console.log(ErrorHandler.handleValidationError(dateValidation, 'target date validation'));
+        return;
+      }
+
+      // Validate spread days
+      spreadValidation = EnhancedValidationUtils.validateNumber(options.spread, {
+        min: 1,
+        max: 365,
+        integer: true,
+        fieldName: 'Spread days'
+      });
+      if (!spreadValidation.isValid) {
+        progress.fail('Input validation failed');
+        console.log(ErrorHandler.handleValidationError(spreadValidation, 'spread days validation'));
+        return;
+      }
+
+      // Validate timezone if provided
+      if (options.tz) {
+        const timezoneValidation = EnhancedValidationUtils.validateTimezone(options.tz);
+        if (!timezoneValidation.isValid) {
+          progress.fail('Input validation failed');
+          console.log(ErrorHandler.handleValidationError(timezoneValidation, 'timezone validation'));
+          return;
+        }
+      }
+
+      // Validate start time (rejects a start time skipped by a DST transition in the given timezone)
+      timeValidation = EnhancedValidationUtils.validateTime(options.startTime, {
+        timezone: options.tz,
+        date: dateValidation.value
+      });
+      if (!timeValidation.isValid) {
+        progress.fail('Input validation failed');
+        console.log(ErrorHandler.handleValidationError(timeValidation, 'start time validation'));
+        return;
+      }
+
+      // Validate date distribution strategy
+      distributionValidation = DateDistribution.validateStrategy(options.distribution);
+      if (!distributionValidation.isValid) {
+        progress.fail('Input validation failed');
+        console.log(ErrorHandler.handleValidationError(distributionValidation, 'distribution strategy validation'));
+        return;
+      }
+    }
+
+    if (options.interactive && !process.stdin.isTTY) {
       progress.fail('Input validation failed');
-      console.log(ErrorHandler.handleValidationError(dateValidation, 'target date validation'));
+      console.log(ErrorHandler.handleValidationError({
+        error: '--interactive needs a terminal',
+        suggestion: 'Use --plan-out to write the plan to a file, edit it and apply it with --plan-in'
+      }, 'interactive editor'));
       return;
     }
 
-    // Validate spread days
-    const spreadValidation = EnhancedValidationUtils.validateNumber(options.spread, {
-      min: 1,
-      max: 365,
-      integer: true,
-      fieldName: 'Spread days'
-    });
-    if (!spreadValidation.isValid) {
+    // Validate the rewrite strategy (auto picks the native engine with porcelain fallbacks)
+    const strategy = options.strategy || 'auto';
+    if (strategy !== 'auto' && !GitManager.MIGRATION_STRATEGIES.includes(strategy)) {
       progress.fail('Input validation failed');
-      console.log(ErrorHandler.handleValidationError(spreadValidation, 'spread days validation'));
+      console.log(ErrorHandler.handleValidationError({
+        error: `Invalid migration strategy: ${strategy}`,
+        suggestion: `Use --strategy auto, ${GitManager.MIGRATION_STRATEGIES.join(', ')}`
+      }, 'migration strategy validation'));
       return;
     }
 
-    // Validate start time
-    const timeValidation = EnhancedValidationUtils.validateTime(options.startTime);
-    if (!timeValidation.isValid) {
+    if (options.workingHours) {
+      const workingHoursValidation = DateDistribution.validateWorkingHours(options.workingHours);
+      if (!workingHoursValidation.isValid) {
+        progress.fail('Input validation failed');
+        console.log(ErrorHandler.handleValidationError(workingHoursValidation, 'working hours validation'));
+        return;
+      }
+    }
+
+    // Load message filters before touching the repository so a bad expression or module fails fast
+    let messageFilter = null;
+    try {
+      messageFilter = MessageFilter.load(options.messageFilter);
+    } catch (error) {
       progress.fail('Input validation failed');
-      console.log(ErrorHandler.handleValidationError(timeValidation, 'start time validation'));
+      console.log(ErrorHandler.handleValidationError({
+        error: error.message,
+        suggestion: 'Use --message-filter "s/pattern/replacement/flags" or a path to a module exporting (message, commit) => string'
+      }, 'message filter validation'));
       return;
     }
 
+    let authorMap = null;
+    if (options.authorMap) {
+      try {
+        authorMap = await AuthorMap.load(options.authorMap);
+      } catch (error) {
+        progress.fail('Input validation failed');
+        console.log(ErrorHandler.handleValidationError({
+          error: error.message,
+          suggestion: 'Use a .mailmap file ("Proper Name <proper@email> <old@email>") or a JSON object of "old@email": "Name <email>"'
+        }, 'author map validation'));
+        return;
+      }
+    }
+
     progress.succeed('Input validation completed');
 
     // Initialize Git Manager and validate repository
@@ -84,11 +219,36 @@ async function migrateCommand(commitRange, options) {
     }
     progress.succeed('Git repository validated');
 
+    // Resolve signing before planning so a missing SSH key is reported up front
+    let signing = null;
+    try {
+      signing = await gitManager.resolveSigning({ sign: options.sign, signingKey: options.signingKey });
+    } catch (error) {
+      console.log(ErrorHandler.formatUserFriendlyError(error, { operation: 'signing validation' }));
+      return;
+    }
+
     // Display migration parameters
-    console.log(chalk.blue(`Analyzing commit range: ${rangeValidation.value}`));
-    console.log(chalk.blue(`Target date: ${dateValidation.value}`));
-    console.log(chalk.blue(`Spread over: ${spreadValidation.value} day(s)`));
-    console.log(chalk.blue(`Starting time: ${timeValidation.value}\n`));
+    if (planFile) {
+      console.log(chalk.blue(`Applying plan: ${options.planIn} (${planFile.commits.length} commit(s))`));
+      if (planFile.branch || planFile.range) {
+        console.log(chalk.blue(`Written for: ${[planFile.branch, planFile.range].filter(Boolean).join(' ')}\n`));
+      } else {
+        console.log();
+      }
+    } else {
+      console.log(chalk.blue(`Analyzing commit range: ${rangeValidation.value}`));
+      console.log(chalk.blue(`Target date: ${dateValidation.value}`));
+      console.log(chalk.blue(`Spread over: ${spreadValidation.value} day(s)`));
+      console.log(chalk.blue(`Starting time: ${timeValidation.value}`));
+      if (options.tz) {
+        console.log(chalk.blue(`Timezone: ${options.tz}`));
+      }
+      if (dateTarget !== 'both') {
+        console.log(chalk.blue(`Moving ${dateTarget} dates only`));
+      }
+      console.log(chalk.blue(`Distribution: ${distributionValidation.value}\n`));
+    }
 
     // Analyze commits with enhanced progress reporting
     const analysisProgress = ProgressUtils.progressBar('Analyzing commits...', 100);
@@ -105,12 +265,28 @@ async function migrateCommand(commitRange, options) {
     
     let result;
     try {
-      result = await gitManager.migrateCommits(
-        rangeValidation.value,
-        dateValidation.value,
-        spreadValidation.value,
-        timeValidation.value
-      );
+      result = planFile
+        ? await gitManager.applyMigrationPlan(planFile, {
+          strategy,
+          rewriteRefs: Boolean(options.rewriteRefs)
+        })
+        : await gitManager.migrateCommits(
+          rangeValidation.value,
+          dateValidation.value,
+          spreadValidation.value,
+          timeValidation.value,
+          {
+            distribution: distributionValidation.value,
+            seed: options.seed,
+            workingHours: options.workingHours,
+            timezone: options.tz,
+            dateTarget,
+            strategy,
+            rewriteRefs: Boolean(options.rewriteRefs),
+            messageFilter,
+            authorMap
+          }
+        );
       analysisProgress.succeed('Commit analysis completed');
     } catch (error) {
       if (error.message.includes('cancelled')) {
@@ -136,13 +312,77 @@ async function migrateCommand(commitRange, options) {
         console.log(ErrorHandler.handleValidationError(validationError, 'migration planning'));
         return;
       }
+
+      // Accepting the edited plan runs it, unless it is only previewed or written to a file
+      const executing = options.execute || (options.interactive && !options.dryRun && !options.planOut);
+
+      // Let the user nudge individual dates before the plan is shown, exported or executed
+      if (options.interactive) {
+        const planned = new Set(result.commits.map(commit => commit.originalHash));
+        const outsideParents = [...new Set(result.commits.flatMap(commit => commit.parents || []))]
+          .filter(parent => !planned.has(parent));
+        const editor = new PlanEditor(result.commits, { parentDates: await gitManager.getCommitDates(outsideParents) });
+
+        const edited = await editor.run({
+          doneLabel: options.dryRun ? 'Preview this plan' : executing ? 'Rewrite history with this plan' : 'Write this plan'
+        });
+        if (!edited) {
+          console.log(chalk.yellow('Migration cancelled; nothing was changed'));
+          return;
+        }
+        result.commits = edited;
+      }
       
       // Display migration plan
       console.log(chalk.yellow('Migration Plan:'));
+      if (result.distribution) {
+        console.log(chalk.gray(`   Distribution: ${formatDistribution(result.distribution)}`));
+      }
+      if (result.strategy) {
+        console.log(chalk.gray(`   Strategy: ${result.strategy}`));
+      }
+      if (options.rewriteRefs) {
+        console.log(chalk.gray('   Refs: other branches, tags and notes follow the rewritten commits'));
+      }
+      if (signing) {
+        console.log(chalk.gray(`   Signing: ${signing.format} key ${signing.key || '(default for committer email)'}`));
+      }
+      if (messageFilter) {
+        const changedCount = result.commits.filter(commit => commit.newMessage).length;
+        console.log(chalk.gray(`   Message filter: ${messageFilter.describe().join(', ')} (${changedCount} message(s) change)`));
+      }
+      if (authorMap) {
+        const changedCount = result.commits.filter(commit => commit.newAuthor || commit.newCommitter).length;
+        console.log(chalk.gray(`   Author map: ${options.authorMap} (${authorMap.size} entries, ${changedCount} commit(s) change)`));
+      }
+      if (planFile) {
+        const messageCount = result.commits.filter(commit => commit.newMessage).length;
+        const identityCount = result.commits.filter(commit => commit.newAuthor || commit.newCommitter).length;
+        console.log(chalk.gray(`   Plan: ${options.planIn} (${messageCount} message(s) and ${identityCount} identity change(s))`));
+      }
+      if (result.distribution || result.strategy || planFile) {
+        console.log();
+      }
       result.commits.forEach((commit, index) => {
         console.log(`   ${index + 1}. ${chalk.cyan(commit.originalHash.substring(0, 8))} → ${chalk.yellow(commit.newDate)}`);
+        if (commit.authorDate && commit.committerDate && commit.authorDate !== commit.committerDate) {
+          console.log(`      ${chalk.gray(`Author date: ${commit.authorDate}`)}`);
+          console.log(`      ${chalk.gray(`Committer date: ${commit.committerDate}`)}`);
+        }
         console.log(`      ${chalk.gray(commit.message.split('\n')[0])}`);
+        if (commit.newMessage) {
+          console.log(`      ${chalk.green(`→ ${commit.newMessage.split('\n')[0]}`)}`);
+        }
+        if (commit.parents && commit.parents.length > 1) {
+          console.log(`      ${chalk.gray(`Merge of ${commit.parents.map(parent => parent.substring(0, 8)).join(', ')}`)}`);
+        }
         console.log(`      ${chalk.gray(`Author: ${commit.author}`)}`);
+        if (commit.newAuthor) {
+          console.log(`      ${chalk.green(`→ Author: ${commit.newAuthor.name} <${commit.newAuthor.email}>`)}`);
+        }
+        if (commit.newCommitter) {
+          console.log(`      ${chalk.green(`→ Committer: ${commit.newCommitter.name} <${commit.newCommitter.email}>`)}`);
+        }
         console.log();
       });
 
@@ -150,15 +390,39 @@ async function migrateCommand(commitRange, options) {
         console.log(chalk.yellow(`Warning: ${result.warning}`));
       }
 
+      // Write the plan so it can be edited (or replaced by another tool's output) and applied with --plan-in
+      if (options.planOut) {
+        try {
+          const exported = await gitManager.exportMigrationPlan(result.commits, {
+            range: rangeValidation ? rangeValidation.value : planFile.range
+          });
+          const planPath = await exported.save(options.planOut);
+          console.log(chalk.green(`Plan written to ${planPath}`));
+          console.log(chalk.gray(`   Edit it, then apply it with: histofy migrate --plan-in ${options.planOut} --dry-run`));
+        } catch (error) {
+          console.log(ErrorHandler.formatUserFriendlyError(error, { operation: 'writing migration plan' }));
+          return;
+        }
+        if (!options.dryRun && !executing) {
+          return { success: true, planFile: options.planOut, commits: result.commits };
+        }
+      }
+
       // Handle dry-run mode
       if (options.dryRun) {
         console.log(chalk.cyan('\n🔍 DRY RUN MODE - No changes will be made\n'));
         
         const migrationData = {
           commits: result.commits,
-          strategy: result.strategy || 'interactive-rebase',
-          targetDate: dateValidation.value,
-          spread: spreadValidation.value
+          strategy: result.strategy || 'fast-import',
+          rewriteRefs: Boolean(options.rewriteRefs),
+          sign: Boolean(signing),
+          messageFilter: messageFilter ? messageFilter.describe() : null,
+          authorMap: authorMap ? options.authorMap : null,
+          plan: planFile ? options.planIn : null,
+          targetDate: dateValidation ? dateValidation.value : null,
+          spread: spreadValidation ? spreadValidation.value : null,
+          distribution: result.distribution
         };
 
         const dryRun = DryRunManager.forMigrationOperation(migrationData);
@@ -169,6 +433,9 @@ async function migrateCommand(commitRange, options) {
         });
 
         console.log(chalk.blue('\n💡 To execute this migration, run the same command with --execute instead of --dry-run'));
+        if (options.interactive && !options.planOut) {
+          console.log(chalk.gray('   Your edits are not kept; add --plan-out plan.json to save them and apply it with --plan-in'));
+        }
         
         return {
           success: true,
@@ -180,14 +447,14 @@ async function migrateCommand(commitRange, options) {
       }
 
       // Check if execute flag is provided
-      if (options.execute) {
+      if (executing) {
         console.log(chalk.blue('\nExecuting migration...\n'));
         
         const executionProgress = ProgressUtils.spinner('Executing migration...');
         executionProgress.start();
         
         // Validate repository state before execution
-        const repoValidation = await gitManager.validateRepositoryForMigration();
+        const repoValidation = await gitManager.validateRepositoryForMigration({ isolated: Boolean(options.isolated) });
         if (!repoValidation.success) {
           executionProgress.fail('Repository validation failed');
           console.log(chalk.red('Repository is not ready for migration:'));
@@ -201,8 +468,16 @@ async function migrateCommand(commitRange, options) {
             });
           }
           console.log(chalk.blue('\nPlease resolve these issues and try again.'));
+          if (!options.isolated) {
+            console.log(chalk.gray('Or run with --isolated to leave uncommitted changes untouched.'));
+          }
           return;
         }
+        if (options.isolated && repoValidation.warnings.length > 0) {
+          repoValidation.warnings.forEach(warning => {
+            executionProgress.update(`Isolated migration: ${warning}`);
+          });
+        }
 
         // Set up progress callback for execution
         gitManager.setProgressCallback((message, progress) => {
@@ -216,7 +491,12 @@ async function migrateCommand(commitRange, options) {
         // Check for conflict resolution options
         const migrationOptions = {
           createBackup: options.backup !== false,
-          rollbackOnFailure: options.rollback !== false
+          rollbackOnFailure: options.rollback !== false,
+          strategy,
+          rewriteRefs: Boolean(options.rewriteRefs),
+          sign: Boolean(signing),
+          signingKey: signing ? signing.signingKey : null,
+          isolated: Boolean(options.isolated)
         };
 
         // Add auto-resolve strategy if specified
@@ -230,6 +510,39 @@ async function migrateCommand(commitRange, options) {
           }
         }
 
+        // Kept in the migration journal so a resumed migration records the same history entry
+        const historyArgs = planFile
+          ? {
+              plan: options.planIn,
+              range: planFile.range || undefined,
+              preserveOrder: options.preserveOrder,
+              autoResolve: options.autoResolve,
+              rewriteRefs: Boolean(options.rewriteRefs),
+              sign: Boolean(signing),
+              isolated: Boolean(options.isolated)
+            }
+          : {
+              range: rangeValidation.value,
+              toDate: dateValidation.value,
+              spread: spreadValidation.value,
+              startTime: timeValidation.value,
+              timezone: options.tz,
+              dateTarget,
+              preserveOrder: options.preserveOrder,
+              autoResolve: options.autoResolve,
+              rewriteRefs: Boolean(options.rewriteRefs),
+              sign: Boolean(signing),
+              isolated: Boolean(options.isolated),
+              messageFilter: messageFilter ? messageFilter.describe() : undefined,
+              authorMap: authorMap ? options.authorMap : undefined,
+              distribution: result.distribution ? result.distribution.strategy : distributionValidation.value,
+              seed: result.distribution ? result.distribution.seed : options.seed
+            };
+        const historyDescription = planFile
+          ? `Migrate ${result.commits.length} commits from plan ${options.planIn}`
+          : `Migrate ${result.commits.length} commits to ${dateValidation.value}`;
+        migrationOptions.history = { args: historyArgs, description: historyDescription };
+
         if (!migrationOptions.createBackup) {
           console.log(chalk.yellow('⚠️  Backup creation disabled - migration cannot be automatically rolled back'));
         }
@@ -241,29 +554,25 @@ async function migrateCommand(commitRange, options) {
         let executeResult;
         try {
           executeResult = await gitManager.executeMigrationWithConflictResolution(result.commits, migrationOptions);
+          // The engine may fall back to a porcelain strategy, so record the one actually used
+          const usedStrategy = executeResult.migrationResult?.strategy || result.strategy;
           
           if (executeResult.success) {
             executionProgress.succeed('Migration completed successfully');
             console.log(chalk.green('Migration completed successfully!'));
             
             // Record operation in history
+            let operationId = null;
+            const operationHistory = new OperationHistory();
             try {
-              const operationHistory = new OperationHistory();
-              await operationHistory.recordOperation({
+              operationId = await operationHistory.recordOperation({
                 type: 'migrate',
                 command: 'migrate',
-                args: {
-                  range: rangeValidation.value,
-                  toDate: dateValidation.value,
-                  spread: spreadValidation.value,
-                  startTime: timeValidation.value,
-                  preserveOrder: options.preserveOrder,
-                  autoResolve: options.autoResolve
-                },
-                description: `Migrate ${result.commits.length} commits to ${dateValidation.value}`,
+                args: historyArgs,
+                description: historyDescription,
                 result: {
                   migratedCommits: result.commits.length,
-                  strategy: result.strategy,
+                  strategy: usedStrategy,
                   backupBranch: executeResult.backupBranch
                 },
                 backupInfo: executeResult.backupBranch ? {
@@ -273,8 +582,10 @@ async function migrateCommand(commitRange, options) {
                 undoData: {
                   originalCommits: result.commits,
                   backupBranch: executeResult.backupBranch,
-                  strategy: result.strategy
+                  strategy: usedStrategy
                 },
+                commitMap: executeResult.commitMap,
+                refUpdates: executeResult.refUpdates,
                 duration: Math.round((Date.now() - progress.startTime) / 1000)
               });
             } catch (error) {
@@ -288,6 +599,35 @@ async function migrateCommand(commitRange, options) {
               if (migResult.migratedCount !== undefined) {
                 console.log(chalk.gray(`   ${migResult.migratedCount}/${migResult.totalCommits} commit(s) migrated`));
               }
+              if (migResult.strategy) {
+                console.log(chalk.gray(`   Strategy: ${migResult.strategy}`));
+              }
+            }
+
+            // The first update is always the current branch; the rest only happen with --rewrite-refs
+            const movedRefs = (executeResult.refUpdates || []).slice(1);
+            if (movedRefs.length > 0) {
+              console.log(chalk.gray(`   ${movedRefs.length} other ref(s) moved to rewritten commits:`));
+              movedRefs.forEach(update => {
+                const note = update.signatureDropped ? chalk.yellow(' (signature dropped)') : '';
+                console.log(chalk.gray(`     ${update.ref} ${update.oldValue.substring(0, 8)} → ${update.newValue.substring(0, 8)}`) + note);
+              });
+            }
+            (executeResult.migrationResult?.skippedRefs || []).forEach(skipped => {
+              console.log(chalk.yellow(`   ⚠️  ${skipped.ref} not moved: ${skipped.reason}`));
+            });
+
+            if (executeResult.migrationResult?.rewrittenMessages > 0) {
+              console.log(chalk.gray(`   ${executeResult.migrationResult.rewrittenMessages} commit message(s) rewritten`));
+            }
+            if (executeResult.migrationResult?.rewrittenIdentities > 0) {
+              console.log(chalk.gray(`   ${executeResult.migrationResult.rewrittenIdentities} commit(s) with remapped author or committer`));
+            }
+
+            if (executeResult.migrationResult?.signed) {
+              console.log(chalk.gray('   Rewritten commits signed'));
+            } else if (executeResult.migrationResult?.droppedSignatures > 0) {
+              console.log(chalk.yellow(`   ⚠️  ${executeResult.migrationResult.droppedSignatures} commit signature(s) dropped (use --sign to re-sign)`));
             }
             
             // Show conflict resolution information
@@ -295,9 +635,18 @@ async function migrateCommand(commitRange, options) {
               console.log(chalk.yellow('   ⚠️  Conflicts were encountered and resolved during migration'));
             }
             
+            if (executeResult.migrationResult?.isolated) {
+              console.log(chalk.gray('   Rewritten in isolation; your working tree and index were not touched'));
+            }
+
             if (executeResult.backupBranch) {
               console.log(chalk.blue(`   Backup created: ${executeResult.backupBranch}`));
             }
+
+            if (operationId && executeResult.commitMap && Object.keys(executeResult.commitMap).length > 0) {
+              console.log(chalk.blue(`   Commit map saved: ${operationHistory.getCommitMapPath(operationId)}`));
+              console.log(chalk.gray('   Translate old hashes with: histofy map lookup <sha>'));
+            }
             
             // Validate migration integrity if we have the original commits
             if (executeResult.migrationResult && executeResult.migrationResult.migrations) {
@@ -316,6 +665,9 @@ async function migrateCommand(commitRange, options) {
             console.log(chalk.gray('1. Verify the changes with: git log --oneline -10'));
             console.log(chalk.gray('2. Check commit dates with: git log --pretty=format:"%h %ad %s" --date=short'));
             console.log(chalk.gray('3. Push changes with: git push --force-with-lease origin <branch>'));
+            if (movedRefs.some(update => update.type === 'tag' || update.type === 'annotated-tag')) {
+              console.log(chalk.gray('   Then push moved tags with: git push --force origin --tags'));
+            }
             if (executeResult.backupBranch) {
               console.log(chalk.gray(`4. Delete backup when satisfied: git branch -D ${executeResult.backupBranch}`));
             }
@@ -355,6 +707,10 @@ async function migrateCommand(commitRange, options) {
               console.log(chalk.yellow(`\nSuggestion: ${executeResult.suggestion}`));
             }
           }
+
+          if (!executeResult.success) {
+            await showJournalHint(gitManager);
+          }
         } catch (error) {
           executionProgress.fail('Migration execution failed');
           
@@ -364,10 +720,13 @@ async function migrateCommand(commitRange, options) {
             const gitError = new GitError(error.message, 'migration execution', error);
             console.log(ErrorHandler.handleGitError(gitError, 'executing migration'));
           }
+          await showJournalHint(gitManager);
         }
       } else {
         console.log(chalk.blue('\nTo execute this migration:'));
-        console.log(chalk.gray(`   histofy migrate ${commitRange} --to-date "${options.toDate}" --execute`));
+        console.log(chalk.gray(planFile
+          ? `   histofy migrate --plan-in ${options.planIn} --execute`
+          : `   histofy migrate ${commitRange} --to-date "${options.toDate}" --execute`));
         console.log(chalk.blue('\nOr complete manually:'));
         console.log(chalk.gray('1. This operation requires interactive rebase'));
         console.log(chalk.gray('2. Use git rebase -i to manually adjust commit dates'));
@@ -401,4 +760,204 @@ async function migrateCommand(commitRange, options) {
   }
 }
 
+/**
+ * Handle migrate --continue, --abort and --status
+ * @param {Object} options - Command options
+ */
+async function resumeMigrationCommand(options) {
+  const actions = ['continue', 'abort', 'status'].filter(action => options[action]);
+  if (actions.length > 1) {
+    console.log(ErrorHandler.handleValidationError({
+      error: `Conflicting options: ${actions.map(action => `--${action}`).join(', ')}`,
+      suggestion: 'Use only one of --continue, --abort and --status'
+    }, 'migration journal'));
+    return;
+  }
+
+  const gitManager = new GitManager();
+  if (!(await gitManager.isGitRepo())) {
+    console.log(ErrorHandler.handleValidationError({
+      error: 'Not a git repository',
+      suggestion: 'Run this command inside the repository of the interrupted migration'
+    }, 'Git repository check'));
+    return;
+  }
+
+  const status = await gitManager.getMigrationStatus();
+  if (options.status || !status) {
+    displayMigrationStatus(status);
+    return { success: true, status };
+  }
+
+  const progress = ProgressUtils.spinner(options.abort ? 'Aborting migration...' : 'Resuming migration...');
+  progress.start();
+  gitManager.setProgressCallback(message => progress.update(message));
+
+  if (options.abort) {
+    let result;
+    try {
+      result = await gitManager.abortMigration();
+    } catch (error) {
+      progress.fail('Abort failed');
+      console.log(ErrorHandler.handleGitError(new GitError(error.message, 'migration abort', error), 'aborting migration'));
+      return;
+    }
+
+    progress.succeed('Migration aborted');
+    console.log(chalk.green(`${result.restoredBranch} restored to ${result.originalHead.substring(0, 8)}`));
+    if (result.revertedRefs.length > 0) {
+      console.log(chalk.gray(`   ${result.revertedRefs.length} other ref(s) moved back: ${result.revertedRefs.join(', ')}`));
+    }
+    if (result.deletedRefs.length > 0) {
+      console.log(chalk.gray(`   Removed leftovers: ${result.deletedRefs.join(', ')}`));
+    }
+    if (result.backupDeleted) {
+      console.log(chalk.gray(`   Backup ${result.backupBranch} deleted (it matches the restored branch)`));
+    }
+    result.issues.forEach(issue => console.log(chalk.yellow(`   ⚠️  ${issue}`)));
+    return result;
+  }
+
+  let result;
+  try {
+    result = await gitManager.continueMigration();
+  } catch (error) {
+    progress.fail('Migration could not be resumed');
+    console.log(ErrorHandler.handleGitError(new GitError(error.message, 'migration resume', error), 'resuming migration'));
+    console.log(chalk.blue('\nFix the problem and run histofy migrate --continue again, or roll back with histofy migrate --abort'));
+    return;
+  }
+
+  progress.succeed('Migration completed successfully');
+
+  let operationId = null;
+  const operationHistory = new OperationHistory();
+  try {
+    operationId = await operationHistory.recordOperation({
+      type: 'migrate',
+      command: 'migrate',
+      args: result.history ? result.history.args : { resumed: true },
+      description: result.history ? `${result.history.description} (resumed)` : `Resume migration ${result.transactionId}`,
+      result: {
+        migratedCommits: result.totalCommits,
+        strategy: result.strategy,
+        backupBranch: result.backupBranch,
+        resumed: true
+      },
+      backupInfo: result.backupBranch
+        ? { backupBranch: result.backupBranch, backupPath: null }
+        : null,
+      undoData: {
+        originalCommits: result.migrations,
+        backupBranch: result.backupBranch,
+        strategy: result.strategy
+      },
+      commitMap: result.commitMap,
+      refUpdates: result.refUpdates
+    });
+  } catch (error) {
+    console.log(chalk.yellow(`Warning: Failed to record operation in history: ${error.message}`));
+  }
+
+  console.log(chalk.gray(`   ${result.migratedCount}/${result.totalCommits} commit(s) migrated`));
+  console.log(chalk.gray(`   Strategy: ${result.strategy}`));
+  if (result.backupBranch) {
+    console.log(chalk.blue(`   Backup: ${result.backupBranch}`));
+  }
+  if (operationId) {
+    console.log(chalk.blue(`   Undo with: histofy undo operation ${operationId}`));
+  }
+
+  console.log(chalk.blue('\nNext steps:'));
+  console.log(chalk.gray('1. Verify the changes with: git log --oneline -10'));
+  console.log(chalk.gray('2. Push changes with: git push --force-with-lease origin <branch>'));
+  if (result.backupBranch) {
+    console.log(chalk.gray(`3. Delete backup when satisfied: git branch -D ${result.backupBranch}`));
+  }
+
+  return result;
+}
+
+/**
+ * Display the state of the migration journal
+ * @param {Object|null} status - Status from GitManager.getMigrationStatus
+ */
+function displayMigrationStatus(status) {
+  if (!status) {
+    console.log(chalk.green('No migration in progress'));
+    return;
+  }
+
+  console.log(chalk.yellow(status.interrupted ? 'Interrupted migration:' : 'Migration in progress:'));
+  console.log(chalk.gray(`   Strategy: ${status.strategy} (phase: ${status.phase})`));
+  console.log(chalk.gray(`   Progress: ${status.completedCommits}/${status.totalCommits} commit(s) rewritten`));
+  console.log(chalk.gray(`   Started: ${status.startedAt}, last update: ${status.updatedAt}`));
+  console.log(chalk.gray(`   Original branch: ${status.originalBranch} at ${status.originalHead.substring(0, 8)}`));
+  if (status.currentBranch !== status.originalBranch) {
+    console.log(chalk.gray(`   Checked out: ${status.currentBranch || 'detached HEAD'}`));
+  }
+  if (status.backupBranch) {
+    console.log(chalk.gray(`   Backup branch: ${status.backupBranch}`));
+  }
+  if (status.worktreePath) {
+    console.log(chalk.gray(`   Isolated worktree: ${status.worktreePath}`));
+  }
+  if (status.nextCommit) {
+    console.log(chalk.gray(`   Next commit: ${status.nextCommit.originalHash.substring(0, 8)} ${status.nextCommit.message}`));
+  }
+  if (status.error) {
+    console.log(chalk.red(`   Error: ${status.error}`));
+  }
+  console.log(chalk.gray(`   Journal: ${status.journalPath}`));
+
+  if (status.pendingCherryPick) {
+    console.log(chalk.yellow(`\nCherry-pick of ${status.pendingCherryPick.substring(0, 8)} stopped` +
+      (status.conflicts.length > 0 ? ` with conflicts in: ${status.conflicts.join(', ')}` : '')));
+    console.log(chalk.gray(status.worktreePath
+      ? `   Resolve them in ${status.worktreePath} and stage the files with git add before continuing`
+      : '   Resolve them and stage the files with git add before continuing'));
+  }
+
+  if (status.interrupted) {
+    console.log(chalk.blue('\nResume with: histofy migrate --continue'));
+    console.log(chalk.blue('Roll back with: histofy migrate --abort'));
+  } else {
+    console.log(chalk.blue(`\nThe migration is still running in process ${status.pid}`));
+  }
+}
+
+/**
+ * Point to --status when a failed migration left its journal behind
+ * @param {GitManager} gitManager - Git manager of the migration
+ */
+async function showJournalHint(gitManager) {
+  try {
+    if (await gitManager.getMigrationStatus()) {
+      console.log(chalk.yellow('\nThe migration journal was kept. Inspect it with histofy migrate --status, then'));
+      console.log(chalk.yellow('resume with histofy migrate --continue or roll back with histofy migrate --abort'));
+    }
+  } catch (error) {
+    // The hint is best effort; the error above is what matters
+  }
+}
+
+/**
+ * Format distribution settings for display
+ * @param {Object} distribution - Distribution settings from the migration plan
+ * @returns {string} Human readable distribution summary
+ */
+function formatDistribution(distribution) {
+  let text = `${distribution.strategy} - ${distribution.description}`;
+
+  if (distribution.workingHours) {
+    text += ` (${distribution.workingHours})`;
+  }
+
+  if (distribution.seed) {
+    text += ` [seed: ${distribution.seed}]`;
+  }
+
+  return text;
+}
+
 module.exports = migrateCommand;
@@ -0,0 +1,235 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * Paint Command - Draw text or a picture on the contribution calendar
+ */
+
+const chalk = require('chalk');
+const GitManager = require('../core/GitManager');
+const {
+  ErrorHandler,
+  ValidationError,
+  GitError,
+  ProgressUtils
+} = require('../utils');
+const AuthorMap = require('../utils/AuthorMap');
+const BatchCommitManager = require('../utils/BatchCommitManager');
+const CommitAnalyzer = require('../utils/CommitAnalyzer');
+const ContributionPainter = require('../utils/ContributionPainter');
+
+const DEFAULT_MESSAGE = 'Paint contribution graph on {{date}}';
+
+/**
+ * Parse an optional integer option
+ * @param {string} value - Option value
+ * @param {string} name - Option name for error messages
+ * @returns {number|undefined} Parsed value
+ */
+function parseInteger(value, name) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`${name} must be a whole number, got "${value}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * Handle paint command
+ * @param {Object} options - Command options
+ */
+async function paintCommand(options = {}) {
+  const progress = ProgressUtils.spinner('Initializing paint...');
+
+  try {
+    console.log(chalk.blue('Histofy Contribution Painter\n'));
+    progress.start();
+
+    progress.update('Validating inputs...');
+    let design;
+    let window;
+    let author;
+    let numbers;
+    const gitManager = new GitManager();
+    try {
+      const sources = ['text', 'grid', 'matrix'].filter(source => options[source]);
+      if (sources.length !== 1) {
+        throw new Error('Give exactly one of --text, --grid or --matrix');
+      }
+
+      numbers = {
+        year: parseInteger(options.year, '--year'),
+        offset: parseInteger(options.offset, '--offset'),
+        level: parseInteger(options.level, '--level'),
+        peak: parseInteger(options.peak, '--peak')
+      };
+      if (numbers.year !== undefined && (numbers.year < 1970 || numbers.year > new Date().getFullYear())) {
+        throw new Error(`--year must be between 1970 and ${new Date().getFullYear()}`);
+      }
+
+      design = options.text
+        ? ContributionPainter.fromText(options.text, { level: numbers.level })
+        : await ContributionPainter.load(options.grid || options.matrix, options.grid ? 'grid' : 'matrix');
+      window = ContributionPainter.getWindow({ year: numbers.year });
+
+      if (options.author) {
+        author = AuthorMap.parseIdentity(options.author);
+        if (!author || !author.name || !author.email) {
+          throw new Error('--author must be "Name <email>"');
+        }
+      }
+    } catch (error) {
+      progress.fail('Input validation failed');
+      console.log(ErrorHandler.handleValidationError({
+        error: error.message,
+        suggestion: 'Try: histofy paint --text "HELLO" or histofy paint --grid design.txt'
+      }, 'paint validation'));
+      return;
+    }
+
+    if (!(await gitManager.isGitRepo())) {
+      progress.fail('Repository validation failed');
+      console.log(ErrorHandler.handleValidationError({
+        error: 'Not a git repository',
+        suggestion: 'Run this command inside the repository to paint'
+      }, 'Git repository check'));
+      return;
+    }
+
+    // GitHub counts commits by author email, so only that author's existing commits matter
+    if (!author) {
+      author = await gitManager.getCommitterIdentity();
+    }
+    progress.succeed('Input validation completed');
+
+    const analysisProgress = ProgressUtils.spinner('Reading existing activity...');
+    analysisProgress.start();
+
+    let placement;
+    let plan;
+    try {
+      placement = ContributionPainter.place(design, window, { offset: numbers.offset });
+
+      const heatmap = await new CommitAnalyzer().generateHeatmap({
+        since: window.start.toDate(),
+        until: window.end.clone().endOf('day').toDate(),
+        author: author.email
+      });
+      const existing = new Map(Object.entries(heatmap.data).map(([date, day]) => [date, day.count]));
+
+      plan = ContributionPainter.planCounts(placement.targets, existing, { peak: numbers.peak });
+      analysisProgress.succeed('Existing activity read');
+    } catch (error) {
+      analysisProgress.fail('Planning failed');
+      console.log(ErrorHandler.handleGitError(new GitError(error.message, 'paint planning', error), 'planning the calendar'));
+      return;
+    }
+
+    let commitData;
+    try {
+      commitData = ContributionPainter.buildCommits(plan, { startTime: options.startTime });
+    } catch (error) {
+      console.log(ErrorHandler.handleValidationError({
+        error: error.message,
+        suggestion: 'Use --start-time 08:00, or a lower --peak'
+      }, 'paint validation'));
+      return;
+    }
+
+    const levels = new Map(plan.days.map(day => [day.date, day.intensity]));
+    const range = `${window.start.format('YYYY-MM-DD')} to ${window.end.format('YYYY-MM-DD')}`;
+    console.log(chalk.yellow(`\nCalendar for ${author.name} <${author.email}>, ${range}:\n`));
+    console.log(ContributionPainter.render(levels, window));
+    console.log();
+
+    console.log(chalk.yellow('Paint Plan:'));
+    console.log(chalk.gray(`   ${plan.totalCommits} commit(s) on ${plan.paintedDays} day(s)`));
+    console.log(chalk.gray(`   Darkest days: ${plan.peak} commits; design starts at week column ${placement.offset}`));
+    if (placement.clipped > 0) {
+      console.log(chalk.yellow(`   ⚠️  ${placement.clipped} painted day(s) fall outside the calendar or in the future and were skipped`));
+    }
+    if (plan.conflicts.length > 0) {
+      console.log(chalk.yellow(`   ⚠️  ${plan.conflicts.length} unpainted day(s) already have commits and stay shaded (first: ${plan.conflicts[0]})`));
+    }
+    if (plan.mismatches.length > plan.conflicts.length) {
+      console.log(chalk.yellow(`   ⚠️  ${plan.mismatches.length - plan.conflicts.length} painted day(s) will show another shade than designed; levels are relative to the busiest day, so include level 4`));
+    }
+    console.log();
+
+    if (plan.totalCommits === 0) {
+      console.log(chalk.green('Nothing to paint: the calendar already shows this design'));
+      return { success: true, commits: 0 };
+    }
+
+    const template = {
+      message: options.message || DEFAULT_MESSAGE,
+      author: author.name,
+      email: author.email
+    };
+    const batchManager = new BatchCommitManager();
+
+    if (options.dryRun) {
+      console.log(chalk.cyan('🔍 DRY RUN MODE - No changes will be made\n'));
+
+      const result = await batchManager.executeBatchCommit(commitData, template, { dryRun: true });
+      result.preview.forEach((commit, index) => {
+        console.log(`   ${index + 1}. ${chalk.cyan(`${commit.date} ${commit.time}`)} ${chalk.gray(commit.message)}`);
+      });
+      if (commitData.length > result.preview.length) {
+        console.log(chalk.gray(`   ... and ${commitData.length - result.preview.length} more commits`));
+      }
+
+      console.log(chalk.blue('\n💡 To paint the calendar, run the same command with --execute instead of --dry-run'));
+      return { success: true, dryRun: true, plan, commits: commitData.length };
+    }
+
+    if (!options.execute) {
+      console.log(chalk.blue('To create these commits:'));
+      console.log(chalk.gray('   histofy paint ... --execute'));
+      return { success: true, plan };
+    }
+
+    // Paint commits are empty; outside a worktree they would pick up whatever is staged
+    if (!options.isolated) {
+      const status = await gitManager.getStatus();
+      if (status.staged && status.staged.length > 0) {
+        console.log(ErrorHandler.handleValidationError({
+          error: `${status.staged.length} file(s) are staged and would be committed with the first painted day`,
+          suggestion: 'Unstage them, or add --isolated to paint without touching the index'
+        }, 'paint execution'));
+        return;
+      }
+    }
+
+    const result = await batchManager.executeBatchCommit(commitData, template, {
+      allowEmpty: true,
+      isolated: Boolean(options.isolated)
+    });
+
+    console.log(chalk.green(`\n🎨 Painted ${result.successfulCommits} commit(s) on ${plan.paintedDays} day(s)`));
+    if (result.failedCommits > 0) {
+      console.log(chalk.red(`   ${result.failedCommits} commit(s) failed`));
+    }
+    console.log(chalk.blue('\nNext steps:'));
+    console.log(chalk.gray('1. Check the result with: histofy analyze --heatmap'));
+    console.log(chalk.gray('2. Push with: git push origin <branch>'));
+
+    return { success: true, plan, ...result };
+  } catch (error) {
+    progress.fail('Paint operation failed');
+
+    if (error instanceof ValidationError) {
+      console.log(ErrorHandler.handleValidationError(error, 'paint operation'));
+    } else {
+      console.log(ErrorHandler.formatUserFriendlyError(error, {
+        operation: 'paint operation',
+        command: 'histofy paint'
+      }));
+    }
+  }
+}
+
+module.exports = paintCommand;
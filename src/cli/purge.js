@@ -0,0 +1,247 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * Purge Command - Remove files and secrets from history
+ */
+
+const chalk = require('chalk');
+const GitManager = require('../core/GitManager');
+const {
+  ErrorHandler,
+  ValidationError,
+  GitError,
+  ProgressUtils
+} = require('../utils');
+const DryRunManager = require('../utils/DryRunManager');
+const OperationHistory = require('../utils/OperationHistory');
+const PurgeFilter = require('../utils/PurgeFilter');
+
+/**
+ * Handle purge command
+ * @param {string} commitRange - Commit range or revision to purge (default: HEAD, the whole current branch)
+ * @param {Object} options - Command options
+ */
+async function purgeCommand(commitRange = 'HEAD', options = {}) {
+  const progress = ProgressUtils.spinner('Initializing purge...');
+  const range = commitRange || 'HEAD';
+
+  try {
+    console.log(chalk.blue('Histofy History Purge\n'));
+    progress.start();
+
+    progress.update('Validating inputs...');
+    let filter;
+    try {
+      filter = await PurgeFilter.load({
+        paths: options.path || [],
+        replaceText: options.replaceText || [],
+        secretsFile: options.secretsFile
+      });
+    } catch (error) {
+      progress.fail('Input validation failed');
+      console.log(ErrorHandler.handleValidationError({
+        error: error.message,
+        suggestion: 'Use --path ".env" or --path "**/*.pem" to remove files, --replace-text or --secrets-file to redact strings'
+      }, 'purge validation'));
+      return;
+    }
+
+    const gitManager = new GitManager();
+    if (!(await gitManager.isGitRepo())) {
+      progress.fail('Repository validation failed');
+      console.log(ErrorHandler.handleValidationError({
+        error: 'Not a git repository',
+        suggestion: 'Run this command inside the repository to purge'
+      }, 'Git repository check'));
+      return;
+    }
+    progress.succeed('Input validation completed');
+
+    const description = filter.describe();
+    console.log(chalk.blue(`Scanning commit range: ${range}`));
+    if (description.paths.length > 0) {
+      console.log(chalk.blue(`Removing paths: ${description.paths.join(', ')}`));
+    }
+    if (description.secrets > 0) {
+      console.log(chalk.blue(`Redacting ${description.secrets} secret string(s) with ${PurgeFilter.REPLACEMENT}`));
+    }
+    console.log();
+
+    const analysisProgress = ProgressUtils.spinner('Scanning history...');
+    analysisProgress.start();
+    gitManager.setProgressCallback(message => analysisProgress.update(message));
+
+    let plan;
+    try {
+      plan = await gitManager.planPurge(range, filter);
+      analysisProgress.succeed('History scan completed');
+    } catch (error) {
+      analysisProgress.fail('History scan failed');
+      console.log(ErrorHandler.handleGitError(new GitError(error.message, 'purge planning', error), 'scanning history'));
+      return;
+    }
+
+    console.log(chalk.yellow('Purge Plan:'));
+    console.log(chalk.gray(`   ${plan.commits.length} of ${plan.rewrittenCount} rewritten commit(s) contain purged data`));
+    if (plan.removedPaths.length > 0) {
+      console.log(chalk.gray(`   Paths found: ${plan.removedPaths.join(', ')}`));
+    }
+    if (description.secrets > 0) {
+      console.log(chalk.gray(`   File versions with secrets: ${plan.redactedBlobs}`));
+    }
+    console.log();
+
+    plan.commits.forEach((commit, index) => {
+      console.log(`   ${index + 1}. ${chalk.cyan(commit.hash.substring(0, 8))} ${chalk.gray(commit.message)}`);
+      if (commit.removedPaths.length > 0) {
+        console.log(`      ${chalk.red(`- ${commit.removedPaths.join(', ')}`)}`);
+      }
+      if (commit.redactedPaths.length > 0) {
+        console.log(`      ${chalk.yellow(`~ ${commit.redactedPaths.join(', ')}`)}`);
+      }
+      if (commit.messageRedacted) {
+        console.log(`      ${chalk.yellow('~ commit message')}`);
+      }
+    });
+
+    if (plan.commits.length === 0) {
+      console.log(chalk.green('Nothing to purge: no commit in range contains the given paths or secrets'));
+      return { success: true, purgedCommits: 0 };
+    }
+    console.log();
+
+    if (options.dryRun) {
+      console.log(chalk.cyan('🔍 DRY RUN MODE - No changes will be made\n'));
+
+      const dryRun = DryRunManager.forPurgeOperation({ ...plan, rewriteRefs: Boolean(options.rewriteRefs) });
+      const summary = dryRun.displayPreview({
+        showDetails: true,
+        showWarnings: true,
+        showGitCommands: false
+      });
+
+      console.log(chalk.blue('\n💡 To purge these commits, run the same command with --execute instead of --dry-run'));
+
+      return {
+        success: true,
+        dryRun: true,
+        summary,
+        commits: plan.commits
+      };
+    }
+
+    if (!options.execute) {
+      console.log(chalk.blue('To purge these commits:'));
+      console.log(chalk.gray(`   histofy purge ${range} ... --execute`));
+      return { success: true, plan };
+    }
+
+    const repoValidation = await gitManager.validateRepositoryForMigration();
+    if (!repoValidation.success) {
+      console.log(chalk.red('Repository is not ready for purging:'));
+      repoValidation.issues.forEach(issue => console.log(chalk.red(`   - ${issue}`)));
+      return;
+    }
+
+    const executionProgress = ProgressUtils.spinner('Purging history...');
+    executionProgress.start();
+    gitManager.setProgressCallback(message => executionProgress.update(message));
+
+    let result;
+    try {
+      result = await gitManager.executePurge(plan, filter, { rewriteRefs: Boolean(options.rewriteRefs) });
+    } catch (error) {
+      executionProgress.fail('Purge failed');
+      console.log(ErrorHandler.handleGitError(new GitError(error.message, 'purge execution', error), 'purging history'));
+      console.log(chalk.gray('The repository has been restored to its previous state.'));
+      return;
+    }
+
+    executionProgress.succeed('History purged successfully');
+
+    // Record the paths and how many secrets, never the secrets themselves
+    let operationId = null;
+    const operationHistory = new OperationHistory();
+    try {
+      operationId = await operationHistory.recordOperation({
+        type: 'purge',
+        command: 'purge',
+        args: {
+          range,
+          paths: description.paths,
+          secrets: description.secrets,
+          rewriteRefs: Boolean(options.rewriteRefs)
+        },
+        description: `Purge ${result.purgedCommits} commit(s) in ${range}`,
+        result: {
+          purgedCommits: result.purgedCommits,
+          rewrittenCommits: result.rewrittenCount,
+          removedPaths: result.removedPaths,
+          redactedBlobs: result.redactedBlobs,
+          strategy: result.strategy,
+          backupBranch: result.backupBranch
+        },
+        backupInfo: result.backupBranch
+          ? { backupBranch: result.backupBranch, backupPath: null }
+          : null,
+        undoData: {
+          originalHead: result.oldHead,
+          backupBranch: result.backupBranch
+        },
+        commitMap: result.commitMap,
+        refUpdates: result.refUpdates,
+        duration: Math.round((Date.now() - progress.startTime) / 1000)
+      });
+    } catch (error) {
+      console.log(chalk.yellow(`Warning: Failed to record operation in history: ${error.message}`));
+    }
+
+    console.log(chalk.gray(`   ${result.purgedCommits} commit(s) purged, ${result.rewrittenCount} rewritten`));
+    if (result.removedPaths.length > 0) {
+      console.log(chalk.gray(`   Removed: ${result.removedPaths.join(', ')}`));
+    }
+    if (result.redactedBlobs > 0) {
+      console.log(chalk.gray(`   ${result.redactedBlobs} file version(s) redacted`));
+    }
+
+    const movedRefs = (result.refUpdates || []).slice(1);
+    if (movedRefs.length > 0) {
+      console.log(chalk.gray(`   ${movedRefs.length} other ref(s) moved to purged commits`));
+    }
+    (result.skippedRefs || []).forEach(skipped => {
+      console.log(chalk.yellow(`   ⚠️  ${skipped.ref} not moved: ${skipped.reason}`));
+    });
+    if (result.droppedSignatures > 0) {
+      console.log(chalk.yellow(`   ⚠️  ${result.droppedSignatures} commit signature(s) dropped`));
+    }
+    if (operationId) {
+      console.log(chalk.blue(`   Undo with: histofy undo operation ${operationId}`));
+    }
+
+    console.log(chalk.blue('\nNext steps:'));
+    console.log(chalk.gray('1. Purged files are still on disk, now untracked; add them to .gitignore'));
+    console.log(chalk.gray('2. Rotate every redacted secret: anyone who cloned before still has it'));
+    console.log(chalk.gray('3. Push with: git push --force-with-lease origin <branch>'));
+    if (result.backupBranch) {
+      console.log(chalk.gray(`4. The backup ${result.backupBranch} still holds the purged data. Once satisfied:`));
+      console.log(chalk.gray(`   git branch -D ${result.backupBranch} && git reflog expire --expire=now --all && git gc --prune=now`));
+    }
+
+    return { success: true, ...result };
+  } catch (error) {
+    progress.fail('Purge operation failed');
+
+    if (error instanceof ValidationError) {
+      console.log(ErrorHandler.handleValidationError(error, 'purge operation'));
+    } else {
+      console.log(ErrorHandler.formatUserFriendlyError(error, {
+        operation: 'purge operation',
+        command: 'histofy purge'
+      }));
+    }
+  }
+}
+
+module.exports = purgeCommand;
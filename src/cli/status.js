@@ -725,27 +725,33 @@ async function displayEnhancedRecentCommits(gitManager, verbose = false) {
     console.log(chalk.green(`📝 Recent Commits (${commits.length} most recent)`));
     
     const commitTable = new Table({
-      head: verbose ? 
-        ['Hash', 'Date', 'Time', 'Author', 'Message'] :
-        ['Hash', 'Date', 'Author', 'Message'],
-      colWidths: verbose ? [10, 12, 8, 20, 35] : [10, 20, 20, 40],
+      head: ['Hash', 'Author Date', 'Committer Date', 'Author', 'Message'],
+      colWidths: verbose ? [10, 18, 18, 20, 30] : [10, 12, 12, 20, 35],
       style: { head: ['cyan'] }
     });
 
-    commits.forEach(commit => {
-      const shortHash = commit.hash.substring(0, 8);
-      const commitDate = new Date(commit.date);
+    const formatCommitDate = (value) => {
+      const commitDate = new Date(value);
       const date = commitDate.toLocaleDateString();
+      if (!verbose) {
+        return date;
+      }
       const time = commitDate.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
-      const message = commit.message.length > (verbose ? 30 : 35) 
-        ? commit.message.substring(0, verbose ? 30 : 35) + '...' 
+      return `${date} ${time}`;
+    };
+
+    commits.forEach(commit => {
+      const shortHash = commit.hash.substring(0, 8);
+      const authorDate = formatCommitDate(commit.authorDate || commit.date);
+      const committerDate = formatCommitDate(commit.committerDate || commit.date);
+      const message = commit.message.length > (verbose ? 25 : 30) 
+        ? commit.message.substring(0, verbose ? 25 : 30) + '...' 
         : commit.message;
 
-      const row = verbose ? 
-        [chalk.yellow(shortHash), date, time, commit.author, message.split('\n')[0]] :
-        [chalk.yellow(shortHash), date, commit.author, message.split('\n')[0]];
+      // Highlight commits whose committer date was moved away from the author date
+      const committerCell = committerDate !== authorDate ? chalk.magenta(committerDate) : committerDate;
 
-      commitTable.push(row);
+      commitTable.push([chalk.yellow(shortHash), authorDate, committerCell, commit.author, message.split('\n')[0]]);
     });
 
     console.log(commitTable.toString());
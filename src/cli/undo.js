@@ -349,6 +349,12 @@ async function handleUndoOperationCommand(operationId, options) {
   } else {
     if (result.success) {
       FeedbackUtils.success('Operation undone successfully', operation.description);
+
+      // Refs moved since the migration are left alone rather than overwritten
+      const failedRefs = result.undoResult?.failedRefs || [];
+      if (failedRefs.length > 0) {
+        console.log(chalk.yellow(`⚠️  Some refs were not restored: ${failedRefs.map(entry => entry.ref).join(', ')}`));
+      }
     }
   }
   
@@ -265,9 +265,45 @@ const CONFIG_SCHEMA = {
         default: false
       }
     }
+  },
+  lint: {
+    type: 'object',
+    required: false,
+    properties: {
+      since: {
+        type: 'string',
+        required: false,
+        validate: (value) => validateWindowDate(value, 'Lint window start')
+      },
+      until: {
+        type: 'string',
+        required: false,
+        validate: (value) => validateWindowDate(value, 'Lint window end')
+      }
+    }
   }
 };
 
+/**
+ * Validate a YYYY-MM-DD bound of a date window
+ * @param {string} value - Date
+ * @param {string} name - Setting name for the error
+ * @returns {Object} Validation result
+ */
+function validateWindowDate(value, name) {
+  if (!value) return { valid: true };
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !ValidationUtils.validateDate(value).valid) {
+    return {
+      valid: false,
+      error: `${name} must be a date in YYYY-MM-DD format`,
+      suggestion: 'Use format: 2024-01-31'
+    };
+  }
+
+  return { valid: true };
+}
+
 /**
  * Configuration validator with comprehensive validation and error reporting
  */
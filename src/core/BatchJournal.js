@@ -0,0 +1,166 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * BatchJournal - Record of the batch rows already committed, so a batch can be resumed
+ */
+
+const simpleGit = require('simple-git');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_FILE = 'batch-journal.jsonl';
+
+// Fields that decide what a row commits; the row key is a hash of these
+const ROW_FIELDS = ['message', 'date', 'time', 'timezone', 'authorDate', 'committerDate', 'author', 'email', 'trailers', 'files'];
+
+class BatchJournal {
+  /**
+   * @param {string} repoPath - Repository the batch commits to
+   * @param {string} journalPath - Journal file (default: .git/histofy/batch-journal.jsonl)
+   */
+  constructor(repoPath = process.cwd(), journalPath = null) {
+    this.repoPath = repoPath;
+    this.git = simpleGit(repoPath);
+    this.journalPath = journalPath ? path.resolve(journalPath) : null;
+    this.header = null;
+    this.rows = new Map();
+  }
+
+  /**
+   * Resolve the journal location
+   * @returns {Promise<string>} Absolute path of the journal file
+   */
+  async getPath() {
+    if (!this.journalPath) {
+      const gitDir = (await this.git.revparse(['--absolute-git-dir'])).trim();
+      this.journalPath = path.join(gitDir, 'histofy', JOURNAL_FILE);
+    }
+    return this.journalPath;
+  }
+
+  /**
+   * Read an existing journal to resume from
+   * The file is a header line followed by one line per committed row; a last line cut off by a crash is ignored.
+   * @returns {Promise<Object>} Journal header
+   */
+  async load() {
+    const journalPath = await this.getPath();
+
+    let content;
+    try {
+      content = await fs.readFile(journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No batch journal at ${journalPath}`);
+      }
+      throw error;
+    }
+
+    const lines = content.split('\n');
+    const entries = [];
+    lines.forEach((line, index) => {
+      if (line.trim() === '') {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        if (index !== lines.length - 1) {
+          throw new Error(`Batch journal ${journalPath} is corrupt at line ${index + 1}: ${error.message}`);
+        }
+      }
+    });
+
+    const [header, ...rows] = entries;
+    if (!header || header.version !== JOURNAL_VERSION) {
+      throw new Error(`Batch journal ${journalPath} has unsupported version ${header ? header.version : 'none'}`);
+    }
+
+    this.header = header;
+    this.rows = new Map(rows.map(row => [row.key, row]));
+    return header;
+  }
+
+  /**
+   * Start recording: a loaded journal is appended to, otherwise a new one replaces any previous journal
+   * @param {Object} details - Batch details kept in the header (input, branch)
+   * @returns {Promise<Object>} Journal header
+   */
+  async begin(details = {}) {
+    if (this.header) {
+      return this.header;
+    }
+
+    const journalPath = await this.getPath();
+    const tempPath = `${journalPath}.${process.pid}.tmp`;
+    this.header = { version: JOURNAL_VERSION, startedAt: new Date().toISOString(), ...details };
+    this.rows = new Map();
+
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(this.header) + '\n', 'utf8');
+    await fs.rename(tempPath, journalPath);
+    return this.header;
+  }
+
+  /**
+   * Get the commit recorded for a row
+   * @param {string} key - Row key
+   * @returns {Object|null} Recorded row ({key, index, hash})
+   */
+  get(key) {
+    return this.rows.get(key) || null;
+  }
+
+  /**
+   * Record a committed row
+   * Rows are appended rather than rewriting the file, so large batches stay cheap to checkpoint.
+   * @param {string} key - Row key
+   * @param {number} index - Row index in the input
+   * @param {string} hash - Created commit hash
+   */
+  async record(key, index, hash) {
+    const row = { key, index, hash };
+    await fs.appendFile(await this.getPath(), JSON.stringify(row) + '\n', 'utf8');
+    this.rows.set(key, row);
+  }
+
+  /**
+   * List the recorded commits that are no longer reachable from a ref
+   * @param {Array<Object>} rows - Recorded rows to check
+   * @param {string} ref - Branch or ref the rows were committed to
+   * @returns {Promise<Array<Object>>} Rows whose commit is missing
+   */
+  async findMissing(rows, ref = 'HEAD') {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const reachable = new Set((await this.git.raw(['rev-list', ref])).split('\n').filter(Boolean));
+    return rows.filter(row => !reachable.has(row.hash));
+  }
+
+  /**
+   * Key every row by what it commits, so inserting or reordering rows does not change the keys of the others
+   * Identical rows are told apart by how often the same content came before them.
+   * @param {Array<Object>} commits - Processed rows
+   * @returns {Array<string>} Row keys, in input order
+   */
+  static rowKeys(commits) {
+    const seen = new Map();
+
+    return commits.map(commit => {
+      const content = JSON.stringify(ROW_FIELDS.map(field => commit[field] === undefined ? null : commit[field]));
+      const occurrence = seen.get(content) || 0;
+      seen.set(content, occurrence + 1);
+      return crypto.createHash('sha256').update(`${content}#${occurrence}`).digest('hex');
+    });
+  }
+}
+
+BatchJournal.JOURNAL_FILE = JOURNAL_FILE;
+
+module.exports = BatchJournal;
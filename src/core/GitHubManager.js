@@ -12,11 +12,18 @@ const moment = require('moment');
 const { EventEmitter } = require('events');
 
 class GitHubManager extends EventEmitter {
-  constructor(token = null) {
+  /**
+   * @param {string} token - GitHub token (default: GITHUB_TOKEN)
+   * @param {Object} options - Endpoint overrides, e.g. for GitHub Enterprise
+   * @param {string} options.baseURL - REST API root
+   * @param {string} options.graphqlURL - GraphQL endpoint
+   */
+  constructor(token = null, options = {}) {
     super();
     
     this.token = token || process.env.GITHUB_TOKEN;
-    this.baseURL = 'https://api.github.com';
+    this.baseURL = options.baseURL || 'https://api.github.com';
+    this.graphqlURL = options.graphqlURL || `${this.baseURL}/graphql`;
     
     // Rate limiting configuration
     this.rateLimits = {
@@ -378,6 +385,26 @@ class GitHubManager extends EventEmitter {
     }
   }
 
+  /**
+   * Run a GraphQL query
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} The response's data
+   */
+  async graphql(query, variables = {}) {
+    const response = await axios.post(this.graphqlURL, { query, variables }, {
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (response.data.errors) {
+      throw new Error(response.data.errors[0].message);
+    }
+    return response.data.data;
+  }
+
   /**
    * Get contribution data for a user
    */
@@ -406,25 +433,16 @@ class GitHubManager extends EventEmitter {
         }
       `;
 
-      const response = await axios.post('https://api.github.com/graphql', {
-        query,
-        variables: {
-          username,
-          from: startDate,
-          to: endDate
-        }
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.token}`,
-          'Content-Type': 'application/json'
-        }
+      const data = await this.graphql(query, {
+        username,
+        from: startDate,
+        to: endDate
       });
-
-      if (response.data.errors) {
-        throw new Error(response.data.errors[0].message);
+      if (!data.user) {
+        throw new Error(`GitHub user ${username} not found`);
       }
 
-      const calendar = response.data.data.user.contributionsCollection.contributionCalendar;
+      const calendar = data.user.contributionsCollection.contributionCalendar;
       
       // Flatten the weeks into a simple array of days
       const contributions = {};
@@ -449,6 +467,70 @@ class GitHubManager extends EventEmitter {
 
 
 
+  /**
+   * Get what decides whether a repository's commits count as contributions
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Object>} {success, repository: {nameWithOwner, isFork, parent, defaultBranch}}
+   */
+  async getRepositoryInfo(owner, repo) {
+    try {
+      const query = `
+        query($owner: String!, $name: String!) {
+          repository(owner: $owner, name: $name) {
+            nameWithOwner
+            isFork
+            parent {
+              nameWithOwner
+            }
+            defaultBranchRef {
+              name
+            }
+          }
+        }
+      `;
+
+      const data = await this.graphql(query, { owner, name: repo });
+      if (!data.repository) {
+        throw new Error(`Repository ${owner}/${repo} not found`);
+      }
+
+      return {
+        success: true,
+        repository: {
+          nameWithOwner: data.repository.nameWithOwner,
+          isFork: data.repository.isFork,
+          parent: data.repository.parent ? data.repository.parent.nameWithOwner : null,
+          defaultBranch: data.repository.defaultBranchRef ? data.repository.defaultBranchRef.name : null
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  /**
+   * Get the verified email addresses of the token's user (needs the user:email scope)
+   * @returns {Promise<Object>} {success, emails}
+   */
+  async getVerifiedEmails() {
+    try {
+      const response = await this.client.get('/user/emails');
+      return {
+        success: true,
+        emails: response.data.filter(entry => entry.verified).map(entry => entry.email)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
   /**
    * Get commit activity for a repository
    */
@@ -14,7 +14,36 @@ const path = require('path');
 const fs = require('fs').promises;
 const { spawn } = require('child_process');
 const GitTransaction = require('./GitTransaction');
+const HistoryRewriter = require('./HistoryRewriter');
+const MigrationJournal = require('./MigrationJournal');
+const IsolatedWorktree = require('./IsolatedWorktree');
 const SecurityUtils = require('../security/SecurityUtils');
+const DateDistribution = require('../utils/DateDistribution');
+const TimezoneUtils = require('../utils/TimezoneUtils');
+const TrailerUtils = require('../utils/TrailerUtils');
+const MigrationPlan = require('../utils/MigrationPlan');
+
+// simple-git log format that also captures committer identity and date
+const COMMIT_LOG_FORMAT = {
+  hash: '%H',
+  date: '%aI',
+  message: '%s',
+  refs: '%D',
+  body: '%b',
+  author_name: '%aN',
+  author_email: '%aE',
+  committer_name: '%cN',
+  committer_email: '%cE',
+  committer_date: '%cI',
+  parents: '%P',
+  trailers: '%(trailers:only,unfold)'
+};
+
+// Tree of a commit with no files, used to diff a commit against nothing
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Strategies executeMigration can use; 'fast-import' is the native rewrite engine
+const MIGRATION_STRATEGIES = ['fast-import', 'filter-branch', 'interactive-rebase', 'cherry-pick'];
 
 class GitManager {
   constructor(repoPath = process.cwd()) {
@@ -115,23 +144,31 @@ class GitManager {
 
   /**
    * Create a commit with custom date and time
+   * @param {string} message - Commit message
+   * @param {string} date - Commit date (YYYY-MM-DD)
+   * @param {string} time - Commit time (HH:mm)
+   * @param {string} author - Optional author in "Name <email>" format
+   * @param {Object} options - Commit options
+   * @param {string} options.timezone - IANA timezone the date and time are expressed in
+   * @param {string} options.authorDate - Author date override (YYYY-MM-DD HH:mm)
+   * @param {string} options.committerDate - Committer date override (YYYY-MM-DD HH:mm)
+   * @param {boolean} options.sign - Sign the commit (GPG, or SSH when gpg.format=ssh)
+   * @param {string} options.signingKey - Key to sign with instead of user.signingkey
+   * @param {Array} options.trailers - Trailers ({key, value}) appended to the message, e.g. Co-authored-by
+   * @param {string} options.committer - Committer in "Name <email>" format instead of the configured identity
+   * @param {boolean} options.allowEmpty - Create the commit even if nothing is staged
    */
-  async commitWithDate(message, date, time = '12:00', author = null) {
+  async commitWithDate(message, date, time = '12:00', author = null, options = {}) {
     try {
-      // Parse and validate date
-      const commitDate = moment(`${date} ${time}`, 'YYYY-MM-DD HH:mm');
-      if (!commitDate.isValid()) {
-        throw new Error('Invalid date or time format');
-      }
-
-      // Format date for git
-      const gitDate = commitDate.format('YYYY-MM-DD HH:mm:ss');
+      // Author and committer dates default to the shared date/time but can be set independently
+      const authorDate = this.formatCommitDate(options.authorDate || `${date} ${time}`, options.timezone);
+      const committerDate = this.formatCommitDate(options.committerDate || `${date} ${time}`, options.timezone);
       
       // Set environment variables for git commit
       const env = {
         ...process.env,
-        GIT_AUTHOR_DATE: gitDate,
-        GIT_COMMITTER_DATE: gitDate
+        GIT_AUTHOR_DATE: authorDate,
+        GIT_COMMITTER_DATE: committerDate
       };
 
       if (author) {
@@ -139,20 +176,158 @@ class GitManager {
         env.GIT_AUTHOR_EMAIL = author.match(/<(.+)>/)?.[1] || '';
       }
 
+      if (options.committer) {
+        env.GIT_COMMITTER_NAME = options.committer.split('<')[0].trim();
+        env.GIT_COMMITTER_EMAIL = options.committer.match(/<(.+)>/)?.[1] || '';
+      }
+
+      if (options.trailers && options.trailers.length > 0) {
+        message = TrailerUtils.append(message, options.trailers);
+      }
+
       // Create commit with custom date
-      const result = await this.git.env(env).commit(message);
+      const signArgs = this.getSigningArgs(options);
+      const commitOptions = {};
+      if (signArgs.length > 0) {
+        commitOptions[signArgs[0]] = null;
+      }
+      if (options.allowEmpty) {
+        commitOptions['--allow-empty'] = null;
+      }
+      const result = Object.keys(commitOptions).length > 0
+        ? await this.git.env(env).commit(message, [], commitOptions)
+        : await this.git.env(env).commit(message);
       
       return {
         success: true,
         hash: result.commit,
-        date: gitDate,
-        message
+        date: authorDate,
+        authorDate,
+        committerDate,
+        message,
+        trailers: options.trailers || [],
+        signed: signArgs.length > 0
       };
     } catch (error) {
       throw new Error(`Failed to create commit: ${error.message}`);
     }
   }
 
+  /**
+   * Format a "YYYY-MM-DD HH:mm" value for GIT_AUTHOR_DATE / GIT_COMMITTER_DATE
+   * @param {string} value - Date and time
+   * @param {string} timezone - Optional IANA timezone
+   * @returns {string} Git date string
+   */
+  formatCommitDate(value, timezone = null) {
+    const parsed = moment(value, ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DD H:mm', 'YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DDTHH:mm'], true);
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid date or time format: ${value}`);
+    }
+
+    // Use an explicit offset when a timezone is given
+    return timezone
+      ? TimezoneUtils.toGitDate(parsed.format('YYYY-MM-DD'), parsed.format('HH:mm:ss'), timezone)
+      : parsed.format('YYYY-MM-DD HH:mm:ss');
+  }
+
+  /**
+   * Create a commit from a batch entry
+   * @param {Object} commit - Commit options
+   * @param {string} commit.message - Commit message
+   * @param {string} commit.date - Commit date (YYYY-MM-DD)
+   * @param {string} commit.time - Commit time (HH:mm)
+   * @param {string} commit.author - Optional author in "Name <email>" format
+   * @param {string} commit.timezone - Optional IANA timezone
+   * @param {string} commit.authorDate - Optional author date override (YYYY-MM-DD HH:mm)
+   * @param {string} commit.committerDate - Optional committer date override (YYYY-MM-DD HH:mm)
+   * @param {boolean} commit.sign - Sign the commit
+   * @param {string} commit.signingKey - Optional signing key
+   * @param {Array} commit.trailers - Optional trailers ({key, value})
+   * @param {string} commit.committer - Optional committer in "Name <email>" format
+   * @param {boolean} commit.allowEmpty - Create the commit even if nothing is staged
+   * @returns {Object} Commit result
+   */
+  async createCommit(commit) {
+    return this.commitWithDate(
+      commit.message,
+      commit.date || moment().format('YYYY-MM-DD'),
+      commit.time || '12:00',
+      commit.author || null,
+      {
+        timezone: commit.timezone,
+        authorDate: commit.authorDate,
+        committerDate: commit.committerDate,
+        sign: commit.sign,
+        signingKey: commit.signingKey,
+        trailers: commit.trailers,
+        committer: commit.committer,
+        allowEmpty: commit.allowEmpty
+      }
+    );
+  }
+
+  /**
+   * Get the identity new commits are committed as
+   * @returns {Promise<Object>} {name, email}
+   */
+  async getCommitterIdentity() {
+    try {
+      const ident = (await this.git.raw(['var', 'GIT_COMMITTER_IDENT'])).trim();
+      const match = /^(.*?)\s*<([^>]*)>/.exec(ident);
+      return { name: match ? match[1] : ident, email: match ? match[2] : '' };
+    } catch (error) {
+      throw new Error(`Failed to get committer identity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the git arguments that request a signature
+   * @param {Object} signing - Signing options ({sign, signingKey})
+   * @returns {Array} Empty, or a single --gpg-sign argument
+   */
+  getSigningArgs(signing = {}) {
+    if (!signing || !signing.sign) {
+      return [];
+    }
+    return [signing.signingKey ? `--gpg-sign=${signing.signingKey}` : '--gpg-sign'];
+  }
+
+  /**
+   * Resolve signing options against the repository configuration
+   * Git picks the signing backend from gpg.format, so the same options cover GPG and SSH keys.
+   * @param {Object} options - CLI options ({sign, signingKey}); a signing key implies sign
+   * @returns {Promise<Object|null>} {sign, signingKey, format, key} or null when not signing
+   */
+  async resolveSigning(options = {}) {
+    if (!options.sign && !options.signingKey) {
+      return null;
+    }
+
+    const readConfig = async (key) => {
+      try {
+        return (await this.git.raw(['config', '--get', key])).trim() || null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const format = await readConfig('gpg.format') || 'openpgp';
+    const key = options.signingKey || await readConfig('user.signingkey');
+
+    // GPG can fall back to the committer email, SSH needs an explicit key
+    if (format === 'ssh' && !key) {
+      throw new Error('SSH signing requires --signing-key or user.signingkey to be set');
+    }
+
+    return {
+      sign: true,
+      signingKey: options.signingKey || null,
+      format,
+      key
+    };
+  }
+
   /**
    * Add files to staging area
    */
@@ -165,6 +340,50 @@ class GitManager {
     }
   }
 
+  /**
+   * Stage the current state of paths, including deletions
+   * @param {Array} paths - Paths relative to the repository root
+   */
+  async stagePaths(paths) {
+    if (paths.length === 0) {
+      return true;
+    }
+
+    try {
+      await this.git.raw(['add', '-A', '--', ...paths]);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to stage ${paths.join(', ')}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply a patch to the working tree and the index
+   * @param {string} patchFile - Absolute path to a unified diff
+   */
+  async applyPatch(patchFile) {
+    try {
+      await this.git.raw(['apply', '--index', '--whitespace=nowarn', patchFile]);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to apply patch ${path.basename(patchFile)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the patch that turns one commit's tree into another's, binary files included
+   * @param {string|null} from - Commit to start from, or null for an empty tree
+   * @param {string} to - Commit to end at
+   * @returns {Promise<string>} Patch for git apply (empty when the trees match)
+   */
+  async getTreeDiff(from, to) {
+    try {
+      return await this.git.raw(['diff', '--binary', '--full-index', '--no-color', '--no-ext-diff', '--no-textconv', from || EMPTY_TREE, to]);
+    } catch (error) {
+      throw new Error(`Failed to diff ${from || 'empty tree'}..${to}: ${error.message}`);
+    }
+  }
+
   /**
    * Push commits to remote
    */
@@ -203,8 +422,22 @@ class GitManager {
 
   /**
    * Migrate commits to new dates with progress reporting and cancellation support
+   * @param {string} commitRange - Commit hash or range (e.g., HEAD~5..HEAD)
+   * @param {string} startDate - Target start date (YYYY-MM-DD)
+   * @param {number} spreadDays - Number of days to spread commits over
+   * @param {string} startTime - Start time for the first commit (HH:mm)
+   * @param {Object} options - Distribution options
+   * @param {string} options.distribution - Date distribution strategy (see DateDistribution)
+   * @param {string|number} options.seed - Seed for random distribution strategies
+   * @param {string} options.workingHours - Working hours window for the working-hours strategy
+   * @param {string} options.timezone - IANA timezone the new dates are expressed in
+   * @param {string} options.dateTarget - Which dates to move: 'both', 'author' or 'committer'
+   * @param {string} options.strategy - Migration strategy to plan for, or 'auto'
+   * @param {boolean} options.rewriteRefs - Plan for moving other branches, tags and notes too
+   * @param {MessageFilter} options.messageFilter - Filter whose output becomes each commit's newMessage
+   * @param {AuthorMap} options.authorMap - Map whose matches become each commit's newAuthor and newCommitter
    */
-  async migrateCommits(commitRange, startDate, spreadDays = 1, startTime = '09:00') {
+  async migrateCommits(commitRange, startDate, spreadDays = 1, startTime = '09:00', options = {}) {
     try {
       this.resetCancellation();
       this.reportProgress('Analyzing commit range...', 0);
@@ -220,24 +453,32 @@ class GitManager {
       if (commitRange.includes('..')) {
         this.reportProgress('Fetching commit range...', 10);
         // Handle range format (e.g., HEAD~5..HEAD)
+        // Topological order keeps every parent older than its children when new dates are assigned
         commits = await this.git.log({
           from: commitRange.split('..')[0],
-          to: commitRange.split('..')[1] || 'HEAD'
+          to: commitRange.split('..')[1] || 'HEAD',
+          format: COMMIT_LOG_FORMAT,
+          '--topo-order': null
         });
       } else {
         this.reportProgress('Fetching single commit...', 10);
         // Handle single commit hash
         try {
-          const singleCommit = await this.git.show([commitRange, '--format=%H|%ad|%an|%ae|%s', '--no-patch']);
-          const [hash, date, authorName, authorEmail, message] = singleCommit.split('|');
+          const singleCommit = await this.git.show([commitRange, '--format=%H|%aI|%cI|%P|%an|%ae|%cn|%ce|%s', '--no-patch']);
+          const [hash, date, committerDate, parents, authorName, authorEmail, committerName, committerEmail, ...messageParts] =
+            singleCommit.trim().split('|');
           
           commits = {
             all: [{
               hash: hash,
               date: date,
+              committer_date: committerDate,
+              parents,
               author_name: authorName,
               author_email: authorEmail,
-              message: message
+              committer_name: committerName,
+              committer_email: committerEmail,
+              message: messageParts.join('|')
             }]
           };
         } catch (error) {
@@ -256,11 +497,22 @@ class GitManager {
       this.reportProgress(`Found ${commits.all.length} commit(s) to migrate`, 30);
 
       const results = [];
-      const baseDate = moment(startDate, 'YYYY-MM-DD');
-      
-      // Calculate date intervals
-      const hoursInterval = (spreadDays * 24) / commits.all.length;
-      let currentDate = moment(baseDate).hour(parseInt(startTime.split(':')[0])).minute(parseInt(startTime.split(':')[1]));
+      const dateTarget = options.dateTarget || 'both';
+
+      if (!['both', 'author', 'committer'].includes(dateTarget)) {
+        throw new Error(`Invalid date target: ${dateTarget}. Use both, author or committer`);
+      }
+
+      // Generate new dates oldest-first using the selected distribution strategy
+      const { dates, distribution } = DateDistribution.generate(commits.all.length, {
+        startDate,
+        startTime,
+        spreadDays,
+        strategy: options.distribution,
+        seed: options.seed,
+        workingHours: options.workingHours,
+        originalDates: commits.all.map(commit => commit.date).reverse()
+      });
 
       this.reportProgress('Generating migration plan...', 50);
 
@@ -270,21 +522,80 @@ class GitManager {
         }
         
         const commit = commits.all[i];
-        const newDate = currentDate.format('YYYY-MM-DD HH:mm:ss');
+        const plannedDate = dates[commits.all.length - 1 - i];
+        // Generated times that land in a DST gap are moved past it rather than rejected
+        const newDate = options.timezone
+          ? TimezoneUtils.toGitDate(plannedDate.format('YYYY-MM-DD'), plannedDate.format('HH:mm:ss'), options.timezone, { shiftGaps: true })
+          : plannedDate.format('YYYY-MM-DD HH:mm:ss');
         
         // Report progress for each commit processed
         const progress = 50 + ((commits.all.length - 1 - i) / commits.all.length) * 40;
         this.reportProgress(`Processing commit ${commits.all.length - i}/${commits.all.length}`, Math.round(progress));
         
+        // The date that isn't targeted keeps its original value
+        const originalCommitterDate = commit.committer_date || commit.date;
+
         results.push({
           originalHash: commit.hash,
           originalDate: commit.date,
+          originalCommitterDate,
           newDate: newDate,
+          authorDate: dateTarget === 'committer' ? commit.date : newDate,
+          committerDate: dateTarget === 'author' ? originalCommitterDate : newDate,
+          timezone: options.timezone || null,
+          parents: (commit.parents || '').split(' ').filter(Boolean),
           message: commit.message,
-          author: commit.author_name
+          author: commit.author_name,
+          authorEmail: commit.author_email,
+          committer: commit.committer_name || commit.author_name,
+          committerEmail: commit.committer_email || commit.author_email
         });
+      }
+
+      // Flag signed commits so previews can warn that rewriting replaces their signatures
+      const signedCommits = await this.getHistoryRewriter()
+        .findSignedCommits(results.map(commit => commit.originalHash))
+        .catch(() => new Set());
+      results.forEach(commit => {
+        commit.signed = signedCommits.has(commit.originalHash);
+      });
+
+      // Filter messages while planning so previews show exactly what the rewrite will write
+      if (options.messageFilter) {
+        this.reportProgress('Applying message filter...', 95);
+        const messages = await this.getHistoryRewriter().readMessages(results.map(commit => commit.originalHash));
+
+        for (const [index, commit] of results.entries()) {
+          const originalMessage = messages.get(commit.originalHash) || commit.message;
+          const newMessage = await options.messageFilter.apply(originalMessage, {
+            hash: commit.originalHash,
+            author: commit.author,
+            originalDate: commit.originalDate,
+            newDate: commit.newDate,
+            index,
+            total: results.length
+          });
 
-        currentDate.add(hoursInterval, 'hours');
+          if (newMessage !== null) {
+            commit.originalMessage = originalMessage;
+            commit.newMessage = newMessage;
+          }
+        }
+      }
+
+      // Remap identities while planning too, so previews show the corrected author and committer
+      if (options.authorMap) {
+        results.forEach(commit => {
+          const author = options.authorMap.resolve(commit.author, commit.authorEmail);
+          const committer = options.authorMap.resolve(commit.committer, commit.committerEmail);
+
+          if (author.changed) {
+            commit.newAuthor = { name: author.name, email: author.email };
+          }
+          if (committer.changed) {
+            commit.newCommitter = { name: committer.name, email: committer.email };
+          }
+        });
       }
 
       this.reportProgress('Migration plan completed', 100);
@@ -293,7 +604,11 @@ class GitManager {
         success: true,
         commits: results,
         executable: true,
-        strategy: this.determineMigrationStrategy(results),
+        strategy: this.determineMigrationStrategy(results, {
+          strategy: options.strategy,
+          rewriteRefs: options.rewriteRefs
+        }),
+        distribution,
         message: 'Migration plan generated and ready for execution.'
       };
     } catch (error) {
@@ -304,10 +619,161 @@ class GitManager {
     }
   }
 
+  /**
+   * Turn a migration plan into an editable plan file with full messages and identities
+   * @param {Array} commits - Commits from migrateCommits
+   * @param {Object} info - Plan details ({range})
+   * @returns {Promise<MigrationPlan>} Plan ready to save
+   */
+  async exportMigrationPlan(commits, info = {}) {
+    const messages = await this.getHistoryRewriter().readMessages(commits.map(commit => commit.originalHash));
+
+    return MigrationPlan.fromCommits(commits, {
+      messages,
+      branch: (await this.git.raw(['symbolic-ref', '-q', '--short', 'HEAD']).catch(() => '')).trim() || null,
+      head: (await this.git.revparse(['HEAD'])).trim(),
+      range: info.range || null
+    });
+  }
+
+  /**
+   * Build a migration plan from a plan file, checking it against the current history first.
+   * Every commit in the file must still be reachable from HEAD, so a plan written before the
+   * branch was rebased or amended is rejected instead of rewriting the wrong commits.
+   * @param {MigrationPlan} plan - Loaded plan file
+   * @param {Object} options - Planning options
+   * @param {string} options.strategy - Migration strategy to plan for, or 'auto'
+   * @param {boolean} options.rewriteRefs - Plan for moving other branches, tags and notes too
+   * @returns {Promise<Object>} Migration plan in the same shape as migrateCommits
+   */
+  async applyMigrationPlan(plan, options = {}) {
+    try {
+      this.resetCancellation();
+      this.reportProgress('Checking plan against HEAD...', 0);
+
+      const head = (await this.git.revparse(['HEAD'])).trim();
+      const history = await this.listRangeCommits('HEAD');
+      const reachable = new Set(history);
+
+      // Rows may use abbreviated hashes; each must name exactly one commit on HEAD
+      const stale = [];
+      const resolved = plan.commits.map(row => {
+        if (reachable.has(row.originalHash)) {
+          return row.originalHash;
+        }
+        const matches = row.originalHash.length < 40 ? history.filter(hash => hash.startsWith(row.originalHash)) : [];
+        if (matches.length > 1) {
+          throw new Error(`Abbreviated hash ${row.originalHash} is ambiguous; use the full hash`);
+        }
+        if (matches.length === 0) {
+          stale.push(row.originalHash);
+        }
+        return matches[0];
+      });
+
+      if (stale.length > 0) {
+        const listed = stale.slice(0, 5).map(hash => hash.substring(0, 8)).join(', ');
+        throw new Error(`Plan is stale: ${stale.length} commit(s) are no longer on HEAD (${listed}${stale.length > 5 ? ', ...' : ''}). ` +
+          'Regenerate it with --plan-out');
+      }
+      if (new Set(resolved).size !== resolved.length) {
+        throw new Error('Plan lists the same commit more than once');
+      }
+
+      if (this.isCancelled()) {
+        throw new Error('Operation cancelled by user');
+      }
+
+      this.reportProgress(`Reading ${resolved.length} commit(s)...`, 30);
+
+      const output = await this.git.raw([
+        'log', '--no-walk=unsorted', '--format=%H%x1f%aI%x1f%cI%x1f%P%x1f%aN%x1f%aE%x1f%cN%x1f%cE%x1f%s%x1e', ...resolved
+      ]);
+      const details = new Map(output.split('\x1e').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [hash, date, committerDate, parents, author, authorEmail, committer, committerEmail, subject] = entry.split('\x1f');
+        return [hash, { date, committerDate, parents, author, authorEmail, committer, committerEmail, subject }];
+      }));
+      const messages = await this.getHistoryRewriter().readMessages(resolved);
+      const signedCommits = await this.getHistoryRewriter().findSignedCommits(resolved).catch(() => new Set());
+
+      this.reportProgress('Generating migration plan...', 60);
+
+      const commits = plan.commits.map((row, index) => {
+        const hash = resolved[index];
+        const commit = details.get(hash);
+        const result = {
+          originalHash: hash,
+          originalDate: commit.date,
+          originalCommitterDate: commit.committerDate,
+          newDate: row.newDate,
+          authorDate: row.authorDate || row.newDate,
+          committerDate: row.committerDate || row.newDate,
+          timezone: row.timezone || null,
+          parents: commit.parents.split(' ').filter(Boolean),
+          message: commit.subject,
+          author: commit.author,
+          authorEmail: commit.authorEmail,
+          committer: commit.committer,
+          committerEmail: commit.committerEmail,
+          signed: signedCommits.has(hash)
+        };
+
+        // Only what actually differs from the commit becomes a rewrite
+        const originalMessage = messages.get(hash) || commit.subject;
+        if (row.message !== undefined && row.message.trim() !== originalMessage.trim()) {
+          result.originalMessage = originalMessage;
+          result.newMessage = `${row.message.trimEnd()}\n`;
+        }
+        if (row.author && (row.author.name !== commit.author || row.author.email !== commit.authorEmail)) {
+          result.newAuthor = { name: row.author.name, email: row.author.email };
+        }
+        if (row.committer && (row.committer.name !== commit.committer || row.committer.email !== commit.committerEmail)) {
+          result.newCommitter = { name: row.committer.name, email: row.committer.email };
+        }
+        return result;
+      });
+
+      // Oldest first, like migrateCommits
+      const position = new Map(history.map((hash, index) => [hash, index]));
+      commits.sort((a, b) => position.get(b.originalHash) - position.get(a.originalHash));
+
+      this.reportProgress('Migration plan completed', 100);
+
+      return {
+        success: true,
+        commits,
+        executable: true,
+        strategy: this.determineMigrationStrategy(commits, {
+          strategy: options.strategy,
+          rewriteRefs: options.rewriteRefs
+        }),
+        distribution: null,
+        warning: plan.head && plan.head !== head
+          ? `HEAD moved since the plan was written (${plan.head.substring(0, 8)} → ${head.substring(0, 8)}); every planned commit is still on it`
+          : null,
+        message: 'Migration plan loaded and ready for execution.'
+      };
+    } catch (error) {
+      if (error.message.includes('cancelled')) {
+        throw error;
+      }
+      throw new Error(`Failed to apply migration plan: ${error.message}`);
+    }
+  }
+
   /**
    * Execute migration by actually changing commit dates using Git operations with atomic transactions
+   * @param {Array} migrationPlan - Commits from migrateCommits
+   * @param {Object} options - Execution options
+   * @param {string} options.strategy - Migration strategy, or 'auto' to pick one
+   * @param {boolean} options.rewriteRefs - Also move other branches, tags and notes (fast-import only)
+   * @param {boolean} options.sign - Sign the rewritten commits
+   * @param {string} options.signingKey - Key to sign with instead of user.signingkey
+   * @param {Object} options.history - Operation history entry to record if the migration is resumed later
+   * @param {boolean} options.isolated - Leave the working tree alone: porcelain strategies run in a temporary
+   * worktree and only the branch ref moves, so uncommitted changes are allowed
    */
-  async executeMigration(migrationPlan) {
+  async executeMigration(migrationPlan, options = {}) {
     this.resetCancellation();
     this.reportProgress('Preparing migration execution...', 0);
     
@@ -315,6 +781,15 @@ class GitManager {
       throw new Error('No migration plan provided');
     }
 
+    // A journal left by a crashed or failed run must be resolved first, or its commits would be rewritten twice
+    const journal = this.getMigrationJournal();
+    const pending = await journal.load();
+    if (pending) {
+      throw new Error(MigrationJournal.isInterrupted(pending)
+        ? 'An interrupted migration must be resolved first. Run histofy migrate --continue, --abort or --status'
+        : `Another migration is in progress (process ${pending.pid})`);
+    }
+
     // Use GitTransaction for atomic operations
     const result = await GitTransaction.execute(this.repoPath, async (transaction) => {
       this.reportProgress('Transaction started, validating migration plan...', 10);
@@ -324,54 +799,503 @@ class GitManager {
         new Date(a.originalDate) - new Date(b.originalDate)
       );
 
-      // Determine migration strategy based on commit count and complexity
-      const strategy = this.determineMigrationStrategy(sortedCommits);
-      this.reportProgress(`Using ${strategy} strategy for ${sortedCommits.length} commit(s)...`, 20);
+      // Determine migration strategy based on commit count and complexity
+      const explicitStrategy = options.strategy && options.strategy !== 'auto';
+      let strategy = this.determineMigrationStrategy(sortedCommits, options);
+
+      if (strategy === 'fast-import' && !explicitStrategy && !(await this.getHistoryRewriter().isSupported())) {
+        if (this.hasMergeCommits(sortedCommits)) {
+          throw new Error('Migrating merge commits requires the fast-import engine (Git 2.23 or later)');
+        }
+        if (options.rewriteRefs) {
+          throw new Error('Rewriting tags, branches and notes requires the fast-import engine (Git 2.23 or later)');
+        }
+        if (this.hasMessageChanges(sortedCommits)) {
+          throw new Error('Rewriting commit messages requires the fast-import engine (Git 2.23 or later)');
+        }
+        if (this.hasIdentityChanges(sortedCommits)) {
+          throw new Error('Rewriting author and committer identities requires the fast-import engine (Git 2.23 or later)');
+        }
+        strategy = this.determineLegacyMigrationStrategy(sortedCommits);
+        this.reportProgress(`Native rewrite engine requires Git 2.23+, falling back to ${strategy}...`, 15);
+      }
+
+      this.reportProgress(`Using ${strategy} strategy for ${sortedCommits.length} commit(s)...`, 20);
+
+      // Everything needed to resume or roll back is persisted before the first commit is rewritten
+      await journal.start({
+        transactionId: transaction.operationId,
+        strategy,
+        originalBranch: transaction.originalBranch,
+        originalHead: transaction.backupMetadata.headCommit,
+        backupBranch: transaction.backupBranch,
+        commits: sortedCommits,
+        options: {
+          rewriteRefs: Boolean(options.rewriteRefs),
+          sign: Boolean(options.sign),
+          signingKey: options.signingKey || null,
+          isolated: Boolean(options.isolated)
+        },
+        worktree: null,
+        history: options.history || null
+      });
+
+      let strategyResult;
+      try {
+        strategyResult = await this.runMigrationStrategy(strategy, sortedCommits, { ...options, journal });
+      } catch (error) {
+        // The native engine never moves refs when it fails, so the legacy strategies can still run
+        // Porcelain strategies would flatten merges and leave other refs behind, so those never fall back
+        if (strategy !== 'fast-import' || explicitStrategy || error.message.includes('cancelled') ||
+            this.hasMergeCommits(sortedCommits) || options.rewriteRefs || this.hasMessageChanges(sortedCommits) ||
+            this.hasIdentityChanges(sortedCommits)) {
+          throw error;
+        }
+
+        strategy = this.determineLegacyMigrationStrategy(sortedCommits);
+        this.reportProgress(`${error.message}, falling back to ${strategy}...`, 25);
+        await journal.update({ strategy, phase: 'started', completed: [], state: {} });
+        strategyResult = await this.runMigrationStrategy(strategy, sortedCommits, { journal, isolated: options.isolated });
+      }
+
+      const { migratedCommits, successCount } = strategyResult;
+
+      // An isolated rollback only moves the branch back from where this migration put it
+      const newHead = strategyResult.newHead || (strategyResult.refUpdates && strategyResult.refUpdates.length > 0
+        ? strategyResult.refUpdates[0].newValue
+        : null);
+      if (newHead) {
+        transaction.recordBranchMove(newHead);
+      }
+
+      this.reportProgress('Migration completed, validating results...', 90);
+
+      // Validate migration integrity
+      const validation = await this.validateCommitIntegrity(sortedCommits, migratedCommits, {
+        commitMap: strategyResult.commitMap
+      });
+      if (!validation.success) {
+        throw new Error(`Migration validation failed: ${validation.issues.join(', ')}`);
+      }
+
+      this.reportProgress('Migration execution completed successfully', 100);
+
+      await journal.setPhase('completed');
+
+      return {
+        success: true,
+        migratedCount: successCount,
+        totalCommits: sortedCommits.length,
+        migrations: migratedCommits,
+        strategy: strategy,
+        commitMap: strategyResult.commitMap || this.buildCommitMap(migratedCommits),
+        refUpdates: strategyResult.refUpdates || [],
+        skippedRefs: strategyResult.skippedRefs || [],
+        signed: Boolean(options.sign),
+        droppedSignatures: strategyResult.droppedSignatures || 0,
+        rewrittenMessages: strategyResult.rewrittenMessages || 0,
+        rewrittenIdentities: strategyResult.rewrittenIdentities || 0,
+        validation: validation
+      };
+    }, null, { isolated: options.isolated });
+
+    if (result.success) {
+      await journal.clear();
+      return {
+        ...result.result,
+        backupBranch: result.transaction.backupBranch,
+        originalBranch: result.transaction.originalBranch,
+        transactionId: result.transaction.operationId,
+        isolated: Boolean(options.isolated)
+      };
+    } else {
+      await this.settleMigrationJournal(journal, result.error);
+      throw new Error(result.error);
+    }
+  }
+
+  /**
+   * Build an old→new hash map from migrated commits (for strategies that don't report one)
+   * @param {Array} migratedCommits - Migrated commits with originalHash and newHash
+   * @returns {Object} Map of original hash to rewritten hash
+   */
+  buildCommitMap(migratedCommits) {
+    const commitMap = {};
+
+    migratedCommits.forEach(commit => {
+      // filter-branch only reports a placeholder instead of the new hash
+      if (/^[0-9a-f]{40}([0-9a-f]{24})?$/.test(commit.newHash || '')) {
+        commitMap[commit.originalHash] = commit.newHash;
+      }
+    });
+
+    return commitMap;
+  }
+
+  /**
+   * Run a single migration strategy
+   * @param {string} strategy - Migration strategy
+   * @param {Array} commits - Commits to migrate (oldest first)
+   * @param {Object} options - Execution options (see executeMigration)
+   * @returns {Object} Migration result ({migratedCommits, successCount})
+   */
+  async runMigrationStrategy(strategy, commits, options = {}) {
+    // The native engine only ever moves refs, so it needs no worktree of its own
+    if (options.isolated && strategy !== 'fast-import') {
+      return this.runIsolatedMigrationStrategy(strategy, commits, options);
+    }
+
+    switch (strategy) {
+      case 'fast-import':
+        return this.executeNativeMigration(commits, options);
+
+      case 'filter-branch':
+        return this.executeFilterBranchMigration(commits, options);
+        
+      case 'interactive-rebase':
+        return this.executeInteractiveRebaseMigration(commits, options);
+        
+      case 'cherry-pick':
+        return this.executeCherryPickMigration(commits, options);
+        
+      default:
+        throw new Error(`Unknown migration strategy: ${strategy}`);
+    }
+  }
+
+  /**
+   * Run a porcelain strategy in a temporary worktree, then move the original branch to the result with one
+   * compare-and-swap ref update. The user's checkout, index and working tree are never touched.
+   * @param {string} strategy - Migration strategy other than fast-import
+   * @param {Array} commits - Commits to migrate (oldest first)
+   * @param {Object} options - Execution options (see executeMigration), with the journal and resume data
+   * @returns {Object} Migration result, with the new branch tip as newHead
+   */
+  async runIsolatedMigrationStrategy(strategy, commits, options = {}) {
+    const { journal, resume } = options;
+    let worktree;
+    if (resume && resume.worktree) {
+      worktree = IsolatedWorktree.fromJSON(this.repoPath, resume.worktree);
+      await worktree.ensure();
+    } else {
+      worktree = await IsolatedWorktree.create(this.repoPath);
+    }
+
+    if (journal) {
+      await journal.update({ worktree: worktree.toJSON() });
+    }
+
+    this.reportProgress(`Running ${strategy} in isolated worktree ${worktree.path}...`, 25);
+
+    try {
+      // Inside the worktree its scratch branch stands in for the original branch
+      const worker = this.createWorktreeManager(worktree);
+      const result = await worker.runMigrationStrategy(strategy, commits, {
+        ...options,
+        isolated: false,
+        resume: resume ? { ...resume, originalBranch: worktree.branch } : null
+      });
+
+      let newHead;
+      if (strategy === 'filter-branch') {
+        // filter-branch rewrites every ref itself, the original branch included
+        newHead = (await this.git.revparse([`refs/heads/${worktree.targetBranch}`])).trim();
+      } else {
+        if (journal) {
+          await journal.setPhase('publishing', { newHead: await worktree.getHead() });
+        }
+        newHead = await worktree.publish('histofy: migrate');
+      }
+
+      await worktree.remove();
+      if (journal) {
+        await journal.update({ worktree: null });
+      }
+      return { ...result, newHead };
+    } catch (error) {
+      await worktree.remove().catch(() => {});
+      if (journal) {
+        await journal.update({ worktree: null });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a manager that operates inside an isolated worktree and reports through this one
+   * @param {IsolatedWorktree} worktree - Worktree to operate in
+   * @returns {GitManager} Manager for the worktree
+   */
+  createWorktreeManager(worktree) {
+    const worker = new GitManager(worktree.path);
+    worker.isCancelled = () => this.isCancelled();
+    worker.setProgressCallback((message, progress) => this.reportProgress(message, progress));
+    return worker;
+  }
+
+  /**
+   * Determine the best migration strategy based on commit characteristics
+   * @param {Array} commits - Array of commits to migrate
+   * @param {Object} options - Strategy options
+   * @param {string} options.strategy - Explicit strategy, or 'auto' to pick one
+   * @param {boolean} options.rewriteRefs - Whether other refs must follow the rewrite
+   * @returns {string} Migration strategy ('fast-import', 'filter-branch', 'interactive-rebase', 'cherry-pick')
+   */
+  determineMigrationStrategy(commits, options = {}) {
+    if (options.strategy && options.strategy !== 'auto') {
+      if (!MIGRATION_STRATEGIES.includes(options.strategy)) {
+        throw new Error(`Unknown migration strategy: ${options.strategy}. Use auto, ${MIGRATION_STRATEGIES.join(', ')}`);
+      }
+      if (options.strategy !== 'fast-import' && this.hasMergeCommits(commits)) {
+        throw new Error(`The ${options.strategy} strategy cannot preserve merge commits. Use fast-import or auto`);
+      }
+      if (options.strategy !== 'fast-import' && options.rewriteRefs) {
+        throw new Error(`The ${options.strategy} strategy cannot rewrite tags, branches and notes. Use fast-import or auto`);
+      }
+      if (options.strategy !== 'fast-import' && this.hasMessageChanges(commits)) {
+        throw new Error(`The ${options.strategy} strategy cannot rewrite commit messages. Use fast-import or auto`);
+      }
+      if (options.strategy !== 'fast-import' && this.hasIdentityChanges(commits)) {
+        throw new Error(`The ${options.strategy} strategy cannot rewrite author and committer identities. Use fast-import or auto`);
+      }
+      return options.strategy;
+    }
+
+    // The native engine handles any number of commits and merge topology in a single pass
+    return 'fast-import';
+  }
+
+  /**
+   * Check whether a migration plan contains merge commits
+   * @param {Array} commits - Commits to migrate
+   * @returns {boolean} True if any commit has more than one parent
+   */
+  hasMergeCommits(commits) {
+    return commits.some(commit => commit.parents && commit.parents.length > 1);
+  }
+
+  /**
+   * Check whether a migration plan rewrites any commit message
+   * @param {Array} commits - Commits to migrate
+   * @returns {boolean} True if any commit carries a newMessage
+   */
+  hasMessageChanges(commits) {
+    return commits.some(commit => typeof commit.newMessage === 'string');
+  }
+
+  /**
+   * Check whether a migration plan remaps any author or committer
+   * @param {Array} commits - Commits to migrate
+   * @returns {boolean} True if any commit carries a newAuthor or newCommitter
+   */
+  hasIdentityChanges(commits) {
+    return commits.some(commit => commit.newAuthor || commit.newCommitter);
+  }
+
+  /**
+   * Pick one of the porcelain-based strategies, used when the native engine is unavailable
+   * These strategies only handle linear history; merge commits must use the native engine.
+   * @param {Array} commits - Array of commits to migrate
+   * @returns {string} Migration strategy ('filter-branch', 'interactive-rebase', 'cherry-pick')
+   */
+  determineLegacyMigrationStrategy(commits) {
+    // For large numbers of commits, use filter-branch for efficiency
+    if (commits.length > 20) {
+      return 'filter-branch';
+    }
+    
+    // For small numbers of linear commits, use cherry-pick for precision
+    if (commits.length <= 5) {
+      return 'cherry-pick';
+    }
+    
+    // Default to interactive rebase for medium-sized operations
+    return 'interactive-rebase';
+  }
+
+  /**
+   * Get the native history rewriter for this repository
+   * @returns {HistoryRewriter} Rewriter reporting progress through this manager
+   */
+  getHistoryRewriter() {
+    if (!this.historyRewriter) {
+      this.historyRewriter = new HistoryRewriter(this.repoPath, {
+        onProgress: (message, progress) => this.reportProgress(message, progress)
+      });
+    }
+    return this.historyRewriter;
+  }
+
+  /**
+   * Get the migration journal for this repository
+   * @returns {MigrationJournal} Journal kept in .git/histofy/
+   */
+  getMigrationJournal() {
+    if (!this.migrationJournal) {
+      this.migrationJournal = new MigrationJournal(this.repoPath);
+    }
+    return this.migrationJournal;
+  }
+
+  /**
+   * Record a rewritten commit in the journal, if the migration keeps one
+   * @param {MigrationJournal} journal - Journal of the running migration
+   * @param {string} originalHash - Original commit hash
+   * @param {string} newHash - Rewritten commit hash
+   */
+  async checkpointMigration(journal, originalHash, newHash) {
+    if (journal) {
+      await journal.recordCommit(originalHash, newHash);
+    }
+  }
+
+  /**
+   * Execute migration using the native fast-export/fast-import engine
+   * Only the author and committer dates (and filtered messages) change; trees and parents are preserved.
+   * @param {Array} commits - Commits to migrate
+   * @param {Object} options - Rewrite options
+   * @param {boolean} options.rewriteRefs - Also move other branches, tags and notes
+   * @param {boolean} options.sign - Sign the rewritten commits
+   * @param {string} options.signingKey - Key to sign with instead of user.signingkey
+   * @returns {Object} Migration result
+   */
+  async executeNativeMigration(commits, options = {}) {
+    if (this.isCancelled()) {
+      throw new Error('Operation cancelled by user');
+    }
+
+    this.reportProgress('Executing native history rewrite...', 30);
+
+    try {
+      return await this.getHistoryRewriter().rewrite(commits, {
+        rewriteRefs: options.rewriteRefs,
+        sign: options.sign,
+        signingKey: options.signingKey,
+        onCheckpoint: options.journal ? (phase, state) => options.journal.setPhase(phase, state) : null
+      });
+    } catch (error) {
+      throw new Error(`Native rewrite failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the commits of a range, newest first
+   * @param {string} range - Commit range (e.g., HEAD~5..HEAD) or a revision, meaning it and all its ancestors
+   * @returns {Promise<Array>} Full commit hashes
+   */
+  async listRangeCommits(range = 'HEAD') {
+    if (!range || range.startsWith('-')) {
+      throw new Error(`Invalid commit range: ${range}`);
+    }
+
+    try {
+      const output = await this.git.raw(['rev-list', '--topo-order', range, '--']);
+      return output.split('\n').map(line => line.trim()).filter(Boolean);
+    } catch (error) {
+      throw new Error(`Invalid commit range: ${range}`);
+    }
+  }
+
+  /**
+   * Work out which commits a purge would change, without rewriting anything
+   * @param {string} range - Commit range or revision to purge
+   * @param {PurgeFilter} filter - Paths and secrets to purge
+   * @returns {Promise<Object>} Purge plan ({targets, totalCommits, rewrittenCount, commits, removedPaths, redactedBlobs})
+   */
+  async planPurge(range, filter) {
+    try {
+      this.reportProgress('Listing commits to purge...', 10);
+      const targets = await this.listRangeCommits(range);
+      if (targets.length === 0) {
+        throw new Error('No commits found in the specified range');
+      }
+
+      this.reportProgress(`Scanning ${targets.length} commit(s) for purged paths and secrets...`, 40);
+      const rewriter = this.getHistoryRewriter();
+      const preview = await rewriter.previewPurge(targets, filter);
+      const objects = await rewriter.readCommitObjects(preview.affected.map(commit => commit.hash));
+
+      const commits = preview.affected.map(commit => {
+        const { header, message } = objects.get(commit.hash) || { header: '', message: Buffer.alloc(0) };
+        const author = /^author (.*) <[^>]*> (\d+) [+-]\d{4}$/m.exec(header);
+
+        return {
+          ...commit,
+          author: author ? Buffer.from(author[1], 'latin1').toString('utf8') : '',
+          date: author ? new Date(Number(author[2]) * 1000).toISOString() : null,
+          message: message.toString('utf8').split('\n')[0],
+          signed: /^gpgsig(-sha256)? /m.test(header)
+        };
+      });
+
+      this.reportProgress('Purge plan completed', 100);
+
+      return {
+        success: true,
+        range,
+        targets,
+        totalCommits: targets.length,
+        rewrittenCount: preview.rewrittenCount,
+        commits,
+        removedPaths: preview.removedPaths,
+        redactedBlobs: preview.redactedBlobs,
+        filter: filter.describe()
+      };
+    } catch (error) {
+      throw new Error(`Failed to plan purge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove files and secrets from every commit of a purge plan with the native rewrite engine, in a transaction
+   * The working tree is left alone: purged files stay on disk untracked, so only the index follows the new HEAD.
+   * @param {Object} plan - Plan from planPurge
+   * @param {PurgeFilter} filter - Paths and secrets to purge
+   * @param {Object} options - Execution options
+   * @param {boolean} options.rewriteRefs - Also move other branches, tags and notes
+   * @returns {Promise<Object>} Purge result
+   */
+  async executePurge(plan, filter, options = {}) {
+    this.resetCancellation();
+
+    if (!plan || !plan.targets || plan.targets.length === 0) {
+      throw new Error('No purge plan provided');
+    }
 
-      let migratedCommits = [];
-      let successCount = 0;
+    if (!(await this.getHistoryRewriter().isSupported())) {
+      throw new Error('Purging history requires the fast-import engine (Git 2.23 or later)');
+    }
 
-      // Execute migration based on strategy
-      switch (strategy) {
-        case 'filter-branch':
-          const filterResult = await this.executeFilterBranchMigration(sortedCommits);
-          migratedCommits = filterResult.migratedCommits;
-          successCount = filterResult.successCount;
-          break;
-          
-        case 'interactive-rebase':
-          const rebaseResult = await this.executeInteractiveRebaseMigration(sortedCommits);
-          migratedCommits = rebaseResult.migratedCommits;
-          successCount = rebaseResult.successCount;
-          break;
-          
-        case 'cherry-pick':
-          const cherryResult = await this.executeCherryPickMigration(sortedCommits);
-          migratedCommits = cherryResult.migratedCommits;
-          successCount = cherryResult.successCount;
-          break;
-          
-        default:
-          throw new Error(`Unknown migration strategy: ${strategy}`);
-      }
+    const result = await GitTransaction.execute(this.repoPath, async () => {
+      this.reportProgress('Transaction started, purging history...', 10);
 
-      this.reportProgress('Migration completed, validating results...', 90);
+      const rewrite = await this.getHistoryRewriter().rewrite(
+        plan.targets.map(hash => ({ originalHash: hash })),
+        { purge: filter, rewriteRefs: options.rewriteRefs }
+      );
 
-      // Validate migration integrity
-      const validation = await this.validateMigrationIntegrity(migrationPlan, migratedCommits);
-      if (!validation.success) {
-        throw new Error(`Migration validation failed: ${validation.issues.join(', ')}`);
-      }
+      await this.git.raw(['reset', '-q']);
 
-      this.reportProgress('Migration execution completed successfully', 100);
+      const purgedCommits = [...rewrite.purge.commits.values()].filter(entry =>
+        entry.removedPaths.length > 0 || entry.redactedPaths.length > 0 || entry.messageRedacted
+      ).length;
+
+      this.reportProgress('Purge completed successfully', 100);
 
       return {
         success: true,
-        migratedCount: successCount,
-        totalCommits: sortedCommits.length,
-        migrations: migratedCommits,
-        strategy: strategy,
-        validation: validation
+        strategy: 'fast-import',
+        totalCommits: plan.targets.length,
+        rewrittenCount: rewrite.rewrittenCount,
+        purgedCommits,
+        removedPaths: rewrite.purge.removedPaths,
+        redactedBlobs: rewrite.purge.redactedBlobs,
+        commitMap: rewrite.commitMap,
+        oldHead: rewrite.oldHead,
+        newHead: rewrite.newHead,
+        refUpdates: rewrite.refUpdates,
+        skippedRefs: rewrite.skippedRefs,
+        droppedSignatures: rewrite.droppedSignatures
       };
     });
 
@@ -382,73 +1306,60 @@ class GitManager {
         originalBranch: result.transaction.originalBranch,
         transactionId: result.transaction.operationId
       };
-    } else {
-      throw new Error(result.error);
     }
-  }
 
-  /**
-   * Determine the best migration strategy based on commit characteristics
-   * @param {Array} commits - Array of commits to migrate
-   * @returns {string} Migration strategy ('filter-branch', 'interactive-rebase', 'cherry-pick')
-   */
-  determineMigrationStrategy(commits) {
-    // For large numbers of commits, use filter-branch for efficiency
-    if (commits.length > 20) {
-      return 'filter-branch';
-    }
-    
-    // Check for merge commits which require special handling
-    const hasMergeCommits = commits.some(commit => 
-      commit.parents && commit.parents.length > 1
-    );
-    
-    if (hasMergeCommits) {
-      return 'interactive-rebase';
-    }
-    
-    // For small numbers of linear commits, use cherry-pick for precision
-    if (commits.length <= 5) {
-      return 'cherry-pick';
-    }
-    
-    // Default to interactive rebase for medium-sized operations
-    return 'interactive-rebase';
+    throw new Error(result.error);
   }
 
   /**
    * Execute migration using Git filter-branch for bulk operations
    * @param {Array} commits - Commits to migrate
+   * @param {Object} options - Execution options ({sign, signingKey})
    * @returns {Object} Migration result
    */
-  async executeFilterBranchMigration(commits) {
+  async executeFilterBranchMigration(commits, options = {}) {
     this.reportProgress('Executing filter-branch migration...', 30);
     
     try {
       // Create environment filter script for commit date modification
       const commitDateMap = {};
       commits.forEach(commit => {
-        commitDateMap[commit.originalHash] = commit.newDate;
+        commitDateMap[commit.originalHash] = {
+          authorDate: commit.authorDate || commit.newDate,
+          committerDate: commit.committerDate || commit.newDate
+        };
       });
 
       // Build the environment filter script
       let envFilter = 'case $GIT_COMMIT in\n';
-      Object.entries(commitDateMap).forEach(([hash, date]) => {
+      Object.entries(commitDateMap).forEach(([hash, dates]) => {
         envFilter += `  ${hash})\n`;
-        envFilter += `    export GIT_AUTHOR_DATE="${date}"\n`;
-        envFilter += `    export GIT_COMMITTER_DATE="${date}"\n`;
+        envFilter += `    export GIT_AUTHOR_DATE="${dates.authorDate}"\n`;
+        envFilter += `    export GIT_COMMITTER_DATE="${dates.committerDate}"\n`;
         envFilter += `    ;;\n`;
       });
       envFilter += 'esac';
 
       this.reportProgress('Running filter-branch operation...', 50);
 
+      // filter-branch rewrites in one command, so a resumed migration simply runs it again
+      if (options.journal) {
+        await options.journal.setPhase('filtering');
+      }
+
+      // Sign by wrapping commit-tree; the argument is single-quoted for the filter shell
+      const signArgs = this.getSigningArgs(options);
+      const commitFilter = signArgs.length > 0
+        ? ['--commit-filter', `git commit-tree '${signArgs[0].replace(/'/g, "'\\''")}' "$@"`]
+        : [];
+
       // Execute filter-branch with the environment filter
       await this.git.raw([
         'filter-branch',
         '-f',
         '--env-filter',
         envFilter,
+        ...commitFilter,
         '--',
         '--all'
       ]);
@@ -474,14 +1385,16 @@ class GitManager {
   /**
    * Execute migration using interactive rebase for complex histories
    * @param {Array} commits - Commits to migrate
+   * @param {Object} options - Execution options ({sign, signingKey})
    * @returns {Object} Migration result
    */
-  async executeInteractiveRebaseMigration(commits) {
+  async executeInteractiveRebaseMigration(commits, options = {}) {
     this.reportProgress('Executing interactive rebase migration...', 30);
     
     try {
       const migratedCommits = [];
       let successCount = 0;
+      const done = this.getCompletedCommits(options.resume);
 
       // Process commits in chronological order
       for (let i = 0; i < commits.length; i++) {
@@ -490,6 +1403,12 @@ class GitManager {
         }
 
         const commit = commits[i];
+        if (done.has(commit.originalHash)) {
+          migratedCommits.push({ ...commit, newHash: done.get(commit.originalHash) });
+          successCount++;
+          continue;
+        }
+
         const progress = 30 + (i / commits.length) * 50;
         this.reportProgress(`Processing commit ${i + 1}/${commits.length}: ${commit.originalHash.substring(0, 8)}`, progress);
 
@@ -500,12 +1419,12 @@ class GitManager {
           // Set the new date environment variables
           const env = {
             ...process.env,
-            GIT_AUTHOR_DATE: commit.newDate,
-            GIT_COMMITTER_DATE: commit.newDate
+            GIT_AUTHOR_DATE: commit.authorDate || commit.newDate,
+            GIT_COMMITTER_DATE: commit.committerDate || commit.newDate
           };
 
           // Amend the commit with new date
-          await this.git.env(env).raw(['commit', '--amend', '--no-edit']);
+          await this.git.env(env).raw(['commit', '--amend', '--no-edit', ...this.getSigningArgs(options)]);
 
           // Get the new commit hash
           const newCommitHash = await this.git.revparse(['HEAD']);
@@ -515,6 +1434,7 @@ class GitManager {
             newHash: newCommitHash.trim()
           });
           successCount++;
+          await this.checkpointMigration(options.journal, commit.originalHash, newCommitHash.trim());
 
         } catch (error) {
           console.warn(`Failed to migrate commit ${commit.originalHash}: ${error.message}`);
@@ -534,30 +1454,60 @@ class GitManager {
   /**
    * Execute migration using cherry-pick for precise control
    * @param {Array} commits - Commits to migrate
+   * @param {Object} options - Execution options ({sign, signingKey, journal, resume})
    * @returns {Object} Migration result
    */
-  async executeCherryPickMigration(commits) {
+  async executeCherryPickMigration(commits, options = {}) {
     this.reportProgress('Executing cherry-pick migration...', 30);
     
     try {
       const migratedCommits = [];
       let successCount = 0;
+      const resume = options.resume || null;
+      const done = this.getCompletedCommits(resume);
 
-      // Create a new branch for the migration
-      const migrationBranch = `histofy-migration-${Date.now()}`;
-      const originalBranch = (await this.git.branch()).current;
+      // Create a new branch for the migration (a resumed migration reuses the journaled one)
+      const migrationBranch = (resume && resume.state.migrationBranch) || `histofy-migration-${Date.now()}`;
+      const originalBranch = resume ? resume.originalBranch : (await this.git.branch()).current;
 
-      // Find the base commit (parent of the first commit to migrate)
-      const firstCommit = commits[0];
-      const parents = await this.git.raw(['rev-list', '--parents', '-n', '1', firstCommit.originalHash]);
-      const parentHash = parents.trim().split(' ')[1];
+      if (resume && done.size === commits.length && !(await this.branchExists(migrationBranch))) {
+        // The process died after the branch was reset but before the journal was closed
+        return {
+          migratedCommits: commits.map(commit => ({ ...commit, newHash: done.get(commit.originalHash) })),
+          successCount: commits.length
+        };
+      }
+
+      if (options.journal) {
+        await options.journal.setPhase('picking', { migrationBranch });
+      }
+
+      if (resume && await this.branchExists(migrationBranch)) {
+        if ((await this.git.branch()).current !== migrationBranch) {
+          await this.git.checkout(migrationBranch);
+        }
 
-      if (parentHash) {
-        // Create migration branch from parent commit
-        await this.git.checkoutBranch(migrationBranch, parentHash);
+        const pending = await this.finishPendingCherryPick(commits, options);
+        if (pending) {
+          done.set(pending.originalHash, pending.newHash);
+          await this.checkpointMigration(options.journal, pending.originalHash, pending.newHash);
+        }
       } else {
-        // If no parent, create orphan branch
-        await this.git.raw(['checkout', '--orphan', migrationBranch]);
+        // Nothing survived from an earlier run, so start over from the base commit
+        done.clear();
+
+        // Find the base commit (parent of the first commit to migrate)
+        const firstCommit = commits[0];
+        const parents = await this.git.raw(['rev-list', '--parents', '-n', '1', firstCommit.originalHash]);
+        const parentHash = parents.trim().split(' ')[1];
+
+        if (parentHash) {
+          // Create migration branch from parent commit
+          await this.git.checkoutBranch(migrationBranch, parentHash);
+        } else {
+          // If no parent, create orphan branch
+          await this.git.raw(['checkout', '--orphan', migrationBranch]);
+        }
       }
 
       // Cherry-pick each commit with new date
@@ -567,6 +1517,12 @@ class GitManager {
         }
 
         const commit = commits[i];
+        if (done.has(commit.originalHash)) {
+          migratedCommits.push({ ...commit, newHash: done.get(commit.originalHash) });
+          successCount++;
+          continue;
+        }
+
         const progress = 30 + (i / commits.length) * 50;
         this.reportProgress(`Cherry-picking commit ${i + 1}/${commits.length}: ${commit.originalHash.substring(0, 8)}`, progress);
 
@@ -574,12 +1530,12 @@ class GitManager {
           // Set environment variables for new date
           const env = {
             ...process.env,
-            GIT_AUTHOR_DATE: commit.newDate,
-            GIT_COMMITTER_DATE: commit.newDate
+            GIT_AUTHOR_DATE: commit.authorDate || commit.newDate,
+            GIT_COMMITTER_DATE: commit.committerDate || commit.newDate
           };
 
           // Cherry-pick the commit
-          await this.git.env(env).raw(['cherry-pick', commit.originalHash]);
+          await this.git.env(env).raw(['cherry-pick', ...this.getSigningArgs(options), commit.originalHash]);
 
           // Get the new commit hash
           const newCommitHash = await this.git.revparse(['HEAD']);
@@ -589,6 +1545,7 @@ class GitManager {
             newHash: newCommitHash.trim()
           });
           successCount++;
+          await this.checkpointMigration(options.journal, commit.originalHash, newCommitHash.trim());
 
         } catch (error) {
           console.warn(`Failed to cherry-pick commit ${commit.originalHash}: ${error.message}`);
@@ -612,6 +1569,59 @@ class GitManager {
     }
   }
 
+  /**
+   * Map of commits a resumed migration already rewrote
+   * @param {Object} resume - Journal data of the interrupted migration, or null
+   * @returns {Map} Original hash to rewritten hash
+   */
+  getCompletedCommits(resume) {
+    return new Map((resume ? resume.completed : []).map(entry => [entry.originalHash, entry.newHash]));
+  }
+
+  /**
+   * Check whether a cherry-pick is stopped in the working tree
+   * @returns {Promise<string|null>} Hash of the commit being picked, or null
+   */
+  async getPendingCherryPick() {
+    try {
+      return (await this.git.raw(['rev-parse', '-q', '--verify', 'CHERRY_PICK_HEAD'])).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Commit a cherry-pick that stopped with conflicts, once the user has resolved them
+   * @param {Array} commits - Commits of the migration
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object|null>} {originalHash, newHash}, or null when no cherry-pick was pending
+   */
+  async finishPendingCherryPick(commits, options = {}) {
+    const pendingHash = await this.getPendingCherryPick();
+    if (!pendingHash) {
+      return null;
+    }
+
+    const unmerged = (await this.git.raw(['diff', '--name-only', '--diff-filter=U'])).trim();
+    if (unmerged) {
+      throw new Error(`Resolve the conflicts in ${unmerged.split('\n').join(', ')}, stage them and run histofy migrate --continue`);
+    }
+
+    const commit = commits.find(candidate => candidate.originalHash === pendingHash);
+    if (!commit) {
+      throw new Error(`A cherry-pick of ${pendingHash.substring(0, 8)} is in progress but is not part of this migration`);
+    }
+
+    const env = {
+      ...process.env,
+      GIT_AUTHOR_DATE: commit.authorDate || commit.newDate,
+      GIT_COMMITTER_DATE: commit.committerDate || commit.newDate
+    };
+    await this.git.env(env).raw(['-c', 'core.editor=true', 'cherry-pick', '--continue']);
+
+    return { originalHash: commit.originalHash, newHash: (await this.git.revparse(['HEAD'])).trim() };
+  }
+
   /**
    * Migrate a single commit using Git amend strategy
    * @param {Object} commitPlan - Single commit migration plan
@@ -632,8 +1642,8 @@ class GitManager {
       // Set the new date environment variables
       const env = {
         ...process.env,
-        GIT_AUTHOR_DATE: commitPlan.newDate,
-        GIT_COMMITTER_DATE: commitPlan.newDate
+        GIT_AUTHOR_DATE: commitPlan.authorDate || commitPlan.newDate,
+        GIT_COMMITTER_DATE: commitPlan.committerDate || commitPlan.newDate
       };
 
       // Amend the commit with new date
@@ -673,15 +1683,18 @@ class GitManager {
       // Create environment filter script for all commits
       const commitDateMap = {};
       commitPlans.forEach(plan => {
-        commitDateMap[plan.originalHash] = plan.newDate;
+        commitDateMap[plan.originalHash] = {
+          authorDate: plan.authorDate || plan.newDate,
+          committerDate: plan.committerDate || plan.newDate
+        };
       });
 
       // Build the environment filter script
       let envFilter = 'case $GIT_COMMIT in\n';
-      Object.entries(commitDateMap).forEach(([hash, date]) => {
+      Object.entries(commitDateMap).forEach(([hash, dates]) => {
         envFilter += `  ${hash})\n`;
-        envFilter += `    export GIT_AUTHOR_DATE="${date}"\n`;
-        envFilter += `    export GIT_COMMITTER_DATE="${date}"\n`;
+        envFilter += `    export GIT_AUTHOR_DATE="${dates.authorDate}"\n`;
+        envFilter += `    export GIT_COMMITTER_DATE="${dates.committerDate}"\n`;
         envFilter += `    ;;\n`;
       });
       envFilter += 'esac';
@@ -753,8 +1766,8 @@ class GitManager {
         // Use cherry-pick with custom date
         const env = {
           ...process.env,
-          GIT_AUTHOR_DATE: plan.newDate,
-          GIT_COMMITTER_DATE: plan.newDate
+          GIT_AUTHOR_DATE: plan.authorDate || plan.newDate,
+          GIT_COMMITTER_DATE: plan.committerDate || plan.newDate
         };
 
         // This is a simplified approach - in practice, you'd need more sophisticated rebase logic
@@ -833,9 +1846,11 @@ class GitManager {
    * Validate commit integrity after migration
    * @param {Array} originalCommits - Original commit list
    * @param {Array} migratedCommits - Migrated commit list
+   * @param {Object} options - Validation options
+   * @param {Object} options.commitMap - Original to rewritten hash map; enables parent-graph and tree checks
    * @returns {Object} Validation result
    */
-  async validateCommitIntegrity(originalCommits, migratedCommits) {
+  async validateCommitIntegrity(originalCommits, migratedCommits, options = {}) {
     try {
       const validation = {
         success: true,
@@ -870,10 +1885,21 @@ class GitManager {
       }
 
       validation.summary.integrityChecks = [
-        `Commit count: ${validation.summary.migratedCount}/${validation.summary.originalCount}`,
-        `Issues found: ${validation.issues.length}`
+        `Commit count: ${validation.summary.migratedCount}/${validation.summary.originalCount}`
       ];
 
+      // Every rewritten commit must keep its tree and map onto the same parent graph
+      if (options.commitMap && Object.keys(options.commitMap).length > 0) {
+        const graphCheck = await this.getHistoryRewriter().verifyRewrite(options.commitMap);
+        if (!graphCheck.success) {
+          validation.issues.push(...graphCheck.issues);
+          validation.success = false;
+        }
+        validation.summary.integrityChecks.push(`Parent graph and trees: ${graphCheck.checked} commit(s) verified`);
+      }
+
+      validation.summary.integrityChecks.push(`Issues found: ${validation.issues.length}`);
+
       return validation;
 
     } catch (error) {
@@ -893,16 +1919,23 @@ class GitManager {
   /**
    * Create a backup of the current branch
    * @param {string} backupName - Name for the backup branch
+   * @param {Object} options - Backup options
+   * @param {boolean} options.isolated - Create the branch without checking anything out
    * @returns {Object} Backup result
    */
-  async createBackup(backupName = null) {
+  async createBackup(backupName = null, options = {}) {
     try {
       const currentBranch = (await this.git.branch()).current;
       const backupBranch = backupName || `histofy-backup-${currentBranch}-${Date.now()}`;
       
       // Create backup branch
-      await this.git.checkoutBranch(backupBranch, currentBranch);
-      await this.git.checkout(currentBranch);
+      if (options.isolated) {
+        // Leave the checkout alone
+        await this.git.raw(['branch', backupBranch, currentBranch]);
+      } else {
+        await this.git.checkoutBranch(backupBranch, currentBranch);
+        await this.git.checkout(currentBranch);
+      }
       
       return {
         success: true,
@@ -959,9 +1992,7 @@ class GitManager {
   async branchExists(branchName) {
     try {
       const branches = await this.git.branch(['-a']);
-      return branches.all.some(branch => 
-        branch.name === branchName || branch.name === `remotes/origin/${branchName}`
-      );
+      return branches.all.includes(branchName) || branches.all.includes(`remotes/origin/${branchName}`);
     } catch (error) {
       return false;
     }
@@ -1508,8 +2539,10 @@ class GitManager {
     const { 
       autoResolveStrategy = null, 
       createBackup = true,
-      rollbackOnFailure = true 
+      rollbackOnFailure = true,
+      isolated = false
     } = options;
+    let backupInfo = null;
 
     try {
       this.resetCancellation();
@@ -1520,10 +2553,9 @@ class GitManager {
       }
 
       // Create backup before starting
-      let backupInfo = null;
       if (createBackup) {
         this.reportProgress('Creating backup...', 10);
-        backupInfo = await this.createBackup();
+        backupInfo = await this.createBackup(null, { isolated });
         if (!backupInfo.success) {
           throw new Error(`Failed to create backup: ${backupInfo.error}`);
         }
@@ -1531,7 +2563,7 @@ class GitManager {
       }
 
       // Validate repository state
-      const repoValidation = await this.validateRepositoryForMigration();
+      const repoValidation = await this.validateRepositoryForMigration({ isolated });
       if (!repoValidation.success) {
         throw new Error(`Repository validation failed: ${repoValidation.issues.join(', ')}`);
       }
@@ -1541,10 +2573,17 @@ class GitManager {
       // Execute the migration
       let migrationResult;
       try {
-        migrationResult = await this.executeMigration(migrationPlan);
+        migrationResult = await this.executeMigration(migrationPlan, {
+          strategy: options.strategy,
+          rewriteRefs: options.rewriteRefs,
+          sign: options.sign,
+          signingKey: options.signingKey,
+          history: options.history,
+          isolated
+        });
       } catch (error) {
-        // Check if the error is due to conflicts
-        const conflicts = await this.detectConflicts();
+        // Check if the error is due to conflicts (an isolated migration never leaves any in the user's checkout)
+        const conflicts = isolated ? { hasConflicts: false } : await this.detectConflicts();
         
         if (conflicts.hasConflicts) {
           console.log(chalk.yellow('\n⚠️  Migration paused due to conflicts'));
@@ -1603,13 +2642,15 @@ class GitManager {
         success: true,
         message: 'Migration completed successfully',
         migrationResult,
+        commitMap: migrationResult?.commitMap || null,
+        refUpdates: migrationResult?.refUpdates || [],
         backupBranch: backupInfo?.backupBranch,
         conflictsEncountered: migrationResult?.conflictsResolved || false
       };
 
     } catch (error) {
-      // Handle migration failure with rollback
-      if (rollbackOnFailure && backupInfo?.backupBranch) {
+      // Handle migration failure with rollback; an isolated migration's transaction already moved the branch back
+      if (rollbackOnFailure && backupInfo?.backupBranch && !isolated) {
         console.log(chalk.red(`\n❌ Migration failed: ${error.message}`));
         console.log(chalk.yellow('🔄 Attempting rollback...'));
         
@@ -1654,6 +2695,327 @@ class GitManager {
     }
   }
 
+  /**
+   * Close the journal of a failed migration: it is removed when the repository is back to where it started,
+   * otherwise it is kept (marked failed) so the migration can be continued or aborted
+   * @param {MigrationJournal} journal - Journal of the failed migration
+   * @param {string} errorMessage - Why the migration failed
+   */
+  async settleMigrationJournal(journal, errorMessage) {
+    const data = journal.data;
+    if (!data) {
+      return;
+    }
+
+    try {
+      // Refs moved by the native engine are not covered by the branch rollback
+      const movedOtherRefs = ['refs-updated', 'completed'].includes(data.phase) && (data.state.refUpdates || []).length > 1;
+
+      if (data.options.isolated) {
+        // The user's checkout may be anywhere; only the branch and the worktree matter
+        const tip = (await this.git.revparse([`refs/heads/${data.originalBranch}`])).trim();
+        if (tip === data.originalHead && !data.worktree && !movedOtherRefs) {
+          await journal.clear();
+          return;
+        }
+      } else {
+        const branch = (await this.git.raw(['symbolic-ref', '-q', '--short', 'HEAD']).catch(() => '')).trim();
+        const head = (await this.git.revparse(['HEAD'])).trim();
+
+        if (branch === data.originalBranch && head === data.originalHead && !movedOtherRefs &&
+            !(await this.getPendingCherryPick())) {
+          await journal.clear();
+          return;
+        }
+      }
+
+      await journal.update({ status: 'failed', error: errorMessage });
+    } catch (error) {
+      console.warn(`Warning: Could not update migration journal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the journal of a migration that can be continued or aborted
+   * @param {MigrationJournal} journal - Repository journal
+   * @returns {Promise<Object>} Journal data
+   */
+  async loadInterruptedMigration(journal) {
+    const data = await journal.load();
+    if (!data) {
+      throw new Error('No interrupted migration found');
+    }
+    if (!MigrationJournal.isInterrupted(data)) {
+      throw new Error(`The migration is still running in process ${data.pid}`);
+    }
+    return data;
+  }
+
+  /**
+   * Describe the migration recorded in the journal, if any
+   * @returns {Promise<Object|null>} Journal summary plus the live repository state, or null
+   */
+  async getMigrationStatus() {
+    const journal = this.getMigrationJournal();
+    const data = await journal.load();
+    if (!data) {
+      return null;
+    }
+
+    // An isolated migration stops in its own worktree, not in the user's checkout
+    let workspace = this;
+    if (data.worktree) {
+      const worktree = IsolatedWorktree.fromJSON(this.repoPath, data.worktree);
+      workspace = (await worktree.exists()) ? this.createWorktreeManager(worktree) : null;
+    } else if (data.options.isolated) {
+      workspace = null;
+    }
+
+    const pendingCherryPick = workspace ? await workspace.getPendingCherryPick() : null;
+    const conflicts = pendingCherryPick
+      ? (await workspace.git.raw(['diff', '--name-only', '--diff-filter=U'])).trim().split('\n').filter(Boolean)
+      : [];
+
+    return {
+      ...MigrationJournal.summarize(data),
+      journalPath: await journal.getPath(),
+      currentBranch: (await this.git.raw(['symbolic-ref', '-q', '--short', 'HEAD']).catch(() => '')).trim() || null,
+      migrationBranch: data.state.migrationBranch || null,
+      isolated: Boolean(data.options.isolated),
+      worktreePath: data.worktree ? data.worktree.path : null,
+      pendingCherryPick,
+      conflicts
+    };
+  }
+
+  /**
+   * Resume an interrupted migration from its journal.
+   * Cherry-pick and interactive-rebase migrations continue after the last journaled commit (finishing a
+   * cherry-pick whose conflicts the user resolved); the native engine and filter-branch rewrite in a single
+   * pass, so they run again unless the refs had already moved.
+   * @returns {Promise<Object>} Migration result (as executeMigration) with resumed: true and the journaled history entry
+   */
+  async continueMigration() {
+    this.resetCancellation();
+
+    const journal = this.getMigrationJournal();
+    const data = await this.loadInterruptedMigration(journal);
+    const { strategy, commits } = data;
+
+    this.reportProgress(`Resuming ${strategy} migration (${data.completed.length}/${commits.length} commit(s) done)...`, 10);
+    await journal.update({ status: 'running', pid: process.pid, error: null });
+
+    let strategyResult;
+    let validation;
+    try {
+      strategyResult = await this.resumeMigrationStrategy(data, journal);
+
+      this.reportProgress('Migration completed, validating results...', 90);
+      validation = await this.validateCommitIntegrity(commits, strategyResult.migratedCommits, {
+        commitMap: strategyResult.commitMap
+      });
+      if (!validation.success) {
+        throw new Error(`Migration validation failed: ${validation.issues.join(', ')}`);
+      }
+    } catch (error) {
+      await journal.update({ status: 'failed', error: error.message });
+      throw error;
+    }
+
+    await journal.clear();
+    this.reportProgress('Migration execution completed successfully', 100);
+
+    return {
+      success: true,
+      resumed: true,
+      migratedCount: strategyResult.successCount,
+      totalCommits: commits.length,
+      migrations: strategyResult.migratedCommits,
+      strategy,
+      commitMap: strategyResult.commitMap || this.buildCommitMap(strategyResult.migratedCommits),
+      refUpdates: strategyResult.refUpdates || [],
+      skippedRefs: strategyResult.skippedRefs || [],
+      signed: Boolean(data.options.sign),
+      droppedSignatures: strategyResult.droppedSignatures || 0,
+      rewrittenMessages: strategyResult.rewrittenMessages || 0,
+      rewrittenIdentities: strategyResult.rewrittenIdentities || 0,
+      validation,
+      backupBranch: data.backupBranch,
+      originalBranch: data.originalBranch,
+      originalHead: data.originalHead,
+      transactionId: data.transactionId,
+      history: data.history
+    };
+  }
+
+  /**
+   * Run the remaining part of a journaled migration
+   * @param {Object} data - Journal data
+   * @param {MigrationJournal} journal - Journal to keep checkpointing into
+   * @returns {Promise<Object>} Strategy result ({migratedCommits, successCount, commitMap, refUpdates})
+   */
+  async resumeMigrationStrategy(data, journal) {
+    const options = { ...data.options, journal, resume: data };
+    const state = data.state || {};
+
+    if (data.strategy === 'fast-import') {
+      const branchRef = `refs/heads/${data.originalBranch}`;
+      const tip = (await this.git.revparse([branchRef])).trim();
+      const finished = data.phase === 'refs-updated' || data.phase === 'completed' ||
+        (data.phase === 'imported' && tip === state.newHead);
+
+      if (finished) {
+        // The ref transaction went through before the process died; only the bookkeeping is left
+        return {
+          migratedCommits: data.commits.map(commit => ({ ...commit, newHash: state.commitMap[commit.originalHash] })),
+          successCount: data.commits.length,
+          commitMap: state.commitMap,
+          refUpdates: state.refUpdates,
+          skippedRefs: state.skippedRefs
+        };
+      }
+
+      if (tip !== data.originalHead) {
+        throw new Error(`Branch ${data.originalBranch} has moved since the migration started. Run histofy migrate --abort`);
+      }
+      if ((await this.git.raw(['symbolic-ref', '-q', '--short', 'HEAD']).catch(() => '')).trim() !== data.originalBranch) {
+        if (data.options.isolated) {
+          // Checking the branch out would disturb the user's working tree
+          throw new Error(`Switch back to ${data.originalBranch} and run histofy migrate --continue again`);
+        }
+        await this.git.checkout(data.originalBranch);
+      }
+    } else if (data.options.isolated && data.phase === 'publishing' &&
+      (await this.git.revparse([`refs/heads/${data.originalBranch}`])).trim() === state.newHead) {
+      // The branch was moved before the process died; only the worktree is left to clean up
+      if (data.worktree) {
+        await IsolatedWorktree.fromJSON(this.repoPath, data.worktree).remove();
+        await journal.update({ worktree: null });
+      }
+      const done = this.getCompletedCommits(data);
+      return {
+        migratedCommits: data.commits.map(commit => ({ ...commit, newHash: done.get(commit.originalHash) })),
+        successCount: data.commits.length,
+        newHead: state.newHead
+      };
+    }
+
+    return this.runMigrationStrategy(data.strategy, data.commits, options);
+  }
+
+  /**
+   * Roll back an interrupted migration: restore the original branch and any other refs that moved, and remove
+   * the temporary branches and refs it left behind. The backup branch is deleted too, as it then matches the branch.
+   * @returns {Promise<Object>} {success, restoredBranch, originalHead, revertedRefs, deletedRefs, backupDeleted, issues}
+   */
+  async abortMigration() {
+    const journal = this.getMigrationJournal();
+    const data = await this.loadInterruptedMigration(journal);
+    const state = data.state || {};
+    const revertedRefs = [];
+    const deletedRefs = [];
+    const issues = [];
+
+    this.reportProgress('Aborting interrupted migration...', 10);
+
+    const isolated = Boolean(data.options.isolated);
+    const branchRef = `refs/heads/${data.originalBranch}`;
+
+    // An isolated migration's worktree (and any cherry-pick stopped in it) simply goes away
+    if (data.worktree) {
+      await IsolatedWorktree.fromJSON(this.repoPath, data.worktree).remove();
+      deletedRefs.push(`refs/heads/${data.worktree.branch}`);
+    }
+
+    // A stopped cherry-pick would block the checkout below
+    if (!isolated && await this.getPendingCherryPick()) {
+      await this.git.raw(['cherry-pick', '--abort']).catch(() => this.git.raw(['cherry-pick', '--quit']).catch(() => {}));
+    }
+
+    // Other refs moved by the native engine; the first update is the current branch, restored below
+    for (const update of (state.refUpdates || []).slice(1)) {
+      const current = (await this.git.raw(['rev-parse', '-q', '--verify', update.ref]).catch(() => '')).trim();
+      if (current === update.newValue) {
+        await this.git.raw(['update-ref', '-m', 'histofy: abort migration', update.ref, update.oldValue, update.newValue]);
+        revertedRefs.push(update.ref);
+      } else if (current !== update.oldValue) {
+        issues.push(`${update.ref} has moved since the migration and was left as is`);
+      }
+    }
+
+    // Refs rewritten by filter-branch keep their originals under refs/original/
+    const originals = (await this.git.raw(['for-each-ref', '--format=%(refname) %(objectname)', 'refs/original/'])).trim();
+    for (const line of originals.split('\n').filter(Boolean)) {
+      const [originalRef, value] = line.split(' ');
+      const ref = originalRef.replace(/^refs\/original\//, '');
+      if (ref !== branchRef || isolated) {
+        await this.git.raw(['update-ref', '-m', 'histofy: abort migration', ref, value]);
+        revertedRefs.push(ref);
+      }
+      await this.git.raw(['update-ref', '-d', originalRef]);
+    }
+
+    this.reportProgress(`Restoring ${data.originalBranch} to ${data.originalHead.substring(0, 8)}...`, 50);
+    if (isolated) {
+      // Only move the branch back from where this migration put it; the working tree is left alone
+      const tip = (await this.git.revparse([branchRef])).trim();
+      if (tip !== data.originalHead) {
+        if (tip === state.newHead) {
+          await this.git.raw(['update-ref', '-m', 'histofy: abort migration', branchRef, data.originalHead, tip]);
+        } else {
+          issues.push(`${data.originalBranch} has moved since the migration and was left as is`);
+        }
+      }
+    } else {
+      await this.git.raw(['checkout', '-f', data.originalBranch]);
+      await this.git.raw(['reset', '--hard', data.originalHead]);
+    }
+
+    const head = (await this.git.revparse([isolated ? branchRef : 'HEAD'])).trim();
+    if (head !== data.originalHead && !(isolated && issues.length > 0)) {
+      await journal.update({ status: 'failed', error: 'Abort could not restore the original commit' });
+      throw new Error(`Abort could not restore ${data.originalBranch}; the backup is still available as ${data.backupBranch}`);
+    }
+
+    this.reportProgress('Removing temporary branches and refs...', 80);
+
+    if (state.migrationBranch && await this.branchExists(state.migrationBranch)) {
+      await this.git.raw(['branch', '-D', state.migrationBranch]);
+      deletedRefs.push(`refs/heads/${state.migrationBranch}`);
+    }
+
+    const tempRefs = (await this.git.raw(['for-each-ref', '--format=%(refname)', 'refs/histofy/', 'refs/notes/'])).trim();
+    for (const ref of tempRefs.split('\n').filter(ref => /^refs\/(histofy\/rewrite-|notes\/histofy-rewrite-)/.test(ref))) {
+      await this.git.raw(['update-ref', '-d', ref]);
+      deletedRefs.push(ref);
+    }
+
+    let backupDeleted = false;
+    if (data.backupBranch && await this.branchExists(data.backupBranch)) {
+      const backupHead = (await this.git.revparse([data.backupBranch])).trim();
+      if (backupHead === data.originalHead) {
+        await this.git.raw(['branch', '-D', data.backupBranch]);
+        backupDeleted = true;
+      } else {
+        issues.push(`Backup branch ${data.backupBranch} does not match the restored commit and was kept`);
+      }
+    }
+
+    await journal.clear();
+    this.reportProgress('Migration aborted', 100);
+
+    return {
+      success: true,
+      restoredBranch: data.originalBranch,
+      originalHead: data.originalHead,
+      revertedRefs,
+      deletedRefs,
+      backupBranch: data.backupBranch,
+      backupDeleted,
+      issues
+    };
+  }
+
   /**
    * Get detailed commit information
    * @param {string} commitHash - Commit hash to get info for
@@ -1696,11 +3058,56 @@ class GitManager {
     }
   }
 
+  /**
+   * Read the author and committer dates of commits
+   * @param {Array} hashes - Commit hashes
+   * @returns {Promise<Map>} Map of hash to {authorDate, committerDate} (ISO 8601)
+   */
+  async getCommitDates(hashes) {
+    const dates = new Map();
+    if (hashes.length === 0) {
+      return dates;
+    }
+
+    const output = await this.git.raw(['log', '--no-walk=unsorted', '--format=%H %aI %cI', ...hashes]);
+    output.split('\n').filter(Boolean).forEach(line => {
+      const [hash, authorDate, committerDate] = line.trim().split(' ');
+      dates.set(hash, { authorDate, committerDate });
+    });
+    return dates;
+  }
+
+  /**
+   * List the commits of a range with their parents and dates, for checking chronology
+   * @param {string} range - Commit range or revision (default: HEAD)
+   * @returns {Promise<Array>} Commits ({hash, parents, authorDate, committerDate, subject}), newest first in
+   * topological order; dates in ISO 8601 with the original offsets
+   */
+  async listCommitChronology(range = 'HEAD') {
+    if (!range || range.startsWith('-')) {
+      throw new Error(`Invalid commit range: ${range}`);
+    }
+
+    let output;
+    try {
+      output = await this.git.raw(['log', '--topo-order', '--format=%H%x1f%P%x1f%aI%x1f%cI%x1f%s%x1e', range, '--']);
+    } catch (error) {
+      throw new Error(`Invalid commit range: ${range}`);
+    }
+
+    return output.split('\x1e').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [hash, parents, authorDate, committerDate, subject] = entry.split('\x1f');
+      return { hash, parents: parents.split(' ').filter(Boolean), authorDate, committerDate, subject };
+    });
+  }
+
   /**
    * Verify repository is in a clean state for migration
+   * @param {Object} options - Validation options
+   * @param {boolean} options.isolated - The migration runs isolated, so uncommitted changes are only reported
    * @returns {Object} Repository state validation
    */
-  async validateRepositoryForMigration() {
+  async validateRepositoryForMigration(options = {}) {
     try {
       const status = await this.git.status();
       const validation = {
@@ -1710,11 +3117,16 @@ class GitManager {
       };
 
       if (!validation.isClean) {
+        const changes = options.isolated ? validation.warnings : validation.issues;
         if (status.staged.length > 0) {
-          validation.issues.push(`${status.staged.length} staged file(s) need to be committed`);
+          changes.push(options.isolated
+            ? `${status.staged.length} staged file(s) will be left untouched`
+            : `${status.staged.length} staged file(s) need to be committed`);
         }
         if (status.modified.length > 0) {
-          validation.issues.push(`${status.modified.length} modified file(s) need to be committed or stashed`);
+          changes.push(options.isolated
+            ? `${status.modified.length} modified file(s) will be left untouched`
+            : `${status.modified.length} modified file(s) need to be committed or stashed`);
         }
         if (status.not_added.length > 0) {
           validation.warnings.push(`${status.not_added.length} untracked file(s) present`);
@@ -1789,6 +3201,47 @@ class GitManager {
       throw new Error(`Failed to get repository info: ${error.message}`);
     }
   }
+
+  /**
+   * List the commits of a revision with their author email and date
+   * @param {Object} options - Filters
+   * @param {string} options.revision - Revision whose history is listed (default: HEAD)
+   * @param {string} options.since - Only commits after this date
+   * @param {string} options.until - Only commits before this date
+   * @param {string} options.author - Only commits whose author matches this pattern
+   * @returns {Promise<Array>} Commits ({hash, email, date}), date in ISO 8601 with the author's offset
+   */
+  async listAuthoredCommits(options = {}) {
+    const args = ['log', '--format=%H%x1f%aE%x1f%aI'];
+    if (options.since) args.push(`--since=${options.since}`);
+    if (options.until) args.push(`--until=${options.until}`);
+    if (options.author) args.push(`--author=${options.author}`);
+    args.push(options.revision || 'HEAD', '--');
+
+    try {
+      const output = await this.git.raw(args);
+      return output.split('\n').filter(Boolean).map(line => {
+        const [hash, email, date] = line.split('\x1f');
+        return { hash, email, date };
+      });
+    } catch (error) {
+      throw new Error(`Failed to list commits of ${options.revision || 'HEAD'}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a ref exists
+   * @param {string} ref - Full ref name, e.g. refs/remotes/origin/main
+   * @returns {Promise<boolean>} True when the ref resolves to a commit
+   */
+  async refExists(ref) {
+    try {
+      await this.git.raw(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
   /**
    * Get parent commit hash
    * @param {string} commitHash - Commit hash
@@ -1839,6 +3292,21 @@ class GitManager {
     }
   }
 
+  /**
+   * Move a ref, only if it still points at the expected value
+   * @param {string} ref - Full ref name
+   * @param {string} newValue - New object hash
+   * @param {string} oldValue - Expected current object hash
+   */
+  async updateRef(ref, newValue, oldValue) {
+    try {
+      await this.git.raw(['update-ref', '-m', 'histofy: restore ref', ref, newValue, oldValue]);
+      return { success: true, ref, newValue };
+    } catch (error) {
+      throw new Error(`Failed to update ${ref}: ${error.message}`);
+    }
+  }
+
   /**
    * Get list of branches
    * @returns {Promise<Array>} List of branch names
@@ -1867,19 +3335,26 @@ class GitManager {
       offset = 0,
       includeFiles = false,
       includeDiffs = false,
+      dateOrder = false,
       format = 'full'
     } = options;
 
     try {
       const logOptions = {
         maxCount: limit,
-        from: branch || 'HEAD'
+        format: COMMIT_LOG_FORMAT
       };
 
-      // Add filters
-      if (since) logOptions.since = since;
-      if (until) logOptions.until = until;
-      if (author) logOptions.author = author;
+      // Pass the branch as a revision argument (from/to would turn it into an empty HEAD.. range)
+      if (branch) logOptions[branch] = null;
+
+      // Newest first, but never a parent before its children, even when commit dates are out of order
+      if (dateOrder) logOptions['--date-order'] = null;
+
+      // Add filters (keys without dashes would be passed to git as revisions)
+      if (since) logOptions['--since'] = since;
+      if (until) logOptions['--until'] = until;
+      if (author) logOptions['--author'] = author;
 
       // Handle pagination with offset
       if (offset > 0) {
@@ -1894,10 +3369,16 @@ class GitManager {
         const processedCommit = {
           hash: commit.hash,
           date: commit.date,
+          authorDate: commit.date,
+          committerDate: commit.committer_date || commit.date,
           message: commit.message,
+          body: commit.body || '',
           author: commit.author_name,
           email: commit.author_email,
-          refs: commit.refs || ''
+          committer: commit.committer_name || commit.author_name,
+          committerEmail: commit.committer_email || commit.author_email,
+          refs: commit.refs || '',
+          trailers: TrailerUtils.parse(commit.trailers)
         };
 
         // Include file changes if requested
@@ -2156,4 +3637,6 @@ class GitManager {
   }
 }
 
+GitManager.MIGRATION_STRATEGIES = MIGRATION_STRATEGIES;
+
 module.exports = GitManager;
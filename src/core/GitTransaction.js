@@ -13,7 +13,14 @@ const crypto = require('crypto');
 const chalk = require('chalk');
 
 class GitTransaction {
-  constructor(repoPath, operationId = null) {
+  /**
+   * @param {string} repoPath - Repository path
+   * @param {string} operationId - Operation ID (generated when omitted)
+   * @param {Object} options - Transaction options
+   * @param {boolean} options.isolated - The operation never touches the working tree: the backup allows
+   * uncommitted changes and rollback only moves the branch ref back
+   */
+  constructor(repoPath, operationId = null, options = {}) {
     this.repoPath = repoPath;
     this.operationId = operationId || this.generateOperationId();
     this.git = simpleGit(repoPath);
@@ -24,6 +31,8 @@ class GitTransaction {
     this.rolledBack = false;
     this.startTime = new Date();
     this.backupMetadata = null;
+    this.isolated = Boolean(options.isolated);
+    this.movedHead = null;
   }
 
   /**
@@ -50,14 +59,19 @@ class GitTransaction {
       this.originalBranch = currentBranch;
       this.backupBranch = `histofy-backup-${this.operationId}`;
 
-      // Validate repository state
-      if (!status.isClean()) {
-        throw new Error('Repository must be clean before creating backup. Please commit or stash changes.');
-      }
+      if (this.isolated) {
+        // Uncommitted changes stay where they are, so the backup is made without a checkout
+        await this.git.raw(['branch', this.backupBranch, headCommit.trim()]);
+      } else {
+        // Validate repository state
+        if (!status.isClean()) {
+          throw new Error('Repository must be clean before creating backup. Please commit or stash changes.');
+        }
 
-      // Create backup branch from current HEAD
-      await this.git.checkoutBranch(this.backupBranch, currentBranch);
-      await this.git.checkout(currentBranch);
+        // Create backup branch from current HEAD
+        await this.git.checkoutBranch(this.backupBranch, currentBranch);
+        await this.git.checkout(currentBranch);
+      }
 
       // Store backup metadata
       this.backupMetadata = {
@@ -67,6 +81,7 @@ class GitTransaction {
         headCommit: headCommit.trim(),
         timestamp: this.startTime.toISOString(),
         repositoryPath: this.repoPath,
+        isolated: this.isolated,
         status: status
       };
 
@@ -128,6 +143,14 @@ class GitTransaction {
     }
   }
 
+  /**
+   * Record where an isolated operation moved the original branch, so rollback can move it back
+   * @param {string} newHead - New tip of the original branch
+   */
+  recordBranchMove(newHead) {
+    this.movedHead = newHead;
+  }
+
   /**
    * Commit the transaction (cleanup backup if successful)
    */
@@ -181,6 +204,10 @@ class GitTransaction {
       throw new Error('Transaction already rolled back');
     }
 
+    if (this.isolated) {
+      return this.rollbackIsolated();
+    }
+
     try {
       // Get current branch
       const currentBranch = (await this.git.branch()).current;
@@ -218,6 +245,38 @@ class GitTransaction {
     }
   }
 
+  /**
+   * Roll back an isolated transaction by moving the original branch back to the backup.
+   * The working tree is left alone, and a branch that moved for any other reason is never reset.
+   */
+  async rollbackIsolated() {
+    try {
+      const branchRef = `refs/heads/${this.originalBranch}`;
+      const backupHead = (await this.git.revparse([this.backupBranch])).trim();
+      const currentHead = (await this.git.revparse([branchRef])).trim();
+
+      if (currentHead !== backupHead) {
+        if (currentHead !== this.movedHead) {
+          throw new Error(`${this.originalBranch} has moved since the operation started and was left as is`);
+        }
+        await this.git.raw(['update-ref', '-m', 'histofy: rollback', branchRef, backupHead, currentHead]);
+      }
+
+      this.rolledBack = true;
+
+      return {
+        success: true,
+        operationId: this.operationId,
+        restoredBranch: this.originalBranch,
+        backupBranch: this.backupBranch,
+        message: 'Transaction rolled back successfully'
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to rollback transaction: ${error.message}`);
+    }
+  }
+
   /**
    * Validate current repository state
    */
@@ -288,6 +347,7 @@ class GitTransaction {
       rolledBack: this.rolledBack,
       backupBranch: this.backupBranch,
       originalBranch: this.originalBranch,
+      isolated: this.isolated,
       startTime: this.startTime,
       metadata: this.backupMetadata
     };
@@ -295,9 +355,13 @@ class GitTransaction {
 
   /**
    * Create a transaction wrapper for executing operations safely
+   * @param {string} repoPath - Repository path
+   * @param {Function} operation - Operation receiving the transaction
+   * @param {string} operationId - Operation ID (generated when omitted)
+   * @param {Object} options - Transaction options ({isolated})
    */
-  static async execute(repoPath, operation, operationId = null) {
-    const transaction = new GitTransaction(repoPath, operationId);
+  static async execute(repoPath, operation, operationId = null, options = {}) {
+    const transaction = new GitTransaction(repoPath, operationId, options);
     
     try {
       // Create backup
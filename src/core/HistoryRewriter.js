@@ -0,0 +1,1175 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * HistoryRewriter - Native history rewriting built on git fast-export/fast-import streams
+ */
+
+const moment = require('moment');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { spawn } = require('child_process');
+
+// fast-export --reencode (used to keep messages byte-identical) was added in Git 2.23
+const MIN_GIT_VERSION = [2, 23, 0];
+
+// Commands that start a new entry in a fast-import stream
+const STREAM_COMMANDS = new Set([
+  'commit', 'reset', 'tag', 'blob', 'feature', 'option', 'done',
+  'progress', 'checkpoint', 'alias', 'ls', 'cat-blob', 'get-mark'
+]);
+
+const LF = Buffer.from('\n');
+
+class HistoryRewriter {
+  /**
+   * @param {string} repoPath - Repository path
+   * @param {Object} options - Rewriter options
+   * @param {Function} options.onProgress - Progress callback (message, progress)
+   */
+  constructor(repoPath = process.cwd(), options = {}) {
+    this.repoPath = repoPath;
+    this.onProgress = options.onProgress || null;
+  }
+
+  /**
+   * Report progress to the callback, if any
+   * @param {string} message - Progress message
+   * @param {number} progress - Progress percentage
+   */
+  reportProgress(message, progress = null) {
+    if (this.onProgress) {
+      this.onProgress(message, progress);
+    }
+  }
+
+  /**
+   * Run a git command, optionally feeding it stdin
+   * @param {Array} args - Git arguments
+   * @param {string|Buffer} input - Optional stdin content
+   * @param {Object} env - Optional extra environment variables
+   * @param {Function} onStdout - Optional handler for stdout chunks; stdout is not buffered then
+   * @returns {Promise<Buffer>} Raw stdout (empty when onStdout is given)
+   */
+  runGit(args, input = null, env = null, onStdout = null) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', args, { cwd: this.repoPath, env: env ? { ...process.env, ...env } : process.env });
+      const stdout = [];
+      const stderr = [];
+      let handlerError = null;
+
+      child.stdout.on('data', chunk => {
+        if (!onStdout) {
+          stdout.push(chunk);
+          return;
+        }
+        if (handlerError) {
+          return;
+        }
+
+        try {
+          onStdout(chunk);
+        } catch (error) {
+          handlerError = error;
+          child.kill();
+        }
+      });
+      child.stderr.on('data', chunk => stderr.push(chunk));
+      child.on('error', error => reject(new Error(`git ${args[0]} failed: ${error.message}`)));
+      child.on('close', code => {
+        if (handlerError) {
+          reject(handlerError);
+          return;
+        }
+        if (code !== 0) {
+          const message = Buffer.concat(stderr).toString().trim() || `exit code ${code}`;
+          reject(new Error(`git ${args[0]} failed: ${message}`));
+          return;
+        }
+        resolve(Buffer.concat(stdout));
+      });
+
+      // Ignore EPIPE if git exits before reading all input; the close handler reports the failure
+      child.stdin.on('error', () => {});
+      child.stdin.end(input === null ? undefined : input);
+    });
+  }
+
+  /**
+   * Check whether the installed git supports the native rewrite engine
+   * @returns {Promise<boolean>} True if fast-export/fast-import are usable
+   */
+  async isSupported() {
+    if (this.supported !== undefined) {
+      return this.supported;
+    }
+
+    try {
+      const output = (await this.runGit(['version'])).toString();
+      const match = /(\d+)\.(\d+)(?:\.(\d+))?/.exec(output);
+      const version = match ? [match[1], match[2], match[3] || '0'].map(Number) : [0, 0, 0];
+      const index = version.findIndex((part, i) => part !== MIN_GIT_VERSION[i]);
+
+      this.supported = index === -1 || version[index] > MIN_GIT_VERSION[index];
+    } catch (error) {
+      this.supported = false;
+    }
+
+    return this.supported;
+  }
+
+  /**
+   * Convert a commit date into the raw "<unix> <+zzzz>" format used by fast-import
+   * Dates without an offset are interpreted in local time, as git itself does.
+   * @param {string} value - Date string (git date, ISO 8601 or raw)
+   * @returns {string} Raw date
+   */
+  static toRawDate(value) {
+    const text = String(value).trim();
+
+    if (/^\d+ [+-]\d{4}$/.test(text)) {
+      return text;
+    }
+
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+    const parsed = hasOffset
+      ? moment.parseZone(text, [moment.ISO_8601, 'YYYY-MM-DD HH:mm:ss ZZ', 'YYYY-MM-DD HH:mm ZZ'], true)
+      : moment(text, ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm', moment.ISO_8601], true);
+
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid commit date: ${value}`);
+    }
+
+    return `${parsed.unix()} ${parsed.format('ZZ')}`;
+  }
+
+  /**
+   * Split a fast-export stream into commands, keeping every byte intact
+   * @param {Buffer} buffer - Stream content
+   * @returns {Array} Commands ({type, header, data, body})
+   */
+  static parseStream(buffer) {
+    const commands = [];
+    let current = null;
+    let position = 0;
+
+    while (position < buffer.length) {
+      const end = buffer.indexOf(0x0a, position);
+      const stop = end === -1 ? buffer.length : end;
+      const line = buffer.subarray(position, stop);
+      const text = line.toString('latin1');
+      position = stop + 1;
+
+      if (current && text.startsWith('data ')) {
+        const length = parseInt(text.slice(5), 10);
+        if (Number.isNaN(length)) {
+          throw new Error(`Unsupported data command in fast-export stream: ${text}`);
+        }
+        current.data = buffer.subarray(position, position + length);
+        position += length;
+        continue;
+      }
+
+      const keyword = text.split(' ', 1)[0];
+      if (STREAM_COMMANDS.has(keyword)) {
+        current = { type: keyword, header: [line], data: null, body: [] };
+        commands.push(current);
+        continue;
+      }
+
+      if (!current) {
+        throw new Error(`Unexpected line in fast-export stream: ${text}`);
+      }
+
+      (current.data ? current.body : current.header).push(line);
+    }
+
+    return commands;
+  }
+
+  /**
+   * Serialize commands produced by parseStream
+   * @param {Array} commands - Stream commands
+   * @returns {Buffer} Stream content
+   */
+  static serializeStream(commands) {
+    const chunks = [];
+
+    commands.forEach(command => {
+      command.header.forEach(line => chunks.push(line, LF));
+      if (command.data) {
+        chunks.push(Buffer.from(`data ${command.data.length}\n`), command.data);
+      }
+      command.body.forEach(line => chunks.push(line, LF));
+    });
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Get the value of a header line (e.g., "mark" or "original-oid") of a command
+   * @param {Object} command - Stream command
+   * @param {string} key - Header keyword
+   * @returns {string|null} Header value
+   */
+  static getHeader(command, key) {
+    const line = command.header.find(entry => entry.toString('latin1').startsWith(`${key} `));
+    return line ? line.toString('latin1').slice(key.length + 1) : null;
+  }
+
+  /**
+   * Replace the date of an author or committer header, leaving the identity bytes untouched
+   * @param {Object} command - Commit command
+   * @param {string} role - 'author' or 'committer'
+   * @param {string} rawDate - Raw date ("<unix> <+zzzz>")
+   */
+  static setIdentityDate(command, role, rawDate) {
+    const index = command.header.findIndex(entry => entry.toString('latin1').startsWith(`${role} `));
+    if (index === -1) {
+      return;
+    }
+
+    const line = command.header[index];
+    const emailEnd = line.lastIndexOf('>');
+    command.header[index] = Buffer.concat([line.subarray(0, emailEnd + 1), Buffer.from(` ${rawDate}`)]);
+  }
+
+  /**
+   * Replace the name and email of an author or committer header, keeping its date
+   * @param {Object} command - Commit command
+   * @param {string} role - 'author' or 'committer'
+   * @param {Object} identity - New identity ({name, email})
+   */
+  static setIdentity(command, role, identity) {
+    const index = command.header.findIndex(entry => entry.toString('latin1').startsWith(`${role} `));
+    if (index === -1) {
+      return;
+    }
+
+    const line = command.header[index];
+    const emailEnd = line.lastIndexOf('>');
+    command.header[index] = Buffer.concat([
+      Buffer.from(`${role} ${identity.name} <${identity.email}>`, 'utf8'),
+      line.subarray(emailEnd + 1)
+    ]);
+  }
+
+  /**
+   * Parse a filemodify line ("M <mode> <dataref> <path>")
+   * @param {Buffer} line - Stream line
+   * @returns {Object|null} {mode, dataref, path, rawPath}, or null for other lines
+   */
+  static parseFileModify(line) {
+    const text = line.toString('latin1');
+    const match = /^M (\d+) (\S+) /.exec(text);
+    if (!match) {
+      return null;
+    }
+
+    const rawPath = line.subarray(match[0].length);
+    return { mode: match[1], dataref: match[2], path: HistoryRewriter.unquotePath(rawPath), rawPath };
+  }
+
+  /**
+   * Decode a path as written by fast-export, which C-quotes paths with special characters
+   * @param {Buffer} rawPath - Path bytes
+   * @returns {string} Path
+   */
+  static unquotePath(rawPath) {
+    const text = rawPath.toString('latin1');
+    if (!text.startsWith('"') || !text.endsWith('"')) {
+      return rawPath.toString('utf8');
+    }
+
+    const escapes = { n: 0x0a, t: 0x09, '"': 0x22, '\\': 0x5c, a: 0x07, b: 0x08, f: 0x0c, r: 0x0d, v: 0x0b };
+    const bytes = [];
+    for (let i = 1; i < text.length - 1; i++) {
+      if (text[i] !== '\\') {
+        bytes.push(text.charCodeAt(i));
+      } else if (/[0-7]{3}/.test(text.substr(i + 1, 3))) {
+        bytes.push(parseInt(text.substr(i + 1, 3), 8));
+        i += 3;
+      } else {
+        bytes.push(escapes[text[i + 1]] !== undefined ? escapes[text[i + 1]] : text.charCodeAt(i + 1));
+        i++;
+      }
+    }
+
+    return Buffer.from(bytes).toString('utf8');
+  }
+
+  /**
+   * Encode a path for a fast-import stream, C-quoting it where fast-import requires
+   * @param {Buffer} rawPath - Path bytes
+   * @returns {Buffer} Path as written in the stream
+   */
+  static quotePath(rawPath) {
+    if (rawPath[0] !== 0x22 && !rawPath.includes(0x0a)) {
+      return rawPath;
+    }
+
+    const escaped = rawPath.toString('latin1').replace(/[\\"\n]/g, char => (char === '\n' ? '\\n' : `\\${char}`));
+    return Buffer.from(`"${escaped}"`, 'latin1');
+  }
+
+  /**
+   * Resolve the ref being rewritten (the current branch, or HEAD when detached)
+   * @returns {Promise<Object>} {ref, head}
+   */
+  async resolveTarget() {
+    let ref = 'HEAD';
+    try {
+      ref = (await this.runGit(['symbolic-ref', '-q', 'HEAD'])).toString().trim();
+    } catch (error) {
+      // Detached HEAD
+    }
+
+    const head = (await this.runGit(['rev-parse', '--verify', 'HEAD^{commit}'])).toString().trim();
+    return { ref, head };
+  }
+
+  /**
+   * Resolve commit-ish values to full commit hashes in a single git call
+   * @param {Array} revisions - Commit hashes or revisions
+   * @returns {Promise<Array>} Full commit hashes
+   */
+  async resolveCommits(revisions) {
+    const output = await this.runGit(
+      ['cat-file', '--batch-check=%(objectname) %(objecttype)'],
+      revisions.map(revision => `${revision}^{commit}`).join('\n') + '\n'
+    );
+
+    return output.toString().trim().split('\n').map((line, index) => {
+      const [hash, type] = line.split(' ');
+      if (type !== 'commit') {
+        throw new Error(`Commit not found: ${revisions[index]}`);
+      }
+      return hash;
+    });
+  }
+
+  /**
+   * Read the tree and parents of each commit in a single git call
+   * @param {Array} hashes - Commit hashes
+   * @returns {Promise<Map>} Map of hash to {tree, parents}
+   */
+  async getCommitGraph(hashes) {
+    const graph = new Map();
+    if (hashes.length === 0) {
+      return graph;
+    }
+
+    const output = await this.runGit(
+      ['log', '--no-walk=unsorted', '--stdin', '--format=%H %T %P'],
+      hashes.join('\n') + '\n'
+    );
+
+    output.toString().trim().split('\n').forEach(line => {
+      const [hash, tree, ...parents] = line.trim().split(' ');
+      graph.set(hash, { tree, parents });
+    });
+
+    return graph;
+  }
+
+  /**
+   * Verify that rewritten commits are isomorphic to the originals: every mapped commit keeps
+   * its tree, and its parents are the rewritten (or untouched) originals in the same order
+   * @param {Object} commitMap - Map of original hash to rewritten hash
+   * @param {Object} options - Verification options
+   * @param {boolean} options.trees - Require identical trees (false when file content was purged)
+   * @returns {Promise<Object>} {success, issues, checked}
+   */
+  async verifyRewrite(commitMap, options = {}) {
+    const checkTrees = options.trees !== false;
+    const originals = Object.keys(commitMap);
+    const graph = await this.getCommitGraph([...originals, ...originals.map(hash => commitMap[hash])]);
+    const issues = [];
+
+    originals.forEach(hash => {
+      const original = graph.get(hash);
+      const rewritten = graph.get(commitMap[hash]);
+      const label = hash.substring(0, 8);
+
+      if (!original || !rewritten) {
+        issues.push(`Commit ${label} could not be read after rewriting`);
+        return;
+      }
+
+      if (checkTrees && original.tree !== rewritten.tree) {
+        issues.push(`Tree mismatch for rewritten commit ${label}`);
+      }
+
+      const expectedParents = original.parents.map(parent => commitMap[parent] || parent);
+      if (expectedParents.join(' ') !== rewritten.parents.join(' ')) {
+        issues.push(`Parent mismatch for rewritten commit ${label}`);
+      }
+    });
+
+    return { success: issues.length === 0, issues, checked: originals.length };
+  }
+
+  /**
+   * Find the commits that must be rewritten: the targets and every descendant up to the tip,
+   * plus the boundary commits that stay untouched
+   * @param {string} head - Tip commit
+   * @param {Set} targets - Full hashes of commits being changed
+   * @param {Array} otherTips - Tips of other branches whose descendants are rewritten too
+   * @returns {Promise<Object>} {rewritten: Set, boundary: Array, order: Array (rewritten commits, parents first)}
+   */
+  async findRewriteSet(head, targets, otherTips = []) {
+    const output = (await this.runGit(['rev-list', '--parents', '--topo-order', '--reverse', head, ...otherTips]))
+      .toString();
+    const rewritten = new Set();
+    const boundary = new Set();
+    const parentsOf = new Map();
+    const order = [];
+
+    output.split('\n').filter(Boolean).forEach(line => {
+      const [hash, ...parents] = line.split(' ');
+      parentsOf.set(hash, parents);
+
+      // Oldest first, so every parent has already been classified
+      if (targets.has(hash) || parents.some(parent => rewritten.has(parent))) {
+        rewritten.add(hash);
+        order.push(hash);
+      }
+    });
+
+    targets.forEach(hash => {
+      if (!parentsOf.has(hash)) {
+        throw new Error(`Commit ${hash.substring(0, 8)} is not reachable from HEAD`);
+      }
+    });
+
+    rewritten.forEach(hash => {
+      parentsOf.get(hash).forEach(parent => {
+        if (!rewritten.has(parent)) {
+          boundary.add(parent);
+        }
+      });
+    });
+
+    return { rewritten, boundary: [...boundary], order };
+  }
+
+  /**
+   * Read objects in a single git call, holding only the object being read in memory
+   * @param {Array} hashes - Object hashes
+   * @param {Function} onObject - Called with (hash, type, content) for every object found
+   */
+  async streamObjects(hashes, onObject) {
+    if (hashes.length === 0) {
+      return;
+    }
+
+    let header = Buffer.alloc(0);
+    let object = null;
+
+    await this.runGit(['cat-file', '--batch'], hashes.join('\n') + '\n', null, chunk => {
+      let position = 0;
+
+      while (position < chunk.length) {
+        if (!object) {
+          const end = chunk.indexOf(0x0a, position);
+          if (end === -1) {
+            header = Buffer.concat([header, chunk.subarray(position)]);
+            return;
+          }
+
+          const [hash, type, size] = Buffer.concat([header, chunk.subarray(position, end)]).toString().split(' ');
+          header = Buffer.alloc(0);
+          position = end + 1;
+          // Every object is followed by a newline, read along with it and dropped
+          object = type === 'missing' ? null : { hash, type, remaining: Number(size) + 1, chunks: [] };
+          continue;
+        }
+
+        const length = Math.min(object.remaining, chunk.length - position);
+        object.chunks.push(chunk.subarray(position, position + length));
+        object.remaining -= length;
+        position += length;
+
+        if (object.remaining === 0) {
+          const content = Buffer.concat(object.chunks);
+          onObject(object.hash, object.type, content.subarray(0, content.length - 1));
+          object = null;
+        }
+      }
+    });
+  }
+
+  /**
+   * Read objects of one type in a single git call
+   * @param {Array} hashes - Object hashes
+   * @param {string} objectType - Type to keep ('commit', 'blob', ...); other objects are skipped
+   * @returns {Promise<Map>} Map of hash to content (Buffer)
+   */
+  async readObjects(hashes, objectType) {
+    const objects = new Map();
+
+    await this.streamObjects(hashes, (hash, type, content) => {
+      if (type === objectType) {
+        objects.set(hash, content);
+      }
+    });
+
+    return objects;
+  }
+
+  /**
+   * List every file of a commit without buffering the listing
+   * @param {string} commit - Commit hash
+   * @param {Function} onEntry - Called with {mode, type, dataref, path, rawPath} for every file
+   */
+  async streamTree(commit, onEntry) {
+    let rest = Buffer.alloc(0);
+
+    await this.runGit(['ls-tree', '-r', '-z', '--full-tree', commit], null, null, chunk => {
+      const buffer = rest.length > 0 ? Buffer.concat([rest, chunk]) : chunk;
+      let position = 0;
+      let end;
+
+      while ((end = buffer.indexOf(0, position)) !== -1) {
+        const record = buffer.subarray(position, end);
+        const tab = record.indexOf(0x09);
+        const [mode, type, dataref] = record.subarray(0, tab).toString().split(' ');
+        const rawPath = record.subarray(tab + 1);
+        onEntry({ mode, type, dataref, path: rawPath.toString('utf8'), rawPath });
+        position = end + 1;
+      }
+
+      rest = Buffer.from(buffer.subarray(position));
+    });
+  }
+
+  /**
+   * Read commit objects in a single git call
+   * @param {Array} hashes - Commit hashes
+   * @returns {Promise<Map>} Map of hash to {header (latin1 text), message (Buffer)}
+   */
+  async readCommitObjects(hashes) {
+    const objects = new Map();
+
+    (await this.readObjects(hashes, 'commit')).forEach((content, hash) => {
+      const headerEnd = content.indexOf('\n\n');
+      objects.set(hash, {
+        header: (headerEnd === -1 ? content : content.subarray(0, headerEnd)).toString('latin1'),
+        message: headerEnd === -1 ? Buffer.alloc(0) : content.subarray(headerEnd + 2)
+      });
+    });
+
+    return objects;
+  }
+
+  /**
+   * Find which commits carry a GPG/SSH signature
+   * @param {Array} hashes - Commit hashes
+   * @returns {Promise<Set>} Hashes of signed commits
+   */
+  async findSignedCommits(hashes) {
+    const signed = new Set();
+
+    (await this.readCommitObjects(hashes)).forEach(({ header }, hash) => {
+      if (/^gpgsig(-sha256)? /m.test(header)) {
+        signed.add(hash);
+      }
+    });
+
+    return signed;
+  }
+
+  /**
+   * Read full commit messages, decoded from the commit's declared encoding
+   * @param {Array} hashes - Commit hashes
+   * @returns {Promise<Map>} Map of hash to message text
+   */
+  async readMessages(hashes) {
+    const messages = new Map();
+
+    (await this.readCommitObjects(hashes)).forEach(({ header, message }, hash) => {
+      const encoding = /^encoding (.+)$/m.exec(header);
+      let decoder;
+      try {
+        decoder = new TextDecoder(encoding ? encoding[1].trim() : 'utf-8');
+      } catch (error) {
+        // Unknown encodings are read as UTF-8, like git log does without iconv support
+        decoder = new TextDecoder('utf-8');
+      }
+      messages.set(hash, decoder.decode(message));
+    });
+
+    return messages;
+  }
+
+  /**
+   * Re-create imported commits with a signature, parents first
+   * fast-import cannot sign, so each commit is rebuilt with commit-tree from its imported copy,
+   * keeping the identities, dates, message and encoding.
+   * @param {Object} commitMap - Original to rewritten hash map; updated to point at the signed commits
+   * @param {Array} order - Original hashes of the rewritten commits, parents first
+   * @param {string} signingKey - Optional key (defaults to user.signingkey)
+   */
+  async signCommits(commitMap, order, signingKey = null) {
+    const signedHashes = new Map();
+    const signArg = signingKey ? `--gpg-sign=${signingKey}` : '--gpg-sign';
+
+    for (const [index, original] of order.entries()) {
+      const imported = commitMap[original];
+      const content = await this.runGit(['cat-file', 'commit', imported]);
+      const headerEnd = content.indexOf('\n\n');
+      const headerLines = content.subarray(0, headerEnd).toString().split('\n');
+      const message = content.subarray(headerEnd + 2);
+
+      const env = {};
+      const configArgs = [];
+      const parentArgs = [];
+      let tree = null;
+
+      headerLines.forEach(line => {
+        const [key, ...rest] = line.split(' ');
+        const value = rest.join(' ');
+
+        if (key === 'tree') {
+          tree = value;
+        } else if (key === 'parent') {
+          parentArgs.push('-p', signedHashes.get(value) || value);
+        } else if (key === 'author' || key === 'committer') {
+          const identity = /^(.*) <(.*)> (\d+ [+-]\d{4})$/.exec(value);
+          const prefix = key === 'author' ? 'GIT_AUTHOR' : 'GIT_COMMITTER';
+          env[`${prefix}_NAME`] = identity[1];
+          env[`${prefix}_EMAIL`] = identity[2];
+          env[`${prefix}_DATE`] = identity[3];
+        } else if (key === 'encoding') {
+          configArgs.push('-c', `i18n.commitEncoding=${value}`);
+        }
+      });
+
+      const signed = (await this.runGit(
+        [...configArgs, 'commit-tree', signArg, tree, ...parentArgs], message, env
+      )).toString().trim();
+
+      signedHashes.set(imported, signed);
+      commitMap[original] = signed;
+
+      if (index % 50 === 0) {
+        this.reportProgress(`Signing commit ${index + 1}/${order.length}...`, 70);
+      }
+    }
+  }
+
+  /**
+   * List refs under a namespace
+   * @param {string} namespace - Ref prefix (e.g., 'refs/tags')
+   * @returns {Promise<Array>} Refs ({ref, type, target, peeled, peeledType}); tags are peeled one level
+   */
+  async listRefs(namespace) {
+    const output = (await this.runGit([
+      'for-each-ref',
+      '--format=%(refname) %(objecttype) %(objectname) %(*objectname) %(*objecttype)',
+      namespace
+    ])).toString();
+
+    return output.split('\n').filter(Boolean).map(line => {
+      const [ref, type, target, peeled, peeledType] = line.split(' ');
+      return { ref, type, target, peeled: peeled || target, peeledType: peeledType || type };
+    });
+  }
+
+  /**
+   * Re-create an annotated tag object pointing at a rewritten commit
+   * Signatures are dropped since they no longer match the tag content.
+   * @param {string} tagHash - Original tag object
+   * @param {string} newTarget - Rewritten commit
+   * @returns {Promise<Object>} {hash, signatureDropped}
+   */
+  async recreateTag(tagHash, newTarget) {
+    const content = (await this.runGit(['cat-file', 'tag', tagHash])).toString();
+    const headerEnd = content.indexOf('\n\n');
+    const header = headerEnd === -1 ? content : content.slice(0, headerEnd);
+    let message = headerEnd === -1 ? '' : content.slice(headerEnd);
+
+    const signature = /^-----BEGIN (PGP|SSH) SIGNATURE-----$/m.exec(message);
+    if (signature) {
+      message = message.slice(0, signature.index);
+    }
+
+    const newHeader = header.replace(/^object [0-9a-f]+$/m, `object ${newTarget}`);
+    const hash = (await this.runGit(['mktag'], newHeader + message)).toString().trim();
+
+    return { hash, signatureDropped: Boolean(signature) };
+  }
+
+  /**
+   * Compute how tags, other branches and notes move to follow a rewrite
+   * Nothing is written to the refs here; notes are built on temporary refs.
+   * @param {Object} commitMap - Original to rewritten hash map
+   * @param {Array} branches - Other branches included in the rewrite
+   * @param {Array} tempRefs - Receives the temporary refs created, for the caller to delete
+   * @returns {Promise<Object>} {updates, skipped}
+   */
+  async planRefUpdates(commitMap, branches, tempRefs) {
+    const updates = [];
+    const skipped = [];
+
+    branches.forEach(branch => {
+      updates.push({ ref: branch.ref, type: 'branch', oldValue: branch.target, newValue: commitMap[branch.target] });
+    });
+
+    for (const tag of await this.listRefs('refs/tags')) {
+      if (tag.peeledType === 'tag') {
+        // Tags of tags would need the whole chain re-created; leave them for the user to decide
+        const commit = (await this.runGit(['rev-parse', '--verify', '--quiet', `${tag.target}^{commit}`])
+          .catch(() => Buffer.from(''))).toString().trim();
+        if (commitMap[commit]) {
+          skipped.push({ ref: tag.ref, reason: 'Nested tag objects are not rewritten' });
+        }
+        continue;
+      }
+
+      if (!commitMap[tag.peeled]) {
+        continue;
+      }
+
+      if (tag.type === 'commit') {
+        updates.push({ ref: tag.ref, type: 'tag', oldValue: tag.target, newValue: commitMap[tag.target] });
+        continue;
+      }
+
+      const recreated = await this.recreateTag(tag.target, commitMap[tag.peeled]);
+      updates.push({
+        ref: tag.ref,
+        type: 'annotated-tag',
+        oldValue: tag.target,
+        newValue: recreated.hash,
+        signatureDropped: recreated.signatureDropped
+      });
+    }
+
+    for (const notes of await this.listRefs('refs/notes')) {
+      const list = (await this.runGit(['notes', `--ref=${notes.ref}`, 'list'])).toString();
+      const pairs = list.split('\n').filter(Boolean)
+        .map(line => line.split(' ')[1])
+        .filter(object => commitMap[object])
+        .map(object => `${object} ${commitMap[object]}`);
+
+      if (pairs.length === 0) {
+        continue;
+      }
+
+      // git notes only writes under refs/notes, so build the new notes commit on a temporary ref there
+      const tempRef = `refs/notes/histofy-rewrite-${Date.now()}-${tempRefs.length}`;
+      tempRefs.push(tempRef);
+      await this.runGit(['update-ref', tempRef, notes.target]);
+      await this.runGit(['notes', `--ref=${tempRef}`, 'copy', '--force', '--stdin'], pairs.join('\n') + '\n');
+      const newValue = (await this.runGit(['rev-parse', '--verify', tempRef])).toString().trim();
+
+      updates.push({ ref: notes.ref, type: 'notes', oldValue: notes.target, newValue });
+    }
+
+    return { updates, skipped };
+  }
+
+  /**
+   * Export the commits being rewritten as a fast-import stream
+   * @param {string} head - Tip commit
+   * @param {Array} tips - Other tips to export
+   * @param {Array} boundary - Untouched parents to exclude
+   * @returns {Promise<Buffer>} Stream
+   */
+  async exportCommits(head, tips, boundary) {
+    return this.runGit([
+      'fast-export',
+      '--no-data',
+      '--show-original-ids',
+      '--reference-excluded-parents',
+      '--reencode=no',
+      '--use-done-feature',
+      head,
+      ...tips,
+      ...boundary.map(hash => `^${hash}`)
+    ]);
+  }
+
+  /**
+   * Remove purged paths from every exported commit and redact secrets from the files and messages left.
+   * The stream only lists what each commit changed, so files inherited from a parent outside the rewritten range
+   * are read from that parent's tree and purged in its first rewritten child.
+   * Blobs are read and redacted one at a time; only redacted contents are kept, as new blobs in the stream.
+   * @param {Array} commands - Parsed stream commands (modified in place)
+   * @param {PurgeFilter} filter - Paths and secrets to purge
+   * @returns {Promise<Object>} {commits: Map of original hash to {removedPaths, redactedPaths, messageRedacted},
+   *   removedPaths, redactedBlobs}
+   */
+  async applyPurge(commands, filter) {
+    const commits = new Map();
+    const removedPaths = new Set();
+    const candidates = new Set();
+    const boundaryFiles = new Map();
+    let lastMark = 0;
+
+    // Submodules (160000) point at commits, not blobs
+    const mayHoldSecret = file => filter.hasSecrets() && file.mode !== '160000' &&
+      /^[0-9a-f]{40}([0-9a-f]{24})?$/.test(file.dataref);
+    const firstParent = command => {
+      const line = command.body.find(entry => entry.toString('latin1').startsWith('from '));
+      return line ? line.toString('latin1').slice(5) : null;
+    };
+
+    // First pass: collect the blobs that may hold secrets, including those of untouched parents
+    for (const command of commands) {
+      const mark = HistoryRewriter.getHeader(command, 'mark');
+      if (mark) {
+        lastMark = Math.max(lastMark, parseInt(mark.slice(1), 10));
+      }
+
+      if (command.type !== 'commit') {
+        continue;
+      }
+
+      command.body.forEach(line => {
+        const file = HistoryRewriter.parseFileModify(line);
+        if (file && !filter.matchesPath(file.path) && mayHoldSecret(file)) {
+          candidates.add(file.dataref);
+        }
+      });
+
+      const parent = firstParent(command);
+      if (parent && !parent.startsWith(':') && !boundaryFiles.has(parent)) {
+        const files = [];
+        await this.streamTree(parent, file => {
+          if (filter.matchesPath(file.path) || (file.type === 'blob' && mayHoldSecret(file))) {
+            files.push(file);
+          }
+        });
+        files.filter(file => !filter.matchesPath(file.path)).forEach(file => candidates.add(file.dataref));
+        boundaryFiles.set(parent, files);
+      }
+    }
+
+    // Each distinct blob is read and redacted once, however many commits list it
+    const redactedMarks = new Map();
+    const newBlobs = [];
+
+    await this.streamObjects([...candidates], (hash, type, content) => {
+      const redacted = type === 'blob' && filter.redact(content);
+      if (redacted) {
+        const mark = `:${++lastMark}`;
+        redactedMarks.set(hash, mark);
+        newBlobs.push({
+          type: 'blob',
+          header: [Buffer.from('blob'), Buffer.from(`mark ${mark}`)],
+          data: redacted,
+          body: [Buffer.alloc(0)]
+        });
+      }
+    });
+
+    // Second pass: rewrite the file lists, following purged and redacted files down from each first parent
+    const filesByMark = new Map();
+
+    commands.filter(command => command.type === 'commit').forEach(command => {
+      const parent = firstParent(command);
+      const files = new Map(parent && parent.startsWith(':') ? filesByMark.get(parent) : []);
+      const inherited = [];
+
+      (parent && !parent.startsWith(':') ? boundaryFiles.get(parent) : []).forEach(file => {
+        const quoted = HistoryRewriter.quotePath(file.rawPath);
+        if (filter.matchesPath(file.path)) {
+          files.set(file.path, 'removed');
+          inherited.push(Buffer.concat([Buffer.from('D '), quoted]));
+        } else if (redactedMarks.has(file.dataref)) {
+          files.set(file.path, 'redacted');
+          inherited.push(Buffer.concat([Buffer.from(`M ${file.mode} ${redactedMarks.get(file.dataref)} `), quoted]));
+        }
+      });
+
+      const body = [];
+      command.body.forEach(line => {
+        const text = line.toString('latin1');
+        const file = HistoryRewriter.parseFileModify(line);
+
+        if (file && filter.matchesPath(file.path)) {
+          files.set(file.path, 'removed');
+        } else if (file && redactedMarks.has(file.dataref)) {
+          files.set(file.path, 'redacted');
+          body.push(Buffer.concat([Buffer.from(`M ${file.mode} ${redactedMarks.get(file.dataref)} `), file.rawPath]));
+        } else {
+          if (file) {
+            files.delete(file.path);
+          } else if (text.startsWith('D ')) {
+            files.delete(HistoryRewriter.unquotePath(line.subarray(2)));
+          } else if (text === 'deleteall') {
+            files.clear();
+          }
+          body.push(line);
+        }
+      });
+
+      // Inherited changes go before the commit's own, which take precedence; from and merge lines come first
+      const fileOps = body.findIndex(line => !/^(from|merge) /.test(line.toString('latin1')));
+      body.splice(fileOps === -1 ? body.length : fileOps, 0, ...inherited);
+      command.body = body;
+      filesByMark.set(HistoryRewriter.getHeader(command, 'mark'), files);
+
+      const entry = { removedPaths: [], redactedPaths: [], messageRedacted: false };
+      [...files.keys()].sort().forEach(file => {
+        if (files.get(file) === 'removed') {
+          entry.removedPaths.push(file);
+          removedPaths.add(file);
+        } else {
+          entry.redactedPaths.push(file);
+        }
+      });
+
+      const message = command.data && filter.redact(command.data);
+      if (message) {
+        command.data = message;
+        entry.messageRedacted = true;
+      }
+      commits.set(HistoryRewriter.getHeader(command, 'original-oid'), entry);
+    });
+
+    // Blobs must be defined before the commits using them, after any feature/option commands
+    const firstCommand = commands.findIndex(command => command.type !== 'feature' && command.type !== 'option');
+    commands.splice(firstCommand === -1 ? commands.length : firstCommand, 0, ...newBlobs);
+
+    return { commits, removedPaths: [...removedPaths], redactedBlobs: newBlobs.length };
+  }
+
+  /**
+   * Work out what a purge would change without writing anything
+   * @param {Array} revisions - Commits to purge (their descendants are rewritten too)
+   * @param {PurgeFilter} filter - Paths and secrets to purge
+   * @returns {Promise<Object>} {affected: Array of {hash, removedPaths, redactedPaths, messageRedacted}, rewrittenCount,
+   *   removedPaths, redactedBlobs}
+   */
+  async previewPurge(revisions, filter) {
+    const { head } = await this.resolveTarget();
+    const hashes = await this.resolveCommits(revisions);
+    const { rewritten, boundary } = await this.findRewriteSet(head, new Set(hashes));
+    const commands = HistoryRewriter.parseStream(await this.exportCommits(head, [], boundary));
+    const purge = await this.applyPurge(commands, filter);
+
+    const affected = [];
+    purge.commits.forEach((entry, hash) => {
+      if (entry.removedPaths.length > 0 || entry.redactedPaths.length > 0 || entry.messageRedacted) {
+        affected.push({ hash, ...entry });
+      }
+    });
+
+    return { affected, rewrittenCount: rewritten.size, removedPaths: purge.removedPaths, redactedBlobs: purge.redactedBlobs };
+  }
+
+  /**
+   * Rewrite commit headers in a single fast-export/fast-import pass.
+   * Trees and parent relationships (including merges) are preserved, as are messages and identities unless a
+   * commit carries a newMessage, newAuthor or newCommitter; the current branch (or detached HEAD) is moved to the rewritten tip only after
+   * every rewritten commit has been verified.
+   * With rewriteRefs, branches containing rewritten commits, tags and notes move in the same ref transaction.
+   * With purge, matching files are removed and secrets redacted in every rewritten commit; trees change then,
+   * so only the parent graph is verified, plus the absence of purged paths at the new tip.
+   * @param {Array} commits - Commits to change ({originalHash, authorDate, committerDate, newDate, newMessage,
+   *   newAuthor, newCommitter})
+   * @param {Object} options - Rewrite options
+   * @param {boolean} options.rewriteRefs - Also move other branches, tags and notes to the rewritten commits
+   * @param {boolean} options.sign - Sign every rewritten commit (GPG, or SSH when gpg.format=ssh)
+   * @param {string} options.signingKey - Key to sign with instead of user.signingkey
+   * @param {PurgeFilter} options.purge - Paths and secrets to purge
+   * @param {Function} options.onCheckpoint - Called with (phase, state) once the rewritten history is verified
+   *   ('imported', with the commit map and planned ref updates) and once the refs have moved ('refs-updated')
+   * @returns {Promise<Object>} {migratedCommits, successCount, commitMap, ref, oldHead, newHead, refUpdates, skippedRefs,
+   *   signed, droppedSignatures, rewrittenMessages, rewrittenIdentities, purge}
+   */
+  async rewrite(commits, options = {}) {
+    if (!commits || commits.length === 0) {
+      throw new Error('No commits to rewrite');
+    }
+
+    this.reportProgress('Resolving commits to rewrite...', 30);
+
+    const { ref, head } = await this.resolveTarget();
+    const hashes = await this.resolveCommits(commits.map(commit => commit.originalHash));
+    const changes = new Map();
+
+    commits.forEach((commit, index) => {
+      const authorDate = commit.authorDate || commit.newDate;
+      const committerDate = commit.committerDate || commit.newDate;
+
+      // Commits without dates (e.g. when purging) keep their original ones
+      changes.set(hashes[index], {
+        authorDate: authorDate ? HistoryRewriter.toRawDate(authorDate) : null,
+        committerDate: committerDate ? HistoryRewriter.toRawDate(committerDate) : null,
+        // New messages are written as UTF-8, so the original encoding header is dropped with them
+        message: typeof commit.newMessage === 'string' ? Buffer.from(commit.newMessage, 'utf8') : null,
+        author: commit.newAuthor || null,
+        committer: commit.newCommitter || null
+      });
+    });
+
+    const otherBranches = options.rewriteRefs
+      ? (await this.listRefs('refs/heads')).filter(branch => branch.ref !== ref)
+      : [];
+    const { rewritten, boundary, order } = await this.findRewriteSet(
+      head, new Set(changes.keys()), otherBranches.map(branch => branch.target)
+    );
+    const branches = otherBranches.filter(branch => rewritten.has(branch.target));
+
+    // fast-export strips commit signatures; count them so callers can tell the user
+    const originallySigned = await this.findSignedCommits(order);
+
+    this.reportProgress(`Exporting ${rewritten.size} commit(s)...`, 40);
+
+    const exported = await this.exportCommits(head, branches.map(branch => branch.target), boundary);
+
+    const tempRef = `refs/histofy/rewrite-${Date.now()}`;
+    const tempNotesRefs = [];
+    const commands = HistoryRewriter.parseStream(exported);
+    const originalByMark = new Map();
+    let rewrittenMessages = 0;
+    let rewrittenIdentities = 0;
+
+    let purge = null;
+    if (options.purge) {
+      this.reportProgress('Purging files and secrets...', 50);
+      purge = await this.applyPurge(commands, options.purge);
+    }
+
+    commands.forEach(command => {
+      if (command.type === 'commit' || command.type === 'reset') {
+        // Build on a temporary ref so the real branch only moves once the result is verified
+        command.header[0] = Buffer.from(`${command.type} ${tempRef}`);
+      }
+
+      if (command.type !== 'commit') {
+        return;
+      }
+
+      const originalHash = HistoryRewriter.getHeader(command, 'original-oid');
+      originalByMark.set(HistoryRewriter.getHeader(command, 'mark'), originalHash);
+
+      const change = changes.get(originalHash);
+      if (change) {
+        if (change.authorDate) {
+          HistoryRewriter.setIdentityDate(command, 'author', change.authorDate);
+        }
+        if (change.committerDate) {
+          HistoryRewriter.setIdentityDate(command, 'committer', change.committerDate);
+        }
+
+        if (change.message) {
+          command.data = change.message;
+          command.header = command.header.filter(line => !line.toString('latin1').startsWith('encoding '));
+          rewrittenMessages++;
+        }
+
+        if (change.author || change.committer) {
+          ['author', 'committer'].filter(role => change[role]).forEach(role => {
+            HistoryRewriter.setIdentity(command, role, change[role]);
+          });
+          rewrittenIdentities++;
+        }
+      }
+    });
+
+    this.reportProgress(`Importing ${originalByMark.size} rewritten commit(s)...`, 60);
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-rewrite-'));
+    const marksFile = path.join(workDir, 'marks');
+
+    try {
+      await this.runGit(['fast-import', '--quiet', '--date-format=raw', `--export-marks=${marksFile}`],
+        HistoryRewriter.serializeStream(commands));
+
+      const commitMap = {};
+      (await fs.readFile(marksFile, 'utf8')).split('\n').filter(Boolean).forEach(line => {
+        const [mark, newHash] = line.split(' ');
+        const originalHash = originalByMark.get(mark);
+        if (originalHash) {
+          commitMap[originalHash] = newHash;
+        }
+      });
+
+      if (!commitMap[head]) {
+        throw new Error('Rewritten history does not contain the current tip');
+      }
+
+      if (options.sign) {
+        this.reportProgress(`Signing ${order.length} rewritten commit(s)...`, 70);
+        await this.signCommits(commitMap, order, options.signingKey);
+      }
+
+      const newHead = commitMap[head];
+
+      this.reportProgress('Verifying rewritten trees and parents...', 80);
+
+      const verification = await this.verifyRewrite(commitMap, { trees: !options.purge });
+      if (options.purge) {
+        const files = (await this.runGit(['ls-tree', '-r', '-z', '--name-only', newHead])).toString('utf8').split('\0');
+        files.filter(file => file && options.purge.matchesPath(file)).forEach(file => {
+          verification.issues.push(`Purged path ${file} is still present at the new tip`);
+        });
+        verification.success = verification.issues.length === 0;
+      }
+      if (!verification.success) {
+        throw new Error(verification.issues.join(', '));
+      }
+
+      let refUpdates = [];
+      let skippedRefs = [];
+      if (options.rewriteRefs) {
+        this.reportProgress('Rewriting tags, branches and notes...', 85);
+        ({ updates: refUpdates, skipped: skippedRefs } = await this.planRefUpdates(commitMap, branches, tempNotesRefs));
+      }
+
+      refUpdates.unshift({ ref, type: ref === 'HEAD' ? 'head' : 'current-branch', oldValue: head, newValue: newHead });
+
+      if (options.onCheckpoint) {
+        await options.onCheckpoint('imported', { commitMap, newHead, refUpdates, skippedRefs });
+      }
+
+      // Compare-and-swap every ref in one transaction so a concurrent change is never overwritten
+      const transaction = refUpdates.map(update => {
+        const line = `update ${update.ref} ${update.newValue} ${update.oldValue}\n`;
+        return update.ref === 'HEAD' ? `option no-deref\n${line}` : line;
+      }).join('');
+      await this.runGit(['update-ref', '-m', 'histofy: rewrite history', '--stdin'], transaction);
+
+      if (options.onCheckpoint) {
+        await options.onCheckpoint('refs-updated');
+      }
+
+      const migratedCommits = commits.map((commit, index) => ({
+        ...commit,
+        newHash: commitMap[hashes[index]]
+      }));
+
+      return {
+        migratedCommits,
+        successCount: migratedCommits.length,
+        rewrittenCount: verification.checked,
+        commitMap,
+        ref,
+        oldHead: head,
+        newHead,
+        refUpdates,
+        skippedRefs,
+        signed: Boolean(options.sign),
+        droppedSignatures: options.sign ? 0 : originallySigned.size,
+        rewrittenMessages,
+        rewrittenIdentities,
+        purge
+      };
+    } finally {
+      await this.runGit(['update-ref', '-d', tempRef]).catch(() => {});
+      for (const notesRef of tempNotesRefs) {
+        await this.runGit(['update-ref', '-d', notesRef]).catch(() => {});
+      }
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = HistoryRewriter;
@@ -0,0 +1,190 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * IsolatedWorktree - Temporary git worktree that history rewrites run in, so the user's checkout is never touched
+ */
+
+const simpleGit = require('simple-git');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+class IsolatedWorktree {
+  /**
+   * @param {string} repoPath - Repository the worktree belongs to
+   * @param {Object} info - Worktree details (as returned by toJSON)
+   * @param {string} info.path - Worktree directory
+   * @param {string} info.branch - Scratch branch checked out in the worktree
+   * @param {string} info.targetBranch - Branch that receives the result
+   * @param {string} info.baseHead - Tip of the target branch when the worktree was created
+   */
+  constructor(repoPath, info = {}) {
+    this.repoPath = repoPath;
+    this.git = simpleGit(repoPath);
+    this.path = info.path || null;
+    this.branch = info.branch || null;
+    this.targetBranch = info.targetBranch || null;
+    this.baseHead = info.baseHead || null;
+    this.keepBranch = false;
+  }
+
+  /**
+   * Create a worktree on a scratch branch starting at the tip of the current branch
+   * @param {string} repoPath - Repository path
+   * @returns {Promise<IsolatedWorktree>} Created worktree
+   */
+  static async create(repoPath) {
+    const git = simpleGit(repoPath);
+
+    let targetBranch;
+    try {
+      targetBranch = (await git.raw(['symbolic-ref', '-q', '--short', 'HEAD'])).trim();
+    } catch (error) {
+      targetBranch = '';
+    }
+    if (!targetBranch) {
+      throw new Error('Isolated mode needs a checked-out branch (HEAD is detached)');
+    }
+
+    const id = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    const gitDir = (await git.revparse(['--absolute-git-dir'])).trim();
+    const worktree = new IsolatedWorktree(repoPath, {
+      path: path.join(gitDir, 'histofy', 'worktrees', id),
+      branch: `histofy-isolated-${id}`,
+      targetBranch,
+      baseHead: (await git.revparse([`refs/heads/${targetBranch}`])).trim()
+    });
+
+    await fs.mkdir(path.dirname(worktree.path), { recursive: true });
+    await git.raw(['worktree', 'add', '-q', '-b', worktree.branch, worktree.path, worktree.baseHead]);
+    return worktree;
+  }
+
+  /**
+   * Recreate a worktree recorded earlier (e.g. in a migration journal)
+   * @param {string} repoPath - Repository path
+   * @param {Object} info - Worktree details from toJSON
+   * @returns {IsolatedWorktree} Worktree
+   */
+  static fromJSON(repoPath, info) {
+    return new IsolatedWorktree(repoPath, info);
+  }
+
+  /**
+   * Serializable description of the worktree
+   * @returns {Object} {path, branch, targetBranch, baseHead}
+   */
+  toJSON() {
+    return {
+      path: this.path,
+      branch: this.branch,
+      targetBranch: this.targetBranch,
+      baseHead: this.baseHead
+    };
+  }
+
+  /**
+   * Check whether the worktree directory is still present
+   * @returns {Promise<boolean>} True if it exists
+   */
+  async exists() {
+    try {
+      await fs.access(path.join(this.path, '.git'));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Make sure the worktree is checked out, re-adding it on its scratch branch if its directory was removed
+   */
+  async ensure() {
+    if (await this.exists()) {
+      return;
+    }
+
+    await this.git.raw(['worktree', 'prune']);
+    const branchExists = await this.git.raw(['rev-parse', '-q', '--verify', `refs/heads/${this.branch}`])
+      .then(output => Boolean(output.trim()), () => false);
+
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await this.git.raw(branchExists
+      ? ['worktree', 'add', '-q', this.path, this.branch]
+      : ['worktree', 'add', '-q', '-b', this.branch, this.path, this.baseHead]);
+  }
+
+  /**
+   * Tip of the scratch branch
+   * @returns {Promise<string>} Commit hash
+   */
+  async getHead() {
+    return (await this.git.revparse([`refs/heads/${this.branch}`])).trim();
+  }
+
+  /**
+   * Move the target branch to the tip of the scratch branch in one compare-and-swap ref update,
+   * then bring the user's index and working tree along if that branch is checked out.
+   * Fails without touching anything if the target branch moved since the worktree was created.
+   * @param {string} reason - Reflog message
+   * @returns {Promise<string>} New tip of the target branch
+   */
+  async publish(reason = 'histofy: isolated rewrite') {
+    const newHead = await this.getHead();
+    const targetRef = `refs/heads/${this.targetBranch}`;
+    // Nothing to do if nothing changed, or if an earlier (interrupted) run already published
+    if (newHead === this.baseHead || (await this.git.revparse([targetRef])).trim() === newHead) {
+      return newHead;
+    }
+
+    try {
+      await this.git.raw(['update-ref', '-m', reason, targetRef, newHead, this.baseHead]);
+    } catch (error) {
+      // Keep the result around so nothing is lost
+      this.keepBranch = true;
+      throw new Error(`Branch ${this.targetBranch} moved while the rewrite ran in isolation; the result was kept on ${this.branch}`);
+    }
+
+    await this.syncCheckout(newHead);
+    return newHead;
+  }
+
+  /**
+   * Update the user's index and working tree from the old tip to the new one, keeping uncommitted changes.
+   * Without this the moved branch shows the isolated commits as staged reversals.
+   * @param {string} newHead - New tip of the target branch
+   */
+  async syncCheckout(newHead) {
+    const checkedOut = await this.git.raw(['symbolic-ref', '-q', 'HEAD'])
+      .then(output => output.trim(), () => '');
+    if (checkedOut !== `refs/heads/${this.targetBranch}`) {
+      return;
+    }
+
+    try {
+      // Two-tree merge: paths the new commits touched are updated, local edits elsewhere are kept
+      await this.git.raw(['read-tree', '-m', '-u', this.baseHead, newHead]);
+    } catch (error) {
+      // Local edits overlap the new commits; reset only the index so those edits stay in the working tree
+      await this.git.raw(['read-tree', newHead]);
+    }
+  }
+
+  /**
+   * Remove the worktree and (unless publishing failed) its scratch branch
+   */
+  async remove() {
+    if (await this.exists()) {
+      await this.git.raw(['worktree', 'remove', '--force', this.path]);
+    }
+    await this.git.raw(['worktree', 'prune']);
+
+    if (!this.keepBranch) {
+      await this.git.raw(['branch', '-D', this.branch]).catch(() => {});
+    }
+  }
+}
+
+module.exports = IsolatedWorktree;
@@ -0,0 +1,213 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * MigrationJournal - Crash-safe record of a migration in progress, kept in .git/histofy/
+ */
+
+const simpleGit = require('simple-git');
+const path = require('path');
+const fs = require('fs').promises;
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_FILE = 'migration-journal.json';
+
+class MigrationJournal {
+  constructor(repoPath = process.cwd()) {
+    this.repoPath = repoPath;
+    this.git = simpleGit(repoPath);
+    this.journalPath = null;
+    this.data = null;
+  }
+
+  /**
+   * Resolve the journal location inside the repository's Git directory
+   * @returns {Promise<string>} Absolute path of the journal file
+   */
+  async getPath() {
+    if (!this.journalPath) {
+      const gitDir = (await this.git.revparse(['--absolute-git-dir'])).trim();
+      this.journalPath = path.join(gitDir, 'histofy', JOURNAL_FILE);
+    }
+    return this.journalPath;
+  }
+
+  /**
+   * Read the journal from disk
+   * @returns {Promise<Object|null>} Journal data, or null when no migration is recorded
+   */
+  async load() {
+    const journalPath = await this.getPath();
+
+    let content;
+    try {
+      content = await fs.readFile(journalPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.data = null;
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      this.data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Migration journal ${journalPath} is corrupt: ${error.message}`);
+    }
+
+    if (this.data.version !== JOURNAL_VERSION) {
+      throw new Error(`Migration journal ${journalPath} has unsupported version ${this.data.version}`);
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Start a new journal; fails if one is already recorded
+   * @param {Object} data - Migration details (strategy, commits, originalBranch, originalHead, backupBranch, options)
+   * @returns {Promise<Object>} Journal data
+   */
+  async start(data) {
+    if (await this.load()) {
+      throw new Error('A migration journal already exists. Run histofy migrate --status to inspect it');
+    }
+
+    const now = new Date().toISOString();
+    this.data = {
+      version: JOURNAL_VERSION,
+      pid: process.pid,
+      status: 'running',
+      phase: 'started',
+      startedAt: now,
+      updatedAt: now,
+      completed: [],
+      state: {},
+      ...data
+    };
+
+    await this.write();
+    return this.data;
+  }
+
+  /**
+   * Merge changes into the journal and persist it
+   * @param {Object} changes - Top-level fields to replace
+   * @returns {Promise<Object>} Journal data
+   */
+  async update(changes) {
+    if (!this.data) {
+      throw new Error('No migration journal to update');
+    }
+
+    this.data = { ...this.data, ...changes, updatedAt: new Date().toISOString() };
+    await this.write();
+    return this.data;
+  }
+
+  /**
+   * Record a rewritten commit (and strategy state needed to resume after it)
+   * @param {string} originalHash - Original commit hash
+   * @param {string} newHash - Rewritten commit hash
+   * @param {Object} state - Strategy state to merge (e.g. the migration branch)
+   * @returns {Promise<Object>} Journal data
+   */
+  async recordCommit(originalHash, newHash, state = {}) {
+    const completed = this.data.completed.filter(entry => entry.originalHash !== originalHash);
+    completed.push({ originalHash, newHash });
+    return this.update({ completed, state: { ...this.data.state, ...state } });
+  }
+
+  /**
+   * Record the phase a single-pass strategy has reached
+   * @param {string} phase - Phase name (e.g. 'imported', 'refs-updated')
+   * @param {Object} state - Strategy state to merge
+   * @returns {Promise<Object>} Journal data
+   */
+  async setPhase(phase, state = {}) {
+    return this.update({ phase, state: { ...this.data.state, ...state } });
+  }
+
+  /**
+   * Remove the journal once the migration is finished or rolled back
+   */
+  async clear() {
+    await fs.rm(await this.getPath(), { force: true });
+    this.data = null;
+  }
+
+  /**
+   * Write the journal atomically so a crash never leaves a truncated file
+   */
+  async write() {
+    const journalPath = await this.getPath();
+    const tempPath = `${journalPath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+    await fs.rename(tempPath, journalPath);
+  }
+
+  /**
+   * Check whether the process that wrote a journal is still alive
+   * @param {number} pid - Process id
+   * @returns {boolean} True if the process exists
+   */
+  static isProcessAlive(pid) {
+    if (!pid) {
+      return false;
+    }
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Check whether a journal belongs to a migration that can no longer finish on its own
+   * @param {Object} data - Journal data
+   * @returns {boolean} True if the migration failed or its process died
+   */
+  static isInterrupted(data) {
+    if (!data) {
+      return false;
+    }
+    return data.status === 'failed' || data.pid === process.pid || !this.isProcessAlive(data.pid);
+  }
+
+  /**
+   * Summarize a journal for status output
+   * @param {Object} data - Journal data
+   * @returns {Object} Summary
+   */
+  static summarize(data) {
+    const done = new Set(data.completed.map(entry => entry.originalHash));
+    const remaining = data.commits.filter(commit => !done.has(commit.originalHash));
+
+    return {
+      transactionId: data.transactionId,
+      strategy: data.strategy,
+      status: data.status,
+      phase: data.phase,
+      interrupted: this.isInterrupted(data),
+      pid: data.pid,
+      startedAt: data.startedAt,
+      updatedAt: data.updatedAt,
+      totalCommits: data.commits.length,
+      completedCommits: data.completed.length,
+      nextCommit: remaining.length > 0 ? remaining[0] : null,
+      originalBranch: data.originalBranch,
+      originalHead: data.originalHead,
+      backupBranch: data.backupBranch,
+      error: data.error || null
+    };
+  }
+}
+
+MigrationJournal.JOURNAL_FILE = JOURNAL_FILE;
+
+module.exports = MigrationJournal;
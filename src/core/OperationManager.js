@@ -9,6 +9,7 @@
 const crypto = require('crypto');
 const chalk = require('chalk');
 const GitTransaction = require('./GitTransaction');
+const MigrationJournal = require('./MigrationJournal');
 const { PerformanceProfiler } = require('../utils/PerformanceProfiler');
 const AuditLogger = require('../utils/AuditLogger');
 
@@ -96,6 +97,9 @@ class Operation {
   }
 }
 
+// Operations that must not run on top of an unfinished migration
+const HISTORY_REWRITING_OPERATIONS = ['commit', 'batch', 'migrate', 'purge', 'paint', 'backfill'];
+
 class OperationManager {
   constructor() {
     this.operations = new Map();
@@ -158,7 +162,7 @@ class OperationManager {
     // Create transaction if operation requires backup
     if (operation.requiresBackup() && metadata.repoPath) {
       try {
-        operation.transaction = new GitTransaction(metadata.repoPath, operationId);
+        operation.transaction = new GitTransaction(metadata.repoPath, operationId, { isolated: metadata.isolated });
         await operation.transaction.createBackup();
         operation.requiresCleanup = true;
         
@@ -464,6 +468,38 @@ class OperationManager {
     });
   }
 
+  /**
+   * Look for a migration journal left in the repository and offer to resume or roll it back
+   * @param {string} repoPath - Repository path
+   * @returns {Promise<Object|null>} Journal summary, or null when no migration is recorded
+   */
+  async detectInterruptedMigration(repoPath) {
+    let data;
+    try {
+      data = await new MigrationJournal(repoPath).load();
+    } catch (error) {
+      // Not a repository, or an unreadable journal that migrate --status reports
+      return null;
+    }
+
+    if (!data) {
+      return null;
+    }
+
+    const summary = MigrationJournal.summarize(data);
+    if (summary.interrupted) {
+      console.log(chalk.yellow(`\n⚠️  Interrupted migration found: ${summary.completedCommits}/${summary.totalCommits} commit(s) ` +
+        `rewritten with ${summary.strategy}, started ${summary.startedAt}`));
+      console.log(chalk.gray('   Resume it with:      histofy migrate --continue'));
+      console.log(chalk.gray('   Roll it back with:   histofy migrate --abort'));
+      console.log(chalk.gray('   Inspect it with:     histofy migrate --status\n'));
+    } else {
+      console.log(chalk.yellow(`\n⚠️  A migration is running in process ${summary.pid}\n`));
+    }
+
+    return summary;
+  }
+
   /**
    * Execute operation with automatic management and performance monitoring
    */
@@ -472,6 +508,20 @@ class OperationManager {
     const profiler = PerformanceProfiler.getInstance();
     let operationId = null;
 
+    // Commands that resume or abort the migration themselves skip the check
+    if (metadata.repoPath && !metadata.resumesMigration) {
+      const migration = await manager.detectInterruptedMigration(metadata.repoPath);
+      if (migration && HISTORY_REWRITING_OPERATIONS.includes(type)) {
+        return {
+          success: false,
+          error: migration.interrupted
+            ? 'An interrupted migration must be continued or aborted first'
+            : `Another migration is running in process ${migration.pid}`,
+          operationId
+        };
+      }
+    }
+
     try {
       operationId = await manager.startOperation(type, metadata);
       
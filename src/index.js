@@ -43,6 +43,13 @@ program
   .option('--profile', 'Enable performance profiling')
   .option('--perf-summary', 'Show performance summary after operations');
 
+/**
+ * Collect a repeatable option into an array
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 // Import and setup command handlers with error handling
 function setupCommands() {
   try {
@@ -53,8 +60,15 @@ function setupCommands() {
       .argument('[message]', 'Commit message')
       .option('-d, --date <date>', 'Custom date (YYYY-MM-DD)')
       .option('-t, --time <time>', 'Custom time (HH:MM)')
+      .option('--tz <timezone>', 'IANA timezone for the date and time (e.g., Europe/Berlin)')
+      .option('--author-date <datetime>', 'Author date override (YYYY-MM-DD HH:MM)')
+      .option('--committer-date <datetime>', 'Committer date override (YYYY-MM-DD HH:MM)')
       .option('-a, --add-all', 'Add all changes before committing')
       .option('--author <author>', 'Custom author (Name <email>)')
+      .option('--co-author <author>', 'Add a Co-authored-by trailer (Name <email>, repeatable)', collect, [])
+      .option('--trailer <key=value>', 'Add a trailer such as Signed-off-by or Reviewed-by (repeatable)', collect, [])
+      .option('-S, --sign', 'Sign the commit (GPG, or SSH when gpg.format=ssh)')
+      .option('--signing-key <key>', 'Key to sign with instead of user.signingkey (implies --sign)')
       .option('--push', 'Push after committing')
       .option('--dry-run', 'Preview what would be done without executing')
       .action(async (message, options) => {
@@ -139,12 +153,35 @@ function setupCommands() {
     program
       .command('batch')
       .description('Batch operations for multiple commits')
-      .argument('<action>', 'Batch action (commit, template, import, export, validate)')
-      .option('-i, --input <file>', 'Input data file (CSV or JSON)')
+      .argument('<action>', 'Batch action (commit, template, import, export, validate, transplant, generate)')
+      .option('-i, --input <file>', 'Input data file (CSV, JSON or YAML)')
+      .option('--fixtures <dir>', 'Directory copy and patch file operations read from (default: the input file directory)')
+      .option('--from <value>', 'Repository to replay commits from (transplant), or first day of the schedule (generate)')
+      .option('--to <date>', 'Last day of the generated schedule (YYYY-MM-DD)')
+      .option('--range <range>', 'Commits of the source repository to replay (default: HEAD)')
+      .option('--with-tree', 'Carry each transplanted commit\'s files, not just its message and dates')
+      .option('--offset <amount>', 'Move transplanted dates by an amount, e.g. +30d, -2w, 90m')
+      .option('--start <date>', 'Move transplanted dates so the first commit lands on this date (YYYY-MM-DD)')
+      .option('--per-day <range>', 'Commits per generated day, a number or range (default: 0-4)')
+      .option('--weekdays <weights>', 'Relative weekday weights for generate, e.g. sat=0.3,sun=0 (others weigh 1)')
+      .option('--hours <list>', 'Hours generated commits fall in, with optional weights, e.g. 9-12:3,13-17:2 (default: 9-17)')
+      .option('--blackout <range>', 'Day or range a generated schedule leaves empty, e.g. 2025-08-01..2025-08-14 (repeatable)', collect, [])
+      .option('--words <file>', 'Word list of commit messages for generate, one per line')
+      .option('--repo-messages', 'Reuse this repository\'s commit messages for generate')
+      .option('--seed <value>', 'Seed that makes a generated schedule repeatable')
       .option('-o, --output <file>', 'Output file path')
       .option('-t, --template <file>', 'Commit template file')
       .option('--separator <char>', 'CSV separator character', ',')
       .option('--no-headers', 'CSV file has no headers')
+      .option('--tz <timezone>', 'Default IANA timezone for entries without a timezone column')
+      .option('--co-author <author>', 'Add a Co-authored-by trailer to every commit (repeatable)', collect, [])
+      .option('--trailer <key=value>', 'Add a trailer to every commit (repeatable)', collect, [])
+      .option('--author-map <file>', 'Remap authors and the committer with a .mailmap or JSON file')
+      .option('-S, --sign', 'Sign every commit (GPG, or SSH when gpg.format=ssh)')
+      .option('--signing-key <key>', 'Key to sign with instead of user.signingkey (implies --sign)')
+      .option('--isolated', 'Commit in a temporary worktree and move the branch once all commits exist')
+      .option('--journal <file>', 'Record committed rows in this file (default: .git/histofy/batch-journal.jsonl)')
+      .option('--resume <journal>', 'Skip rows already committed according to a batch journal')
       .option('--dry-run', 'Preview batch operations without executing')
       .option('--continue-on-error', 'Continue processing despite errors')
       .option('--concurrent <num>', 'Max concurrent operations', '1')
@@ -158,6 +195,7 @@ function setupCommands() {
           const batchCommand = require('./cli/batch');
           return await batchCommand(action, options);
         }, {
+          repoPath: process.cwd(),
           command: 'batch',
           args: { action, options }
         });
@@ -174,6 +212,9 @@ function setupCommands() {
     // Undo command
     program.addCommand(require('./cli/undo'));
 
+    // Commit map command
+    program.addCommand(require('./cli/map'));
+
     // Export command
     program.addCommand(require('./cli/export'));
 
@@ -363,33 +404,176 @@ function setupCommands() {
     program
       .command('migrate')
       .description('Migrate existing commits to new dates')
-      .argument('<range>', 'Commit hash or range (e.g., abc123 or HEAD~5..HEAD)')
+      .argument('[range]', 'Commit hash or range (e.g., abc123 or HEAD~5..HEAD)')
       .option('-d, --to-date <date>', 'Target date (YYYY-MM-DD)')
       .option('-s, --spread <days>', 'Spread commits over N days', '1')
       .option('-t, --start-time <time>', 'Start time for first commit', '09:00')
+      .option('--distribution <strategy>', 'Date distribution strategy (even|weekdays|working-hours|jitter|poisson|mirror)', 'even')
+      .option('--seed <seed>', 'Seed for random distribution strategies (jitter, poisson)')
+      .option('--working-hours <range>', 'Working hours window for the working-hours strategy', '09:00-17:00')
+      .option('--tz <timezone>', 'IANA timezone for the new dates (e.g., Europe/Berlin)')
+      .option('--date-target <target>', 'Which dates to move: both, author or committer (the other keeps its original value)', 'both')
+      .option('--strategy <strategy>', 'Rewrite strategy (auto|fast-import|filter-branch|interactive-rebase|cherry-pick)', 'auto')
+      .option('--rewrite-refs', 'Also move tags, other branches and notes that point at rewritten commits')
+      .option('--message-filter <filter>', 'Rewrite messages with s/pattern/replacement/flags or a JS module (repeatable)', collect, [])
+      .option('--author-map <file>', 'Rewrite author and committer identities with a .mailmap or JSON file')
+      .option('-S, --sign', 'Sign the rewritten commits (GPG, or SSH when gpg.format=ssh)')
+      .option('--signing-key <key>', 'Key to sign with instead of user.signingkey (implies --sign)')
+      .option('--isolated', 'Rewrite in a temporary worktree and only move the branch, leaving your working tree untouched')
+      .option('--plan-out <file>', 'Write the migration plan to an editable JSON or YAML file (.yaml/.yml)')
+      .option('--plan-in <file>', 'Apply a migration plan file exactly, instead of a range and --to-date')
+      .option('--interactive', 'Edit the planned dates in a terminal editor, then rewrite (or preview with --dry-run)')
       .option('--preserve-order', 'Preserve original commit order')
       .option('--execute', 'Execute the migration automatically (default: plan only)')
       .option('--auto-resolve <strategy>', 'Automatic conflict resolution strategy (theirs|ours)')
       .option('--no-backup', 'Skip creating backup before migration')
       .option('--no-rollback', 'Disable automatic rollback on failure')
       .option('--dry-run', 'Show detailed preview of what would be done without executing')
+      .option('--continue', 'Resume a migration that was interrupted or stopped on conflicts')
+      .option('--abort', 'Roll back an interrupted migration and remove what it left behind')
+      .option('--status', 'Show the progress of an interrupted migration')
       .action(async (range, options) => {
-        const result = await OperationManager.execute('migrate', async (operationId) => {
+        // Resolving a journal needs no new backup, and must not be blocked by the migration it resolves
+        const resuming = Boolean(options.continue || options.abort || options.status);
+        const result = await OperationManager.execute(resuming ? 'migrate-resume' : 'migrate', async (operationId) => {
           const migrateCommand = require('./cli/migrate');
           return await migrateCommand(range, options);
         }, {
           repoPath: process.cwd(),
           command: 'migrate',
-          args: { range, options }
+          args: { range, options },
+          resumesMigration: resuming,
+          isolated: Boolean(options.isolated)
         });
 
         if (!result.success) {
           console.error(chalk.red('Error in migrate command:'), result.error);
-          console.error(chalk.gray('The repository has been restored to its previous state.'));
+          if (!resuming) {
+            console.error(chalk.gray('The repository has been restored to its previous state.'));
+          }
           return 1; // Return error code instead of process.exit(1)
         }
       });
 
+    // Purge command
+    program
+      .command('purge')
+      .description('Remove files or secrets from every commit in a range')
+      .argument('[range]', 'Commit range or revision to purge (default: all history of the current branch)', 'HEAD')
+      .option('-p, --path <pattern>', 'Path or glob to remove, e.g. .env or "**/*.pem" (repeatable)', collect, [])
+      .option('--replace-text <secret>', 'Literal string to replace with ***REMOVED*** (repeatable)', collect, [])
+      .option('--secrets-file <file>', 'File with one literal secret per line to replace with ***REMOVED***')
+      .option('--rewrite-refs', 'Also move tags, other branches and notes that point at rewritten commits')
+      .option('--execute', 'Rewrite history (default: plan only)')
+      .option('--dry-run', 'Show detailed preview of what would be done without executing')
+      .action(async (range, options) => {
+        const result = await OperationManager.execute('purge', async () => {
+          const purgeCommand = require('./cli/purge');
+          return await purgeCommand(range, options);
+        }, {
+          repoPath: process.cwd(),
+          command: 'purge',
+          // Secrets passed on the command line must not reach the audit log
+          args: { range, paths: options.path }
+        });
+
+        if (!result.success) {
+          console.error(chalk.red('Error in purge command:'), result.error);
+          return 1;
+        }
+      });
+
+    // Paint command
+    program
+      .command('paint')
+      .description('Draw text or a picture on the contribution calendar with backdated commits')
+      .option('--text <text>', 'Text to draw with the 7-row pixel font (A-Z, 0-9, space, . : - \' ! ? ♥)')
+      .option('--grid <file>', 'Grid file: 7 lines (Sunday to Saturday) of 0-4, # or . per day')
+      .option('--matrix <file>', 'JSON file with 7 rows of intensity levels (0-4)')
+      .option('--year <year>', 'Paint a calendar year instead of the last 53 weeks')
+      .option('--offset <weeks>', 'Week column the design starts at (default: centered)')
+      .option('--level <level>', 'Intensity (1-4) of text pixels', '4')
+      .option('--peak <commits>', 'Commits on the darkest days (default: the fewest that work)')
+      .option('-m, --message <template>', 'Commit message template ({{date}}, {{time}}, {{index}}, {{total}})')
+      .option('--start-time <time>', 'Time of the first commit on each day (HH:mm)', '12:00')
+      .option('--author <identity>', 'Author as "Name <email>" (default: the configured identity)')
+      .option('--isolated', 'Commit in a temporary worktree without touching the working tree or index')
+      .option('--execute', 'Create the commits (default: preview only)')
+      .option('--dry-run', 'Show detailed preview of what would be done without executing')
+      .action(async (options) => {
+        const result = await OperationManager.execute('paint', async () => {
+          const paintCommand = require('./cli/paint');
+          return await paintCommand(options);
+        }, {
+          repoPath: process.cwd(),
+          command: 'paint',
+          args: { text: options.text, grid: options.grid, matrix: options.matrix, year: options.year }
+        });
+
+        if (!result.success) {
+          console.error(chalk.red('Error in paint command:'), result.error);
+          return 1;
+        }
+      });
+
+    // Backfill command
+    program
+      .command('backfill')
+      .description('Fill idle days in a date window with backdated commits')
+      .option('--since <date>', 'First day of the window (YYYY-MM-DD)')
+      .option('--until <date>', 'Last day of the window (YYYY-MM-DD, default: today)')
+      .option('--min-per-day <count>', 'Commits every day should have; days with fewer are topped up', '1')
+      .option('--weekdays-only', 'Leave Saturdays and Sundays empty')
+      .option('--file <path>', 'Append a line to this file in each commit instead of committing empty')
+      .option('--content <template>', 'Line appended to --file ({{date}}, {{time}}, {{index}}, {{total}})')
+      .option('-m, --message <template>', 'Commit message template ({{date}}, {{time}}, {{index}}, {{total}})')
+      .option('--start-time <time>', 'Time of the first commit on each day (HH:mm); later ones follow hourly', '09:00')
+      .option('--tz <timezone>', 'IANA timezone for the commit dates (e.g., Europe/Berlin)')
+      .option('--author <identity>', 'Author as "Name <email>" (default: the configured identity)')
+      .option('--execute', 'Create the commits (default: preview only)')
+      .option('--dry-run', 'Show detailed preview of what would be done without executing')
+      .action(async (options) => {
+        const result = await OperationManager.execute('backfill', async () => {
+          const backfillCommand = require('./cli/backfill');
+          return await backfillCommand(options);
+        }, {
+          repoPath: process.cwd(),
+          command: 'backfill',
+          args: { since: options.since, until: options.until, minPerDay: options.minPerDay }
+        });
+
+        if (!result.success) {
+          console.error(chalk.red('Error in backfill command:'), result.error);
+          return 1;
+        }
+      });
+
+    // Lint command
+    program
+      .command('lint [range]')
+      .description('Report timestamp anomalies and impossible chronology in history')
+      .option('--since <date>', 'Start of the allowed date window (YYYY-MM-DD, default: lint.since from config)')
+      .option('--until <date>', 'End of the allowed date window (YYYY-MM-DD, default: lint.until from config)')
+      .option('--min-run <count>', 'Commits in a row with identical spacing before it is reported', '5')
+      .option('-f, --format <format>', 'Output format (table, json, sarif)', 'table')
+      .option('-o, --output <file>', 'Write the report to a file')
+      .option('--fix <file>', 'Write a migration plan (.json or .yaml) that repairs the chronology')
+      .action(async (range, options) => {
+        const result = await OperationManager.execute('lint', async () => {
+          const lintCommand = require('./cli/lint');
+          return await lintCommand(range, options);
+        }, {
+          repoPath: process.cwd(),
+          command: 'lint',
+          args: { range, format: options.format, fix: options.fix }
+        });
+
+        if (!result.success) {
+          console.error(chalk.red('Error in lint command:'), result.error);
+          return 1;
+        }
+      });
+
   } catch (error) {
     console.error(chalk.red('Error setting up commands:'), error.message);
     // Continue with basic functionality
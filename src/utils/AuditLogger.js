@@ -396,13 +396,16 @@ class AuditLogger extends EventEmitter {
         }
       }
     }, 5000); // Flush every 5 seconds
+
+    // Background upkeep must not keep a finished command from exiting
+    this.flushInterval.unref();
   }
 
   /**
    * Set up automatic log rotation timer
    */
   setupRotationTimer() {
-    setInterval(async () => {
+    const rotationTimer = setInterval(async () => {
       const stats = await fs.stat(this.currentLogFile);
       const age = Date.now() - stats.mtime.getTime();
       
@@ -410,6 +413,8 @@ class AuditLogger extends EventEmitter {
         await this.rotateLogFile();
       }
     }, 60000); // Check every minute
+
+    rotationTimer.unref();
   }
 
   /**
@@ -0,0 +1,177 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * AuthorMap - Identity remapping from .mailmap files or JSON maps
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// "Proper Name <proper@email> Commit Name <commit@email>", every part but the last email optional
+const MAILMAP_LINE = /^([^<>]*?)\s*<([^<>]*)>(?:\s*([^<>]*?)\s*<([^<>]*)>)?$/;
+const IDENTITY = /^\s*([^<>]*?)\s*(?:<([^<>]*)>)?\s*$/;
+
+class AuthorMap {
+  /**
+   * @param {Array} entries - Entries ({properName, properEmail, commitName, commitEmail})
+   * @param {string} source - Where the entries came from
+   */
+  constructor(entries = [], source = null) {
+    this.entries = entries;
+    this.source = source;
+    this.byEmail = new Map();
+
+    entries.forEach(entry => {
+      const key = entry.commitEmail.toLowerCase();
+      if (!this.byEmail.has(key)) {
+        this.byEmail.set(key, []);
+      }
+      this.byEmail.get(key).push(entry);
+    });
+  }
+
+  /**
+   * Load a map from a .mailmap file or a JSON file
+   * @param {string} filePath - Path to the map
+   * @returns {Promise<AuthorMap>} Loaded map
+   */
+  static async load(filePath) {
+    const resolved = path.resolve(filePath);
+
+    let content;
+    try {
+      content = await fs.readFile(resolved, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read author map ${filePath}: ${error.message}`);
+    }
+
+    const isJson = path.extname(resolved).toLowerCase() === '.json' || /^\s*\{/.test(content);
+    return isJson ? this.fromJSON(content, resolved) : this.fromMailmap(content, resolved);
+  }
+
+  /**
+   * Parse .mailmap syntax (see gitmailmap(5))
+   * @param {string} content - File content
+   * @param {string} source - Source name for error messages
+   * @returns {AuthorMap} Parsed map
+   */
+  static fromMailmap(content, source = '.mailmap') {
+    const entries = [];
+
+    content.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (line === '') {
+        return;
+      }
+
+      const match = MAILMAP_LINE.exec(line);
+      if (!match) {
+        throw new Error(`Invalid mailmap entry on line ${index + 1} of ${source}: ${rawLine.trim()}`);
+      }
+
+      const [, firstName, firstEmail, secondName, secondEmail] = match;
+      entries.push(secondEmail === undefined
+        ? { properName: firstName || null, properEmail: null, commitName: null, commitEmail: firstEmail }
+        : { properName: firstName || null, properEmail: firstEmail || null, commitName: secondName || null, commitEmail: secondEmail });
+    });
+
+    return new AuthorMap(entries, source);
+  }
+
+  /**
+   * Parse a JSON map whose keys are commit identities ("email", "<email>" or "Name <email>")
+   * and whose values are the proper identity ("Name <email>", "<email>", "Name" or {name, email})
+   * @param {string} content - File content
+   * @param {string} source - Source name for error messages
+   * @returns {AuthorMap} Parsed map
+   */
+  static fromJSON(content, source = 'author map') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in author map ${source}: ${error.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Author map ${source} must be a JSON object mapping commit identities to proper identities`);
+    }
+
+    const entries = Object.entries(data).map(([key, value]) => {
+      const from = key.includes('<') ? this.parseIdentity(key) : { name: null, email: key.trim() };
+      const to = typeof value === 'string' ? this.parseIdentity(value) : value;
+
+      if (!from || !from.email) {
+        throw new Error(`Invalid commit identity "${key}" in ${source}. Use "email" or "Name <email>"`);
+      }
+      if (!to || typeof to !== 'object' || (!to.name && !to.email) || /[<>\n]/.test(`${to.name || ''}${to.email || ''}`)) {
+        throw new Error(`Invalid identity for "${key}" in ${source}. Use "Name <email>" or {"name", "email"}`);
+      }
+
+      return {
+        properName: to.name || null,
+        properEmail: to.email || null,
+        commitName: from.name || null,
+        commitEmail: from.email
+      };
+    });
+
+    return new AuthorMap(entries, source);
+  }
+
+  /**
+   * Parse "Name <email>", "<email>" or "Name"
+   * @param {string} text - Identity text
+   * @returns {Object|null} {name, email}
+   */
+  static parseIdentity(text) {
+    const match = IDENTITY.exec(String(text));
+    if (!match || (!match[1] && !match[2])) {
+      return null;
+    }
+    return { name: match[1] || null, email: match[2] || null };
+  }
+
+  /**
+   * Number of entries in the map
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Map an identity; entries naming the commit name win over email-only entries, matching is case-insensitive
+   * @param {string} name - Name as recorded in the commit
+   * @param {string} email - Email as recorded in the commit
+   * @returns {Object} {name, email, changed}
+   */
+  resolve(name, email) {
+    const candidates = this.byEmail.get(String(email || '').toLowerCase()) || [];
+    const lowerName = String(name || '').toLowerCase();
+    const match = candidates.find(entry => entry.commitName && entry.commitName.toLowerCase() === lowerName) ||
+      candidates.find(entry => !entry.commitName);
+
+    if (!match) {
+      return { name, email, changed: false };
+    }
+
+    const mappedName = match.properName || name;
+    const mappedEmail = match.properEmail || email;
+    return { name: mappedName, email: mappedEmail, changed: mappedName !== name || mappedEmail !== email };
+  }
+
+  /**
+   * Keep cache keys and JSON output small; the digest tells maps with the same source but other entries apart
+   * @returns {Object} Summary
+   */
+  toJSON() {
+    const digest = crypto.createHash('sha256').update(JSON.stringify(this.entries)).digest('hex').substring(0, 16);
+    return { source: this.source, entries: this.size, digest };
+  }
+}
+
+module.exports = AuthorMap;
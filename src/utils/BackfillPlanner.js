@@ -0,0 +1,113 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * BackfillPlanner - Finds idle days in a date window and plans the commits that fill them
+ */
+
+const moment = require('moment');
+
+const DAY = 'YYYY-MM-DD';
+
+class BackfillPlanner {
+  /**
+   * Resolve and check the backfill window
+   * @param {Object} options - Window options
+   * @param {string} options.since - First day (YYYY-MM-DD)
+   * @param {string} options.until - Last day (YYYY-MM-DD, default: today)
+   * @param {Date} options.today - Current date
+   * @returns {Object} {start, end} as moments; days after today are left out
+   */
+  static getWindow(options = {}) {
+    const today = moment(options.today || new Date()).startOf('day');
+    if (!options.since) {
+      throw new Error('--since is required');
+    }
+
+    const parse = (value, name) => {
+      const parsed = moment(value, DAY, true);
+      if (!parsed.isValid()) {
+        throw new Error(`${name} must be a date in YYYY-MM-DD format, got "${value}"`);
+      }
+      return parsed;
+    };
+
+    const start = parse(options.since, '--since');
+    const end = moment.min(options.until ? parse(options.until, '--until') : today, today);
+    if (start.isAfter(end)) {
+      throw new Error(`Nothing to backfill between ${start.format(DAY)} and ${end.format(DAY)}`);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Find the days that need commits
+   * @param {Map} existing - Existing commits by date (from CommitAnalyzer.generateHeatmap)
+   * @param {Object} window - Window from getWindow
+   * @param {Object} options - Gap options
+   * @param {number} options.minPerDay - Commits every day should end up with (default: 1, so only empty days)
+   * @param {boolean} options.weekdaysOnly - Leave Saturdays and Sundays empty
+   * @returns {Object} {days[{date, existing, add}], totalCommits, skippedWeekends}
+   */
+  static findGaps(existing, window, options = {}) {
+    const minPerDay = options.minPerDay === undefined ? 1 : options.minPerDay;
+    if (!Number.isInteger(minPerDay) || minPerDay < 1) {
+      throw new Error(`Minimum commits per day must be a whole number of at least 1, got ${minPerDay}`);
+    }
+
+    const days = [];
+    let skippedWeekends = 0;
+    for (let date = window.start.clone(); date.isSameOrBefore(window.end, 'day'); date.add(1, 'day')) {
+      const key = date.format(DAY);
+      const count = existing.get(key) || 0;
+      if (count >= minPerDay) {
+        continue;
+      }
+      if (options.weekdaysOnly && (date.day() === 0 || date.day() === 6)) {
+        skippedWeekends++;
+        continue;
+      }
+      days.push({ date: key, existing: count, add: minPerDay - count });
+    }
+
+    return {
+      days,
+      totalCommits: days.reduce((sum, day) => sum + day.add, 0),
+      skippedWeekends
+    };
+  }
+
+  /**
+   * Give each planned commit a date and time, one hour apart within a day
+   * @param {Object} plan - Plan from findGaps
+   * @param {Object} options - Schedule options
+   * @param {string} options.startTime - Time of a day's first commit (HH:mm, default: 09:00)
+   * @returns {Array} Commits ({date, time, index, total})
+   */
+  static schedule(plan, options = {}) {
+    const startTime = options.startTime || '09:00';
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(startTime);
+    if (!match) {
+      throw new Error(`Invalid start time "${startTime}": use HH:mm`);
+    }
+    const first = Number(match[1]) * 60 + Number(match[2]);
+
+    const commits = [];
+    plan.days.forEach(day => {
+      if (first + (day.add - 1) * 60 >= 24 * 60) {
+        throw new Error(`${day.add} commits on ${day.date} starting at ${startTime} run past midnight; use an earlier --start-time`);
+      }
+      for (let i = 0; i < day.add; i++) {
+        const minutes = first + i * 60;
+        const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        commits.push({ date: day.date, time });
+      }
+    });
+
+    return commits.map((commit, index) => ({ ...commit, index: index + 1, total: commits.length }));
+  }
+}
+
+module.exports = BackfillPlanner;
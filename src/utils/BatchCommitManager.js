@@ -9,19 +9,34 @@
 const fs = require('fs').promises;
 const path = require('path');
 const csv = require('csv-parser');
+const yaml = require('yaml');
 const { createReadStream } = require('fs');
 const GitManager = require('../core/GitManager');
+const IsolatedWorktree = require('../core/IsolatedWorktree');
+const BatchJournal = require('../core/BatchJournal');
 const OperationManager = require('../core/OperationManager');
 const SecurityUtils = require('../security/SecurityUtils');
 const ValidationUtils = require('./ValidationUtils');
+const EnhancedValidationUtils = require('./validation');
+const TrailerUtils = require('./TrailerUtils');
+const TemplateEngine = require('./TemplateEngine');
+const BatchFileOperations = require('./BatchFileOperations');
 const { ProgressUtils } = require('./progress');
 const { ErrorHandler, ValidationError, FileSystemError } = require('./errors');
 
+// Commit data fields that become message trailers
+const TRAILER_FIELDS = ['coAuthors', 'trailers'];
+
+// Imported fields that are parsed and validated before use, so they keep their characters
+const STRUCTURED_FIELDS = [...TRAILER_FIELDS, 'files'];
+
 class BatchCommitManager {
   constructor() {
     this.gitManager = new GitManager();
     this.operationManager = OperationManager.getInstance();
     this.templates = new Map();
+    // Directory of each template loaded from a file, so its includes resolve next to it
+    this.templateDirs = new WeakMap();
     this.supportedFormats = ['json', 'csv', 'yaml'];
   }
 
@@ -49,6 +64,9 @@ class BatchCommitManager {
         throw new ValidationError('Unsupported template format', 'template_format', 'Use JSON or YAML format');
       }
 
+      if (templateData && typeof templateData === 'object') {
+        this.templateDirs.set(templateData, path.dirname(templatePath));
+      }
       return this.validateTemplate(templateData);
     } catch (error) {
       if (error instanceof ValidationError) {
@@ -65,7 +83,7 @@ class BatchCommitManager {
    */
   validateTemplate(template) {
     const requiredFields = ['message'];
-    const optionalFields = ['author', 'email', 'date', 'time', 'variables'];
+    const optionalFields = ['author', 'email', 'date', 'time', 'timezone', 'authorDate', 'committerDate', 'coAuthors', 'trailers', 'variables', 'seed', 'help'];
 
     // Check required fields
     for (const field of requiredFields) {
@@ -79,6 +97,28 @@ class BatchCommitManager {
       throw new ValidationError('Template message must be a string', 'message', 'Provide a valid message template');
     }
 
+    // Co-authors and trailers may be a list, a ";"-separated string or (trailers only) a key/value map
+    for (const field of ['coAuthors', 'trailers']) {
+      const value = template[field];
+      if (value !== undefined && !['string', 'object'].includes(typeof value)) {
+        throw new ValidationError(`Template ${field} must be a string, array or object`, field, 'Use a list such as ["Name <email@example.com>"]');
+      }
+    }
+
+    if (template.seed !== undefined && !['string', 'number'].includes(typeof template.seed)) {
+      throw new ValidationError('Template seed must be a string or number', 'seed', 'Use a seed such as "release-2024" to change which items pick chooses');
+    }
+
+    // Compile every templated string so syntax errors surface before any row is processed
+    for (const { field, text } of this.getTemplateStrings(template)) {
+      try {
+        TemplateEngine.compile(text, { baseDir: this.templateDirs.get(template) });
+      } catch (error) {
+        throw new ValidationError(`Template ${field} has a syntax error: ${error.message}`, field,
+          'Check the {{ }} tags; run histofy batch template --create to see the available helpers');
+      }
+    }
+
     // Validate variables if present
     if (template.variables) {
       if (!Array.isArray(template.variables)) {
@@ -99,6 +139,23 @@ class BatchCommitManager {
     return template;
   }
 
+  /**
+   * List the strings of a template that go through the template engine
+   * @param {Object} template - Template object
+   * @returns {Array<Object>} {field, text} for the message, co-authors and trailer values
+   */
+  getTemplateStrings(template) {
+    const strings = [{ field: 'message', text: template.message }];
+
+    ['coAuthors', 'trailers'].forEach(field => {
+      TrailerUtils.toList(template[field]).forEach((entry, index) => {
+        strings.push({ field: `${field}[${index}]`, text: typeof entry === 'string' ? entry : String(entry.value) });
+      });
+    });
+
+    return strings;
+  }
+
   /**
    * Process template with variable substitution
    * @param {Object} template - Template object
@@ -106,41 +163,56 @@ class BatchCommitManager {
    * @returns {Object} Processed commit data
    */
   processTemplate(template, data) {
-    let message = template.message;
-    
-    // Replace variables in message
-    if (template.variables) {
-      template.variables.forEach(variable => {
-        const value = data[variable.name];
-        if (value !== undefined) {
-          const placeholder = `{{${variable.name}}}`;
-          message = message.replace(new RegExp(placeholder, 'g'), String(value));
-        }
-      });
-    }
-
-    // Replace built-in variables
-    const builtInVars = {
-      '{{date}}': data.date || new Date().toISOString().split('T')[0],
-      '{{time}}': data.time || '12:00',
-      '{{timestamp}}': new Date().toISOString(),
-      '{{index}}': data.index || 0,
-      '{{total}}': data.total || 1
-    };
+    const message = this.substituteVariables(template.message, template, data);
 
-    Object.entries(builtInVars).forEach(([placeholder, value]) => {
-      message = message.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), String(value));
-    });
+    // Template co-authors and trailers accept the same placeholders as the message
+    const substituteEntry = entry => (typeof entry === 'string'
+      ? this.substituteVariables(entry, template, data)
+      : { ...entry, value: this.substituteVariables(String(entry.value), template, data) });
 
     return {
       message: SecurityUtils.sanitizeForDisplay(message),
       author: template.author || data.author,
       email: template.email || data.email,
       date: data.date || template.date || new Date().toISOString().split('T')[0],
-      time: data.time || template.time || '12:00'
+      time: data.time || template.time || '12:00',
+      timezone: data.timezone || template.timezone,
+      authorDate: data.authorDate || template.authorDate,
+      committerDate: data.committerDate || template.committerDate,
+      coAuthors: [...TrailerUtils.toList(template.coAuthors).map(substituteEntry), ...TrailerUtils.toList(data.coAuthors)],
+      trailers: [...TrailerUtils.toList(template.trailers).map(substituteEntry), ...TrailerUtils.toList(data.trailers)],
+      files: data.files
     };
   }
 
+  /**
+   * Render a template string against a row (see TemplateEngine for the language)
+   * Every column of the row can be used, alongside the built-ins date, time, timestamp, index and total.
+   * @param {string} text - Text containing {{placeholders}}
+   * @param {Object} template - Template object (its seed drives pick; its file is where includes resolve from)
+   * @param {Object} data - Data for variable substitution
+   * @returns {string} Text with variables replaced
+   */
+  substituteVariables(text, template, data) {
+    const builtIns = {
+      date: data.date || new Date().toISOString().split('T')[0],
+      time: data.time || '12:00',
+      timestamp: new Date().toISOString(),
+      index: data.index || 0,
+      total: data.total || 1
+    };
+
+    try {
+      return TemplateEngine.render(text, { ...data, ...builtIns }, {
+        baseDir: this.templateDirs.get(template),
+        // Each row gets its own repeatable sequence of picks
+        seed: `${template.seed !== undefined ? template.seed : ''}#${builtIns.index}`
+      });
+    } catch (error) {
+      throw new ValidationError(`Template error: ${error.message}`, 'template', 'Check the template against the row\'s columns');
+    }
+  }
+
   /**
    * Import commit data from CSV file
    * @param {string} filePath - Path to CSV file
@@ -155,7 +227,8 @@ class BatchCommitManager {
       const stream = createReadStream(validatedPath)
         .pipe(csv({
           separator: options.separator || ',',
-          headers: options.headers || true,
+          // csv-parser reads the header row by default; only false or an explicit list override it
+          ...(options.headers === false || Array.isArray(options.headers) ? { headers: options.headers } : {}),
           skipEmptyLines: true
         }));
 
@@ -165,8 +238,7 @@ class BatchCommitManager {
           const sanitizedRow = {};
           Object.entries(row).forEach(([key, value]) => {
             const sanitizedKey = SecurityUtils.sanitizeForDisplay(key.trim());
-            const sanitizedValue = SecurityUtils.sanitizeForDisplay(String(value).trim());
-            sanitizedRow[sanitizedKey] = sanitizedValue;
+            sanitizedRow[sanitizedKey] = this.sanitizeImportValue(sanitizedKey, String(value).trim());
           });
 
           commits.push(sanitizedRow);
@@ -185,6 +257,23 @@ class BatchCommitManager {
     });
   }
 
+  /**
+   * Sanitize an imported string value
+   * Co-author and trailer columns keep their "Name <email>" brackets and file operation columns their JSON;
+   * they are validated before use.
+   * @param {string} key - Column or property name
+   * @param {string} value - Raw value
+   * @returns {string} Sanitized value
+   * @private
+   */
+  sanitizeImportValue(key, value) {
+    if (STRUCTURED_FIELDS.includes(key)) {
+      // eslint-disable-next-line no-control-regex
+      return value.replace(/[\x00-\x09\x0B-\x1F\x7F]/g, '');
+    }
+    return SecurityUtils.sanitizeForDisplay(value);
+  }
+
   /**
    * Import commit data from JSON file
    * @param {string} filePath - Path to JSON file
@@ -194,28 +283,7 @@ class BatchCommitManager {
     try {
       const validatedPath = SecurityUtils.validateFilePath(filePath);
       const jsonContent = await fs.readFile(validatedPath, 'utf8');
-      const data = JSON.parse(jsonContent);
-
-      if (!Array.isArray(data)) {
-        throw new ValidationError('JSON file must contain an array of commit data', 'json_format', 'Structure your JSON as an array of objects');
-      }
-
-      // Validate and sanitize each commit entry
-      return data.map((commit, index) => {
-        if (typeof commit !== 'object' || commit === null) {
-          throw new ValidationError(`Invalid commit data at index ${index}`, `commits[${index}]`, 'Each commit must be an object');
-        }
-
-        const sanitizedCommit = {};
-        Object.entries(commit).forEach(([key, value]) => {
-          const sanitizedKey = SecurityUtils.sanitizeForDisplay(key);
-          const sanitizedValue = typeof value === 'string' ? 
-            SecurityUtils.sanitizeForDisplay(value) : value;
-          sanitizedCommit[sanitizedKey] = sanitizedValue;
-        });
-
-        return sanitizedCommit;
-      });
+      return this.sanitizeImportedEntries(JSON.parse(jsonContent), 'JSON');
     } catch (error) {
       if (error instanceof ValidationError) {
         throw error;
@@ -227,26 +295,112 @@ class BatchCommitManager {
     }
   }
 
+  /**
+   * Import commit data from YAML file
+   * @param {string} filePath - Path to YAML file
+   * @returns {Promise<Array>} Array of commit data
+   */
+  async importFromYAML(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(SecurityUtils.validateFilePath(filePath), 'utf8');
+    } catch (error) {
+      throw new FileSystemError(`Failed to read YAML file: ${error.message}`, filePath, 'read');
+    }
+
+    let data;
+    try {
+      data = yaml.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid YAML format: ${error.message}`, 'yaml_syntax', 'Check YAML syntax and indentation');
+    }
+    return this.sanitizeImportedEntries(data, 'YAML');
+  }
+
+  /**
+   * Check that imported data is a list of entries and sanitize their string values
+   * @param {*} data - Parsed JSON or YAML
+   * @param {string} format - Format name for error messages
+   * @returns {Array} Array of commit data
+   * @private
+   */
+  sanitizeImportedEntries(data, format) {
+    if (!Array.isArray(data)) {
+      throw new ValidationError(`${format} file must contain an array of commit data`, `${format.toLowerCase()}_format`,
+        `Structure your ${format} as an array of objects`);
+    }
+
+    // Validate and sanitize each commit entry
+    return data.map((commit, index) => {
+      if (typeof commit !== 'object' || commit === null) {
+        throw new ValidationError(`Invalid commit data at index ${index}`, `commits[${index}]`, 'Each commit must be an object');
+      }
+
+      const sanitizedCommit = {};
+      Object.entries(commit).forEach(([key, value]) => {
+        const sanitizedKey = SecurityUtils.sanitizeForDisplay(key);
+        const sanitizedValue = typeof value === 'string' ? 
+          this.sanitizeImportValue(sanitizedKey, value) : value;
+        sanitizedCommit[sanitizedKey] = sanitizedValue;
+      });
+
+      return sanitizedCommit;
+    });
+  }
+
+  /**
+   * Replace an entry's author and email with their mapped identity
+   * @param {Object} commit - Commit data
+   * @param {AuthorMap} authorMap - Author map (optional)
+   * @returns {Object} Commit data with the mapped identity
+   */
+  applyAuthorMap(commit, authorMap) {
+    if (!authorMap || !commit.email) {
+      return commit;
+    }
+
+    const mapped = authorMap.resolve(commit.author, commit.email);
+    return mapped.changed ? { ...commit, author: mapped.name, email: mapped.email } : commit;
+  }
+
   /**
    * Execute batch commit operation
    * @param {Array} commitData - Array of commit data
    * @param {Object} template - Commit template (optional)
    * @param {Object} options - Batch options
+   * @param {Object} options.signing - Signing options applied to every commit ({sign, signingKey})
+   * @param {AuthorMap} options.authorMap - Map applied to every author and to the committer
+   * @param {boolean} options.isolated - Commit in a temporary worktree and move the current branch only once
+   * all commits exist; the working tree and index are untouched, so the commits carry no staged changes
+   * @param {boolean} options.allowEmpty - Create commits even when nothing is staged
+   * @param {string} options.fixturesDir - Directory that copy and patch file operations read from
+   * @param {Object} options.messageOptions - Message rules passed to ValidationUtils.validateCommitMessage
+   * @param {Object} options.trailerOptions - Trailer rules passed to EnhancedValidationUtils.validateTrailers
+   * @param {BatchJournal} options.journal - Journal that records each committed row; rows it already holds
+   * are skipped once their commits are confirmed to still be on the current branch
    * @returns {Promise<Object>} Batch operation result
    */
   async executeBatchCommit(commitData, template = null, options = {}) {
-    const operationId = this.operationManager.startOperation('batch-commit', `Batch commit of ${commitData.length} commits`);
+    const operationId = await this.operationManager.startOperation('batch-commit', `Batch commit of ${commitData.length} commits`);
     
     const {
       dryRun = false,
       continueOnError = false,
       maxConcurrent = 1,
-      validateOnly = false
+      validateOnly = false,
+      signing = null,
+      authorMap = null,
+      isolated = false,
+      allowEmpty = false,
+      fixturesDir = null,
+      messageOptions = undefined,
+      trailerOptions = undefined,
+      journal = null
     } = options;
 
     try {
       // Validate all commit data first
-      const validationResults = await this.validateBatchData(commitData, template);
+      const validationResults = await this.validateBatchData(commitData, template, { fixturesDir, messageOptions, trailerOptions });
       if (!validationResults.valid) {
         throw new ValidationError('Batch validation failed', 'batch_validation', 'Fix validation errors before proceeding');
       }
@@ -284,22 +438,32 @@ class BatchCommitManager {
       const errors = [];
       let successCount = 0;
 
+      // Commits are made as the configured user, so the committer is remapped once for the whole batch
+      let committer;
+      if (authorMap) {
+        const identity = await this.gitManager.getCommitterIdentity();
+        const mapped = authorMap.resolve(identity.name, identity.email);
+        committer = mapped.changed ? `${mapped.name} <${mapped.email}>` : undefined;
+      }
+
       // Process each commit with template if provided
       for (let i = 0; i < commitData.length; i++) {
         try {
           const commit = commitData[i];
-          const processedCommit = template ? 
-            this.processTemplate(template, { ...commit, index: i, total: commitData.length }) :
-            commit;
+          const processedCommit = this.applyAuthorMap(template
+            ? this.processTemplate(template, { ...commit, index: i, total: commitData.length })
+            : commit, authorMap);
 
           // Validate processed commit
-          const validation = this.validateCommitData(processedCommit);
+          const validation = this.validateCommitData(processedCommit, { fixturesDir, messageOptions, trailerOptions });
           if (!validation.valid) {
             throw new ValidationError(validation.error, 'commit_validation', validation.suggestion);
           }
 
           processedCommits.push({
             ...processedCommit,
+            trailers: validation.trailers,
+            files: validation.files,
             originalIndex: i
           });
         } catch (error) {
@@ -315,7 +479,41 @@ class BatchCommitManager {
         }
       }
 
-      multiProgress.completeStep(0, `Prepared ${processedCommits.length} commits`);
+      // Rows the journal already holds were committed by an earlier run of the same batch
+      let pendingCommits = processedCommits;
+      const skipped = [];
+      if (journal) {
+        const keys = BatchJournal.rowKeys(processedCommits);
+        processedCommits.forEach((commit, i) => {
+          commit.journalKey = keys[i];
+        });
+
+        const recorded = processedCommits.filter(commit => journal.get(commit.journalKey));
+        const missing = await journal.findMissing(recorded.map(commit => journal.get(commit.journalKey)));
+        if (missing.length > 0) {
+          throw new ValidationError(
+            `Record ${missing[0].index} was committed as ${missing[0].hash.substring(0, 7)}, which is no longer on the current branch` +
+              (missing.length > 1 ? ` (and ${missing.length - 1} more)` : ''),
+            'batch_journal',
+            'The history changed since the journal was written; check out the branch it was written on or start the batch again without --resume'
+          );
+        }
+
+        recorded.forEach(commit => {
+          skipped.push({
+            index: commit.originalIndex,
+            success: true,
+            skipped: true,
+            hash: journal.get(commit.journalKey).hash,
+            message: commit.message
+          });
+        });
+        pendingCommits = processedCommits.filter(commit => !journal.get(commit.journalKey));
+      }
+
+      multiProgress.completeStep(0, skipped.length > 0
+        ? `Prepared ${pendingCommits.length} commits (${skipped.length} already committed)`
+        : `Prepared ${processedCommits.length} commits`);
 
       // Step 2: Processing
       multiProgress.startStep(1, 'Processing commit data...');
@@ -330,9 +528,10 @@ class BatchCommitManager {
           success: true,
           dryRun: true,
           totalCommits: commitData.length,
-          processedCommits: processedCommits.length,
+          processedCommits: pendingCommits.length,
+          skippedCommits: skipped.length,
           errors: errors.length,
-          preview: processedCommits.slice(0, 5), // Show first 5 as preview
+          preview: pendingCommits.slice(0, 5), // Show first 5 as preview
           validationErrors: errors
         };
 
@@ -345,52 +544,99 @@ class BatchCommitManager {
       // Step 3: Execution
       multiProgress.startStep(2, 'Creating commits...');
 
-      const results = [];
-      
-      // Execute commits (sequential for now, could be made concurrent)
-      for (let i = 0; i < processedCommits.length; i++) {
-        const commit = processedCommits[i];
+      const results = [...skipped];
+
+      if (journal) {
+        const status = await this.gitManager.getStatus();
+        await journal.begin({ branch: status.currentBranch, rows: commitData.length });
+      }
+
+      // Commits of an isolated batch only exist on the branch once published, so they are journaled after that
+      const unpublished = [];
+
+      // An isolated batch builds on a scratch branch; nothing reaches the user's branch if it fails
+      const worktree = isolated ? await IsolatedWorktree.create(this.gitManager.repoPath) : null;
+      const commitManager = worktree ? this.gitManager.createWorktreeManager(worktree) : this.gitManager;
+
+      try {
+        // Execute commits (sequential for now, could be made concurrent)
+        for (let i = 0; i < pendingCommits.length; i++) {
+          const commit = pendingCommits[i];
         
-        try {
-          multiProgress.updateStepProgress(2, (i / processedCommits.length) * 100, 
-            `Creating commit ${i + 1}/${processedCommits.length}: ${commit.message.substring(0, 50)}...`);
-
-          const result = await this.gitManager.createCommit({
-            message: commit.message,
-            date: commit.date,
-            time: commit.time,
-            author: commit.author ? `${commit.author} <${commit.email || 'unknown@example.com'}>` : undefined
-          });
+          try {
+            multiProgress.updateStepProgress(2, (i / pendingCommits.length) * 100, 
+              `Creating commit ${i + 1}/${pendingCommits.length}: ${commit.message.substring(0, 50)}...`);
+
+            // File operations run in the tree the commit is made from, so isolated batches stay isolated
+            if (commit.files.length > 0) {
+              await BatchFileOperations.apply(commit.files, commitManager, { fixturesDir });
+            }
+
+            const result = await commitManager.createCommit({
+              message: commit.message,
+              date: commit.date,
+              time: commit.time,
+              timezone: commit.timezone,
+              authorDate: commit.authorDate,
+              committerDate: commit.committerDate,
+              author: commit.author ? `${commit.author} <${commit.email || 'unknown@example.com'}>` : undefined,
+              sign: signing ? signing.sign : false,
+              signingKey: signing ? signing.signingKey : null,
+              trailers: commit.trailers,
+              committer,
+              allowEmpty: isolated || allowEmpty
+            });
 
-          if (result.success) {
-            results.push({
+            if (result.success) {
+              results.push({
+                index: commit.originalIndex,
+                success: true,
+                hash: result.hash,
+                message: commit.message
+              });
+              successCount++;
+
+              // Without staged changes or allowEmpty Git makes no commit, so there is nothing to journal
+              if (journal && result.hash && worktree) {
+                unpublished.push({ commit, hash: result.hash });
+              } else if (journal && result.hash) {
+                await journal.record(commit.journalKey, commit.originalIndex, result.hash);
+              }
+            } else {
+              throw new Error(result.error);
+            }
+          } catch (error) {
+            const errorResult = {
               index: commit.originalIndex,
-              success: true,
-              hash: result.hash,
+              success: false,
+              error: error.message,
               message: commit.message
-            });
-            successCount++;
-          } else {
-            throw new Error(result.error);
-          }
-        } catch (error) {
-          const errorResult = {
-            index: commit.originalIndex,
-            success: false,
-            error: error.message,
-            message: commit.message
-          };
+            };
 
-          results.push(errorResult);
-          errors.push(errorResult);
+            results.push(errorResult);
+            errors.push(errorResult);
 
-          if (!continueOnError) {
-            throw error;
+            if (!continueOnError) {
+              throw error;
+            }
           }
+
+          // Small delay between commits to be respectful to Git
+          await new Promise(resolve => setTimeout(resolve, 100));
         }
 
-        // Small delay between commits to be respectful to Git
-        await new Promise(resolve => setTimeout(resolve, 100));
+        if (worktree && successCount > 0) {
+          multiProgress.updateStepProgress(2, 100, `Moving ${worktree.targetBranch} to the new commits...`);
+          await worktree.publish('histofy: batch commit');
+
+          for (const { commit, hash } of unpublished) {
+            await journal.record(commit.journalKey, commit.originalIndex, hash);
+          }
+        }
+      } finally {
+        if (worktree) {
+          await worktree.remove();
+        }
       }
 
       multiProgress.completeStep(2, `Created ${successCount} commits`);
@@ -407,10 +653,13 @@ class BatchCommitManager {
         success: errors.length === 0 || continueOnError,
         totalCommits: commitData.length,
         successfulCommits: successCount,
+        skippedCommits: skipped.length,
         failedCommits: errors.length,
         results,
         errors,
         repositoryStatus: finalStatus,
+        isolated,
+        journalPath: journal ? await journal.getPath() : null,
         duration: Date.now() - multiProgress.totalStartTime
       };
 
@@ -427,9 +676,10 @@ class BatchCommitManager {
    * Validate batch commit data
    * @param {Array} commitData - Array of commit data to validate
    * @param {Object} template - Template for validation context
+   * @param {Object} options - Validation options ({fixturesDir, messageOptions, trailerOptions}, see validateCommitData)
    * @returns {Object} Validation results
    */
-  async validateBatchData(commitData, template = null) {
+  async validateBatchData(commitData, template = null, options = {}) {
     const results = {
       valid: true,
       validCount: 0,
@@ -472,7 +722,7 @@ class BatchCommitManager {
           this.processTemplate(template, { ...commit, index: i, total: commitData.length }) :
           commit;
 
-        const validation = this.validateCommitData(processedCommit);
+        const validation = this.validateCommitData(processedCommit, options);
         
         if (validation.valid) {
           results.validCount++;
@@ -505,15 +755,27 @@ class BatchCommitManager {
   /**
    * Validate individual commit data
    * @param {Object} commit - Commit data to validate
-   * @returns {Object} Validation result
+   * @param {Object} options - Validation options
+   * @param {string} options.fixturesDir - Directory that copy and patch file operations read from
+   * @param {Object} options.messageOptions - Message rules (minLength, maxLength) instead of the defaults
+   * @param {Object} options.trailerOptions - Trailer rules ({checkIdentities}) instead of the defaults
+   * @returns {Object} Validation result, with the parsed trailers and file operations when valid
    */
-  validateCommitData(commit) {
+  validateCommitData(commit, options = {}) {
     // Validate message
-    const messageValidation = ValidationUtils.validateCommitMessage(commit.message);
+    const messageValidation = ValidationUtils.validateCommitMessage(commit.message, options.messageOptions);
     if (!messageValidation.valid) {
       return messageValidation;
     }
 
+    // Validate timezone if provided
+    if (commit.timezone) {
+      const timezoneValidation = ValidationUtils.validateTimezone(commit.timezone);
+      if (!timezoneValidation.valid) {
+        return timezoneValidation;
+      }
+    }
+
     // Validate date if provided
     if (commit.date) {
       const dateValidation = ValidationUtils.validateDate(commit.date);
@@ -522,14 +784,32 @@ class BatchCommitManager {
       }
     }
 
-    // Validate time if provided
+    // Validate time if provided (rejects times skipped by DST in the entry's timezone)
     if (commit.time) {
-      const timeValidation = ValidationUtils.validateTime(commit.time);
+      const timeValidation = ValidationUtils.validateTime(commit.time, {
+        timezone: commit.timezone,
+        date: commit.date
+      });
       if (!timeValidation.valid) {
         return timeValidation;
       }
     }
 
+    // Validate independent author/committer dates if provided
+    for (const field of ['authorDate', 'committerDate']) {
+      if (commit[field]) {
+        const dateTimeValidation = ValidationUtils.validateDateTime(String(commit[field]), {
+          timezone: commit.timezone
+        });
+        if (!dateTimeValidation.valid) {
+          return {
+            ...dateTimeValidation,
+            error: `Invalid ${field}: ${dateTimeValidation.error}`
+          };
+        }
+      }
+    }
+
     // Validate email if provided
     if (commit.email && !SecurityUtils.isValidEmail(commit.email)) {
       return {
@@ -539,7 +819,39 @@ class BatchCommitManager {
       };
     }
 
-    return { valid: true };
+    // Validate co-authors and trailers
+    const trailerValidation = EnhancedValidationUtils.validateTrailers({
+      coAuthors: commit.coAuthors,
+      trailers: commit.trailers
+    }, options.trailerOptions);
+    if (!trailerValidation.isValid) {
+      return {
+        valid: false,
+        error: trailerValidation.error,
+        suggestion: trailerValidation.suggestion
+      };
+    }
+
+    // File operations must stay inside the repository and the fixtures directory
+    let files;
+    try {
+      files = BatchFileOperations.normalize(commit.files);
+    } catch (error) {
+      return {
+        valid: false,
+        error: error.message,
+        suggestion: 'Give files as a list of {op, path, ...} objects (a JSON string in CSV)'
+      };
+    }
+    const fileValidation = BatchFileOperations.validate(files, {
+      repoPath: this.gitManager.repoPath,
+      fixturesDir: options.fixturesDir
+    });
+    if (!fileValidation.valid) {
+      return fileValidation;
+    }
+
+    return { valid: true, trailers: trailerValidation.value, files };
   }
 
   /**
@@ -614,8 +926,12 @@ class BatchCommitManager {
     try {
       const validatedTemplate = this.validateTemplate(templateData);
       const validatedPath = SecurityUtils.validateFilePath(outputPath);
-      
-      const templateContent = JSON.stringify(validatedTemplate, null, 2);
+
+      // Generated templates carry a description of the template language: comments in YAML, a help list in JSON
+      const help = TemplateEngine.describe();
+      const templateContent = /\.ya?ml$/i.test(validatedPath)
+        ? help.map(line => `# ${line}`).join('\n') + '\n\n' + yaml.stringify(validatedTemplate)
+        : JSON.stringify({ ...validatedTemplate, help }, null, 2);
       await fs.writeFile(validatedPath, templateContent, 'utf8');
 
       return {
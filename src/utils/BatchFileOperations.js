@@ -0,0 +1,197 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * BatchFileOperations - File changes a batch entry makes before it is committed
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const SecurityUtils = require('../security/SecurityUtils');
+
+// Fields each operation needs; "path", "from" and "to" are inside the repository, "source" is in the fixtures directory
+const OPERATIONS = {
+  write: ['path', 'content'],
+  append: ['path', 'content'],
+  delete: ['path'],
+  rename: ['from', 'to'],
+  copy: ['source', 'path'],
+  patch: ['source']
+};
+
+const REPO_FIELDS = ['path', 'from', 'to'];
+
+class BatchFileOperations {
+  /**
+   * Read the operations of a batch entry
+   * CSV columns hold the list as a JSON string; JSON and YAML entries hold it directly.
+   * @param {Array|string} value - Entry "files" value
+   * @returns {Array} Operations ({op, path, content, from, to, source})
+   */
+  static normalize(value) {
+    if (value === undefined || value === null || value === '') {
+      return [];
+    }
+
+    let operations = value;
+    if (typeof value === 'string') {
+      try {
+        operations = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`files must be a JSON list of operations: ${error.message}`);
+      }
+    }
+    if (!Array.isArray(operations)) {
+      operations = [operations];
+    }
+
+    return operations.map((operation, index) => {
+      if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+        throw new Error(`File operation ${index + 1} must be an object`);
+      }
+
+      const op = String(operation.op || '').toLowerCase();
+      if (!OPERATIONS[op]) {
+        throw new Error(`File operation ${index + 1} has unknown op "${operation.op}" (use ${Object.keys(OPERATIONS).join(', ')})`);
+      }
+
+      const normalized = { op };
+      OPERATIONS[op].forEach(field => {
+        const fieldValue = operation[field];
+        if (field === 'content') {
+          normalized.content = fieldValue === undefined || fieldValue === null ? '' : String(fieldValue);
+          return;
+        }
+        if (typeof fieldValue !== 'string' || fieldValue.trim() === '') {
+          throw new Error(`File operation ${index + 1} (${op}) needs "${field}"`);
+        }
+        normalized[field] = fieldValue.trim();
+      });
+      return normalized;
+    });
+  }
+
+  /**
+   * Check that every operation stays inside the repository and the fixtures directory
+   * @param {Array} operations - Normalized operations
+   * @param {Object} options - Locations
+   * @param {string} options.repoPath - Repository root
+   * @param {string} options.fixturesDir - Directory copy and patch sources are read from
+   * @returns {Object} Validation result
+   */
+  static validate(operations, options = {}) {
+    for (let i = 0; i < operations.length; i++) {
+      const operation = operations[i];
+      try {
+        this.resolve(operation, options);
+      } catch (error) {
+        return {
+          valid: false,
+          error: `File operation ${i + 1} (${operation.op}): ${error.message}`,
+          suggestion: 'Use paths relative to the repository, and copy or patch sources relative to the fixtures directory'
+        };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Resolve the paths of an operation
+   * @param {Object} operation - Normalized operation
+   * @param {Object} options - See validate
+   * @returns {Object} Absolute paths by field
+   */
+  static resolve(operation, options = {}) {
+    const repoPath = path.resolve(options.repoPath || process.cwd());
+    const resolved = {};
+
+    REPO_FIELDS.filter(field => operation[field]).forEach(field => {
+      const absolute = SecurityUtils.validateFilePath(operation[field], repoPath);
+      const relative = path.relative(repoPath, absolute);
+      if (!relative || relative.split(path.sep)[0] === '.git') {
+        throw new Error(`"${operation[field]}" is not a file in the working tree`);
+      }
+      resolved[field] = absolute;
+    });
+
+    if (operation.source) {
+      if (!options.fixturesDir) {
+        throw new Error('needs a fixtures directory to read from');
+      }
+      resolved.source = SecurityUtils.validateFilePath(operation.source, path.resolve(options.fixturesDir));
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Make the changes in a working tree and stage them
+   * @param {Array} operations - Normalized operations
+   * @param {GitManager} gitManager - Manager of the working tree to change
+   * @param {Object} options - Locations ({fixturesDir}); the repository is the manager's
+   * @returns {Promise<Array>} Paths that changed, relative to the repository
+   */
+  static async apply(operations, gitManager, options = {}) {
+    const repoPath = path.resolve(gitManager.repoPath);
+    const locations = { repoPath, fixturesDir: options.fixturesDir };
+    const touched = [];
+    const relative = absolute => path.relative(repoPath, absolute).split(path.sep).join('/');
+
+    for (const operation of operations) {
+      const resolved = this.resolve(operation, locations);
+
+      try {
+        switch (operation.op) {
+          case 'write':
+            await fs.mkdir(path.dirname(resolved.path), { recursive: true });
+            await fs.writeFile(resolved.path, operation.content);
+            touched.push(relative(resolved.path));
+            break;
+
+          case 'append':
+            await fs.mkdir(path.dirname(resolved.path), { recursive: true });
+            await fs.appendFile(resolved.path, operation.content);
+            touched.push(relative(resolved.path));
+            break;
+
+          case 'delete':
+            await fs.rm(resolved.path, { recursive: true });
+            touched.push(relative(resolved.path));
+            break;
+
+          case 'rename':
+            await fs.mkdir(path.dirname(resolved.to), { recursive: true });
+            await fs.rename(resolved.from, resolved.to);
+            touched.push(relative(resolved.from), relative(resolved.to));
+            break;
+
+          case 'copy':
+            await fs.mkdir(path.dirname(resolved.path), { recursive: true });
+            await fs.copyFile(resolved.source, resolved.path);
+            touched.push(relative(resolved.path));
+            break;
+
+          case 'patch':
+            // git apply stages what it changes itself
+            await gitManager.applyPatch(resolved.source);
+            break;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          const missing = operation.op === 'copy' ? operation.source : (operation.from || operation.path);
+          throw new Error(`Cannot ${operation.op} ${missing}: no such file`);
+        }
+        throw error;
+      }
+    }
+
+    await gitManager.stagePaths([...new Set(touched)]);
+    return touched;
+  }
+}
+
+BatchFileOperations.OPERATIONS = OPERATIONS;
+
+module.exports = BatchFileOperations;
@@ -22,6 +22,7 @@ class CommitAnalyzer {
   /**
    * Get comprehensive commit statistics
    * @param {Object} options - Analysis options
+   * @param {AuthorMap} options.authorMap - Map used to merge identities in author statistics
    * @returns {Promise<Object>} Comprehensive statistics
    */
   async getComprehensiveStats(options = {}) {
@@ -32,7 +33,8 @@ class CommitAnalyzer {
       branch = null,
       maxCommits = 1000,
       includeFiles = false,
-      includeDiffs = false
+      includeDiffs = false,
+      authorMap = null
     } = options;
 
     const cacheKey = `comprehensive-${JSON.stringify(options)}`;
@@ -43,8 +45,8 @@ class CommitAnalyzer {
     progress.start();
 
     try {
-      // Get commit history
-      const commits = await this.gitManager.getCommitHistory({
+      // Get commit history; mapped identities keep every report counting one person once
+      const commits = this.applyAuthorMap(await this.gitManager.getCommitHistory({
         since,
         until,
         author,
@@ -52,7 +54,7 @@ class CommitAnalyzer {
         limit: maxCommits,
         includeFiles,
         includeDiffs
-      });
+      }), authorMap);
 
       progress.update('Processing commit data...');
 
@@ -188,12 +190,32 @@ class CommitAnalyzer {
     };
   }
 
+  /**
+   * Replace commit authors with their mapped identity
+   * @param {Array} commits - Array of commits
+   * @param {AuthorMap} authorMap - Author map (optional)
+   * @returns {Array} Commits with mapped author and email
+   */
+  applyAuthorMap(commits, authorMap) {
+    if (!authorMap) {
+      return commits;
+    }
+
+    return commits.map(commit => {
+      const mapped = authorMap.resolve(commit.author, commit.email);
+      return mapped.changed ? { ...commit, author: mapped.name, email: mapped.email } : commit;
+    });
+  }
+
   /**
    * Calculate author statistics
    * @param {Array} commits - Array of commits
+   * @param {AuthorMap} authorMap - Optional map so one person's old names and emails count as one author
    * @returns {Object} Author statistics
    */
-  calculateAuthorStats(commits) {
+  calculateAuthorStats(commits, authorMap = null) {
+    commits = this.applyAuthorMap(commits, authorMap);
+
     if (commits.length === 0) {
       return {
         byAuthor: {},
@@ -484,6 +506,19 @@ class CommitAnalyzer {
     };
   }
 
+  /**
+   * Intensity level (0-4) of a day in the heatmap, relative to the busiest day
+   * @param {number} count - Commits on the day
+   * @param {number} max - Commits on the busiest day in the window
+   * @returns {number} Intensity level
+   */
+  static intensityFor(count, max) {
+    if (count <= 0 || max <= 0) {
+      return 0;
+    }
+    return Math.min(4, Math.ceil((count / max) * 4));
+  }
+
   /**
    * Generate commit activity heatmap data
    * @param {Object} options - Heatmap options
@@ -526,11 +561,7 @@ class CommitAnalyzer {
     const intensityData = {};
 
     Object.entries(heatmapData).forEach(([date, count]) => {
-      let intensity = 0;
-      if (count > 0) {
-        intensity = Math.min(4, Math.ceil((count / max) * 4));
-      }
-      intensityData[date] = { count, intensity };
+      intensityData[date] = { count, intensity: CommitAnalyzer.intensityFor(count, max) };
     });
 
     return {
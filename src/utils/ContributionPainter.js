@@ -0,0 +1,429 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * ContributionPainter - Plans the commits that draw a picture on the contribution calendar
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const chalk = require('chalk');
+const moment = require('moment');
+const CommitAnalyzer = require('./CommitAnalyzer');
+
+const ROWS = 7;
+const DAY = 'YYYY-MM-DD';
+
+// 7-row pixel font, '#' is a painted pixel
+const FONT = {
+  A: ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  B: ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+  C: ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+  D: ['####.', '#...#', '#...#', '#...#', '#...#', '#...#', '####.'],
+  E: ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+  F: ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+  G: ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.###.'],
+  H: ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  I: ['###', '.#.', '.#.', '.#.', '.#.', '.#.', '###'],
+  J: ['..###', '...#.', '...#.', '...#.', '#..#.', '#..#.', '.##..'],
+  K: ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+  L: ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+  M: ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+  N: ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+  O: ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  P: ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+  Q: ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+  R: ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+  S: ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+  T: ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+  U: ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  V: ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+  W: ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+  X: ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+  Y: ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+  Z: ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+  0: ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+  1: ['.#.', '##.', '.#.', '.#.', '.#.', '.#.', '###'],
+  2: ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+  3: ['####.', '....#', '....#', '.###.', '....#', '....#', '####.'],
+  4: ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+  5: ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+  6: ['.###.', '#....', '#....', '####.', '#...#', '#...#', '.###.'],
+  7: ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+  8: ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+  9: ['.###.', '#...#', '#...#', '.####', '....#', '....#', '.###.'],
+  ' ': ['...', '...', '...', '...', '...', '...', '...'],
+  '!': ['#', '#', '#', '#', '#', '.', '#'],
+  '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+  '.': ['.', '.', '.', '.', '.', '.', '#'],
+  ':': ['.', '#', '.', '.', '.', '#', '.'],
+  '-': ['...', '...', '...', '###', '...', '...', '...'],
+  '\'': ['#', '#', '.', '.', '.', '.', '.'],
+  '♥': ['.#.#.', '#####', '#####', '#####', '.###.', '..#..', '.....']
+};
+
+// Grid file characters; the shade characters match the preview so it can be pasted back
+const GRID_CHARS = {
+  0: 0,
+  '.': 0,
+  ' ': 0,
+  '-': 0,
+  _: 0,
+  '·': 0,
+  1: 1,
+  '░': 1,
+  2: 2,
+  '▒': 2,
+  3: 3,
+  '▓': 3,
+  4: 4,
+  '#': 4,
+  X: 4,
+  x: 4,
+  '█': 4
+};
+
+const GLYPHS = ['·', '░', '▒', '▓', '█'];
+const COLORS = ['#30363d', '#0e4429', '#006d32', '#26a641', '#39d353'];
+
+class ContributionPainter {
+  /**
+   * Render text with the pixel font
+   * @param {string} text - Text to draw (A-Z, 0-9, space and . : - ' ! ? ♥)
+   * @param {Object} options - Text options
+   * @param {number} options.level - Intensity (1-4) of the painted pixels
+   * @returns {Array} Design: 7 rows of levels (0-4)
+   */
+  static fromText(text, options = {}) {
+    const level = options.level === undefined ? 4 : options.level;
+    if (!Number.isInteger(level) || level < 1 || level > 4) {
+      throw new Error(`Text level must be between 1 and 4, got ${level}`);
+    }
+
+    const chars = Array.from(String(text || '').toUpperCase());
+    if (chars.length === 0 || chars.every(char => char === ' ')) {
+      throw new Error('Text to paint cannot be empty');
+    }
+
+    const rows = Array.from({ length: ROWS }, () => []);
+    chars.forEach((char, index) => {
+      const glyph = FONT[char];
+      if (!glyph) {
+        throw new Error(`No pixel font glyph for "${char}"; use A-Z, 0-9, space and . : - ' ! ? ♥`);
+      }
+      rows.forEach((row, r) => {
+        if (index > 0) {
+          row.push(0);
+        }
+        Array.from(glyph[r]).forEach(pixel => row.push(pixel === '#' ? level : 0));
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Parse a grid file: 7 lines, one character per day, Sunday first
+   * @param {string} content - File content
+   * @param {string} source - Source name for error messages
+   * @returns {Array} Design: 7 rows of levels (0-4)
+   */
+  static parseGrid(content, source = 'grid') {
+    const lines = String(content).split(/\r?\n/);
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+    }
+    if (lines.length !== ROWS) {
+      throw new Error(`Grid ${source} must have ${ROWS} lines (Sunday to Saturday), found ${lines.length}`);
+    }
+
+    const rows = lines.map((line, r) => Array.from(line.trimEnd()).map((char, c) => {
+      if (!(char in GRID_CHARS)) {
+        throw new Error(`Invalid character "${char}" at line ${r + 1}, column ${c + 1} of grid ${source}: use 0-4, '#' or '.'`);
+      }
+      return GRID_CHARS[char];
+    }));
+
+    return this.pad(rows, source);
+  }
+
+  /**
+   * Parse an intensity matrix: a JSON array of 7 rows of levels (0-4)
+   * @param {string} content - File content
+   * @param {string} source - Source name for error messages
+   * @returns {Array} Design: 7 rows of levels (0-4)
+   */
+  static parseMatrix(content, source = 'matrix') {
+    let rows;
+    try {
+      rows = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in matrix ${source}: ${error.message}`);
+    }
+
+    if (!Array.isArray(rows) || rows.length !== ROWS || !rows.every(Array.isArray)) {
+      throw new Error(`Matrix ${source} must be a list of ${ROWS} rows (Sunday to Saturday)`);
+    }
+    rows.forEach((row, r) => row.forEach((level, c) => {
+      if (!Number.isInteger(level) || level < 0 || level > 4) {
+        throw new Error(`Invalid level ${JSON.stringify(level)} at row ${r + 1}, column ${c + 1} of matrix ${source}: use 0-4`);
+      }
+    }));
+
+    return this.pad(rows, source);
+  }
+
+  /**
+   * Read a grid or matrix file
+   * @param {string} filePath - File path
+   * @param {string} type - 'grid' or 'matrix'
+   * @returns {Promise<Array>} Design: 7 rows of levels (0-4)
+   */
+  static async load(filePath, type = 'grid') {
+    let content;
+    try {
+      content = await fs.readFile(path.resolve(filePath), 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read ${type} ${filePath}: ${error.message}`);
+    }
+
+    return type === 'matrix' ? this.parseMatrix(content, filePath) : this.parseGrid(content, filePath);
+  }
+
+  /**
+   * Pad rows to the same width and reject designs without a painted day
+   * @param {Array} rows - Rows of levels
+   * @param {string} source - Source name for error messages
+   * @returns {Array} Design
+   */
+  static pad(rows, source) {
+    const width = Math.max(...rows.map(row => row.length));
+    if (!rows.some(row => row.some(level => level > 0))) {
+      throw new Error(`Design ${source} has no painted days`);
+    }
+    return rows.map(row => row.concat(new Array(width - row.length).fill(0)));
+  }
+
+  /**
+   * Calendar window, laid out like GitHub: one column per week, Sunday on top
+   * @param {Object} options - Window options
+   * @param {number} options.year - Calendar year (default: the last 53 weeks up to today)
+   * @param {Date} options.today - Current date
+   * @returns {Object} {start, end, today, firstSunday, columns}
+   */
+  static getWindow(options = {}) {
+    const today = moment(options.today || new Date()).startOf('day');
+    let start;
+    let end;
+
+    if (options.year) {
+      start = moment({ year: options.year, month: 0, day: 1 });
+      end = moment({ year: options.year, month: 11, day: 31 });
+    } else {
+      end = today.clone();
+      start = end.clone().subtract(52, 'weeks');
+      start.subtract(start.day(), 'days');
+    }
+
+    const firstSunday = start.clone().subtract(start.day(), 'days');
+    return {
+      start,
+      end,
+      today,
+      firstSunday,
+      columns: Math.floor(end.diff(firstSunday, 'days') / 7) + 1
+    };
+  }
+
+  /**
+   * Date of a calendar cell
+   * @param {Object} window - Calendar window
+   * @param {number} column - Week column
+   * @param {number} row - Weekday row (0 = Sunday)
+   * @returns {moment} Date
+   */
+  static cellDate(window, column, row) {
+    return window.firstSunday.clone().add(column * 7 + row, 'days');
+  }
+
+  /**
+   * Place a design on the calendar
+   * @param {Array} design - 7 rows of levels
+   * @param {Object} window - Calendar window from getWindow
+   * @param {Object} options - Placement options
+   * @param {number} options.offset - First week column of the design (default: centered)
+   * @returns {Object} {targets (Map of date to level for every paintable day), offset, width, clipped}
+   */
+  static place(design, window, options = {}) {
+    const width = design[0].length;
+    const offset = options.offset === undefined || options.offset === null
+      ? Math.max(0, Math.floor((window.columns - width) / 2))
+      : options.offset;
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Offset must be a week column of 0 or more, got ${offset}`);
+    }
+    if (offset + width > window.columns) {
+      throw new Error(`Design is ${width} weeks wide but only ${Math.max(0, window.columns - offset)} fit from column ${offset} (the calendar has ${window.columns})`);
+    }
+
+    // Every day that can hold commits starts unpainted, so existing activity elsewhere is noticed
+    const last = moment.min(window.end, window.today);
+    const targets = new Map();
+    for (const day = window.start.clone(); day.isSameOrBefore(last); day.add(1, 'day')) {
+      targets.set(day.format(DAY), 0);
+    }
+
+    // Painted cells before the window starts or in the future cannot be drawn
+    let clipped = 0;
+    design.forEach((row, r) => row.forEach((level, c) => {
+      const key = this.cellDate(window, offset + c, r).format(DAY);
+      if (targets.has(key)) {
+        targets.set(key, level);
+      } else if (level > 0) {
+        clipped++;
+      }
+    }));
+
+    if (![...targets.values()].some(level => level > 0)) {
+      throw new Error('No painted day of the design falls inside the calendar up to today');
+    }
+
+    return { targets, offset, width, clipped };
+  }
+
+  /**
+   * Work out how many commits each day needs so the calendar shows the target levels
+   * @param {Map} targets - Target level by date
+   * @param {Map} existing - Commits already on each date
+   * @param {Object} options - Planning options
+   * @param {number} options.peak - Commits on the darkest days (default: the fewest that work)
+   * @returns {Object} {peak, days, totalCommits, conflicts, mismatches}
+   */
+  static planCounts(targets, existing = new Map(), options = {}) {
+    const dates = [...targets.keys()].sort();
+    const countOf = date => existing.get(date) || 0;
+    const painted = dates.filter(date => targets.get(date) > 0);
+
+    // A day at level L needs more than (L-1)/4 and at most L/4 of the busiest day's commits,
+    // and commits can only be added, so the busiest day must leave room above existing ones
+    const busiest = Math.max(0, ...dates.map(countOf));
+    const fits = peak => painted.every(date => countOf(date) <= Math.floor(targets.get(date) * peak / 4));
+    const minimum = Math.max(4, busiest);
+
+    let peak = options.peak;
+    if (peak !== undefined && peak !== null) {
+      if (!Number.isInteger(peak) || peak < minimum) {
+        throw new Error(`Peak must be at least ${minimum} commits per day (the busiest day already has ${busiest})`);
+      }
+      if (!fits(peak)) {
+        throw new Error(`A peak of ${peak} is too low: some painted days already have more commits than their level allows`);
+      }
+    } else {
+      peak = minimum;
+      while (!fits(peak)) {
+        peak++;
+      }
+    }
+
+    const days = dates.map(date => {
+      const level = targets.get(date);
+      const count = countOf(date);
+      let planned = count;
+      if (level === 4) {
+        planned = peak;
+      } else if (level > 0) {
+        planned = Math.max(count, Math.floor((level - 1) * peak / 4) + 1);
+      }
+      return { date, level, existing: count, add: planned - count, count: planned };
+    });
+
+    const max = Math.max(0, ...days.map(day => day.count));
+    days.forEach(day => {
+      day.intensity = CommitAnalyzer.intensityFor(day.count, max);
+    });
+
+    return {
+      peak: max,
+      days,
+      totalCommits: days.reduce((sum, day) => sum + day.add, 0),
+      paintedDays: days.filter(day => day.add > 0).length,
+      conflicts: days.filter(day => day.level === 0 && day.existing > 0).map(day => day.date),
+      mismatches: days.filter(day => day.intensity !== day.level).map(day => day.date)
+    };
+  }
+
+  /**
+   * The commits a plan needs, one minute apart from the start time
+   * @param {Object} plan - Plan from planCounts
+   * @param {Object} options - Commit options
+   * @param {string} options.startTime - Time of each day's first commit (HH:mm)
+   * @returns {Array} Commit data ({date, time}) for BatchCommitManager
+   */
+  static buildCommits(plan, options = {}) {
+    const startTime = options.startTime || '12:00';
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(startTime);
+    if (!match) {
+      throw new Error(`Invalid start time "${startTime}": use HH:mm`);
+    }
+    const first = Number(match[1]) * 60 + Number(match[2]);
+
+    const commits = [];
+    plan.days.filter(day => day.add > 0).forEach(day => {
+      if (first + day.add > 24 * 60) {
+        throw new Error(`${day.add} commits on ${day.date} starting at ${startTime} run past midnight; use an earlier --start-time`);
+      }
+      for (let i = 0; i < day.add; i++) {
+        const minutes = first + i;
+        const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        commits.push({ date: day.date, time });
+      }
+    });
+
+    return commits;
+  }
+
+  /**
+   * Draw the calendar in the terminal
+   * @param {Map} levels - Intensity by date; days without an entry are left blank
+   * @param {Object} window - Calendar window from getWindow
+   * @returns {string} Preview with month and weekday labels and a legend
+   */
+  static render(levels, window) {
+    const shade = level => chalk.hex(COLORS[level])(GLYPHS[level]);
+
+    // Month names go above the first week that starts in that month
+    const header = new Array(window.columns * 2).fill(' ');
+    let lastMonth = null;
+    let free = 0;
+    for (let c = 0; c < window.columns; c++) {
+      const day = moment.max(this.cellDate(window, c, 0), window.start);
+      if (day.month() !== lastMonth && c * 2 >= free) {
+        Array.from(day.format('MMM')).forEach((char, i) => {
+          header[c * 2 + i] = char;
+        });
+        free = c * 2 + 4;
+      }
+      lastMonth = day.month();
+    }
+
+    const labels = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+    const lines = [`    ${header.join('').trimEnd()}`];
+    labels.forEach((label, r) => {
+      const cells = [];
+      for (let c = 0; c < window.columns; c++) {
+        const key = this.cellDate(window, c, r).format(DAY);
+        cells.push(levels.has(key) ? shade(levels.get(key)) : ' ');
+      }
+      lines.push(`${label.padEnd(4)}${cells.join(' ')}`);
+    });
+    lines.push(`    Less ${GLYPHS.map((glyph, level) => shade(level)).join(' ')} More`);
+
+    return lines.join('\n');
+  }
+}
+
+ContributionPainter.FONT = FONT;
+
+module.exports = ContributionPainter;
@@ -0,0 +1,307 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * ContributionReconciler - Compares local commit activity with the GitHub contribution calendar
+ */
+
+const moment = require('moment');
+const CommitAnalyzer = require('./CommitAnalyzer');
+
+const DAY = 'YYYY-MM-DD';
+
+// Checked in this order; a missing commit can have several causes
+const REASONS = {
+  fork: {
+    title: 'Repository is a fork',
+    suggestion: 'Commits in a fork only count once they are merged into the parent repository'
+  },
+  'unverified-email': {
+    title: 'Author email not verified on GitHub',
+    suggestion: 'Add and verify the email at https://github.com/settings/emails, or rewrite it with histofy migrate --author-map'
+  },
+  'not-default-branch': {
+    title: 'Not on the default branch',
+    suggestion: 'GitHub only counts commits on the default branch; push them or merge them into it'
+  },
+  timezone: {
+    title: 'Counted on another day (UTC)',
+    suggestion: 'The GitHub calendar uses UTC days; these commits show on the neighbouring day instead'
+  },
+  unexplained: {
+    title: 'No cause found',
+    suggestion: 'GitHub can take up to 24 hours to count pushed commits'
+  }
+};
+
+class ContributionReconciler {
+  /**
+   * @param {Object} options - Reconciler dependencies
+   * @param {GitManager} options.gitManager - Local repository
+   * @param {GitHubManager} options.githubManager - GitHub API client
+   * @param {CommitAnalyzer} options.analyzer - Analyzer for local per-day counts (default: one for the repository)
+   */
+  constructor(options = {}) {
+    this.gitManager = options.gitManager;
+    this.githubManager = options.githubManager;
+    this.analyzer = options.analyzer || new CommitAnalyzer(this.gitManager.repoPath);
+  }
+
+  /**
+   * Compare a year of local activity with the user's GitHub calendar
+   * @param {Object} options - Reconcile options
+   * @param {string} options.username - GitHub login
+   * @param {number} options.year - Calendar year (default: this year)
+   * @param {string} options.author - Local author pattern, usually the user's email
+   * @param {string} options.remote - Remote that points at GitHub (default: origin)
+   * @param {Date} options.today - Current date
+   * @returns {Promise<Object>} {username, year, repository, days, summary, findings, notes}
+   */
+  async reconcile(options = {}) {
+    const today = moment(options.today || new Date());
+    const year = options.year || today.year();
+    const remoteName = options.remote || 'origin';
+    const since = moment({ year, month: 0, day: 1 });
+    const until = moment.min(moment({ year, month: 11, day: 31 }).endOf('day'), today.clone().endOf('day'));
+    if (since.isAfter(today)) {
+      throw new Error(`${year} has not started yet`);
+    }
+
+    const calendar = await this.githubManager.getContributions(options.username, year);
+    if (!calendar.success) {
+      throw new Error(`Failed to fetch the GitHub calendar of ${options.username}: ${calendar.error}`);
+    }
+
+    const notes = [];
+    const context = { remoteName, verifiedEmails: null, repository: null, defaultCommits: null };
+
+    const remoteInfo = await this.getRemoteRepository(remoteName);
+    if (!remoteInfo) {
+      notes.push(`Remote ${remoteName} does not point at GitHub; fork and branch checks were skipped`);
+    } else {
+      const info = await this.githubManager.getRepositoryInfo(remoteInfo.owner, remoteInfo.repo);
+      if (info.success) {
+        context.repository = info.repository;
+      } else {
+        notes.push(`Could not read ${remoteInfo.fullName} on GitHub (${info.error}); fork and branch checks were skipped`);
+      }
+    }
+
+    if (context.repository && context.repository.defaultBranch) {
+      const ref = `refs/remotes/${remoteName}/${context.repository.defaultBranch}`;
+      if (await this.gitManager.refExists(ref)) {
+        const onDefault = await this.gitManager.listAuthoredCommits({
+          revision: ref,
+          since: since.toISOString(),
+          until: until.toISOString()
+        });
+        context.defaultCommits = new Set(onDefault.map(commit => commit.hash));
+      } else {
+        notes.push(`${remoteName}/${context.repository.defaultBranch} is not fetched; run git fetch ${remoteName} to check branches`);
+      }
+    }
+
+    const emails = await this.githubManager.getVerifiedEmails();
+    if (emails.success) {
+      context.verifiedEmails = new Set(emails.emails.map(email => email.toLowerCase()));
+    } else {
+      notes.push(`Could not read verified emails (${emails.error}); the token needs the user:email scope`);
+    }
+
+    const heatmap = await this.analyzer.generateHeatmap({
+      since: since.toDate(),
+      until: until.toDate(),
+      author: options.author
+    });
+    const commits = await this.gitManager.listAuthoredCommits({
+      since: since.toISOString(),
+      until: until.toISOString(),
+      author: options.author
+    });
+
+    const local = new Map(Object.entries(heatmap.data).map(([date, day]) => [date, day.count]));
+    const result = ContributionReconciler.compare(local, calendar.contributions, commits, {
+      ...context,
+      username: options.username,
+      last: until.format(DAY)
+    });
+
+    return {
+      username: options.username,
+      year,
+      repository: context.repository,
+      ...result,
+      notes
+    };
+  }
+
+  /**
+   * Find the GitHub repository a remote points at
+   * @param {string} remoteName - Remote name
+   * @returns {Promise<Object|null>} {owner, repo, fullName}, or null
+   */
+  async getRemoteRepository(remoteName) {
+    const info = await this.gitManager.getRepoInfo();
+    const remote = info.remotes.find(entry => entry.name === remoteName);
+    if (!remote || !/github/i.test(remote.url)) {
+      return null;
+    }
+    return this.githubManager.parseRepoFromUrl(remote.url);
+  }
+
+  /**
+   * Diff local per-day counts against the calendar and explain days with missing commits
+   * @param {Map} local - Local commits by date (from CommitAnalyzer.generateHeatmap)
+   * @param {Object} remote - GitHub contributions by date
+   * @param {Array} commits - Local commits ({hash, email, date}) behind the local counts
+   * @param {Object} context - What the explanations are based on
+   * @param {Object} context.repository - Repository info ({nameWithOwner, isFork, parent, defaultBranch})
+   * @param {Set} context.defaultCommits - Hashes on the remote default branch (null when unknown)
+   * @param {Set} context.verifiedEmails - Verified emails, lowercased (null when unknown)
+   * @param {string} context.username - GitHub login, for noreply addresses
+   * @param {string} context.last - Last date to compare
+   * @returns {Object} {days, summary, findings}
+   */
+  static compare(local, remote, commits, context = {}) {
+    const byDay = new Map();
+    commits.forEach(commit => {
+      const key = moment(commit.date).format(DAY);
+      if (!byDay.has(key)) {
+        byDay.set(key, []);
+      }
+      byDay.get(key).push(commit);
+    });
+
+    const dates = [...new Set([...local.keys(), ...Object.keys(remote)])]
+      .filter(date => !context.last || date <= context.last)
+      .sort();
+
+    const findings = new Map();
+    const days = dates.map(date => {
+      const localCount = local.get(date) || 0;
+      const githubCount = remote[date] || 0;
+      const day = {
+        date,
+        local: localCount,
+        github: githubCount,
+        status: githubCount === localCount ? 'match' : (githubCount < localCount ? 'missing' : 'extra'),
+        reasons: {}
+      };
+
+      if (day.status === 'missing') {
+        (byDay.get(date) || []).forEach(commit => {
+          this.explain(commit, date, context).forEach(reason => {
+            day.reasons[reason] = (day.reasons[reason] || 0) + 1;
+            if (!findings.has(reason)) {
+              findings.set(reason, { commits: [], days: new Set(), emails: new Set() });
+            }
+            const finding = findings.get(reason);
+            finding.commits.push(commit.hash);
+            finding.days.add(date);
+            finding.emails.add(commit.email);
+          });
+        });
+      }
+      return day;
+    });
+
+    const missing = days.filter(day => day.status === 'missing');
+    const extra = days.filter(day => day.status === 'extra');
+
+    return {
+      days,
+      summary: {
+        days: days.length,
+        matching: days.length - missing.length - extra.length,
+        missingDays: missing.length,
+        extraDays: extra.length,
+        missingCommits: missing.reduce((sum, day) => sum + day.local - day.github, 0),
+        localCommits: days.reduce((sum, day) => sum + day.local, 0),
+        githubContributions: days.reduce((sum, day) => sum + day.github, 0)
+      },
+      findings: Object.keys(REASONS).filter(reason => findings.has(reason)).map(reason => {
+        const finding = findings.get(reason);
+        return {
+          reason,
+          title: REASONS[reason].title,
+          message: this.describe(reason, finding, context),
+          suggestion: REASONS[reason].suggestion,
+          commits: finding.commits,
+          days: [...finding.days]
+        };
+      })
+    };
+  }
+
+  /**
+   * Reasons a local commit may be missing from the calendar
+   * @param {Object} commit - Commit ({hash, email, date})
+   * @param {string} date - Local date the commit is counted on
+   * @param {Object} context - See compare
+   * @returns {Array} Reason keys
+   */
+  static explain(commit, date, context = {}) {
+    const reasons = [];
+
+    if (context.repository && context.repository.isFork) {
+      reasons.push('fork');
+    }
+    if (context.verifiedEmails && !this.isVerified(commit.email, context)) {
+      reasons.push('unverified-email');
+    }
+    if (context.defaultCommits && !context.defaultCommits.has(commit.hash)) {
+      reasons.push('not-default-branch');
+    }
+    if (moment.parseZone(commit.date).utc().format(DAY) !== date) {
+      reasons.push('timezone');
+    }
+
+    return reasons.length > 0 ? reasons : ['unexplained'];
+  }
+
+  /**
+   * Whether GitHub attributes an email to the user
+   * @param {string} email - Commit author email
+   * @param {Object} context - See compare
+   * @returns {boolean} True for verified and the user's noreply addresses
+   */
+  static isVerified(email, context) {
+    const address = String(email || '').toLowerCase();
+    if (context.verifiedEmails.has(address)) {
+      return true;
+    }
+
+    const login = String(context.username || '').toLowerCase();
+    return Boolean(login) && (address === `${login}@users.noreply.github.com` ||
+      address.endsWith(`+${login}@users.noreply.github.com`));
+  }
+
+  /**
+   * One-line description of a finding
+   * @param {string} reason - Reason key
+   * @param {Object} finding - Collected commits, days and emails
+   * @param {Object} context - See compare
+   * @returns {string} Description
+   */
+  static describe(reason, finding, context) {
+    const count = `${finding.commits.length} commit(s) on ${finding.days.size} day(s)`;
+
+    switch (reason) {
+      case 'fork':
+        return `${count}: ${context.repository.nameWithOwner} is a fork of ${context.repository.parent || 'another repository'}`;
+      case 'unverified-email':
+        return `${count} by ${[...finding.emails].join(', ')}, not a verified email of ${context.username}`;
+      case 'not-default-branch':
+        return `${count} are not on ${context.remoteName || 'origin'}/${context.repository.defaultBranch}`;
+      case 'timezone':
+        return `${count} fall on a different date in UTC`;
+      default:
+        return `${count} are missing without a detectable cause`;
+    }
+  }
+}
+
+ContributionReconciler.REASONS = REASONS;
+
+module.exports = ContributionReconciler;
@@ -12,6 +12,7 @@ const moment = require('moment');
 const GitManager = require('../core/GitManager');
 const OperationHistory = require('./OperationHistory');
 const { ProgressUtils } = require('./progress');
+const TrailerUtils = require('./TrailerUtils');
 
 class DataExporter {
   constructor() {
@@ -325,11 +326,14 @@ class DataExporter {
     const transformed = {
       hash: commit.hash,
       message: commit.message,
-      author: commit.author_name,
-      email: commit.author_email,
+      author: commit.author_name || commit.author,
+      email: commit.author_email || commit.email,
       date: commit.date,
+      authorDate: commit.authorDate || commit.date,
+      committerDate: commit.committerDate || commit.committer_date || commit.date,
       timestamp: new Date(commit.date).toISOString(),
-      parents: commit.parents || []
+      parents: commit.parents || [],
+      trailers: commit.trailers || []
     };
 
     if (includeFiles && commit.files) {
@@ -529,14 +533,17 @@ class DataExporter {
   convertCommitsToCSV(commits) {
     if (commits.length === 0) return '';
 
-    const headers = ['Hash', 'Message', 'Author', 'Email', 'Date', 'Timestamp'];
+    const headers = ['Hash', 'Message', 'Author', 'Email', 'Date', 'Timestamp', 'Author Date', 'Committer Date', 'Trailers'];
     const rows = commits.map(commit => [
       commit.hash,
       commit.message.replace(/"/g, '""'),
       commit.author,
       commit.email,
       commit.date,
-      commit.timestamp
+      commit.timestamp,
+      commit.authorDate || commit.date,
+      commit.committerDate || commit.date,
+      TrailerUtils.format(commit.trailers).replace(/\n/g, '; ').replace(/"/g, '""')
     ]);
 
     return [headers, ...rows]
@@ -0,0 +1,371 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * DateDistribution - Pluggable strategies for spreading commits across a date window
+ */
+
+const moment = require('moment');
+const crypto = require('crypto');
+
+class DateDistribution {
+  /**
+   * Registered distribution strategies keyed by name
+   */
+  static strategies = new Map();
+
+  /**
+   * Default strategy used when none is specified
+   */
+  static DEFAULT_STRATEGY = 'even';
+
+  /**
+   * Default working hours window used by the working-hours strategy
+   */
+  static DEFAULT_WORKING_HOURS = '09:00-17:00';
+
+  /**
+   * Register a distribution strategy
+   * @param {string} name - Strategy name used on the command line
+   * @param {Object} strategy - Strategy definition
+   * @param {string} strategy.description - Human readable description
+   * @param {boolean} strategy.seeded - Whether the strategy consumes random numbers
+   * @param {Function} strategy.generate - (count, context) => Array<moment.Moment> of dates, oldest first
+   */
+  static register(name, strategy) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Strategy name is required and must be a string');
+    }
+    if (!strategy || typeof strategy.generate !== 'function') {
+      throw new Error(`Strategy '${name}' must provide a generate function`);
+    }
+
+    this.strategies.set(name, {
+      name,
+      description: strategy.description || name,
+      seeded: strategy.seeded === true,
+      generate: strategy.generate
+    });
+  }
+
+  /**
+   * Get a registered strategy
+   * @param {string} name - Strategy name
+   * @returns {Object|null} Strategy definition
+   */
+  static getStrategy(name) {
+    return this.strategies.get(name) || null;
+  }
+
+  /**
+   * List registered strategy names
+   * @returns {Array<string>} Strategy names
+   */
+  static getStrategyNames() {
+    return Array.from(this.strategies.keys());
+  }
+
+  /**
+   * Validate a strategy name
+   * @param {string} name - Strategy name
+   * @returns {Object} Validation result
+   */
+  static validateStrategy(name) {
+    const value = name || this.DEFAULT_STRATEGY;
+
+    if (!this.strategies.has(value)) {
+      return {
+        isValid: false,
+        error: `Unknown distribution strategy: ${value}`,
+        suggestion: `Use one of: ${this.getStrategyNames().join(', ')}`
+      };
+    }
+
+    return { isValid: true, value };
+  }
+
+  /**
+   * Validate a working hours window (HH:mm-HH:mm)
+   * @param {string} range - Working hours range
+   * @returns {Object} Validation result with start/end minutes of day
+   */
+  static validateWorkingHours(range) {
+    const value = (range || this.DEFAULT_WORKING_HOURS).trim();
+    const match = value.match(/^([01]?\d|2[0-3]):([0-5]\d)-([01]?\d|2[0-3]):([0-5]\d)$/);
+
+    if (!match) {
+      return {
+        isValid: false,
+        error: `Invalid working hours: ${value}`,
+        suggestion: 'Use HH:mm-HH:mm format (e.g., 09:00-17:00)'
+      };
+    }
+
+    const start = parseInt(match[1]) * 60 + parseInt(match[2]);
+    const end = parseInt(match[3]) * 60 + parseInt(match[4]);
+
+    if (end <= start) {
+      return {
+        isValid: false,
+        error: 'Working hours must end after they start',
+        suggestion: 'Use a window within a single day (e.g., 09:00-17:00)'
+      };
+    }
+
+    return { isValid: true, value, start, end };
+  }
+
+  /**
+   * Create a deterministic pseudo-random generator (mulberry32)
+   * @param {string|number} seed - Seed value
+   * @returns {Function} Generator returning floats in [0, 1)
+   */
+  static createRandom(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Build the available time windows for a date range
+   * @param {moment.Moment} start - First possible commit time
+   * @param {number} spreadDays - Number of days in the range
+   * @param {Object} filter - Window filter
+   * @param {boolean} filter.weekdaysOnly - Skip Saturdays and Sundays
+   * @param {Object} filter.hours - Daily window as {start, end} minutes of day
+   * @returns {Array<Object>} Windows as {start: moment, minutes: number}
+   */
+  static buildWindows(start, spreadDays, filter = {}) {
+    const windows = [];
+    const end = moment(start).add(spreadDays, 'days');
+    const day = moment(start).startOf('day');
+
+    // Keep searching past the range if it contains no usable day (e.g. a weekend-only spread)
+    while (day.isBefore(end) || (windows.length === 0 && day.diff(end, 'days') < 7)) {
+      const isWeekend = day.day() === 0 || day.day() === 6;
+
+      if (!(filter.weekdaysOnly && isWeekend)) {
+        let windowStart = moment(day);
+        let windowEnd = moment(day).add(1, 'day');
+
+        if (filter.hours) {
+          windowStart = moment(day).add(filter.hours.start, 'minutes');
+          windowEnd = moment(day).add(filter.hours.end, 'minutes');
+        }
+
+        if (windowStart.isBefore(start) && day.isSame(moment(start).startOf('day'))) {
+          windowStart = moment(start);
+        }
+
+        if (windowEnd.isAfter(end) && windows.length > 0) {
+          windowEnd = moment(end);
+        }
+
+        const minutes = windowEnd.diff(windowStart, 'minutes');
+        if (minutes > 0) {
+          windows.push({ start: windowStart, minutes });
+        }
+      }
+
+      day.add(1, 'day');
+    }
+
+    return windows;
+  }
+
+  /**
+   * Evenly spaced offsets across a timeline
+   * @param {number} count - Number of commits
+   * @param {number} totalMinutes - Timeline length in minutes
+   * @returns {Array<number>} Minute offsets
+   */
+  static evenOffsets(count, totalMinutes) {
+    const step = totalMinutes / count;
+    return Array.from({ length: count }, (_, i) => i * step);
+  }
+
+  /**
+   * Map timeline offsets onto the concatenated windows
+   * @param {Array<number>} offsets - Minute offsets into the timeline
+   * @param {Array<Object>} windows - Windows from buildWindows
+   * @returns {Array<moment.Moment>} Commit dates
+   */
+  static mapOffsetsToWindows(offsets, windows) {
+    return offsets.map(offset => {
+      let remaining = offset;
+
+      for (let i = 0; i < windows.length; i++) {
+        const window = windows[i];
+        if (remaining < window.minutes || i === windows.length - 1) {
+          return moment(window.start).add(Math.min(remaining, window.minutes), 'minutes');
+        }
+        remaining -= window.minutes;
+      }
+
+      return moment(windows[0].start);
+    });
+  }
+
+  /**
+   * Generate commit dates for a migration
+   * @param {number} count - Number of commits (oldest first)
+   * @param {Object} options - Distribution options
+   * @param {string} options.startDate - Target start date (YYYY-MM-DD)
+   * @param {string} options.startTime - Start time for the first commit (HH:mm)
+   * @param {number} options.spreadDays - Number of days to spread commits over
+   * @param {string} options.strategy - Strategy name
+   * @param {string|number} options.seed - Seed for random strategies
+   * @param {string} options.workingHours - Working hours window (HH:mm-HH:mm)
+   * @param {Array<string>} options.originalDates - Original commit dates, oldest first
+   * @returns {Object} Generated dates and the effective distribution settings
+   */
+  static generate(count, options = {}) {
+    const strategyValidation = this.validateStrategy(options.strategy);
+    if (!strategyValidation.isValid) {
+      throw new Error(`${strategyValidation.error}. ${strategyValidation.suggestion}`);
+    }
+
+    const strategy = this.getStrategy(strategyValidation.value);
+    const [hours, minutes] = (options.startTime || '09:00').split(':').map(part => parseInt(part));
+    // Work in naive wall-clock time so the machine's own DST rules never shift the plan
+    const start = moment.utc(options.startDate, 'YYYY-MM-DD').hour(hours).minute(minutes).second(0);
+    const spreadDays = parseInt(options.spreadDays) || 1;
+    const seed = strategy.seeded
+      ? (options.seed !== undefined && options.seed !== null ? String(options.seed) : crypto.randomBytes(4).toString('hex'))
+      : null;
+
+    const context = {
+      start,
+      spreadDays,
+      random: seed !== null ? this.createRandom(seed) : Math.random,
+      workingHours: options.workingHours,
+      originalDates: options.originalDates || []
+    };
+
+    const dates = count > 0 ? strategy.generate(count, context) : [];
+
+    return {
+      dates,
+      distribution: {
+        strategy: strategy.name,
+        description: strategy.description,
+        seed,
+        workingHours: strategy.name === 'working-hours'
+          ? this.validateWorkingHours(options.workingHours).value
+          : null
+      }
+    };
+  }
+}
+
+DateDistribution.register('even', {
+  description: 'Evenly spaced across the whole window',
+  generate(count, context) {
+    const windows = DateDistribution.buildWindows(context.start, context.spreadDays);
+    const total = windows.reduce((sum, window) => sum + window.minutes, 0);
+    return DateDistribution.mapOffsetsToWindows(DateDistribution.evenOffsets(count, total), windows);
+  }
+});
+
+DateDistribution.register('weekdays', {
+  description: 'Evenly spaced across weekdays only',
+  generate(count, context) {
+    const windows = DateDistribution.buildWindows(context.start, context.spreadDays, { weekdaysOnly: true });
+    const total = windows.reduce((sum, window) => sum + window.minutes, 0);
+    return DateDistribution.mapOffsetsToWindows(DateDistribution.evenOffsets(count, total), windows);
+  }
+});
+
+DateDistribution.register('working-hours', {
+  description: 'Evenly spaced within weekday working hours',
+  generate(count, context) {
+    const hours = DateDistribution.validateWorkingHours(context.workingHours);
+    if (!hours.isValid) {
+      throw new Error(`${hours.error}. ${hours.suggestion}`);
+    }
+
+    const windows = DateDistribution.buildWindows(context.start, context.spreadDays, {
+      weekdaysOnly: true,
+      hours: { start: hours.start, end: hours.end }
+    });
+    const total = windows.reduce((sum, window) => sum + window.minutes, 0);
+    return DateDistribution.mapOffsetsToWindows(DateDistribution.evenOffsets(count, total), windows);
+  }
+});
+
+DateDistribution.register('jitter', {
+  description: 'Evenly spaced with seeded random jitter',
+  seeded: true,
+  generate(count, context) {
+    const windows = DateDistribution.buildWindows(context.start, context.spreadDays);
+    const total = windows.reduce((sum, window) => sum + window.minutes, 0);
+    const step = total / count;
+
+    // Each commit moves anywhere within its own slot, so order is preserved
+    const offsets = DateDistribution.evenOffsets(count, total)
+      .map(offset => offset + context.random() * step * 0.9);
+
+    return DateDistribution.mapOffsetsToWindows(offsets, windows);
+  }
+});
+
+DateDistribution.register('poisson', {
+  description: 'Seeded bursts of activity separated by quiet gaps',
+  seeded: true,
+  generate(count, context) {
+    const windows = DateDistribution.buildWindows(context.start, context.spreadDays);
+    const total = windows.reduce((sum, window) => sum + window.minutes, 0);
+    const exponential = (mean) => -Math.log(1 - context.random()) * mean;
+
+    // Mostly short gaps inside a burst, occasionally a long gap to start a new one
+    const gaps = Array.from({ length: count + 1 }, () => (
+      context.random() < 0.3 ? exponential(10) : exponential(1)
+    ));
+    gaps[0] = 0;
+
+    const cumulative = [];
+    gaps.reduce((sum, gap) => {
+      cumulative.push(sum + gap);
+      return sum + gap;
+    }, 0);
+
+    const scale = total / cumulative[count];
+    const offsets = cumulative.slice(0, count).map(value => value * scale);
+
+    return DateDistribution.mapOffsetsToWindows(offsets, windows);
+  }
+});
+
+DateDistribution.register('mirror', {
+  description: 'Original gaps between commits scaled into the window',
+  generate(count, context) {
+    const windows = DateDistribution.buildWindows(context.start, context.spreadDays);
+    const total = windows.reduce((sum, window) => sum + window.minutes, 0);
+    const original = context.originalDates.map(date => new Date(date).getTime());
+    const span = original.length === count ? original[count - 1] - original[0] : 0;
+
+    if (count < 2 || !(span > 0) || original.some(isNaN)) {
+      return DateDistribution.mapOffsetsToWindows(DateDistribution.evenOffsets(count, total), windows);
+    }
+
+    // Last commit lands where the even strategy would put it
+    const usable = total * (count - 1) / count;
+    // Clamp out-of-order originals (e.g. rebased commits) so the new dates stay monotonic
+    let previous = 0;
+    const offsets = original.map(time => {
+      previous = Math.min(usable, Math.max(previous, ((time - original[0]) / span) * usable));
+      return previous;
+    });
+
+    return DateDistribution.mapOffsetsToWindows(offsets, windows);
+  }
+});
+
+module.exports = DateDistribution;
@@ -8,6 +8,7 @@
 
 const chalk = require('chalk');
 const { FeedbackUtils } = require('./feedback');
+const TrailerUtils = require('./TrailerUtils');
 
 class DryRunManager {
   constructor() {
@@ -279,6 +280,45 @@ class DryRunManager {
     return exportData;
   }
 
+  /**
+   * Reduce a message change to its first differing line, so body-only edits are visible too
+   * @param {string} before - Original message
+   * @param {string} after - Rewritten message
+   * @returns {Object} {before, after} preview lines
+   * @private
+   */
+  static previewMessageChange(before = '', after = '') {
+    const oldLines = before.replace(/\s+$/, '').split('\n');
+    const newLines = after.replace(/\s+$/, '').split('\n');
+    const length = Math.max(oldLines.length, newLines.length);
+    const changed = [];
+
+    for (let i = 0; i < length; i++) {
+      if (oldLines[i] !== newLines[i]) {
+        changed.push(i);
+      }
+    }
+
+    const first = changed.length > 0 ? changed[0] : 0;
+    const prefix = first > 0 ? `line ${first + 1}: ` : '';
+    const suffix = changed.length > 1 ? ` (+${changed.length - 1} more changed line(s))` : '';
+
+    return {
+      before: `${prefix}${oldLines[first] === undefined ? '(none)' : oldLines[first]}`,
+      after: `${prefix}${newLines[first] === undefined ? '(removed)' : newLines[first]}${suffix}`
+    };
+  }
+
+  /**
+   * Build the --trailer arguments shown for a commit preview
+   * @param {Array} trailers - List of {key, value}
+   * @returns {Array} Git arguments
+   * @private
+   */
+  static getTrailerArgs(trailers = []) {
+    return (trailers || []).flatMap(({ key, value }) => ['--trailer', `${key}: ${value}`]);
+  }
+
   /**
    * Create a dry-run manager for commit operations
    * @param {Object} commitData - Commit data
@@ -302,20 +342,40 @@ class DryRunManager {
       affectedFiles: commitData.files
     });
 
+    const commitDetails = {
+      message: commitData.message,
+      date: commitData.date || 'current',
+      time: commitData.time || 'current',
+      timezone: commitData.timezone || 'local',
+      author: commitData.author || 'default'
+    };
+
+    if (commitData.authorDate) {
+      commitDetails.authorDate = commitData.authorDate;
+    }
+    if (commitData.committerDate) {
+      commitDetails.committerDate = commitData.committerDate;
+    }
+    if (commitData.sign) {
+      commitDetails.signingKey = commitData.signingKey || 'user.signingkey';
+    }
+    if (commitData.trailers && commitData.trailers.length > 0) {
+      commitDetails.trailers = TrailerUtils.format(commitData.trailers);
+    }
+
     dryRun.addOperation({
       type: 'git_commit',
       description: `Create commit: "${commitData.message}"`,
-      details: {
-        message: commitData.message,
-        date: commitData.date || 'current',
-        time: commitData.time || 'current',
-        author: commitData.author || 'default'
-      },
+      details: commitDetails,
       estimatedDuration: 3,
       riskLevel: 'low',
       reversible: true,
       gitCommand: 'commit',
-      gitArgs: ['-m', commitData.message]
+      gitArgs: [
+        '-m', commitData.message,
+        ...DryRunManager.getTrailerArgs(commitData.trailers),
+        ...(commitData.sign ? ['--gpg-sign'] : [])
+      ]
     });
 
     if (commitData.push) {
@@ -350,24 +410,79 @@ class DryRunManager {
       reversible: true
     });
 
+    const distribution = migrationData.distribution;
+    const strategy = migrationData.strategy || 'fast-import';
+
+    // Git command each migration strategy uses to rewrite a commit
+    const strategyCommands = {
+      'fast-import': { gitCommand: 'fast-import', gitArgs: ['--date-format=raw'] },
+      'filter-branch': { gitCommand: 'filter-branch', gitArgs: ['--env-filter'] },
+      'interactive-rebase': { gitCommand: 'rebase', gitArgs: ['--interactive'] },
+      'cherry-pick': { gitCommand: 'cherry-pick', gitArgs: [] }
+    };
+    const { gitCommand, gitArgs } = strategyCommands[strategy] || strategyCommands['interactive-rebase'];
+
     migrationData.commits.forEach((commit, index) => {
+      const hash = commit.originalHash || commit.hash;
+      const details = {
+        originalDate: commit.originalDate,
+        newDate: commit.newDate,
+        hash,
+        strategy
+      };
+
+      if (commit.authorDate && commit.committerDate && commit.authorDate !== commit.committerDate) {
+        details.authorDate = commit.authorDate;
+        details.committerDate = commit.committerDate;
+      }
+
+      // Before/after preview of messages changed by --message-filter
+      if (typeof commit.newMessage === 'string') {
+        const preview = DryRunManager.previewMessageChange(commit.originalMessage || commit.message, commit.newMessage);
+        details.messageBefore = preview.before;
+        details.messageAfter = preview.after;
+      }
+
+      // Identities remapped by --author-map
+      if (commit.newAuthor) {
+        details.authorBefore = `${commit.author} <${commit.authorEmail}>`;
+        details.authorAfter = `${commit.newAuthor.name} <${commit.newAuthor.email}>`;
+      }
+      if (commit.newCommitter) {
+        details.committerBefore = `${commit.committer} <${commit.committerEmail}>`;
+        details.committerAfter = `${commit.newCommitter.name} <${commit.newCommitter.email}>`;
+      }
+
+      if (distribution) {
+        details.distribution = distribution.seed
+          ? `${distribution.strategy} (seed: ${distribution.seed})`
+          : distribution.strategy;
+      }
+
       dryRun.addOperation({
         type: 'commit_migration',
-        description: `Migrate commit ${commit.hash.substring(0, 8)}: ${commit.message.substring(0, 50)}...`,
-        details: {
-          originalDate: commit.originalDate,
-          newDate: commit.newDate,
-          hash: commit.hash,
-          strategy: migrationData.strategy || 'interactive-rebase'
-        },
+        description: `Migrate commit ${hash.substring(0, 8)}: ${commit.message.substring(0, 50)}...`,
+        details,
         estimatedDuration: 15,
         riskLevel: 'high',
         reversible: true,
-        gitCommand: 'rebase',
-        gitArgs: ['--interactive']
+        gitCommand,
+        gitArgs
       });
     });
 
+    if (migrationData.rewriteRefs) {
+      dryRun.addOperation({
+        type: 'ref_rewrite',
+        description: 'Move tags, other branches and notes to the rewritten commits',
+        estimatedDuration: 5,
+        riskLevel: 'medium',
+        reversible: true,
+        gitCommand: 'update-ref',
+        gitArgs: ['--stdin']
+      });
+    }
+
     dryRun.addOperation({
       type: 'cleanup',
       description: 'Clean up temporary files and references',
@@ -383,6 +498,124 @@ class DryRunManager {
       dryRun.addWarning('Large migration may take significant time', 'warning');
     }
 
+    if (migrationData.rewriteRefs) {
+      dryRun.addWarning('Annotated tags will be re-created; tag signatures cannot be kept', 'warning');
+    }
+
+    const signedCount = migrationData.commits.filter(commit => commit.signed).length;
+    if (signedCount > 0 && migrationData.sign) {
+      dryRun.addWarning(`${signedCount} signed commit(s) will be re-signed with your key; the original signatures are replaced`, 'info');
+    } else if (signedCount > 0) {
+      dryRun.addWarning(`${signedCount} signed commit(s) will lose their signatures (use --sign to re-sign rewritten commits)`, 'warning');
+    }
+
+    if (migrationData.messageFilter) {
+      const changedCount = migrationData.commits.filter(commit => typeof commit.newMessage === 'string').length;
+      dryRun.addWarning(
+        `${changedCount} of ${migrationData.commits.length} commit message(s) will be rewritten by ${[].concat(migrationData.messageFilter).join(', ')}`,
+        changedCount > 0 ? 'warning' : 'info'
+      );
+    }
+
+    if (migrationData.authorMap) {
+      const changedCount = migrationData.commits.filter(commit => commit.newAuthor || commit.newCommitter).length;
+      dryRun.addWarning(
+        `${changedCount} of ${migrationData.commits.length} commit(s) will have their author or committer remapped by ${migrationData.authorMap}`,
+        changedCount > 0 ? 'warning' : 'info'
+      );
+    }
+
+    if (migrationData.plan) {
+      const messageCount = migrationData.commits.filter(commit => typeof commit.newMessage === 'string').length;
+      const identityCount = migrationData.commits.filter(commit => commit.newAuthor || commit.newCommitter).length;
+      dryRun.addWarning(
+        `Plan ${migrationData.plan} sets the dates of ${migrationData.commits.length} commit(s), ${messageCount} message(s) and ${identityCount} identity change(s)`,
+        'info'
+      );
+    }
+
+    const mergeCount = migrationData.commits.filter(commit => commit.parents && commit.parents.length > 1).length;
+    if (mergeCount > 0) {
+      dryRun.addWarning(`${mergeCount} merge commit(s) in range; all parent relationships will be preserved`, 'info');
+    }
+
+    return dryRun;
+  }
+
+  /**
+   * Create a dry-run manager for purge operations
+   * @param {Object} purgeData - Purge plan from GitManager.planPurge ({commits, totalCommits, rewrittenCount,
+   *   removedPaths, redactedBlobs, filter, rewriteRefs})
+   * @returns {DryRunManager} Configured dry-run manager
+   */
+  static forPurgeOperation(purgeData) {
+    const dryRun = new DryRunManager();
+    const commits = purgeData.commits || [];
+    const filter = purgeData.filter || { paths: [], secrets: 0 };
+
+    dryRun.addOperation({
+      type: 'git_backup',
+      description: 'Create backup of current repository state',
+      estimatedDuration: 10,
+      riskLevel: 'low',
+      reversible: true
+    });
+
+    // Secrets themselves are never shown, only where they were found
+    commits.forEach(commit => {
+      const details = { hash: commit.hash, author: commit.author, date: commit.date };
+      if (commit.removedPaths.length > 0) {
+        details.removedPaths = commit.removedPaths.join(', ');
+      }
+      if (commit.redactedPaths.length > 0) {
+        details.redactedFiles = commit.redactedPaths.join(', ');
+      }
+      if (commit.messageRedacted) {
+        details.messageRedacted = true;
+      }
+
+      dryRun.addOperation({
+        type: 'commit_purge',
+        description: `Purge commit ${commit.hash.substring(0, 8)}: ${commit.message.substring(0, 50)}`,
+        details,
+        estimatedDuration: 1,
+        riskLevel: 'high',
+        reversible: true,
+        gitCommand: 'fast-import',
+        gitArgs: ['--date-format=raw']
+      });
+    });
+
+    if (purgeData.rewriteRefs) {
+      dryRun.addOperation({
+        type: 'ref_rewrite',
+        description: 'Move tags, other branches and notes to the rewritten commits',
+        estimatedDuration: 5,
+        riskLevel: 'medium',
+        reversible: true,
+        gitCommand: 'update-ref',
+        gitArgs: ['--stdin']
+      });
+    }
+
+    dryRun.addWarning('Purge will rewrite Git history', 'warning');
+    dryRun.addWarning('Backup will be created automatically; it still contains the purged data until deleted', 'info');
+
+    if (commits.length === 0) {
+      dryRun.addWarning(`No commit in range contains ${filter.paths.length > 0 ? filter.paths.join(', ') : 'the given secrets'}`, 'info');
+    } else {
+      dryRun.addWarning(
+        `${commits.length} of ${purgeData.rewrittenCount || purgeData.totalCommits} rewritten commit(s) will change: ` +
+        `${(purgeData.removedPaths || []).length} path(s) removed, ${purgeData.redactedBlobs || 0} file version(s) redacted`,
+        'warning'
+      );
+    }
+
+    const signedCount = commits.filter(commit => commit.signed).length;
+    if (signedCount > 0) {
+      dryRun.addWarning(`${signedCount} signed commit(s) will lose their signatures`, 'warning');
+    }
+
     return dryRun;
   }
 
@@ -461,13 +694,18 @@ class DryRunManager {
             message: commit.message,
             date: commit.date,
             time: commit.time,
-            author: commit.author
+            author: commit.author,
+            ...(commit.trailers && commit.trailers.length > 0 ? { trailers: TrailerUtils.format(commit.trailers) } : {})
           },
           estimatedDuration: 3,
           riskLevel: 'low',
           reversible: true,
           gitCommand: 'commit',
-          gitArgs: ['-m', commit.message]
+          gitArgs: [
+            '-m', commit.message,
+            ...DryRunManager.getTrailerArgs(commit.trailers),
+            ...(commit.sign ? ['--gpg-sign'] : [])
+          ]
         });
       });
 
@@ -35,11 +35,26 @@ class HelpSystem {
         command: 'histofy commit "Add new feature" --date 2023-06-15 --time 14:30',
         description: 'Create a commit with specific date and time'
       },
+      {
+        title: 'Commit in a specific timezone',
+        command: 'histofy commit "Sync release notes" --date 2023-06-15 --time 09:00 --tz Europe/Berlin',
+        description: 'Stamp the commit with the Berlin offset instead of the local machine zone'
+      },
       {
         title: 'Commit with custom author',
         command: 'histofy commit "Update documentation" --author "John Doe <john@example.com>"',
         description: 'Create a commit with a different author'
       },
+      {
+        title: 'Credit co-authors',
+        command: 'histofy commit "Pair on parser" --co-author "Jane Doe <jane@example.com>" --trailer "Signed-off-by=John Doe <john@example.com>"',
+        description: 'Append Co-authored-by, Signed-off-by or custom trailers to the message'
+      },
+      {
+        title: 'Sign a backdated commit',
+        command: 'histofy commit "Release prep" --date 2023-06-15 --sign --signing-key ~/.ssh/id_ed25519.pub',
+        description: 'Sign with GPG, or with an SSH key when gpg.format=ssh'
+      },
       {
         title: 'Add all changes and commit',
         command: 'histofy commit "Major refactoring" --add-all --date 2023-06-10',
@@ -122,11 +137,66 @@ class HelpSystem {
         command: 'histofy migrate HEAD~3..HEAD --to-date 2023-06-15 --time-offset "+2 hours"',
         description: 'Migrate commits with time adjustments'
       },
+      {
+        title: 'Migrate with a distribution strategy',
+        command: 'histofy migrate HEAD~20..HEAD --to-date 2023-06-15 --spread 14 --distribution working-hours',
+        description: 'Spread commits across weekday working hours instead of evenly'
+      },
+      {
+        title: 'Reproducible random distribution',
+        command: 'histofy migrate HEAD~20..HEAD --to-date 2023-06-15 --spread 30 --distribution poisson --seed 42',
+        description: 'Cluster commits into bursts; the same seed always produces the same plan'
+      },
       {
         title: 'Preview migration without executing',
         command: 'histofy migrate HEAD~5..HEAD --to-date 2023-06-15 --dry-run',
         description: 'See migration plan without executing changes'
       },
+      {
+        title: 'Choose a rewrite strategy',
+        command: 'histofy migrate HEAD~5..HEAD --to-date 2023-06-15 --execute --strategy cherry-pick',
+        description: 'Use a porcelain strategy instead of the default fast-import engine'
+      },
+      {
+        title: 'Move tags and branches too',
+        command: 'histofy migrate v1.0~10..HEAD --to-date 2023-06-15 --execute --rewrite-refs',
+        description: 'Re-point tags, descendant branches and notes at the rewritten commits'
+      },
+      {
+        title: 'Fix message conventions',
+        command: 'histofy migrate HEAD~5..HEAD --to-date 2023-06-15 --message-filter "s/^(?!PROJ-)/PROJ-42: /" --dry-run',
+        description: 'Rewrite messages in the same pass; a .js module exporting (message, commit) => string also works'
+      },
+      {
+        title: 'Correct stale identities',
+        command: 'histofy migrate HEAD~20..HEAD --to-date 2023-06-15 --author-map .mailmap --dry-run',
+        description: 'Rewrite author and committer names and emails in the same pass; a JSON map also works'
+      },
+      {
+        title: 'Keep history signed',
+        command: 'histofy migrate HEAD~5..HEAD --to-date 2023-06-15 --execute --sign',
+        description: 'Re-sign every rewritten commit, since rewriting drops existing signatures'
+      },
+      {
+        title: 'Resume after a crash',
+        command: 'histofy migrate --status && histofy migrate --continue',
+        description: 'Pick up an interrupted migration from its journal in .git/histofy, or undo it with --abort'
+      },
+      {
+        title: 'Keep working while it runs',
+        command: 'histofy migrate HEAD~50..HEAD --to-date 2023-06-15 --execute --isolated',
+        description: 'Rewrite in a temporary worktree; uncommitted changes stay put and only the branch moves at the end'
+      },
+      {
+        title: 'Hand-edit the plan',
+        command: 'histofy migrate HEAD~10..HEAD --to-date 2023-06-15 --plan-out plan.yaml && histofy migrate --plan-in plan.yaml --execute',
+        description: 'Export one row per commit (hash, message, date, author), edit it, then apply it exactly; stale plans are rejected'
+      },
+      {
+        title: 'Nudge individual dates',
+        command: 'histofy migrate HEAD~10..HEAD --to-date 2023-06-15 --spread 5 --interactive',
+        description: 'Edit, shift and lock commit dates in a terminal editor that flags commits dated before their parents'
+      },
       {
         title: 'Force migration with conflicts',
         command: 'histofy migrate HEAD~10..HEAD --to-date 2023-06-15 --force',
@@ -134,6 +204,72 @@ class HelpSystem {
       }
     ]);
 
+    // Purge command examples
+    this.examples.set('purge', [
+      {
+        title: 'Preview removing a committed .env',
+        command: 'histofy purge --path .env --dry-run',
+        description: 'List every commit of the current branch that contains .env'
+      },
+      {
+        title: 'Remove keys everywhere',
+        command: 'histofy purge --path "**/*.pem" --path .ssh/ --execute --rewrite-refs',
+        description: 'Remove matching files from all commits and move tags and other branches along'
+      },
+      {
+        title: 'Redact leaked secrets',
+        command: 'histofy purge --secrets-file leaked.txt --execute',
+        description: 'Replace each line of leaked.txt with ***REMOVED*** in files and messages; undo with histofy undo'
+      }
+    ]);
+
+    // Paint command examples
+    this.examples.set('paint', [
+      {
+        title: 'Preview text on the calendar',
+        command: 'histofy paint --text "HELLO"',
+        description: 'Show the last 53 weeks with HELLO drawn in the middle, and the commits it needs'
+      },
+      {
+        title: 'Paint a past year from a grid',
+        command: 'histofy paint --grid design.txt --year 2023 --isolated --execute',
+        description: 'Draw a 7-line grid of 0-4 shades onto 2023 without touching the working tree'
+      }
+    ]);
+
+    // Backfill command examples
+    this.examples.set('backfill', [
+      {
+        title: 'Preview the idle weekdays of a quarter',
+        command: 'histofy backfill --since 2024-01-01 --until 2024-03-31 --weekdays-only',
+        description: 'List the weekdays without commits and the empty commits that would fill them'
+      },
+      {
+        title: 'Top up every day with a changelog line',
+        command: 'histofy backfill --since 2024-01-01 --min-per-day 2 --file ACTIVITY.md --execute',
+        description: 'Give each day at least two commits that append to ACTIVITY.md; histofy undo removes them all'
+      }
+    ]);
+
+    // Lint command examples
+    this.examples.set('lint', [
+      {
+        title: 'Check the dates of the current branch',
+        command: 'histofy lint --since 2024-01-01',
+        description: 'Report commits dated before their parent, in the future, outside 2024 or evenly spaced'
+      },
+      {
+        title: 'Upload findings to code scanning',
+        command: 'histofy lint origin/main..HEAD --format sarif --output lint.sarif',
+        description: 'Write the findings for the unpushed commits as SARIF'
+      },
+      {
+        title: 'Repair the chronology',
+        command: 'histofy lint --fix plan.yaml && histofy migrate --plan-in plan.yaml --dry-run',
+        description: 'Write a migration plan that moves the offending commits, then preview applying it'
+      }
+    ]);
+
     // Batch command examples
     this.examples.set('batch', [
       {
@@ -151,6 +287,41 @@ class HelpSystem {
         command: 'histofy batch import --input data.json --template template.json',
         description: 'Import commits using a template'
       },
+      {
+        title: 'Add trailers to every commit',
+        command: 'histofy batch commit --input commits.csv --co-author "Jane Doe <jane@example.com>" --trailer "Reviewed-by=Ana Lee <ana@example.com>"',
+        description: 'Merged with the coAuthors and trailers columns of each entry'
+      },
+      {
+        title: 'Commit without touching your checkout',
+        command: 'histofy batch commit --input commits.csv --isolated',
+        description: 'Commits are built in a temporary worktree and the branch moves only if all of them succeed'
+      },
+      {
+        title: 'Replay a synthetic history with file changes',
+        command: 'histofy batch commit --input history.yaml --fixtures fixtures/ --isolated',
+        description: 'Each entry\'s files list writes, appends, deletes, renames, copies fixtures or applies patches before its commit'
+      },
+      {
+        title: 'Resume an interrupted batch',
+        command: 'histofy batch commit --input commits.csv --resume .git/histofy/batch-journal.jsonl',
+        description: 'Rows the journal records are checked to still be on the branch and skipped; running it again creates nothing'
+      },
+      {
+        title: 'Use conditionals and date math in a template',
+        command: 'histofy batch commit --input commits.csv --template release.yaml',
+        description: "A message like {{#if type == 'fix'}}Fix{{else}}Add{{/if}} {{title}} (due {{date | addDays(3)}}) is rendered per row; see the helper list in a template made with --create"
+      },
+      {
+        title: 'Transplant another repository\'s history',
+        command: 'histofy batch transplant --from ../private --range v1.0..main --with-tree --start 2024-01-01 --dry-run',
+        description: 'Replays messages, authors and shifted dates (and with --with-tree, files) of the range as a batch'
+      },
+      {
+        title: 'Generate a year of commits',
+        command: 'histofy batch generate --from 2025-01-01 --to 2025-12-31 --per-day 0-3 --weekdays sat=0.2,sun=0 --blackout 2025-08-01..2025-08-14 --seed 42 --output 2025.csv',
+        description: 'Shows a heatmap of the schedule, then writes a CSV that batch commit accepts; the same seed gives the same schedule'
+      },
       {
         title: 'Export commit history',
         command: 'histofy batch export --output history.csv --format csv',
@@ -184,6 +355,11 @@ class HelpSystem {
         title: 'Export analysis report',
         command: 'histofy analyze --export report.json --format json',
         description: 'Export detailed analysis to JSON file'
+      },
+      {
+        title: 'Find commits missing from your GitHub calendar',
+        command: 'histofy analyze reconcile --user octocat --year 2024',
+        description: 'Compare daily counts with GitHub and explain unverified emails, other branches, forks and UTC shifts'
       }
     ]);
 
@@ -614,6 +790,7 @@ class HelpSystem {
     console.log(chalk.green('  analyze     ') + 'Analyze repository patterns and statistics');
     console.log(chalk.green('  performance ') + 'Monitor and analyze performance metrics');
     console.log(chalk.green('  undo        ') + 'Undo recent Histofy operations');
+    console.log(chalk.green('  map         ') + 'Translate commit hashes rewritten by migrations');
     console.log(chalk.green('  export      ') + 'Export commit data and history');
     console.log(chalk.green('  import      ') + 'Import commit data from external sources\\n');
     
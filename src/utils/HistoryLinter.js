@@ -0,0 +1,336 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * HistoryLinter - Finds timestamp anomalies and impossible chronology in commit history
+ */
+
+const moment = require('moment');
+const MigrationPlan = require('./MigrationPlan');
+
+const DAY = 'YYYY-MM-DD';
+const PLAN_DATE = 'YYYY-MM-DDTHH:mm:ssZ';
+
+// Levels follow SARIF: error, warning or note
+const RULES = {
+  'parent-order': {
+    level: 'error',
+    title: 'Commit dated before its parent',
+    description: 'The author date is earlier than the author date of a parent commit',
+    fixable: true
+  },
+  'committer-before-author': {
+    level: 'warning',
+    title: 'Committed before it was authored',
+    description: 'The committer date is earlier than the author date',
+    fixable: true
+  },
+  'future-date': {
+    level: 'error',
+    title: 'Dated in the future',
+    description: 'The author or committer date is later than now',
+    fixable: true
+  },
+  'outside-window': {
+    level: 'warning',
+    title: 'Dated outside the window',
+    description: 'The author date is outside the configured date window',
+    fixable: true
+  },
+  'duplicate-timestamp': {
+    level: 'warning',
+    title: 'Duplicate timestamp',
+    description: 'Another commit has exactly the same author date',
+    fixable: true
+  },
+  'uniform-spacing': {
+    level: 'note',
+    title: 'Perfectly uniform spacing',
+    description: 'A run of consecutive commits is spaced exactly the same interval apart, as scripted migrations do',
+    fixable: false
+  }
+};
+
+class HistoryLinter {
+  /**
+   * Check commits for timestamp anomalies
+   * @param {Array} commits - Commits from GitManager.listCommitChronology, newest first
+   * @param {Object} options - Lint options
+   * @param {Date} options.now - Current time
+   * @param {string} options.since - Start of the allowed window (YYYY-MM-DD)
+   * @param {string} options.until - End of the allowed window (YYYY-MM-DD, inclusive)
+   * @param {number} options.minRun - Commits in a row with the same spacing before it counts as uniform (default: 5)
+   * @returns {Object} {findings[{rule, level, hash, subject, date, message}], summary}
+   */
+  static lint(commits, options = {}) {
+    const now = moment(options.now || new Date());
+    const window = this.getWindow(options);
+    const minRun = options.minRun === undefined ? 5 : options.minRun;
+    if (!Number.isInteger(minRun) || minRun < 3) {
+      throw new Error(`Uniform spacing needs runs of at least 3 commits, got ${minRun}`);
+    }
+
+    const byHash = new Map(commits.map(commit => [commit.hash, commit]));
+    const findings = [];
+    const report = (rule, commit, message) => findings.push({
+      rule,
+      level: RULES[rule].level,
+      hash: commit.hash,
+      subject: commit.subject,
+      date: commit.authorDate,
+      message
+    });
+
+    commits.forEach(commit => {
+      const authored = moment(commit.authorDate);
+      const committed = moment(commit.committerDate);
+
+      commit.parents.filter(hash => byHash.has(hash)).forEach(hash => {
+        const parent = byHash.get(hash);
+        if (authored.isBefore(moment(parent.authorDate))) {
+          report('parent-order', commit, `Authored ${commit.authorDate}, before its parent ${hash.substring(0, 8)} (${parent.authorDate})`);
+        }
+      });
+
+      if (committed.isBefore(authored)) {
+        report('committer-before-author', commit,
+          `Committed ${commit.committerDate}, ${this.formatInterval(authored.diff(committed, 'seconds'))} before it was authored`);
+      }
+
+      const latest = moment.max(authored, committed);
+      if (latest.isAfter(now)) {
+        report('future-date', commit, `Dated ${latest === authored ? commit.authorDate : commit.committerDate}, in the future`);
+      }
+
+      if (window.start && authored.isBefore(window.start)) {
+        report('outside-window', commit, `Authored ${commit.authorDate}, before the window starts on ${window.start.format(DAY)}`);
+      } else if (window.end && authored.isAfter(window.end)) {
+        report('outside-window', commit, `Authored ${commit.authorDate}, after the window ends on ${window.end.format(DAY)}`);
+      }
+    });
+
+    // The oldest commit with a timestamp keeps it; later ones are the duplicates
+    const firstAt = new Map();
+    [...commits].reverse().forEach(commit => {
+      const time = moment(commit.authorDate).unix();
+      if (firstAt.has(time)) {
+        report('duplicate-timestamp', commit, `Same author date as ${firstAt.get(time).substring(0, 8)} (${commit.authorDate})`);
+      } else {
+        firstAt.set(time, commit.hash);
+      }
+    });
+
+    this.findUniformRuns(commits, minRun).forEach(run => {
+      report('uniform-spacing', run.first,
+        `${run.length} commits in a row spaced exactly ${this.formatInterval(run.interval)} apart, ` +
+        `${run.first.hash.substring(0, 8)} to ${run.last.hash.substring(0, 8)}`);
+    });
+
+    const order = Object.keys(RULES);
+    findings.sort((a, b) => order.indexOf(a.rule) - order.indexOf(b.rule));
+
+    const byRule = {};
+    findings.forEach(finding => {
+      byRule[finding.rule] = (byRule[finding.rule] || 0) + 1;
+    });
+
+    return {
+      findings,
+      summary: {
+        commits: commits.length,
+        errors: findings.filter(finding => finding.level === 'error').length,
+        warnings: findings.filter(finding => finding.level === 'warning').length,
+        notes: findings.filter(finding => finding.level === 'note').length,
+        byRule
+      }
+    };
+  }
+
+  /**
+   * Resolve the allowed date window
+   * @param {Object} options - {since, until} as YYYY-MM-DD
+   * @returns {Object} {start, end} as moments, null when open
+   */
+  static getWindow(options = {}) {
+    const parse = (value, name) => {
+      if (!value) {
+        return null;
+      }
+      const parsed = moment(String(value), DAY, true);
+      if (!parsed.isValid()) {
+        throw new Error(`${name} must be a date in YYYY-MM-DD format, got "${value}"`);
+      }
+      return parsed;
+    };
+
+    const start = parse(options.since, 'Window start');
+    const end = parse(options.until, 'Window end');
+    if (start && end && start.isAfter(end)) {
+      throw new Error(`Window start ${start.format(DAY)} is after its end ${end.format(DAY)}`);
+    }
+    return { start, end: end ? end.endOf('day') : null };
+  }
+
+  /**
+   * Find runs of consecutive commits with exactly the same spacing
+   * @param {Array} commits - Commits, newest first
+   * @param {number} minRun - Shortest run to report, in commits
+   * @returns {Array} Runs ({first, last, length, interval}), interval in seconds
+   */
+  static findUniformRuns(commits, minRun) {
+    const ordered = [...commits].reverse();
+    const runs = [];
+
+    let start = 0;
+    for (let i = 1; i <= ordered.length; i++) {
+      const interval = i < ordered.length
+        ? moment(ordered[i].authorDate).unix() - moment(ordered[i - 1].authorDate).unix()
+        : null;
+      const runInterval = i - start >= 2
+        ? moment(ordered[start + 1].authorDate).unix() - moment(ordered[start].authorDate).unix()
+        : interval;
+
+      if (interval !== null && interval === runInterval && interval > 0) {
+        continue;
+      }
+
+      const length = i - start;
+      if (length >= minRun && runInterval > 0) {
+        runs.push({ first: ordered[start], last: ordered[i - 1], length, interval: runInterval });
+      }
+      start = i - 1;
+    }
+
+    return runs;
+  }
+
+  /**
+   * Work out new dates that repair the chronology, as an editable migration plan.
+   * Commits are walked oldest first; each keeps its date unless it has to move to come after its
+   * parents, into the window, out of the future or off another commit's timestamp. Moved commits
+   * get equal author and committer dates, which also repairs commits committed before they were authored.
+   * @param {Array} commits - Commits from GitManager.listCommitChronology, newest first
+   * @param {Object} options - Same window and now as lint
+   * @param {Object} info - Plan details ({branch, head, range})
+   * @returns {Object} {plan (MigrationPlan or null when nothing changes), changes[{hash, from, to}], unresolved}
+   */
+  static fix(commits, options = {}, info = {}) {
+    const now = moment(options.now || new Date());
+    const window = this.getWindow(options);
+    const upper = window.end ? Math.min(window.end.unix(), now.unix()) : now.unix();
+    const floor = window.start ? window.start.unix() : -Infinity;
+
+    const times = new Map();
+    const used = new Set();
+    const changes = [];
+    const unresolved = [];
+
+    [...commits].reverse().forEach(commit => {
+      const authored = moment.parseZone(commit.authorDate);
+      const lower = commit.parents
+        .filter(hash => times.has(hash))
+        .reduce((latest, hash) => Math.max(latest, times.get(hash) + 60), floor);
+
+      let time = Math.max(Math.min(authored.unix(), upper), lower);
+      while (used.has(time)) {
+        time += 60;
+      }
+      if (time > upper) {
+        unresolved.push(commit.hash);
+      }
+      times.set(commit.hash, time);
+      used.add(time);
+
+      const moved = time !== authored.unix();
+      if (moved || moment(commit.committerDate).isBefore(authored)) {
+        changes.push({
+          hash: commit.hash,
+          subject: commit.subject,
+          from: commit.authorDate,
+          // Keep the commit's own UTC offset so only the time moves
+          to: moment.unix(time).utcOffset(authored.utcOffset()).format(PLAN_DATE)
+        });
+      }
+    });
+
+    if (changes.length === 0) {
+      return { plan: null, changes, unresolved };
+    }
+
+    const plan = new MigrationPlan({
+      generatedAt: new Date().toISOString(),
+      branch: info.branch || null,
+      head: info.head || null,
+      range: info.range || null,
+      commits: changes.map(change => ({ originalHash: change.hash, newDate: change.to }))
+    });
+
+    return { plan, changes, unresolved };
+  }
+
+  /**
+   * Convert a lint report to SARIF 2.1.0
+   * @param {Object} report - Report from lint
+   * @param {Object} info - Run details ({version, range})
+   * @returns {Object} SARIF log
+   */
+  static toSarif(report, info = {}) {
+    const ids = Object.keys(RULES);
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'histofy',
+            version: info.version || '3.0.0',
+            informationUri: 'https://github.com/ishaq2321/histofy-v3',
+            rules: ids.map(id => ({
+              id,
+              name: RULES[id].title,
+              shortDescription: { text: RULES[id].title },
+              fullDescription: { text: RULES[id].description },
+              defaultConfiguration: { level: RULES[id].level }
+            }))
+          }
+        },
+        // Findings are about commits, not files, so they carry logical locations
+        results: report.findings.map(finding => ({
+          ruleId: finding.rule,
+          ruleIndex: ids.indexOf(finding.rule),
+          level: finding.level,
+          message: { text: `${finding.message}: ${finding.subject}` },
+          locations: [{
+            logicalLocations: [{ name: finding.hash, kind: 'commit' }]
+          }],
+          partialFingerprints: { commit: finding.hash },
+          properties: { commit: finding.hash, date: finding.date }
+        })),
+        properties: { range: info.range || 'HEAD', commits: report.summary.commits }
+      }]
+    };
+  }
+
+  /**
+   * Human-readable interval
+   * @param {number} seconds - Interval in seconds
+   * @returns {string} E.g. "1d 2h", "30m" or "45s"
+   */
+  static formatInterval(seconds) {
+    const parts = [];
+    let rest = Math.abs(seconds);
+    [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]].forEach(([unit, size]) => {
+      if (rest >= size) {
+        parts.push(`${Math.floor(rest / size)}${unit}`);
+        rest %= size;
+      }
+    });
+    return parts.length > 0 ? parts.join(' ') : '0s';
+  }
+}
+
+HistoryLinter.RULES = RULES;
+
+module.exports = HistoryLinter;
@@ -0,0 +1,149 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * HistoryTransplant - Turns another repository's log into batch commit entries
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const TimezoneUtils = require('./TimezoneUtils');
+
+const MINUTE = 60 * 1000;
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 };
+
+class HistoryTransplant {
+  /**
+   * Parse a date offset such as +30d, -2w or 90m
+   * @param {string} value - Signed number followed by m, h, d or w
+   * @returns {number} Offset in minutes
+   */
+  static parseOffset(value) {
+    const match = /^([+-]?)(\d+)([mhdw])$/.exec(String(value).trim());
+    if (!match) {
+      throw new Error(`Invalid offset "${value}" (use a number with m, h, d or w, e.g. +30d or -2w)`);
+    }
+
+    const minutes = parseInt(match[2], 10) * UNIT_MINUTES[match[3]];
+    return match[1] === '-' ? -minutes : minutes;
+  }
+
+  /**
+   * Work out the offset that moves the first commit to a start date, keeping its time of day
+   * @param {Array<Object>} commits - Source commits, oldest first
+   * @param {string} startDate - Date the first commit should land on (YYYY-MM-DD)
+   * @param {string} timezone - Timezone the dates are read in
+   * @returns {number} Offset in minutes
+   */
+  static offsetToStart(commits, startDate, timezone = 'UTC') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || isNaN(Date.parse(`${startDate}T00:00:00Z`))) {
+      throw new Error(`Invalid start date "${startDate}" (expected YYYY-MM-DD)`);
+    }
+
+    const first = this.wallClock(Date.parse(commits[0].authorDate), timezone);
+    const days = Math.round((Date.parse(`${startDate}T00:00:00Z`) - Date.parse(`${first.date}T00:00:00Z`)) / (24 * 60 * MINUTE));
+    return days * UNIT_MINUTES.d;
+  }
+
+  /**
+   * Wall-clock date and time of an instant
+   * @param {number} timestamp - UTC milliseconds
+   * @param {string} timezone - IANA timezone
+   * @returns {Object} {date: 'YYYY-MM-DD', time: 'HH:mm'}
+   */
+  static wallClock(timestamp, timezone) {
+    const parts = TimezoneUtils.getWallClockParts(timezone, timestamp);
+    const pad = value => String(value).padStart(2, '0');
+
+    return {
+      date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+      time: `${pad(parts.hour)}:${pad(parts.minute)}`
+    };
+  }
+
+  /**
+   * Subject and body of a source commit, without the trailer block
+   * Git reads trailers from the body's last paragraph; they are replayed from commit.trailers instead.
+   * @param {Object} commit - Source commit ({message: subject, body, trailers})
+   * @returns {string} Full commit message
+   */
+  static fullMessage(commit) {
+    const paragraphs = String(commit.body || '').trim().split(/\n[ \t]*\n/);
+    if (commit.trailers && commit.trailers.length > 0) {
+      paragraphs.pop();
+    }
+
+    const body = paragraphs.join('\n\n').trim();
+    return body ? `${commit.message}\n\n${body}` : commit.message;
+  }
+
+  /**
+   * Turn source commits into batch entries
+   * Dates are moved by the offset and written in the given timezone; the source committer is not
+   * carried over, since batch commits are made by the configured (or author-mapped) committer.
+   * @param {Array<Object>} commits - Source commits from GitManager.getCommitHistory, oldest first
+   * @param {Object} options - Transplant options
+   * @param {number} options.offset - Minutes to move every date by
+   * @param {string} options.timezone - IANA timezone of the new dates (default UTC)
+   * @param {Map} options.patches - Patch file name by source hash, for commits that carry their tree
+   * @returns {Array<Object>} Batch entries
+   */
+  static toEntries(commits, options = {}) {
+    const { offset = 0, timezone = 'UTC', patches = new Map() } = options;
+
+    return commits.map(commit => {
+      const authored = this.wallClock(Date.parse(commit.authorDate) + offset * MINUTE, timezone);
+      const committed = this.wallClock(Date.parse(commit.committerDate) + offset * MINUTE, timezone);
+
+      const entry = {
+        message: this.fullMessage(commit),
+        date: authored.date,
+        time: authored.time,
+        timezone,
+        author: commit.author,
+        email: commit.email
+      };
+
+      if (committed.date !== authored.date || committed.time !== authored.time) {
+        entry.committerDate = `${committed.date} ${committed.time}`;
+      }
+      if (commit.trailers && commit.trailers.length > 0) {
+        entry.trailers = commit.trailers;
+      }
+      if (patches.has(commit.hash)) {
+        entry.files = [{ op: 'patch', source: patches.get(commit.hash) }];
+      }
+
+      return entry;
+    });
+  }
+
+  /**
+   * Write one patch per commit that recreates its tree from the previous commit's tree
+   * The first commit's patch starts from an empty tree, so the target ends up with the same files
+   * as the source after every commit. Commits that change nothing get no patch.
+   * @param {GitManager} sourceManager - Manager of the source repository
+   * @param {Array<Object>} commits - Source commits, oldest first
+   * @param {string} dir - Directory the patches are written to
+   * @returns {Promise<Map>} Patch file name by source hash
+   */
+  static async writePatches(sourceManager, commits, dir) {
+    const patches = new Map();
+    let previous = null;
+
+    for (const commit of commits) {
+      const patch = await sourceManager.getTreeDiff(previous, commit.hash);
+      if (patch.trim() !== '') {
+        const file = `${commit.hash}.patch`;
+        await fs.writeFile(path.join(dir, file), patch);
+        patches.set(commit.hash, file);
+      }
+      previous = commit.hash;
+    }
+
+    return patches;
+  }
+}
+
+module.exports = HistoryTransplant;
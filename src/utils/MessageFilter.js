@@ -0,0 +1,163 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * MessageFilter - Commit message rewriting for migrations (sed-style regex or JS module)
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const MODULE_EXTENSIONS = ['.js', '.cjs'];
+const REGEX_FLAGS = /^[gimsuy]*$/;
+const REGEX_SYNTAX = '^$.*+?()[]{}|/';
+
+class MessageFilter {
+  /**
+   * @param {Array} filters - Parsed filters ({type, description, apply})
+   */
+  constructor(filters = []) {
+    this.filters = filters;
+  }
+
+  /**
+   * Load one or more --message-filter values
+   * @param {string|Array} specs - "s/pattern/replacement/flags" expressions or paths to JS modules
+   * @param {string} basePath - Directory module paths are resolved against
+   * @returns {MessageFilter|null} Filter chain, or null when no filter was given
+   */
+  static load(specs, basePath = process.cwd()) {
+    const list = (Array.isArray(specs) ? specs : [specs]).filter(spec => spec !== undefined && spec !== null && spec !== '');
+    if (list.length === 0) {
+      return null;
+    }
+
+    return new MessageFilter(list.map(spec => this.parse(String(spec), basePath)));
+  }
+
+  /**
+   * Parse a single filter
+   * @param {string} spec - Filter expression or module path
+   * @param {string} basePath - Directory module paths are resolved against
+   * @returns {Object} Filter ({type, description, apply})
+   */
+  static parse(spec, basePath = process.cwd()) {
+    const modulePath = path.resolve(basePath, spec);
+    if (MODULE_EXTENSIONS.includes(path.extname(modulePath)) && fs.existsSync(modulePath)) {
+      return this.loadModule(modulePath);
+    }
+
+    if (/^s[^\w\s\\]/.test(spec)) {
+      return this.parseExpression(spec);
+    }
+
+    throw new Error(`Invalid message filter "${spec}". Use s/pattern/replacement/flags or a path to a .js module`);
+  }
+
+  /**
+   * Load a module exporting (message, commit) => string
+   * @param {string} modulePath - Absolute module path
+   * @returns {Object} Filter
+   */
+  static loadModule(modulePath) {
+    delete require.cache[require.resolve(modulePath)];
+    const loaded = require(modulePath);
+    const fn = typeof loaded === 'function' ? loaded : loaded && loaded.default;
+
+    if (typeof fn !== 'function') {
+      throw new Error(`Message filter module ${modulePath} must export a function (message, commit) => string`);
+    }
+
+    return {
+      type: 'module',
+      description: path.basename(modulePath),
+      apply: (message, commit) => fn(message, commit)
+    };
+  }
+
+  /**
+   * Parse a sed-style "s/pattern/replacement/flags" expression; any punctuation can be the delimiter
+   * The replacement uses JavaScript syntax ($1, $<name>, $&).
+   * @param {string} spec - Expression
+   * @returns {Object} Filter
+   */
+  static parseExpression(spec) {
+    const delimiter = spec[1];
+    const parts = [];
+    let current = '';
+
+    for (let i = 2; i < spec.length; i++) {
+      const char = spec[i];
+      if (char === '\\' && spec[i + 1] === delimiter) {
+        // An escaped delimiter is literal; in the pattern it must stay escaped if it is a regex operator
+        current += parts.length === 0 && REGEX_SYNTAX.includes(delimiter) ? `\\${delimiter}` : delimiter;
+        i++;
+      } else if (char === delimiter && parts.length < 2) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (parts.length !== 2) {
+      throw new Error(`Invalid message filter "${spec}". Expected s${delimiter}pattern${delimiter}replacement${delimiter}flags`);
+    }
+
+    const [pattern, replacement] = parts;
+    const flags = current;
+    if (!REGEX_FLAGS.test(flags)) {
+      throw new Error(`Invalid message filter flags "${flags}". Use any of g, i, m, s, u, y`);
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`Invalid message filter pattern: ${error.message}`);
+    }
+
+    return {
+      type: 'regex',
+      description: spec,
+      apply: message => message.replace(regex, replacement)
+    };
+  }
+
+  /**
+   * Describe the filter chain for plans and history
+   * @returns {Array} Filter descriptions
+   */
+  describe() {
+    return this.filters.map(filter => filter.description);
+  }
+
+  /**
+   * Run every filter in order
+   * Filters see the message without its trailing newline; the result gets one back, as git would store it.
+   * @param {string} message - Full commit message
+   * @param {Object} commit - Commit info ({hash, author, originalDate, newDate, index, total})
+   * @returns {Promise<string|null>} New message, or null when the filters left it unchanged
+   */
+  async apply(message, commit = {}) {
+    const original = message.replace(/\s+$/, '');
+    let result = original;
+
+    for (const filter of this.filters) {
+      result = await filter.apply(result, commit);
+      if (typeof result !== 'string') {
+        throw new Error(`Message filter ${filter.description} returned ${typeof result} instead of a string for commit ${commit.hash}`);
+      }
+    }
+
+    result = result.replace(/\s+$/, '');
+    if (result.trim() === '') {
+      throw new Error(`Message filter left commit ${commit.hash} with an empty message`);
+    }
+
+    return result === original ? null : `${result}\n`;
+  }
+}
+
+module.exports = MessageFilter;
@@ -0,0 +1,251 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * MigrationPlan - Editable migration plan files (JSON or YAML, one row per commit)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('yaml');
+const HistoryRewriter = require('../core/HistoryRewriter');
+const AuthorMap = require('./AuthorMap');
+
+const PLAN_VERSION = 1;
+const HASH = /^[0-9a-f]{4,64}$/i;
+const ROW_FIELDS = ['originalHash', 'message', 'newDate', 'authorDate', 'committerDate', 'author', 'committer', 'timezone'];
+
+class MigrationPlan {
+  /**
+   * @param {Object} data - Plan contents
+   * @param {Array} data.commits - Rows ({originalHash, message, newDate, author, and optionally authorDate,
+   *   committerDate, committer, timezone}), oldest first
+   * @param {string} data.branch - Branch the plan was written for
+   * @param {string} data.head - Tip of that branch when the plan was written
+   * @param {string} data.range - Commit range the plan was generated from
+   * @param {string} data.generatedAt - ISO timestamp
+   * @param {string} source - File the plan was read from
+   */
+  constructor(data = {}, source = null) {
+    this.version = data.version || PLAN_VERSION;
+    this.generatedAt = data.generatedAt || null;
+    this.branch = data.branch || null;
+    this.head = data.head || null;
+    this.range = data.range || null;
+    this.commits = data.commits || [];
+    this.source = source;
+  }
+
+  /**
+   * Build a plan from the commits of a migration plan
+   * @param {Array} commits - Commits from GitManager.migrateCommits
+   * @param {Object} info - Plan details
+   * @param {Map} info.messages - Full commit messages by hash (commit.message is only the subject)
+   * @param {string} info.branch - Current branch
+   * @param {string} info.head - Current HEAD
+   * @param {string} info.range - Commit range
+   * @returns {MigrationPlan} Plan
+   */
+  static fromCommits(commits, info = {}) {
+    const messages = info.messages || new Map();
+
+    const rows = commits.map(commit => {
+      const author = commit.newAuthor || { name: commit.author, email: commit.authorEmail };
+      const row = {
+        originalHash: commit.originalHash,
+        message: typeof commit.newMessage === 'string'
+          ? commit.newMessage.trimEnd()
+          : (messages.get(commit.originalHash) || commit.message).trimEnd(),
+        newDate: commit.newDate,
+        author: `${author.name} <${author.email}>`
+      };
+
+      // Only written when they differ, so editing newDate moves both dates
+      if (commit.authorDate && commit.authorDate !== commit.newDate) {
+        row.authorDate = commit.authorDate;
+      }
+      if (commit.committerDate && commit.committerDate !== commit.newDate) {
+        row.committerDate = commit.committerDate;
+      }
+      if (commit.newCommitter) {
+        row.committer = `${commit.newCommitter.name} <${commit.newCommitter.email}>`;
+      }
+      if (commit.timezone) {
+        row.timezone = commit.timezone;
+      }
+      return row;
+    });
+
+    return new MigrationPlan({
+      generatedAt: new Date().toISOString(),
+      branch: info.branch,
+      head: info.head,
+      range: info.range,
+      commits: rows
+    });
+  }
+
+  /**
+   * Read and validate a plan file
+   * @param {string} filePath - Path to a .json, .yaml or .yml file
+   * @returns {Promise<MigrationPlan>} Loaded plan
+   */
+  static async load(filePath) {
+    const resolved = path.resolve(filePath);
+
+    let content;
+    try {
+      content = await fs.readFile(resolved, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read migration plan ${filePath}: ${error.message}`);
+    }
+
+    return this.parse(content, this.formatFor(resolved), filePath);
+  }
+
+  /**
+   * Parse plan content
+   * @param {string} content - File content
+   * @param {string} format - 'json' or 'yaml'
+   * @param {string} source - Source name for error messages
+   * @returns {MigrationPlan} Parsed plan
+   */
+  static parse(content, format = 'json', source = 'migration plan') {
+    let data;
+    try {
+      data = format === 'yaml' ? yaml.parse(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid ${format === 'yaml' ? 'YAML' : 'JSON'} in migration plan ${source}: ${error.message}`);
+    }
+
+    // A bare list of rows is accepted so other tools don't have to write the header
+    if (Array.isArray(data)) {
+      data = { commits: data };
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.commits)) {
+      throw new Error(`Migration plan ${source} must contain a "commits" list`);
+    }
+    if (data.version !== undefined && data.version !== PLAN_VERSION) {
+      throw new Error(`Unsupported migration plan version ${data.version} in ${source}`);
+    }
+    if (data.commits.length === 0) {
+      throw new Error(`Migration plan ${source} has no commits`);
+    }
+
+    const seen = new Set();
+    const commits = data.commits.map((row, index) => {
+      const fail = message => {
+        throw new Error(`Invalid row ${index + 1} in migration plan ${source}: ${message}`);
+      };
+
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        fail('expected an object');
+      }
+
+      const unknown = Object.keys(row).filter(key => !ROW_FIELDS.includes(key));
+      if (unknown.length > 0) {
+        fail(`unknown field(s) ${unknown.join(', ')}`);
+      }
+
+      const hash = String(row.originalHash || '').trim().toLowerCase();
+      if (!HASH.test(hash)) {
+        fail('originalHash must be a commit hash');
+      }
+      if (seen.has(hash)) {
+        fail(`commit ${hash} is listed more than once`);
+      }
+      seen.add(hash);
+
+      const normalized = { originalHash: hash };
+
+      ['newDate', 'authorDate', 'committerDate'].forEach(field => {
+        if (row[field] === undefined || row[field] === null) {
+          return;
+        }
+        // YAML turns unquoted timestamps into Date objects
+        const value = row[field] instanceof Date ? row[field].toISOString() : String(row[field]);
+        try {
+          HistoryRewriter.toRawDate(value);
+        } catch (error) {
+          fail(`${field} "${value}" is not a valid date (use YYYY-MM-DD HH:mm:ss or ISO 8601)`);
+        }
+        normalized[field] = value;
+      });
+      if (!normalized.newDate) {
+        fail('newDate is required');
+      }
+
+      if (row.message !== undefined && row.message !== null) {
+        if (typeof row.message !== 'string' || row.message.trim() === '') {
+          fail('message must be a non-empty string');
+        }
+        normalized.message = row.message;
+      }
+
+      ['author', 'committer'].forEach(field => {
+        if (row[field] === undefined || row[field] === null) {
+          return;
+        }
+        const identity = AuthorMap.parseIdentity(row[field]);
+        if (!identity || !identity.name || !identity.email) {
+          fail(`${field} must be "Name <email>"`);
+        }
+        normalized[field] = identity;
+      });
+
+      if (row.timezone) {
+        normalized.timezone = String(row.timezone);
+      }
+
+      return normalized;
+    });
+
+    return new MigrationPlan({ ...data, commits }, source);
+  }
+
+  /**
+   * Pick the file format from the extension
+   * @param {string} filePath - Plan file path
+   * @returns {string} 'yaml' or 'json'
+   */
+  static formatFor(filePath) {
+    return ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase()) ? 'yaml' : 'json';
+  }
+
+  /**
+   * Serialize the plan
+   * @param {string} format - 'json' or 'yaml'
+   * @returns {string} File content
+   */
+  serialize(format = 'json') {
+    const data = {
+      version: this.version,
+      generatedAt: this.generatedAt,
+      branch: this.branch,
+      head: this.head,
+      range: this.range,
+      commits: this.commits
+    };
+
+    return format === 'yaml'
+      ? yaml.stringify(data, { indent: 2, lineWidth: 0 })
+      : `${JSON.stringify(data, null, 2)}\n`;
+  }
+
+  /**
+   * Write the plan, as YAML for .yaml/.yml files and JSON otherwise
+   * @param {string} filePath - Destination
+   * @returns {Promise<string>} Resolved path
+   */
+  async save(filePath) {
+    const resolved = path.resolve(filePath);
+    await fs.mkdir(path.dirname(resolved), { recursive: true });
+    await fs.writeFile(resolved, this.serialize(MigrationPlan.formatFor(resolved)), 'utf8');
+    return resolved;
+  }
+}
+
+MigrationPlan.VERSION = PLAN_VERSION;
+
+module.exports = MigrationPlan;
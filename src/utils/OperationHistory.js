@@ -21,6 +21,7 @@ class OperationHistory {
     this.historyDir = path.join(os.homedir(), '.histofy', 'history');
     this.historyFile = path.join(this.historyDir, 'operations.json');
     this.backupDir = path.join(this.historyDir, 'backups');
+    this.mapsDir = path.join(os.homedir(), '.histofy', 'maps');
     this.maxHistoryEntries = 100;
     this.maxBackupAge = 30; // days
   }
@@ -79,9 +80,17 @@ class OperationHistory {
       result: operation.result || {},
       backupInfo: operation.backupInfo || null,
       undoData: operation.undoData || null,
+      commitMap: operation.commitMap || null,
+      commitMapFile: null,
+      refUpdates: operation.refUpdates || null,
       duration: operation.duration || 0
     };
 
+    // Persist old→new hashes so rewritten commits can be traced and undone later
+    if (historyEntry.commitMap && Object.keys(historyEntry.commitMap).length > 0) {
+      historyEntry.commitMapFile = await this.writeCommitMap(operationId, historyEntry.commitMap);
+    }
+
     // Load existing history
     const history = await this.loadHistory();
     
@@ -342,10 +351,18 @@ class OperationHistory {
       
       case 'migrate':
         return await this.undoMigrationOperation(operation, gitManager, progress);
+
+      // A purge is undone like a migration: back to the original commits via the commit map or backup
+      case 'purge':
+        return await this.undoMigrationOperation(operation, gitManager, progress);
       
       case 'batch':
         return await this.undoBatchOperation(operation, gitManager, progress);
-      
+
+      // A backfill only adds commits on top of HEAD, so it is undone like a batch
+      case 'backfill':
+        return await this.undoBatchOperation(operation, gitManager, progress);
+
       case 'config':
         return await this.undoConfigOperation(operation, progress);
       
@@ -380,6 +397,21 @@ class OperationHistory {
    * @private
    */
   async undoMigrationOperation(operation, gitManager, progress) {
+    // Prefer the commit map: it points straight back at the original commits
+    const originalHead = await this.findOriginalHead(operation, gitManager);
+    if (originalHead) {
+      progress.update('Restoring original commits from commit map...');
+      await gitManager.resetToCommit(originalHead, { hard: true });
+
+      return {
+        type: 'migration_undo',
+        restoredFrom: 'commit-map',
+        resetTo: originalHead,
+        migratedCommits: operation.result.migratedCommits || [],
+        ...await this.restoreRefUpdates(operation, gitManager, progress)
+      };
+    }
+
     progress.update('Restoring from backup...');
     
     if (operation.backupInfo && operation.backupInfo.backupBranch) {
@@ -389,13 +421,44 @@ class OperationHistory {
       return {
         type: 'migration_undo',
         restoredFrom: operation.backupInfo.backupBranch,
-        migratedCommits: operation.result.migratedCommits || []
+        migratedCommits: operation.result.migratedCommits || [],
+        ...await this.restoreRefUpdates(operation, gitManager, progress)
       };
     } else {
       throw new Error('No backup information available for migration undo');
     }
   }
 
+  /**
+   * Move tags, other branches and notes back to where they were before a migration
+   * The current branch is restored by the caller, so only the other recorded ref moves are reversed.
+   * @private
+   */
+  async restoreRefUpdates(operation, gitManager, progress) {
+    const updates = (operation.refUpdates || [])
+      .filter(update => update.type !== 'current-branch' && update.type !== 'head');
+    const restoredRefs = [];
+    const failedRefs = [];
+
+    if (updates.length === 0) {
+      return { restoredRefs, failedRefs };
+    }
+
+    progress.update(`Restoring ${updates.length} moved ref(s)...`);
+
+    for (const update of updates) {
+      try {
+        // Only move refs that still point where the migration left them
+        await gitManager.updateRef(update.ref, update.oldValue, update.newValue);
+        restoredRefs.push(update.ref);
+      } catch (error) {
+        failedRefs.push({ ref: update.ref, error: error.message });
+      }
+    }
+
+    return { restoredRefs, failedRefs };
+  }
+
   /**
    * Undo a batch operation
    * @private
@@ -476,8 +539,35 @@ class OperationHistory {
           }
         }
         break;
-        
+
+      case 'backfill':
+        // Resetting to before the backfill would also drop anything committed after it
+        if (operation.undoData && operation.undoData.createdCommits && operation.undoData.createdCommits.length > 0) {
+          const commits = operation.undoData.createdCommits;
+          try {
+            const currentHead = await gitManager.getCurrentCommitHash();
+            if (currentHead !== commits[commits.length - 1].hash) {
+              return {
+                safe: false,
+                reason: 'Additional commits have been made since this backfill. Undo may cause data loss.'
+              };
+            }
+          } catch (error) {
+            return {
+              safe: false,
+              reason: 'Cannot verify current repository state'
+            };
+          }
+        }
+        break;
+
       case 'migrate':
+      case 'purge':
+        // The commit map alone is enough to undo while HEAD is still the rewritten tip
+        if (await this.findOriginalHead(operation, gitManager)) {
+          break;
+        }
+
         // Check if backup still exists
         if (operation.backupInfo && operation.backupInfo.backupBranch) {
           try {
@@ -501,6 +591,108 @@ class OperationHistory {
     return { safe: true };
   }
 
+  /**
+   * Find the original commit that the current HEAD replaced, using the operation's commit map
+   * @private
+   */
+  async findOriginalHead(operation, gitManager) {
+    const commitMap = operation.commitMap || await this.readCommitMap(operation.id);
+    if (!commitMap) {
+      return null;
+    }
+
+    try {
+      const currentHead = await gitManager.getCurrentCommitHash();
+      return Object.keys(commitMap).find(original => commitMap[original] === currentHead) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the path of the commit map file for an operation
+   * @param {string} operationId - Operation ID
+   * @returns {string} Commit map file path
+   */
+  getCommitMapPath(operationId) {
+    return path.join(this.mapsDir, `${operationId}.txt`);
+  }
+
+  /**
+   * Write a commit map file (one "<old> <new>" pair per line, like filter-repo's commit-map)
+   * @param {string} operationId - Operation ID
+   * @param {Object} commitMap - Map of original hash to rewritten hash
+   * @returns {Promise<string>} Commit map file path
+   */
+  async writeCommitMap(operationId, commitMap) {
+    await fs.mkdir(this.mapsDir, { recursive: true });
+
+    const filePath = this.getCommitMapPath(operationId);
+    const lines = ['old new', ...Object.entries(commitMap).map(([original, rewritten]) => `${original} ${rewritten}`)];
+    await fs.writeFile(filePath, lines.join('\n') + '\n', 'utf8');
+
+    return filePath;
+  }
+
+  /**
+   * Read the commit map file of an operation
+   * @param {string} operationId - Operation ID
+   * @returns {Promise<Object|null>} Map of original hash to rewritten hash, or null if there is none
+   */
+  async readCommitMap(operationId) {
+    try {
+      const data = await fs.readFile(this.getCommitMapPath(operationId), 'utf8');
+      const commitMap = {};
+
+      data.split('\n').slice(1).filter(Boolean).forEach(line => {
+        const [original, rewritten] = line.trim().split(/\s+/);
+        commitMap[original] = rewritten;
+      });
+
+      return commitMap;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Translate a commit hash through every recorded commit map
+   * @param {string} hash - Full or abbreviated commit hash (old or new)
+   * @returns {Promise<Array>} Matches ({operationId, operation, original, rewritten, matched}), newest first
+   */
+  async lookupCommit(hash) {
+    const prefix = String(hash || '').trim().toLowerCase();
+    if (!/^[0-9a-f]{4,64}$/.test(prefix)) {
+      throw new Error(`Invalid commit hash: ${hash}`);
+    }
+
+    let files;
+    try {
+      files = (await fs.readdir(this.mapsDir)).filter(file => file.endsWith('.txt'));
+    } catch (error) {
+      return [];
+    }
+
+    const history = await this.loadHistory();
+    const matches = [];
+
+    for (const file of files) {
+      const operationId = path.basename(file, '.txt');
+      const commitMap = await this.readCommitMap(operationId) || {};
+      const operation = history.find(entry => entry.id === operationId) || null;
+
+      Object.entries(commitMap).forEach(([original, rewritten]) => {
+        const matched = original.startsWith(prefix) ? 'original' : rewritten.startsWith(prefix) ? 'rewritten' : null;
+        if (matched) {
+          matches.push({ operationId, operation, original, rewritten, matched });
+        }
+      });
+    }
+
+    // Operation IDs start with a timestamp, so they sort chronologically
+    return matches.sort((a, b) => b.operationId.localeCompare(a.operationId));
+  }
+
   /**
    * Mark an operation as undone
    * @private
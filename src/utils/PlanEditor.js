@@ -0,0 +1,400 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * PlanEditor - Interactive terminal editor for the dates of a migration plan
+ */
+
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const moment = require('moment');
+const HistoryRewriter = require('../core/HistoryRewriter');
+const TimezoneUtils = require('./TimezoneUtils');
+
+const SHIFT = /^([+-])\s*((?:\d+\s*[wdhms]\s*)+)$/i;
+const SHIFT_UNITS = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+const DATE_TIME = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}:\d{2}(?::\d{2})?))?$/;
+const TIME_ONLY = /^(\d{1,2}:\d{2}(?::\d{2})?)$/;
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/;
+
+class PlanEditor {
+  /**
+   * @param {Array} commits - Commits from GitManager.migrateCommits, oldest first
+   * @param {Object} options - Editor options
+   * @param {Map} options.parentDates - Dates of parents outside the plan (hash to {authorDate, committerDate})
+   */
+  constructor(commits, options = {}) {
+    this.rows = commits.map(commit => ({
+      commit: { ...commit },
+      planned: { newDate: commit.newDate, authorDate: commit.authorDate, committerDate: commit.committerDate },
+      locked: false
+    }));
+    this.byHash = new Map(this.rows.map(row => [row.commit.originalHash, row]));
+    this.parentDates = options.parentDates || new Map();
+  }
+
+  /**
+   * Parse a relative shift such as "+2h", "-1d", "+1d 3h 30m" or "-45m"
+   * @param {string} text - Shift expression (units w, d, h, m, s)
+   * @returns {number} Shift in seconds
+   */
+  static parseShift(text) {
+    const match = SHIFT.exec(String(text).trim());
+    if (!match) {
+      throw new Error(`Invalid shift: ${text}. Use e.g. +2h, -1d or +1d 3h 30m`);
+    }
+
+    let seconds = 0;
+    match[2].replace(/(\d+)\s*([wdhms])/gi, (part, amount, unit) => {
+      seconds += parseInt(amount, 10) * SHIFT_UNITS[unit.toLowerCase()];
+      return part;
+    });
+    return match[1] === '-' ? -seconds : seconds;
+  }
+
+  /**
+   * Seconds since the epoch of a plan date
+   * @param {string} value - Plan date
+   * @returns {number} Unix time
+   */
+  static toUnix(value) {
+    return parseInt(HistoryRewriter.toRawDate(value).split(' ')[0], 10);
+  }
+
+  /**
+   * Move a plan date by a number of seconds, keeping how it is expressed
+   * @param {string} value - Plan date
+   * @param {number} seconds - Shift in seconds
+   * @param {string} timezone - IANA timezone the plan dates are written in
+   * @returns {string} Shifted date
+   */
+  static shiftDate(value, seconds, timezone = null) {
+    const unix = this.toUnix(value) + seconds;
+
+    if (timezone) {
+      return TimezoneUtils.describe(unix * 1000, timezone).gitDate;
+    }
+    if (HAS_OFFSET.test(String(value).trim())) {
+      const offset = HistoryRewriter.toRawDate(value).split(' ')[1];
+      return moment.unix(unix).utcOffset(offset).format('YYYY-MM-DD HH:mm:ss ZZ');
+    }
+    return moment.unix(unix).format('YYYY-MM-DD HH:mm:ss');
+  }
+
+  /**
+   * Work out the new date for a commit from what was typed
+   * @param {number} index - Commit index
+   * @param {string} input - "YYYY-MM-DD HH:mm[:ss]", "YYYY-MM-DD" (keeps the time), "HH:mm[:ss]" (keeps the day)
+   *   or a shift such as "+2h"
+   * @returns {string} New plan date
+   */
+  resolveDate(index, input) {
+    const { commit } = this.rows[index];
+    const text = String(input).trim();
+
+    if (SHIFT.test(text)) {
+      return PlanEditor.shiftDate(commit.newDate, PlanEditor.parseShift(text), commit.timezone);
+    }
+
+    // Plan dates are "YYYY-MM-DD HH:mm:ss", with an offset after them when a timezone is set
+    const [currentDate, currentTime] = String(commit.newDate).replace('T', ' ').split(' ');
+    let date;
+    let time;
+    const dateTime = DATE_TIME.exec(text);
+    const timeOnly = TIME_ONLY.exec(text);
+    if (dateTime) {
+      date = dateTime[1];
+      time = dateTime[2] || currentTime.substring(0, 8);
+    } else if (timeOnly) {
+      date = currentDate;
+      time = timeOnly[1];
+    } else {
+      throw new Error('Use YYYY-MM-DD HH:mm, YYYY-MM-DD, HH:mm or a shift such as +2h');
+    }
+
+    const parsed = moment(`${date} ${time}`, ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD H:mm:ss', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DD H:mm'], true);
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid date: ${text}`);
+    }
+
+    return commit.timezone
+      ? TimezoneUtils.toGitDate(parsed.format('YYYY-MM-DD'), parsed.format('HH:mm:ss'), commit.timezone)
+      : parsed.format('YYYY-MM-DD HH:mm:ss');
+  }
+
+  /**
+   * Give a commit a new date
+   * @param {number} index - Commit index
+   * @param {string} input - New date (see resolveDate)
+   */
+  setDate(index, input) {
+    const row = this.rows[index];
+    if (row.locked) {
+      throw new Error(`Commit ${row.commit.originalHash.substring(0, 8)} is locked`);
+    }
+    this.applyDate(row, this.resolveDate(index, input));
+  }
+
+  /**
+   * Move a range of commits by the same amount, skipping locked ones
+   * @param {number} from - First commit index
+   * @param {number} to - Last commit index (inclusive)
+   * @param {number} seconds - Shift in seconds
+   * @returns {number} Number of commits moved
+   */
+  shift(from, to, seconds) {
+    let moved = 0;
+    this.rows.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(row => {
+      if (row.locked) {
+        return;
+      }
+      this.applyDate(row, PlanEditor.shiftDate(row.commit.newDate, seconds, row.commit.timezone));
+      moved++;
+    });
+    return moved;
+  }
+
+  /**
+   * Update a row's dates; a date kept at its original value (--date-target) stays put
+   * @param {Object} row - Editor row
+   * @param {string} newDate - New plan date
+   */
+  applyDate(row, newDate) {
+    const { commit } = row;
+    ['authorDate', 'committerDate'].forEach(field => {
+      if (commit[field] === commit.newDate) {
+        commit[field] = newDate;
+      }
+    });
+    commit.newDate = newDate;
+  }
+
+  /**
+   * Lock or unlock a commit so edits and shifts leave its date alone
+   * @param {number} index - Commit index
+   * @param {boolean} locked - New state (toggles when omitted)
+   * @returns {boolean} Whether the commit is locked now
+   */
+  setLocked(index, locked = !this.rows[index].locked) {
+    this.rows[index].locked = Boolean(locked);
+    return this.rows[index].locked;
+  }
+
+  /**
+   * Put a commit back on the date the plan gave it
+   * @param {number} index - Commit index
+   */
+  reset(index) {
+    Object.assign(this.rows[index].commit, this.rows[index].planned);
+  }
+
+  /**
+   * Find commits dated before one of their parents, which GitHub and git log would show out of order.
+   * Parents outside the plan keep their dates, so moving a range into the past always puts its first
+   * commit before its parent; those issues are flagged as external and only warned about.
+   * @returns {Array} Issues ({index, hash, parent, field, external, message})
+   */
+  validate() {
+    const issues = [];
+
+    this.rows.forEach((row, index) => {
+      const { commit } = row;
+      (commit.parents || []).forEach(parent => {
+        const parentRow = this.byHash.get(parent);
+        const parentDates = parentRow ? parentRow.commit : this.parentDates.get(parent);
+        if (!parentDates) {
+          return;
+        }
+
+        [['authorDate', 'author'], ['committerDate', 'committer']].forEach(([field, label]) => {
+          const own = commit[field] || commit.newDate;
+          const theirs = parentRow ? (parentDates[field] || parentDates.newDate) : parentDates[field];
+          if (own && theirs && PlanEditor.toUnix(own) < PlanEditor.toUnix(theirs)) {
+            issues.push({
+              index,
+              hash: commit.originalHash,
+              parent,
+              field,
+              external: !parentRow,
+              message: `${commit.originalHash.substring(0, 8)} is dated before its parent ${parent.substring(0, 8)} (${label} date)`
+            });
+          }
+        });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * The edited plan
+   * @returns {Array} Commits in the shape migrateCommits returns
+   */
+  getCommits() {
+    return this.rows.map(row => ({ ...row.commit }));
+  }
+
+  /**
+   * Render the plan as a table
+   * @param {Array} issues - Issues from validate
+   * @returns {string} Table text
+   */
+  render(issues = this.validate()) {
+    const blocking = new Set(issues.filter(issue => !issue.external).map(issue => issue.index));
+    const warned = new Set(issues.filter(issue => issue.external).map(issue => issue.index));
+    const width = String(this.rows.length).length;
+
+    const lines = this.rows.map((row, index) => {
+      const { commit } = row;
+      const edited = commit.newDate !== row.planned.newDate;
+      const marker = blocking.has(index) ? chalk.red('✖') : warned.has(index) ? chalk.yellow('!') : row.locked ? chalk.blue('🔒') : ' ';
+      const date = blocking.has(index) ? chalk.red(commit.newDate) : edited ? chalk.green(commit.newDate) : chalk.yellow(commit.newDate);
+      const subject = String(commit.message || '').split('\n')[0].substring(0, 50);
+      return ` ${String(index + 1).padStart(width)}. ${marker} ${chalk.cyan(commit.originalHash.substring(0, 8))}  ${date}  ${chalk.gray(subject)}`;
+    });
+
+    const errors = issues.filter(issue => !issue.external);
+    const warnings = issues.filter(issue => issue.external);
+    const summary = [];
+    if (errors.length === 0) {
+      summary.push(chalk.green('✔ Every commit is dated after its parents in the plan'));
+    } else {
+      summary.push(chalk.red(`✖ ${errors.length} date issue(s):`), ...errors.map(issue => chalk.red(`   ${issue.message}`)));
+    }
+    if (warnings.length > 0) {
+      summary.push(chalk.yellow(`! ${warnings.length} commit date(s) before a parent outside the plan:`),
+        ...warnings.map(issue => chalk.yellow(`   ${issue.message}`)));
+    }
+
+    return [chalk.blue(`Migration plan editor (${this.rows.length} commit(s))`), '', ...lines, '', ...summary].join('\n');
+  }
+
+  /**
+   * Ask for a 1-based commit number
+   * @param {string} message - Prompt
+   * @param {number} defaultValue - Default number
+   * @param {boolean} unlockedOnly - Refuse locked commits
+   * @returns {Promise<number>} 0-based index
+   */
+  async promptIndex(message, defaultValue = 1, unlockedOnly = false) {
+    const { value } = await inquirer.prompt([{
+      type: 'input',
+      name: 'value',
+      message,
+      default: String(defaultValue),
+      validate: input => {
+        const number = Number(input);
+        if (!Number.isInteger(number) || number < 1 || number > this.rows.length) {
+          return `Enter a number from 1 to ${this.rows.length}`;
+        }
+        return !unlockedOnly || !this.rows[number - 1].locked || 'That commit is locked; unlock it first';
+      }
+    }]);
+    return Number(value) - 1;
+  }
+
+  /**
+   * Run the editor until the plan is accepted or editing is cancelled
+   * @param {Object} options - Editor options
+   * @param {string} options.doneLabel - Label of the accept choice
+   * @returns {Promise<Array|null>} Edited commits, or null if cancelled
+   */
+  async run(options = {}) {
+    const doneLabel = options.doneLabel || 'Use this plan';
+
+    for (;;) {
+      const issues = this.validate();
+      if (process.stdout.isTTY) {
+        console.clear();
+      }
+      console.log(this.render(issues));
+      console.log();
+
+      const { action } = await inquirer.prompt([{
+        type: 'list',
+        name: 'action',
+        message: 'What next?',
+        choices: [
+          { name: 'Edit a commit\'s date', value: 'edit' },
+          { name: 'Shift a range of commits', value: 'shift' },
+          { name: 'Lock or unlock commits', value: 'lock' },
+          { name: 'Reset a commit to its planned date', value: 'reset' },
+          new inquirer.Separator(),
+          { name: doneLabel, value: 'done', disabled: issues.some(issue => !issue.external) ? 'fix the date issues first' : false },
+          { name: 'Cancel', value: 'cancel' }
+        ]
+      }]);
+
+      switch (action) {
+        case 'edit': {
+          const index = await this.promptIndex('Commit number:', 1, true);
+          const [currentDate, currentTime] = String(this.rows[index].commit.newDate).replace('T', ' ').split(' ');
+          const { date } = await inquirer.prompt([{
+            type: 'input',
+            name: 'date',
+            message: `New date for ${this.rows[index].commit.originalHash.substring(0, 8)} (YYYY-MM-DD HH:mm, HH:mm or +2h):`,
+            default: `${currentDate} ${currentTime.substring(0, 8)}`,
+            validate: input => {
+              try {
+                this.resolveDate(index, input);
+                return true;
+              } catch (error) {
+                return error.message;
+              }
+            }
+          }]);
+          this.setDate(index, date);
+          break;
+        }
+
+        case 'shift': {
+          const from = await this.promptIndex('From commit number:');
+          const to = await this.promptIndex('To commit number:', this.rows.length);
+          const { amount } = await inquirer.prompt([{
+            type: 'input',
+            name: 'amount',
+            message: 'Shift by (e.g. +2h, -1d, +1d 3h):',
+            validate: input => {
+              try {
+                PlanEditor.parseShift(input);
+                return true;
+              } catch (error) {
+                return error.message;
+              }
+            }
+          }]);
+          this.shift(from, to, PlanEditor.parseShift(amount));
+          break;
+        }
+
+        case 'lock': {
+          const { locked } = await inquirer.prompt([{
+            type: 'checkbox',
+            name: 'locked',
+            message: 'Locked commits keep their date:',
+            choices: this.rows.map((row, index) => ({
+              name: `${row.commit.originalHash.substring(0, 8)} ${row.commit.newDate}`,
+              value: index,
+              checked: row.locked
+            }))
+          }]);
+          this.rows.forEach((row, index) => this.setLocked(index, locked.includes(index)));
+          break;
+        }
+
+        case 'reset':
+          this.reset(await this.promptIndex('Commit number:', 1, true));
+          break;
+
+        case 'done':
+          return this.getCommits();
+
+        default:
+          return null;
+      }
+    }
+  }
+}
+
+module.exports = PlanEditor;
@@ -0,0 +1,174 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * PurgeFilter - Path patterns and secret strings to remove from history
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const REPLACEMENT = '***REMOVED***';
+
+// Git treats a blob with a NUL byte in its first 8000 bytes as binary
+const BINARY_CHECK_LENGTH = 8000;
+
+class PurgeFilter {
+  /**
+   * @param {Object} options - Filter options
+   * @param {Array} options.paths - Paths or glob patterns to remove
+   * @param {Array} options.secrets - Literal strings replaced with ***REMOVED***
+   */
+  constructor({ paths = [], secrets = [] } = {}) {
+    this.paths = paths;
+    this.patterns = paths.map(pattern => PurgeFilter.compilePattern(pattern));
+    this.secrets = [...new Set(secrets)]
+      // Longest first, so a secret containing another is replaced whole
+      .sort((a, b) => b.length - a.length)
+      .map(secret => Buffer.from(secret, 'utf8'));
+    this.replacement = Buffer.from(REPLACEMENT);
+  }
+
+  /**
+   * Build a filter from --path, --replace-text and --secrets-file values
+   * @param {Object} options - Raw options
+   * @param {Array} options.paths - Paths or glob patterns
+   * @param {Array} options.replaceText - Literal secrets
+   * @param {string} options.secretsFile - File with one literal secret per line ("#" starts a comment)
+   * @returns {Promise<PurgeFilter>} Filter
+   */
+  static async load({ paths = [], replaceText = [], secretsFile = null } = {}) {
+    const secrets = [...replaceText];
+
+    if (secretsFile) {
+      let content;
+      try {
+        content = await fs.readFile(path.resolve(secretsFile), 'utf8');
+      } catch (error) {
+        throw new Error(`Cannot read secrets file ${secretsFile}: ${error.message}`);
+      }
+      secrets.push(...content.split(/\r?\n/).filter(line => line.trim() !== '' && !line.startsWith('#')));
+    }
+
+    const patterns = paths.map(pattern => String(pattern).trim()).filter(Boolean);
+    if (patterns.length === 0 && secrets.length === 0) {
+      throw new Error('Nothing to purge. Use --path, --replace-text or --secrets-file');
+    }
+
+    if (secrets.some(secret => secret.includes('\n'))) {
+      throw new Error('Secrets must be single-line strings');
+    }
+
+    return new PurgeFilter({ paths: patterns, secrets: secrets.filter(secret => secret !== '') });
+  }
+
+  /**
+   * Compile a path or glob pattern, following .gitignore conventions:
+   * patterns without a slash match a file or directory name at any depth, others are anchored at the root;
+   * "*" and "?" stay within one path segment and "**" spans segments
+   * @param {string} pattern - Path or glob pattern
+   * @returns {Object} {anchored, regex}
+   */
+  static compilePattern(pattern) {
+    const trimmed = pattern.replace(/\/+$/, '');
+    const anchored = trimmed.includes('/');
+    const body = trimmed.replace(/^\//, '');
+    let source = '';
+
+    for (let i = 0; i < body.length; i++) {
+      const char = body[i];
+      if (char === '*' && body[i + 1] === '*') {
+        const slash = body[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const close = body.indexOf(']', i + 2);
+        if (close === -1) {
+          source += '\\[';
+        } else {
+          source += `[${body.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+          i = close;
+        }
+      } else {
+        source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+      }
+    }
+
+    return { anchored, regex: new RegExp(`^${source}$`) };
+  }
+
+  /**
+   * Check whether a path (or one of its parent directories) matches any pattern
+   * @param {string} filePath - Repository-relative path
+   * @returns {boolean} True if the file must be removed
+   */
+  matchesPath(filePath) {
+    if (this.patterns.length === 0) {
+      return false;
+    }
+
+    const segments = filePath.split('/');
+    return this.patterns.some(({ anchored, regex }) => segments.some((segment, index) => (
+      anchored ? regex.test(segments.slice(0, index + 1).join('/')) : regex.test(segment)
+    )));
+  }
+
+  /**
+   * Whether any secrets are configured
+   * @returns {boolean} True if content must be scanned
+   */
+  hasSecrets() {
+    return this.secrets.length > 0;
+  }
+
+  /**
+   * Replace every secret in a buffer; binary content is left alone
+   * @param {Buffer} content - Blob or message content
+   * @returns {Buffer|null} Redacted content, or null when nothing was replaced
+   */
+  redact(content) {
+    if (!this.hasSecrets() || content.subarray(0, BINARY_CHECK_LENGTH).includes(0)) {
+      return null;
+    }
+
+    let result = content;
+    let replaced = false;
+
+    this.secrets.forEach(secret => {
+      let index = result.indexOf(secret);
+      if (index === -1) {
+        return;
+      }
+
+      const chunks = [];
+      let position = 0;
+      while (index !== -1) {
+        chunks.push(result.subarray(position, index), this.replacement);
+        position = index + secret.length;
+        index = result.indexOf(secret, position);
+      }
+      chunks.push(result.subarray(position));
+      result = Buffer.concat(chunks);
+      replaced = true;
+    });
+
+    return replaced ? result : null;
+  }
+
+  /**
+   * Describe the filter for plans and history, without revealing the secrets
+   * @returns {Object} {paths, secrets (count)}
+   */
+  describe() {
+    return { paths: this.paths, secrets: this.secrets.length };
+  }
+}
+
+PurgeFilter.REPLACEMENT = REPLACEMENT;
+
+module.exports = PurgeFilter;
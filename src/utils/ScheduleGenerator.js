@@ -0,0 +1,310 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * ScheduleGenerator - Generates batch commit schedules for a date window
+ */
+
+const moment = require('moment');
+const DateDistribution = require('./DateDistribution');
+const CommitAnalyzer = require('./CommitAnalyzer');
+
+const DAY = 'YYYY-MM-DD';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Messages used when no word list, template or repository is given; all pass batch validation
+const DEFAULT_MESSAGES = [
+  'Update documentation',
+  'Refactor internal helpers',
+  'Fix minor issues',
+  'Improve error handling',
+  'Add missing tests',
+  'Tidy up code style',
+  'Update dependencies',
+  'Clean up configuration'
+];
+
+class ScheduleGenerator {
+  /**
+   * Resolve and check the schedule window
+   * @param {Object} options - Window options
+   * @param {string} options.from - First day (YYYY-MM-DD)
+   * @param {string} options.to - Last day (YYYY-MM-DD)
+   * @returns {Object} {start, end} as moments
+   */
+  static getWindow(options = {}) {
+    if (!options.from || !options.to) {
+      throw new Error('--from and --to are required');
+    }
+
+    const parse = (value, name) => {
+      const parsed = moment(value, DAY, true);
+      if (!parsed.isValid()) {
+        throw new Error(`${name} must be a date in YYYY-MM-DD format, got "${value}"`);
+      }
+      return parsed;
+    };
+
+    const start = parse(options.from, '--from');
+    const end = parse(options.to, '--to');
+    if (start.isAfter(end)) {
+      throw new Error(`--from ${start.format(DAY)} is after --to ${end.format(DAY)}`);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Parse a commits-per-day range such as 0-4, or a single number
+   * @param {string} value - Range (default: 0-4)
+   * @returns {Object} {min, max}
+   */
+  static parsePerDay(value = '0-4') {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(String(value).trim());
+    if (!match) {
+      throw new Error(`Invalid commits per day "${value}": use a number or a range such as 0-4`);
+    }
+
+    const min = Number(match[1]);
+    const max = match[2] === undefined ? min : Number(match[2]);
+    if (max < min) {
+      throw new Error(`Commits per day range ${value} ends below its start`);
+    }
+    if (max === 0) {
+      throw new Error('Commits per day must allow at least one commit');
+    }
+
+    return { min, max };
+  }
+
+  /**
+   * Parse weekday weights such as "sat=0.3,sun=0"; days left out weigh 1
+   * Weights are relative: the heaviest day gets the full per-day range, the others a share of it.
+   * @param {string} value - Comma-separated day=weight pairs
+   * @returns {Array<number>} Scale (0-1) per weekday, Sunday first
+   */
+  static parseWeekdays(value) {
+    const weights = new Array(7).fill(1);
+    if (!value) {
+      return weights;
+    }
+
+    String(value).split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+      const match = /^([a-z]+)\s*=\s*(\d+(?:\.\d+)?)$/i.exec(pair);
+      const day = match ? WEEKDAYS.indexOf(match[1].slice(0, 3).toLowerCase()) : -1;
+      if (!match || day === -1) {
+        throw new Error(`Invalid weekday weight "${pair}": use day=weight, e.g. sat=0.3`);
+      }
+      weights[day] = Number(match[2]);
+    });
+
+    const heaviest = Math.max(...weights);
+    if (heaviest === 0) {
+      throw new Error('At least one weekday needs a weight above 0');
+    }
+
+    return weights.map(weight => weight / heaviest);
+  }
+
+  /**
+   * Parse an hour distribution such as "9-12:3,13-17:2,21"
+   * Each entry is an hour or an inclusive range of hours with an optional weight (default 1).
+   * @param {string} value - Hour distribution (default: 9-17)
+   * @returns {Array<Object>} {hour, weight} for every hour commits may start in
+   */
+  static parseHours(value = '9-17') {
+    const hours = new Map();
+
+    String(value).split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const match = /^(\d{1,2})(?:-(\d{1,2}))?(?::(\d+(?:\.\d+)?))?$/.exec(entry);
+      const first = match ? Number(match[1]) : NaN;
+      const last = match && match[2] !== undefined ? Number(match[2]) : first;
+      if (!match || first > 23 || last > 23 || last < first) {
+        throw new Error(`Invalid hours "${entry}": use an hour or range of hours (0-23) with an optional weight, e.g. 9-12:3`);
+      }
+
+      const weight = match[3] === undefined ? 1 : Number(match[3]);
+      for (let hour = first; hour <= last; hour++) {
+        hours.set(hour, weight);
+      }
+    });
+
+    const distribution = [...hours.entries()]
+      .filter(([, weight]) => weight > 0)
+      .sort(([a], [b]) => a - b)
+      .map(([hour, weight]) => ({ hour, weight }));
+    if (distribution.length === 0) {
+      throw new Error(`Hours "${value}" leave no hour to commit in`);
+    }
+
+    return distribution;
+  }
+
+  /**
+   * Parse vacation blackouts: single days or first..last ranges, comma-separated or repeated
+   * @param {Array<string>|string} values - Blackout values
+   * @returns {Array<Object>} {start, end} as YYYY-MM-DD strings
+   */
+  static parseBlackouts(values = []) {
+    return [].concat(values)
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean)
+      .map(value => {
+        const [start, end = start] = value.split('..').map(part => part.trim());
+        const valid = [start, end].every(day => moment(day, DAY, true).isValid());
+        if (!valid || end < start) {
+          throw new Error(`Invalid blackout "${value}": use YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD`);
+        }
+        return { start, end };
+      });
+  }
+
+  /**
+   * Decide how many commits each day of the window gets
+   * Every day draws from the random sequence the same way, so blacking out a week or changing a
+   * weekday weight leaves the other days as they were.
+   * @param {Object} window - Window from getWindow
+   * @param {Object} options - Density options
+   * @param {Object} options.perDay - {min, max} from parsePerDay
+   * @param {Array<number>} options.weekdays - Scales from parseWeekdays
+   * @param {Array<Object>} options.blackouts - Ranges from parseBlackouts
+   * @param {string} options.seed - Seed of the random sequence
+   * @returns {Object} {days[{date, count, blackout}], totalCommits, activeDays, blackoutDays}
+   */
+  static plan(window, options = {}) {
+    const perDay = options.perDay || this.parsePerDay();
+    const weekdays = options.weekdays || this.parseWeekdays();
+    const blackouts = options.blackouts || [];
+    const random = DateDistribution.createRandom(`${options.seed}:days`);
+
+    const days = [];
+    for (let date = window.start.clone(); date.isSameOrBefore(window.end, 'day'); date.add(1, 'day')) {
+      const key = date.format(DAY);
+      const draw = perDay.min + Math.floor(random() * (perDay.max - perDay.min + 1));
+      const rounding = random();
+
+      const blackout = blackouts.some(range => key >= range.start && key <= range.end);
+      const scaled = draw * weekdays[date.day()];
+      const count = blackout ? 0 : Math.floor(scaled) + (rounding < scaled - Math.floor(scaled) ? 1 : 0);
+
+      days.push({ date: key, count, blackout });
+    }
+
+    return {
+      days,
+      totalCommits: days.reduce((sum, day) => sum + day.count, 0),
+      activeDays: days.filter(day => day.count > 0).length,
+      blackoutDays: days.filter(day => day.blackout).length
+    };
+  }
+
+  /**
+   * Give each planned commit a time, drawn from the hour distribution; a day's commits never share a minute
+   * @param {Object} plan - Plan from plan()
+   * @param {Object} options - Time options
+   * @param {Array<Object>} options.hours - Distribution from parseHours
+   * @param {string} options.seed - Seed of the random sequence
+   * @returns {Array} Commits ({date, time}), oldest first
+   */
+  static schedule(plan, options = {}) {
+    const hours = options.hours || this.parseHours();
+    const random = DateDistribution.createRandom(`${options.seed}:times`);
+
+    const minutes = hours.flatMap(({ hour }) => Array.from({ length: 60 }, (_, minute) => hour * 60 + minute));
+    const busiest = Math.max(0, ...plan.days.map(day => day.count));
+    if (busiest > minutes.length) {
+      throw new Error(`A day needs ${busiest} commits but the hours only hold ${minutes.length} distinct minutes`);
+    }
+
+    const totalWeight = hours.reduce((sum, { weight }) => sum + weight, 0);
+    const pickHour = () => {
+      let target = random() * totalWeight;
+      for (const { hour, weight } of hours) {
+        target -= weight;
+        if (target < 0) {
+          return hour;
+        }
+      }
+      return hours[hours.length - 1].hour;
+    };
+
+    const commits = [];
+    plan.days.forEach(day => {
+      const taken = new Set();
+      for (let i = 0; i < day.count; i++) {
+        // A minute already taken moves to the next free one the hours allow
+        let slot = minutes.indexOf(pickHour() * 60 + Math.floor(random() * 60));
+        while (taken.has(minutes[slot])) {
+          slot = (slot + 1) % minutes.length;
+        }
+        taken.add(minutes[slot]);
+      }
+
+      [...taken].sort((a, b) => a - b).forEach(minute => {
+        const time = `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+        commits.push({ date: day.date, time });
+      });
+    });
+
+    return commits;
+  }
+
+  /**
+   * Pick a message for every commit from a list
+   * @param {Array<string>} messages - Candidate messages
+   * @param {number} count - Number of commits
+   * @param {string} seed - Seed of the random sequence
+   * @returns {Array<string>} Messages
+   */
+  static pickMessages(messages, count, seed) {
+    if (messages.length === 0) {
+      throw new Error('No messages to pick from');
+    }
+
+    const random = DateDistribution.createRandom(`${seed}:messages`);
+    return Array.from({ length: count }, () => messages[Math.floor(random() * messages.length)]);
+  }
+
+  /**
+   * Read a word list: one message per line; blank lines and lines starting with # are skipped
+   * @param {string} content - File content
+   * @returns {Array<string>} Messages
+   */
+  static parseWordList(content) {
+    return String(content).split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line !== '' && !line.startsWith('#'));
+  }
+
+  /**
+   * Heatmap of a plan, split into one calendar per year so wide windows stay readable
+   * @param {Object} plan - Plan from plan()
+   * @returns {Object} {levels (Map of date to intensity 0-4), calendars[{label, window}]} for ContributionPainter.render
+   */
+  static heatmap(plan) {
+    const busiest = Math.max(0, ...plan.days.map(day => day.count));
+    const levels = new Map(plan.days.map(day => [day.date, CommitAnalyzer.intensityFor(day.count, busiest)]));
+
+    const calendars = [];
+    const first = moment(plan.days[0].date, DAY);
+    const last = moment(plan.days[plan.days.length - 1].date, DAY);
+    for (let year = first.year(); year <= last.year(); year++) {
+      const start = moment.max(first, moment({ year, month: 0, day: 1 }));
+      const end = moment.min(last, moment({ year, month: 11, day: 31 }));
+      const firstSunday = start.clone().subtract(start.day(), 'days');
+
+      calendars.push({
+        label: String(year),
+        window: { start, end, firstSunday, columns: Math.floor(end.diff(firstSunday, 'days') / 7) + 1 }
+      });
+    }
+
+    return { levels, calendars };
+  }
+}
+
+ScheduleGenerator.DEFAULT_MESSAGES = DEFAULT_MESSAGES;
+
+module.exports = ScheduleGenerator;
@@ -0,0 +1,758 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * TemplateEngine - Batch template language: {{expressions | helpers}}, conditionals, loops and includes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const SecurityUtils = require('../security/SecurityUtils');
+const DateDistribution = require('./DateDistribution');
+
+const DATE_FORMATS = ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DD'];
+
+// Tags that control flow; on a line of their own they take the whole line with them
+const BLOCK_KINDS = ['comment', 'open', 'else', 'close'];
+
+/**
+ * A date inside an expression; dates written without a time keep printing without one
+ */
+class TemplateDate {
+  constructor(value, dateOnly) {
+    this.value = value;
+    this.dateOnly = dateOnly;
+  }
+
+  toString() {
+    return this.value.format(this.dateOnly ? 'YYYY-MM-DD' : 'YYYY-MM-DD HH:mm');
+  }
+}
+
+const toDate = (value, helper) => {
+  if (value instanceof TemplateDate) {
+    return value;
+  }
+
+  const parsed = moment.utc(String(value === undefined || value === null ? '' : value).trim(), DATE_FORMATS, true);
+  if (!parsed.isValid()) {
+    throw new Error(`${helper} needs a date (YYYY-MM-DD or YYYY-MM-DD HH:mm), got "${toText(value)}"`);
+  }
+  return new TemplateDate(parsed, parsed.creationData().format === 'YYYY-MM-DD');
+};
+
+const toText = value => (value === undefined || value === null ? '' : String(value));
+
+const toNumber = (value, helper) => {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || isNaN(number)) {
+    throw new Error(`${helper} needs a number, got "${toText(value)}"`);
+  }
+  return number;
+};
+
+const toList = (value, helper) => {
+  if (!Array.isArray(value)) {
+    throw new Error(`${helper} needs a list, got "${toText(value)}"`);
+  }
+  return value;
+};
+
+const shift = (unit, helper) => (value, amount) => {
+  const date = toDate(value, helper);
+  return new TemplateDate(date.value.clone().add(toNumber(amount, helper), unit), date.dateOnly && ['days', 'weeks', 'months'].includes(unit));
+};
+
+// Helpers are written "value | helper(args)" or "helper(value, args)"
+const HELPERS = {
+  addDays: { usage: 'date | addDays(3)', description: 'Move a date by days (negative to go back)', fn: shift('days', 'addDays') },
+  addWeeks: { usage: 'date | addWeeks(1)', description: 'Move a date by weeks', fn: shift('weeks', 'addWeeks') },
+  addMonths: { usage: 'date | addMonths(1)', description: 'Move a date by months', fn: shift('months', 'addMonths') },
+  addHours: { usage: 'date | addHours(2)', description: 'Move a date by hours', fn: shift('hours', 'addHours') },
+  addMinutes: { usage: 'date | addMinutes(30)', description: 'Move a date by minutes', fn: shift('minutes', 'addMinutes') },
+  format: {
+    usage: "date | format('YYYY-MM-DD')",
+    description: 'Format a date with a moment.js pattern',
+    fn: (value, pattern = 'YYYY-MM-DD') => toDate(value, 'format').value.format(toText(pattern))
+  },
+  weekday: { usage: 'date | weekday', description: 'Day of the week, e.g. Monday', fn: value => toDate(value, 'weekday').value.format('dddd') },
+  pad: {
+    usage: 'index | pad(4)',
+    description: 'Left-pad to a width with zeros (or another character)',
+    fn: (value, width, fill = '0') => toText(value).padStart(toNumber(width, 'pad'), toText(fill) || '0')
+  },
+  add: { usage: 'index | add(1)', description: 'Add a number', fn: (value, amount) => toNumber(value, 'add') + toNumber(amount, 'add') },
+  upper: { usage: 'type | upper', description: 'Upper-case text', fn: value => toText(value).toUpperCase() },
+  lower: { usage: 'type | lower', description: 'Lower-case text', fn: value => toText(value).toLowerCase() },
+  capitalize: {
+    usage: 'type | capitalize',
+    description: 'Upper-case the first letter',
+    fn: value => toText(value).charAt(0).toUpperCase() + toText(value).slice(1)
+  },
+  trim: { usage: 'title | trim', description: 'Remove surrounding whitespace', fn: value => toText(value).trim() },
+  truncate: {
+    usage: 'title | truncate(50)',
+    description: 'Cut text to at most a number of characters',
+    fn: (value, length) => toText(value).slice(0, toNumber(length, 'truncate'))
+  },
+  replace: {
+    usage: "title | replace('-', ' ')",
+    description: 'Replace every occurrence of some text',
+    fn: (value, from, to = '') => toText(value).split(toText(from)).join(toText(to))
+  },
+  default: {
+    usage: "scope | default('core')",
+    description: 'Use a fallback when the value is missing or empty',
+    fn: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value)
+  },
+  split: { usage: "tags | split(';')", description: 'Split text into a list', fn: (value, separator = ',') => toText(value).split(toText(separator)).map(item => item.trim()) },
+  join: { usage: "tags | join(', ')", description: 'Join a list into text', fn: (value, separator = ', ') => toList(value, 'join').map(item => render(item)).join(toText(separator)) },
+  length: { usage: 'tags | length', description: 'Number of items (or characters)', fn: value => (Array.isArray(value) ? value.length : toText(value).length) },
+  first: { usage: 'tags | first', description: 'First item of a list', fn: value => toList(value, 'first')[0] },
+  last: { usage: 'tags | last', description: 'Last item of a list', fn: value => toList(value, 'last')[toList(value, 'last').length - 1] },
+  pick: {
+    usage: "['Fix', 'Tweak'] | pick",
+    description: 'Pick an item at random; repeatable, seeded by the template "seed" and the row index',
+    fn: (value, state) => {
+      const list = toList(value, 'pick');
+      return list.length === 0 ? undefined : list[Math.floor(state.random() * list.length)];
+    },
+    usesState: true
+  }
+};
+
+/**
+ * Turn a value into output text
+ * @param {*} value - Expression value
+ * @returns {string} Text
+ */
+function render(value) {
+  if (Array.isArray(value)) {
+    return value.map(render).join(', ');
+  }
+  return toText(value);
+}
+
+/**
+ * Line and column (1-based) of an offset
+ */
+function locate(source, offset) {
+  const before = source.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function syntaxError(message, source, offset, file) {
+  const { line, column } = locate(source, offset);
+  const error = new Error(`${message} at line ${line}, column ${column}${file ? ` of ${file}` : ''}`);
+  error.line = line;
+  error.column = column;
+  error.file = file || null;
+  return error;
+}
+
+/**
+ * Split the inside of a tag into expression tokens
+ */
+function tokenizeExpression(text, base, fail) {
+  const tokens = [];
+  const pattern = /\s+|(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_@$][\w$]*)|(==|!=|<=|>=|&&|\|\||[<>!|(),.[\]])/y;
+  let index = 0;
+
+  while (index < text.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) {
+      const rest = text.slice(index);
+      throw fail(/^['"]/.test(rest) ? 'Unterminated string' : `Unexpected character "${rest[0]}"`, base + index);
+    }
+
+    const offset = base + index;
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[1]), offset });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'string', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1'), offset });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'name', value: match[3], offset });
+    } else if (match[4] !== undefined) {
+      tokens.push({ type: 'op', value: match[4], offset });
+    }
+    index = pattern.lastIndex;
+  }
+
+  tokens.push({ type: 'end', value: 'end of tag', offset: base + text.length });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser for one tag's expression
+ */
+class ExpressionParser {
+  constructor(tokens, fail) {
+    this.tokens = tokens;
+    this.position = 0;
+    this.fail = fail;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  accept(type, value) {
+    const token = this.peek();
+    if (token.type === type && (value === undefined || token.value === value)) {
+      this.position++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(type, value, what) {
+    const token = this.accept(type, value);
+    if (!token) {
+      const found = this.peek();
+      throw this.fail(`Expected ${what} but found ${found.type === 'end' ? 'the end of the tag' : `"${found.value}"`}`, found.offset);
+    }
+    return token;
+  }
+
+  expectEnd() {
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw this.fail(`Unexpected "${token.value}"`, token.offset);
+    }
+  }
+
+  // pipeline := or ('|' helper ('(' args ')')?)*
+  parsePipeline() {
+    let expression = this.parseOr();
+    while (this.accept('op', '|')) {
+      const name = this.expect('name', undefined, 'a helper name after "|"');
+      const args = this.accept('op', '(') ? this.parseArguments() : [];
+      expression = this.helperCall(name, [expression, ...args]);
+    }
+    return expression;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.accept('op', '||') || this.accept('name', 'or')) {
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept('op', '&&') || this.accept('name', 'and')) {
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.accept('op', '!') || this.accept('name', 'not')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parsePrimary();
+    const token = this.peek();
+    if (token.type === 'op' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      this.next();
+      return { type: 'compare', operator: token.value, left, right: this.parsePrimary() };
+    }
+    return left;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'op' && token.value === '(') {
+      const expression = this.parsePipeline();
+      this.expect('op', ')', '")"');
+      return expression;
+    }
+
+    if (token.type === 'op' && token.value === '[') {
+      const items = [];
+      if (!this.accept('op', ']')) {
+        do {
+          items.push(this.parsePipeline());
+        } while (this.accept('op', ','));
+        this.expect('op', ']', '"]" or ","');
+      }
+      return { type: 'list', items };
+    }
+
+    if (token.type === 'name') {
+      const literals = { true: true, false: false, null: null };
+      if (Object.prototype.hasOwnProperty.call(literals, token.value)) {
+        return { type: 'literal', value: literals[token.value] };
+      }
+
+      if (this.accept('op', '(')) {
+        return this.helperCall(token, this.parseArguments());
+      }
+
+      const parts = [token.value];
+      while (this.accept('op', '.')) {
+        parts.push(this.expect('name', undefined, 'a name after "."').value);
+      }
+      return { type: 'path', parts };
+    }
+
+    throw this.fail(token.type === 'end' ? 'Expected a value but the tag ended' : `Unexpected "${token.value}"`, token.offset);
+  }
+
+  parseArguments() {
+    const args = [];
+    if (!this.accept('op', ')')) {
+      do {
+        args.push(this.parsePipeline());
+      } while (this.accept('op', ','));
+      this.expect('op', ')', '")" or ","');
+    }
+    return args;
+  }
+
+  helperCall(nameToken, args) {
+    if (!Object.prototype.hasOwnProperty.call(HELPERS, nameToken.value)) {
+      throw this.fail(`Unknown helper "${nameToken.value}"`, nameToken.offset);
+    }
+    return { type: 'helper', name: nameToken.value, args, offset: nameToken.offset };
+  }
+}
+
+class TemplateEngine {
+  static cache = new Map();
+
+  /**
+   * Compile a template string
+   * @param {string} source - Template text
+   * @param {Object} options - Compile options
+   * @param {string} options.baseDir - Directory includes are read from (default: the working directory)
+   * @param {string} options.file - File name used in error messages
+   * @returns {Object} Compiled template ({nodes, source, file})
+   */
+  static compile(source, options = {}) {
+    const baseDir = path.resolve(options.baseDir || process.cwd());
+    const key = `${baseDir}\0${options.file || ''}\0${source}`;
+
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.parse(String(source), { ...options, baseDir, including: options.including || [] }));
+    }
+    return this.cache.get(key);
+  }
+
+  /**
+   * Render a template string
+   * @param {string} source - Template text
+   * @param {Object} data - Values the template can read
+   * @param {Object} options - Compile options, plus {seed} or {random} for pick
+   * @returns {string} Rendered text
+   */
+  static render(source, data = {}, options = {}) {
+    const compiled = this.compile(source, options);
+    const state = {
+      random: options.random || DateDistribution.createRandom(options.seed !== undefined && options.seed !== null ? options.seed : '')
+    };
+    return this.renderNodes(compiled.nodes, [data], state, compiled);
+  }
+
+  /**
+   * Parse template text into nodes
+   * @private
+   */
+  static parse(source, options) {
+    const fail = (message, offset) => syntaxError(message, source, offset, options.file);
+    const tokens = this.tokenize(source, fail);
+    const root = { nodes: [] };
+    const stack = [{ kind: 'root', node: root, body: root.nodes }];
+
+    for (const token of tokens) {
+      const current = stack[stack.length - 1];
+
+      if (token.type === 'text') {
+        if (token.value) {
+          current.body.push({ type: 'text', value: token.value });
+        }
+        continue;
+      }
+
+      const inner = token.inner;
+      const trimmed = inner.trim();
+      const innerOffset = token.start + 2 + (inner.length - inner.trimStart().length);
+
+      switch (token.kind) {
+        case 'comment':
+          break;
+
+        case 'output': {
+          if (trimmed === '') {
+            throw fail('Empty tag', token.start);
+          }
+          const parser = new ExpressionParser(tokenizeExpression(trimmed, innerOffset, fail), fail);
+          const expression = parser.parsePipeline();
+          parser.expectEnd();
+          current.body.push({ type: 'output', expression, raw: source.slice(token.start, token.end), offset: token.start });
+          break;
+        }
+
+        case 'open': {
+          const [, keyword, rest] = /^#(\w*)\s*([\s\S]*)$/.exec(trimmed);
+          const restOffset = innerOffset + trimmed.length - rest.length;
+          if (keyword !== 'if' && keyword !== 'each') {
+            throw fail(`Unknown block "#${keyword}" (use #if or #each)`, innerOffset);
+          }
+
+          const parser = new ExpressionParser(tokenizeExpression(rest, restOffset, fail), fail);
+          const expression = parser.parsePipeline();
+          let node;
+          if (keyword === 'if') {
+            node = { type: 'if', branches: [{ condition: expression, body: [] }], otherwise: null, offset: token.start };
+          } else {
+            let name = 'item';
+            if (parser.accept('name', 'as')) {
+              name = parser.expect('name', undefined, 'a name after "as"').value;
+            }
+            node = { type: 'each', list: expression, name, body: [], offset: token.start };
+          }
+          parser.expectEnd();
+
+          current.body.push(node);
+          stack.push({ kind: keyword, node, body: keyword === 'if' ? node.branches[0].body : node.body, offset: token.start });
+          break;
+        }
+
+        case 'else': {
+          if (current.kind !== 'if') {
+            throw fail('{{else}} outside an {{#if}} block', token.start);
+          }
+          if (current.node.otherwise) {
+            throw fail('{{else}} after the final {{else}} of this {{#if}}', token.start);
+          }
+
+          const condition = trimmed.slice(4).trim();
+          if (condition === '') {
+            current.node.otherwise = [];
+            current.body = current.node.otherwise;
+          } else {
+            const [, rest] = /^if\b\s*([\s\S]*)$/.exec(condition) || [];
+            if (rest === undefined) {
+              throw fail('Expected "else" or "else if <condition>"', innerOffset);
+            }
+            const parser = new ExpressionParser(tokenizeExpression(rest, innerOffset + trimmed.length - rest.length, fail), fail);
+            const branch = { condition: parser.parsePipeline(), body: [] };
+            parser.expectEnd();
+            current.node.branches.push(branch);
+            current.body = branch.body;
+          }
+          break;
+        }
+
+        case 'close': {
+          const keyword = trimmed.slice(1).trim();
+          if (current.kind === 'root') {
+            throw fail(`{{/${keyword}}} without an opening {{#${keyword}}}`, token.start);
+          }
+          if (keyword !== current.kind) {
+            throw fail(`{{/${keyword}}} closes {{#${current.kind}}}; expected {{/${current.kind}}}`, token.start);
+          }
+          stack.pop();
+          break;
+        }
+
+        case 'include':
+          current.body.push(this.include(trimmed.slice(1).trim(), token.start, options, fail));
+          break;
+      }
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw fail(`Unclosed {{#${open.kind}}}`, open.offset);
+    }
+
+    return { nodes: root.nodes, source, file: options.file || null };
+  }
+
+  /**
+   * Split template text into text and tag tokens, dropping the lines of standalone block tags
+   * @private
+   */
+  static tokenize(source, fail) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+      const start = source.indexOf('{{', index);
+      if (start === -1) {
+        tokens.push({ type: 'text', value: source.slice(index), start: index });
+        break;
+      }
+      if (start > index) {
+        tokens.push({ type: 'text', value: source.slice(index, start), start: index });
+      }
+
+      const end = source.indexOf('}}', start + 2);
+      if (end === -1) {
+        throw fail('Unclosed "{{" (missing "}}")', start);
+      }
+
+      const inner = source.slice(start + 2, end);
+      const trimmed = inner.trim();
+      let kind = 'output';
+      if (trimmed.startsWith('!')) kind = 'comment';
+      else if (trimmed.startsWith('#')) kind = 'open';
+      else if (trimmed.startsWith('/')) kind = 'close';
+      else if (/^else\b/.test(trimmed)) kind = 'else';
+      else if (trimmed.startsWith('>')) kind = 'include';
+
+      tokens.push({ type: 'tag', kind, inner, start, end: end + 2 });
+      index = end + 2;
+    }
+
+    // Decide on the original text first, since stripping one line must not change the next decision
+    const standalone = tokens.map((token, i) => {
+      if (token.type !== 'tag' || !BLOCK_KINDS.includes(token.kind)) {
+        return false;
+      }
+      const previous = tokens[i - 1];
+      const next = tokens[i + 1];
+      const startsLine = !previous || (previous.type === 'text' && /(^|\n)[ \t]*$/.test(previous.value) &&
+        (previous.value.includes('\n') || previous.start === 0));
+      const endsLine = !next || (next.type === 'text' && /^[ \t]*(\r?\n|$)/.test(next.value));
+      return startsLine && endsLine;
+    });
+
+    tokens.forEach((token, i) => {
+      if (!standalone[i]) {
+        return;
+      }
+      if (tokens[i - 1]) {
+        tokens[i - 1].value = tokens[i - 1].value.replace(/[ \t]*$/, '');
+      }
+      if (tokens[i + 1]) {
+        tokens[i + 1].value = tokens[i + 1].value.replace(/^[ \t]*\r?\n?/, '');
+      }
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Compile an included file, relative to the including template
+   * @private
+   */
+  static include(target, offset, options, fail) {
+    const name = /^(['"]).*\1$/.test(target) ? target.slice(1, -1) : target;
+    if (!name) {
+      throw fail('Expected a file name after ">"', offset);
+    }
+
+    let file;
+    try {
+      file = SecurityUtils.validateFilePath(name, options.baseDir);
+    } catch (error) {
+      throw fail(`Cannot include "${name}": ${error.message}`, offset);
+    }
+    if (options.including.includes(file)) {
+      throw fail(`"${name}" includes itself`, offset);
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw fail(`Cannot include "${name}": ${error.code === 'ENOENT' ? 'no such file' : error.message}`, offset);
+    }
+
+    // Files are read once per compile; the included text is parsed like the template itself
+    const compiled = this.parse(content.replace(/\r?\n$/, ''), {
+      baseDir: path.dirname(file),
+      file: path.relative(process.cwd(), file) || name,
+      including: [...options.including, file]
+    });
+    return { type: 'include', nodes: compiled.nodes, compiled };
+  }
+
+  /**
+   * @private
+   */
+  static renderNodes(nodes, scope, state, compiled) {
+    let output = '';
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'text':
+          output += node.value;
+          break;
+
+        case 'output': {
+          const value = this.evaluate(node.expression, scope, state, compiled);
+          // A plain {{name}} with nothing to fill it in stays as written
+          output += value === undefined && node.expression.type === 'path' ? node.raw : render(value);
+          break;
+        }
+
+        case 'if': {
+          const branch = node.branches.find(candidate => this.isTruthy(this.evaluate(candidate.condition, scope, state, compiled)));
+          const body = branch ? branch.body : node.otherwise;
+          if (body) {
+            output += this.renderNodes(body, scope, state, compiled);
+          }
+          break;
+        }
+
+        case 'each': {
+          const value = this.evaluate(node.list, scope, state, compiled);
+          const list = value === undefined || value === null || value === '' ? [] : value;
+          if (!Array.isArray(list)) {
+            throw this.runtimeError(`#each needs a list, got "${toText(value)}"`, node.offset, compiled);
+          }
+          list.forEach((item, index) => {
+            const frame = { [node.name]: item, '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === list.length - 1 };
+            output += this.renderNodes(node.body, [...scope, frame], state, compiled);
+          });
+          break;
+        }
+
+        case 'include':
+          output += this.renderNodes(node.nodes, scope, state, node.compiled);
+          break;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * @private
+   */
+  static evaluate(expression, scope, state, compiled) {
+    switch (expression.type) {
+      case 'literal':
+        return expression.value;
+
+      case 'list':
+        return expression.items.map(item => this.evaluate(item, scope, state, compiled));
+
+      case 'path': {
+        const [first, ...rest] = expression.parts;
+        const frame = [...scope].reverse().find(candidate => candidate && Object.prototype.hasOwnProperty.call(candidate, first));
+        let value = frame ? frame[first] : undefined;
+        for (const part of rest) {
+          value = value === undefined || value === null ? undefined : value[part];
+        }
+        return value;
+      }
+
+      case 'not':
+        return !this.isTruthy(this.evaluate(expression.operand, scope, state, compiled));
+
+      case 'and':
+        return this.isTruthy(this.evaluate(expression.left, scope, state, compiled)) &&
+          this.isTruthy(this.evaluate(expression.right, scope, state, compiled));
+
+      case 'or':
+        return this.isTruthy(this.evaluate(expression.left, scope, state, compiled)) ||
+          this.isTruthy(this.evaluate(expression.right, scope, state, compiled));
+
+      case 'compare':
+        return this.compare(
+          expression.operator,
+          this.evaluate(expression.left, scope, state, compiled),
+          this.evaluate(expression.right, scope, state, compiled)
+        );
+
+      case 'helper': {
+        const helper = HELPERS[expression.name];
+        const args = expression.args.map(arg => this.evaluate(arg, scope, state, compiled));
+        try {
+          return helper.usesState ? helper.fn(args[0], state) : helper.fn(...args);
+        } catch (error) {
+          throw this.runtimeError(error.message, expression.offset, compiled);
+        }
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Compare two values: numbers and dates by value, anything else as text
+   * @private
+   */
+  static compare(operator, left, right) {
+    const comparable = value => {
+      if (value instanceof TemplateDate) return value.value.valueOf();
+      if (typeof value === 'number') return value;
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+      return null;
+    };
+
+    let a = comparable(left);
+    let b = comparable(right);
+    if (a === null || b === null) {
+      a = render(left);
+      b = render(right);
+    }
+
+    switch (operator) {
+      case '==': return a === b;
+      case '!=': return a !== b;
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+    }
+    return false;
+  }
+
+  /**
+   * Truthiness for conditions: empty lists and empty text are false
+   * @private
+   */
+  static isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  }
+
+  /**
+   * @private
+   */
+  static runtimeError(message, offset, compiled) {
+    return syntaxError(message, compiled.source, offset, compiled.file);
+  }
+
+  /**
+   * Describe the template language, for generated templates and help output
+   * @returns {Array<string>} One line per construct or helper
+   */
+  static describe() {
+    return [
+      '{{name}} inserts a column or variable; built-ins: date, time, timestamp, index, total',
+      "{{value | helper(args)}} or {{helper(value, args)}} transforms a value, e.g. {{date | addDays(3) | format('YYYY-MM-DD')}}",
+      "{{#if type == 'fix'}}...{{else if type == 'feat'}}...{{else}}...{{/if}} (==, !=, <, <=, >, >=, and, or, not)",
+      '{{#each tags as tag}}{{tag}}{{#if not @last}}, {{/if}}{{/each}} (also @index, @number, @first)',
+      "{{> 'partials/footer.txt'}} includes another template file, relative to this one",
+      '{{! comment }} is left out of the output',
+      ...Object.entries(HELPERS).map(([name, helper]) => `${name}: ${helper.description} - {{${helper.usage}}}`)
+    ];
+  }
+}
+
+TemplateEngine.HELPERS = HELPERS;
+TemplateEngine.TemplateDate = TemplateDate;
+
+module.exports = TemplateEngine;
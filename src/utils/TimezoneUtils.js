@@ -0,0 +1,206 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * TimezoneUtils - IANA timezone resolution for commit dates (DST aware)
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+class TimezoneUtils {
+  /**
+   * Check whether a string is a known IANA timezone
+   * @param {string} timezone - Timezone name (e.g., Europe/Berlin)
+   * @returns {boolean} True if the runtime recognises the timezone
+   */
+  static isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+      return false;
+    }
+
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone: timezone.trim() }).resolvedOptions();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the UTC offset of a timezone at an instant
+   * @param {string} timezone - IANA timezone
+   * @param {number} timestamp - UTC milliseconds
+   * @returns {number} Offset in minutes east of UTC
+   */
+  static getOffsetMinutes(timezone, timestamp) {
+    const parts = this.getWallClockParts(timezone, timestamp);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const truncated = Math.floor(timestamp / 1000) * 1000;
+
+    return Math.round((wallClock - truncated) / MINUTE);
+  }
+
+  /**
+   * Get wall-clock components of an instant in a timezone
+   * @param {string} timezone - IANA timezone
+   * @param {number} timestamp - UTC milliseconds
+   * @returns {Object} {year, month, day, hour, minute, second}
+   */
+  static getWallClockParts(timezone, timestamp) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+
+    const parts = {};
+    formatter.formatToParts(new Date(timestamp)).forEach(part => {
+      if (part.type !== 'literal') {
+        parts[part.type] = parseInt(part.value, 10);
+      }
+    });
+
+    return parts;
+  }
+
+  /**
+   * Format an offset in minutes as +HH:MM
+   * @param {number} offsetMinutes - Offset in minutes east of UTC
+   * @returns {string} Formatted offset
+   */
+  static formatOffset(offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+    const minutes = String(absolute % 60).padStart(2, '0');
+
+    return `${sign}${hours}:${minutes}`;
+  }
+
+  /**
+   * Resolve a wall-clock date and time in a timezone to an absolute instant
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} time - Time in HH:mm or HH:mm:ss format
+   * @param {string} timezone - IANA timezone
+   * @param {Object} options - Resolution options
+   * @param {boolean} options.shiftGaps - Move times inside a DST gap forward instead of rejecting them
+   * @returns {Object} Resolution result
+   */
+  static resolve(date, time, timezone, options = {}) {
+    if (!this.isValidTimezone(timezone)) {
+      return {
+        valid: false,
+        error: `Unknown timezone: ${timezone}`,
+        suggestion: 'Use an IANA timezone name (e.g., Europe/Berlin, America/New_York, UTC)'
+      };
+    }
+
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date).trim());
+    const timeMatch = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(time).trim());
+
+    if (!dateMatch || !timeMatch) {
+      return {
+        valid: false,
+        error: 'Invalid date or time format',
+        suggestion: 'Use YYYY-MM-DD for dates and HH:mm for times'
+      };
+    }
+
+    const zone = timezone.trim();
+    const naive = Date.UTC(
+      parseInt(dateMatch[1], 10),
+      parseInt(dateMatch[2], 10) - 1,
+      parseInt(dateMatch[3], 10),
+      parseInt(timeMatch[1], 10),
+      parseInt(timeMatch[2], 10),
+      parseInt(timeMatch[3] || '0', 10)
+    );
+
+    // A transition never happens twice within a day, so the offsets a day either side cover every case
+    const candidateOffsets = [...new Set([
+      this.getOffsetMinutes(zone, naive - DAY),
+      this.getOffsetMinutes(zone, naive + DAY)
+    ])];
+
+    const matches = candidateOffsets
+      .map(offset => naive - offset * MINUTE)
+      .filter(timestamp => this.getOffsetMinutes(zone, timestamp) * MINUTE + timestamp === naive)
+      .sort((a, b) => a - b);
+
+    if (matches.length === 0) {
+      if (!options.shiftGaps) {
+        return {
+          valid: false,
+          nonexistent: true,
+          error: `${date} ${time} does not exist in ${zone} (skipped by a daylight saving transition)`,
+          suggestion: 'Choose a time outside the daylight saving gap'
+        };
+      }
+
+      // Interpret with the offset in effect before the gap, which lands just after it
+      const timestamp = naive - candidateOffsets[0] * MINUTE;
+      return this.describe(timestamp, zone, { shifted: true });
+    }
+
+    // Ambiguous times (DST fall-back) use the first occurrence
+    return this.describe(matches[0], zone, { ambiguous: matches.length > 1 });
+  }
+
+  /**
+   * Describe an absolute instant in a timezone
+   * @param {number} timestamp - UTC milliseconds
+   * @param {string} timezone - IANA timezone
+   * @param {Object} flags - Extra flags to include in the result
+   * @returns {Object} Resolved date information
+   */
+  static describe(timestamp, timezone, flags = {}) {
+    const offset = this.getOffsetMinutes(timezone, timestamp);
+    const parts = this.getWallClockParts(timezone, timestamp);
+    const pad = (value) => String(value).padStart(2, '0');
+    const localDate = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+    const localTime = `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+    const formattedOffset = this.formatOffset(offset);
+
+    return {
+      valid: true,
+      timezone,
+      timestamp,
+      offset: formattedOffset,
+      offsetMinutes: offset,
+      localDate,
+      localTime,
+      iso: `${localDate}T${localTime}${formattedOffset}`,
+      gitDate: `${localDate} ${localTime} ${formattedOffset.replace(':', '')}`,
+      ambiguous: false,
+      shifted: false,
+      ...flags
+    };
+  }
+
+  /**
+   * Build a Git date string (with explicit offset) for a wall-clock time in a timezone
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} time - Time in HH:mm or HH:mm:ss format
+   * @param {string} timezone - IANA timezone
+   * @param {Object} options - Resolution options (see resolve)
+   * @returns {string} Date suitable for GIT_AUTHOR_DATE / GIT_COMMITTER_DATE
+   * @throws {Error} If the timezone is unknown or the time falls in a DST gap
+   */
+  static toGitDate(date, time, timezone, options = {}) {
+    const resolved = this.resolve(date, time, timezone, options);
+    if (!resolved.valid) {
+      throw new Error(resolved.error);
+    }
+
+    return resolved.gitDate;
+  }
+}
+
+module.exports = TimezoneUtils;
@@ -0,0 +1,179 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * TrailerUtils - Parse and append commit message trailers (Co-authored-by, Signed-off-by, ...)
+ */
+
+// Canonical spelling of the trailers Git and GitHub recognise
+const KNOWN_KEYS = {
+  'co-authored-by': 'Co-authored-by',
+  'signed-off-by': 'Signed-off-by',
+  'reviewed-by': 'Reviewed-by',
+  'acked-by': 'Acked-by',
+  'tested-by': 'Tested-by',
+  'reported-by': 'Reported-by',
+  'suggested-by': 'Suggested-by',
+  'helped-by': 'Helped-by'
+};
+
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]*$/;
+const LINE_PATTERN = /^([A-Za-z0-9][A-Za-z0-9-]*):\s*(.*)$/;
+
+class TrailerUtils {
+  /**
+   * Normalise a trailer key, fixing the case of well-known keys
+   * @param {string} key - Trailer key
+   * @returns {string} Normalised key
+   */
+  static normalizeKey(key) {
+    const trimmed = String(key || '').trim();
+    return KNOWN_KEYS[trimmed.toLowerCase()] || trimmed;
+  }
+
+  /**
+   * Check whether a trailer key is syntactically valid
+   * @param {string} key - Trailer key
+   * @returns {boolean} True if the key can be used in a trailer
+   */
+  static isValidKey(key) {
+    return KEY_PATTERN.test(String(key || '').trim());
+  }
+
+  /**
+   * Check whether a trailer value names a person ("Name <email>")
+   * @param {string} key - Trailer key
+   * @returns {boolean} True for *-by trailers such as Co-authored-by
+   */
+  static isIdentityKey(key) {
+    return /-by$/i.test(String(key || '').trim());
+  }
+
+  /**
+   * Parse a single trailer given as "key=value", "Key: value" or {key, value}
+   * @param {string|Object} trailer - Trailer to parse
+   * @returns {Object|null} {key, value} or null if it cannot be parsed
+   */
+  static parseTrailer(trailer) {
+    if (trailer && typeof trailer === 'object') {
+      if (trailer.key === undefined) {
+        return null;
+      }
+      return {
+        key: this.normalizeKey(trailer.key),
+        value: String(trailer.value === undefined ? '' : trailer.value).trim()
+      };
+    }
+
+    if (typeof trailer !== 'string') {
+      return null;
+    }
+
+    const text = trailer.trim();
+    const equals = text.indexOf('=');
+    const colon = text.indexOf(':');
+
+    // Whichever separator comes first splits the key from the value
+    let separator = -1;
+    if (equals > 0 && (colon === -1 || equals < colon)) {
+      separator = equals;
+    } else if (colon > 0) {
+      separator = colon;
+    }
+
+    if (separator === -1) {
+      return null;
+    }
+
+    return {
+      key: this.normalizeKey(text.slice(0, separator)),
+      value: text.slice(separator + 1).trim()
+    };
+  }
+
+  /**
+   * Turn a trailer column or option value into a list of raw entries
+   * Strings are split on ";" or new lines, objects map keys to one or more values.
+   * @param {string|Array|Object} value - Raw value
+   * @returns {Array} List of entries
+   */
+  static toList(value) {
+    if (value === undefined || value === null || value === '') {
+      return [];
+    }
+
+    if (Array.isArray(value)) {
+      return value.flatMap(entry => (typeof entry === 'string' ? this.toList(entry) : [entry]));
+    }
+
+    if (typeof value === 'object') {
+      return Object.entries(value).flatMap(([key, values]) =>
+        (Array.isArray(values) ? values : [values]).map(entry => ({ key, value: entry }))
+      );
+    }
+
+    return String(value)
+      .split(/[;\n]/)
+      .map(entry => entry.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Format trailers as message lines
+   * @param {Array} trailers - List of {key, value}
+   * @returns {string} "Key: value" lines
+   */
+  static format(trailers = []) {
+    return trailers.map(({ key, value }) => `${key}: ${value}`).join('\n');
+  }
+
+  /**
+   * Parse "Key: value" lines (e.g. git's %(trailers:only,unfold) output) into structured trailers
+   * @param {string} text - Trailer lines
+   * @returns {Array} List of {key, value}
+   */
+  static parse(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    return text.split('\n')
+      .map(line => line.trim().match(LINE_PATTERN))
+      .filter(Boolean)
+      .map(match => ({ key: match[1], value: match[2].trim() }));
+  }
+
+  /**
+   * Append trailers to a commit message
+   * Joins an existing trailer block like `git interpret-trailers` and skips exact duplicates.
+   * @param {string} message - Commit message
+   * @param {Array} trailers - List of {key, value}
+   * @returns {string} Message with trailers
+   */
+  static append(message, trailers = []) {
+    const body = String(message || '').replace(/\s+$/, '');
+    const paragraphs = body.split(/\n\s*\n/);
+    const lastParagraph = paragraphs.length > 1 ? paragraphs[paragraphs.length - 1] : '';
+    const lastLines = lastParagraph.split('\n');
+    const hasTrailerBlock = lastParagraph !== '' && lastLines.every(line => LINE_PATTERN.test(line.trim()));
+
+    const existing = new Set(hasTrailerBlock ? lastLines.map(line => line.trim().toLowerCase()) : []);
+    const added = [];
+    trailers.forEach(trailer => {
+      const line = `${trailer.key}: ${trailer.value}`;
+      if (!existing.has(line.toLowerCase())) {
+        existing.add(line.toLowerCase());
+        added.push(line);
+      }
+    });
+
+    if (added.length === 0) {
+      return body;
+    }
+
+    return `${body}${hasTrailerBlock ? '\n' : '\n\n'}${added.join('\n')}`;
+  }
+}
+
+module.exports = TrailerUtils;
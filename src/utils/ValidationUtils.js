@@ -7,6 +7,7 @@
  */
 
 const SecurityUtils = require('../security/SecurityUtils');
+const TimezoneUtils = require('./TimezoneUtils');
 const path = require('path');
 
 class ValidationUtils {
@@ -39,9 +40,12 @@ class ValidationUtils {
   /**
    * Validate date string in various formats
    * @param {string} dateStr - Date string to validate
+   * @param {object} options - Optional timezone check
+   * @param {string} options.timezone - IANA timezone the date is expressed in
+   * @param {string} options.time - Time of day (HH:MM) to check against DST gaps
    * @returns {object} Validation result with parsed date
    */
-  static validateDate(dateStr) {
+  static validateDate(dateStr, options = {}) {
     if (!dateStr || typeof dateStr !== 'string') {
       return { valid: false, error: 'Date is required and must be a string' };
     }
@@ -73,6 +77,13 @@ class ValidationUtils {
         return { valid: false, error: 'Date is too far in the future' };
       }
 
+      if (options.timezone) {
+        const zoneValidation = this.validateTimezone(options.timezone, trimmedDate, options.time || '00:00');
+        if (!zoneValidation.valid) {
+          return zoneValidation;
+        }
+      }
+
       return { 
         valid: true, 
         date: parsedDate,
@@ -86,9 +97,12 @@ class ValidationUtils {
   /**
    * Validate time string in HH:MM format
    * @param {string} timeStr - Time string to validate
+   * @param {object} options - Optional timezone check
+   * @param {string} options.timezone - IANA timezone the time is expressed in
+   * @param {string} options.date - Date (YYYY-MM-DD) to check against DST gaps
    * @returns {object} Validation result
    */
-  static validateTime(timeStr) {
+  static validateTime(timeStr, options = {}) {
     if (!timeStr || typeof timeStr !== 'string') {
       return { valid: false, error: 'Time is required and must be a string' };
     }
@@ -103,12 +117,91 @@ class ValidationUtils {
 
     const hours = parseInt(match[1], 10);
     const minutes = parseInt(match[2], 10);
+    const formatted = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+
+    if (options.timezone && options.date) {
+      const zoneValidation = this.validateTimezone(options.timezone, options.date, formatted);
+      if (!zoneValidation.valid) {
+        return zoneValidation;
+      }
+    }
 
     return {
       valid: true,
       hours,
       minutes,
-      formatted: `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`
+      formatted
+    };
+  }
+
+  /**
+   * Validate a combined date and time (YYYY-MM-DD HH:MM)
+   * @param {string} dateTimeStr - Date and time string to validate
+   * @param {object} options - Optional timezone check ({timezone})
+   * @returns {object} Validation result with separate date and time
+   */
+  static validateDateTime(dateTimeStr, options = {}) {
+    if (!dateTimeStr || typeof dateTimeStr !== 'string') {
+      return { valid: false, error: 'Date and time is required and must be a string' };
+    }
+
+    const [datePart, timePart, ...rest] = dateTimeStr.trim().split(/[ T]+/);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(datePart || '') || !timePart || rest.length > 0) {
+      return { valid: false, error: 'Invalid date and time format (expected YYYY-MM-DD HH:MM)' };
+    }
+
+    const dateValidation = this.validateDate(datePart);
+    if (!dateValidation.valid) {
+      return dateValidation;
+    }
+
+    const timeValidation = this.validateTime(timePart, { timezone: options.timezone, date: datePart });
+    if (!timeValidation.valid) {
+      return timeValidation;
+    }
+
+    return {
+      valid: true,
+      date: datePart,
+      time: timeValidation.formatted,
+      formatted: `${datePart} ${timeValidation.formatted}`
+    };
+  }
+
+  /**
+   * Validate an IANA timezone, optionally checking that a local time exists in it
+   * @param {string} timezone - IANA timezone (e.g., Europe/Berlin)
+   * @param {string} date - Optional date (YYYY-MM-DD)
+   * @param {string} time - Optional time (HH:MM)
+   * @returns {object} Validation result with the resolved offset
+   */
+  static validateTimezone(timezone, date = null, time = null) {
+    if (!timezone || typeof timezone !== 'string') {
+      return { valid: false, error: 'Timezone is required and must be a string' };
+    }
+
+    if (!TimezoneUtils.isValidTimezone(timezone)) {
+      return {
+        valid: false,
+        error: `Unknown timezone: ${timezone}`,
+        suggestion: 'Use an IANA timezone name (e.g., Europe/Berlin, America/New_York, UTC)'
+      };
+    }
+
+    if (!date || !time) {
+      return { valid: true, timezone: timezone.trim() };
+    }
+
+    const resolved = TimezoneUtils.resolve(date, time, timezone);
+    if (!resolved.valid) {
+      return { valid: false, error: resolved.error, suggestion: resolved.suggestion };
+    }
+
+    return {
+      valid: true,
+      timezone: resolved.timezone,
+      offset: resolved.offset,
+      ambiguous: resolved.ambiguous
     };
   }
 
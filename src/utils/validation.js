@@ -10,6 +10,8 @@ const moment = require('moment');
 const fs = require('fs').promises;
 const path = require('path');
 const simpleGit = require('simple-git');
+const TimezoneUtils = require('./TimezoneUtils');
+const TrailerUtils = require('./TrailerUtils');
 
 /**
  * Enhanced validation utilities with detailed error messages and context-aware help
@@ -20,9 +22,10 @@ class ValidationUtils {
    * Validate date format with detailed error messages
    * @param {string} dateString - Date string to validate
    * @param {string} format - Expected date format (default: 'YYYY-MM-DD')
+   * @param {Object} options - Optional timezone check ({timezone, time})
    * @returns {Object} Validation result with success flag and detailed message
    */
-  static validateDate(dateString, format = 'YYYY-MM-DD') {
+  static validateDate(dateString, format = 'YYYY-MM-DD', options = {}) {
     if (!dateString || typeof dateString !== 'string') {
       return {
         isValid: false,
@@ -60,6 +63,13 @@ class ValidationUtils {
       };
     }
 
+    if (options.timezone) {
+      const zoneValidation = this.validateTimezone(options.timezone, parsedDate.format('YYYY-MM-DD'), options.time || '00:00');
+      if (!zoneValidation.isValid) {
+        return zoneValidation;
+      }
+    }
+
     return {
       isValid: true,
       value: parsedDate.format(format),
@@ -70,9 +80,10 @@ class ValidationUtils {
   /**
    * Validate time format with detailed error messages
    * @param {string} timeString - Time string to validate
+   * @param {Object} options - Optional timezone check ({timezone, date})
    * @returns {Object} Validation result with success flag and detailed message
    */
-  static validateTime(timeString) {
+  static validateTime(timeString, options = {}) {
     if (!timeString || typeof timeString !== 'string') {
       return {
         isValid: false,
@@ -107,6 +118,13 @@ class ValidationUtils {
     // Format with leading zeros
     const formattedTime = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
 
+    if (options.timezone && options.date) {
+      const zoneValidation = this.validateTimezone(options.timezone, options.date, formattedTime);
+      if (!zoneValidation.isValid) {
+        return zoneValidation;
+      }
+    }
+
     return {
       isValid: true,
       value: formattedTime,
@@ -115,6 +133,102 @@ class ValidationUtils {
     };
   }
 
+  /**
+   * Validate combined date and time (YYYY-MM-DD HH:MM), e.g. for author/committer dates
+   * @param {string} dateTimeString - Date and time string to validate
+   * @param {Object} options - Optional timezone check ({timezone}) and field name
+   * @returns {Object} Validation result with separate date and time values
+   */
+  static validateDateTime(dateTimeString, options = {}) {
+    const fieldName = options.fieldName || 'Date and time';
+
+    if (!dateTimeString || typeof dateTimeString !== 'string' || dateTimeString.trim() === '') {
+      return {
+        isValid: false,
+        error: `${fieldName} is required`,
+        suggestion: 'Please use "YYYY-MM-DD HH:MM" format (e.g., "2023-06-15 14:30")'
+      };
+    }
+
+    const [datePart, timePart, ...rest] = dateTimeString.trim().split(/[ T]+/);
+    if (!timePart || rest.length > 0) {
+      return {
+        isValid: false,
+        error: `Invalid ${fieldName.toLowerCase()} format: "${dateTimeString.trim()}"`,
+        suggestion: 'Please use "YYYY-MM-DD HH:MM" format (e.g., "2023-06-15 14:30")'
+      };
+    }
+
+    const dateValidation = this.validateDate(datePart);
+    if (!dateValidation.isValid) {
+      return dateValidation;
+    }
+
+    const timeValidation = this.validateTime(timePart, {
+      timezone: options.timezone,
+      date: dateValidation.value
+    });
+    if (!timeValidation.isValid) {
+      return timeValidation;
+    }
+
+    return {
+      isValid: true,
+      value: `${dateValidation.value} ${timeValidation.value}`,
+      date: dateValidation.value,
+      time: timeValidation.value
+    };
+  }
+
+  /**
+   * Validate IANA timezone, optionally checking that a local date/time exists in it
+   * @param {string} timezone - Timezone name (e.g., Europe/Berlin)
+   * @param {string} date - Optional date (YYYY-MM-DD) to check
+   * @param {string} time - Optional time (HH:MM) to check
+   * @returns {Object} Validation result with resolved offset
+   */
+  static validateTimezone(timezone, date = null, time = null) {
+    if (!timezone || typeof timezone !== 'string' || timezone.trim() === '') {
+      return {
+        isValid: false,
+        error: 'Timezone is required',
+        suggestion: 'Please provide an IANA timezone (e.g., Europe/Berlin, America/New_York, UTC)'
+      };
+    }
+
+    const trimmedZone = timezone.trim();
+    if (!TimezoneUtils.isValidTimezone(trimmedZone)) {
+      return {
+        isValid: false,
+        error: `Unknown timezone: "${trimmedZone}"`,
+        suggestion: 'Please use an IANA timezone name (e.g., Europe/Berlin, America/New_York, UTC)'
+      };
+    }
+
+    if (!date || !time) {
+      return {
+        isValid: true,
+        value: trimmedZone
+      };
+    }
+
+    const resolved = TimezoneUtils.resolve(date, time, trimmedZone);
+    if (!resolved.valid) {
+      return {
+        isValid: false,
+        error: resolved.error,
+        suggestion: resolved.suggestion
+      };
+    }
+
+    return {
+      isValid: true,
+      value: trimmedZone,
+      offset: resolved.offset,
+      ambiguous: resolved.ambiguous
+    };
+  }
+
   /**
    * Validate commit message with comprehensive checks
    * @param {string} message - Commit message to validate
@@ -243,6 +357,96 @@ class ValidationUtils {
     };
   }
 
+  /**
+   * Validate a commit trailer ("key=value", "Key: value" or {key, value})
+   * Identity trailers such as Co-authored-by and Signed-off-by must name a valid author.
+   * @param {string|Object} trailer - Trailer to validate
+   * @param {Object} options - Validation options
+   * @param {boolean} options.checkIdentities - Apply the author rules to identity trailers (default: true)
+   * @returns {Object} Validation result with the parsed key and value
+   */
+  static validateTrailer(trailer, options = {}) {
+    const parsed = TrailerUtils.parseTrailer(trailer);
+    if (!parsed) {
+      return {
+        isValid: false,
+        error: `Invalid trailer: "${typeof trailer === 'string' ? trailer : JSON.stringify(trailer)}"`,
+        suggestion: 'Please use format: key=value (e.g., "Reviewed-by=Jane Doe <jane@example.com>")'
+      };
+    }
+
+    if (!TrailerUtils.isValidKey(parsed.key)) {
+      return {
+        isValid: false,
+        error: `Invalid trailer key: "${parsed.key}"`,
+        suggestion: 'Trailer keys may only contain letters, digits and hyphens'
+      };
+    }
+
+    if (parsed.value === '' || /[\r\n]/.test(parsed.value)) {
+      return {
+        isValid: false,
+        error: `Trailer "${parsed.key}" needs a single-line value`,
+        suggestion: 'Please provide a value after the key (e.g., "Issue=#42")'
+      };
+    }
+
+    if (options.checkIdentities !== false && TrailerUtils.isIdentityKey(parsed.key)) {
+      const authorValidation = this.validateAuthor(parsed.value);
+      if (!authorValidation.isValid) {
+        return {
+          isValid: false,
+          error: `Invalid ${parsed.key} trailer: ${authorValidation.error}`,
+          suggestion: authorValidation.suggestion
+        };
+      }
+      parsed.value = authorValidation.value;
+    }
+
+    return {
+      isValid: true,
+      value: parsed,
+      key: parsed.key
+    };
+  }
+
+  /**
+   * Validate co-authors and trailers and combine them into one trailer list
+   * @param {Object} input - Raw input
+   * @param {Array|string} input.coAuthors - Co-authors in "Name <email>" format
+   * @param {Array|string|Object} input.trailers - Additional trailers
+   * @param {Object} options - Trailer rules passed to validateTrailer
+   * @returns {Object} Validation result whose value is a list of {key, value}
+   */
+  static validateTrailers({ coAuthors = [], trailers = [] } = {}, options = {}) {
+    const result = [];
+
+    for (const coAuthor of TrailerUtils.toList(coAuthors)) {
+      const authorValidation = this.validateAuthor(typeof coAuthor === 'string' ? coAuthor : coAuthor.value);
+      if (!authorValidation.isValid) {
+        return {
+          isValid: false,
+          error: `Invalid co-author: ${authorValidation.error}`,
+          suggestion: authorValidation.suggestion
+        };
+      }
+      result.push({ key: 'Co-authored-by', value: authorValidation.value });
+    }
+
+    for (const trailer of TrailerUtils.toList(trailers)) {
+      const trailerValidation = this.validateTrailer(trailer, options);
+      if (!trailerValidation.isValid) {
+        return trailerValidation;
+      }
+      result.push(trailerValidation.value);
+    }
+
+    return {
+      isValid: true,
+      value: result
+    };
+  }
+
   /**
    * Validate email address
    * @param {string} email - Email address to validate
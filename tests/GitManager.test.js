@@ -7,11 +7,16 @@
  */
 
 const GitManager = require('../src/core/GitManager');
+const IsolatedWorktree = require('../src/core/IsolatedWorktree');
 const GitTransaction = require('../src/core/GitTransaction');
 const OperationManager = require('../src/core/OperationManager');
+const MessageFilter = require('../src/utils/MessageFilter');
+const AuthorMap = require('../src/utils/AuthorMap');
+const PurgeFilter = require('../src/utils/PurgeFilter');
+const MigrationPlan = require('../src/utils/MigrationPlan');
 const path = require('path');
 const fs = require('fs').promises;
-const { execSync, spawn } = require('child_process');
+const { execSync, spawn, spawnSync } = require('child_process');
 const os = require('os');
 
 describe('GitManager', () => {
@@ -151,6 +156,31 @@ describe('GitManager', () => {
       expect(log).toContain('Test commit with custom date');
     });
 
+    test('should append trailers to the commit message', async () => {
+      await fs.writeFile(path.join(testRepoPath, 'test-trailers.txt'), 'Pairing');
+      execSync('git add test-trailers.txt', { stdio: 'ignore' });
+
+      const result = await gitManager.createCommit({
+        message: 'Pair on parser',
+        date: '2023-06-15',
+        time: '14:30',
+        trailers: [
+          { key: 'Co-authored-by', value: 'Jane Doe <jane@example.com>' },
+          { key: 'Issue', value: '#7' }
+        ]
+      });
+      expect(result.success).toBe(true);
+
+      const trailers = execSync('git log -1 --format="%(trailers:only,unfold)"', { encoding: 'utf8' });
+      expect(trailers).toContain('Co-authored-by: Jane Doe <jane@example.com>\nIssue: #7');
+
+      const [commit] = await gitManager.getCommitHistory({ limit: 1 });
+      expect(commit.trailers).toEqual([
+        { key: 'Co-authored-by', value: 'Jane Doe <jane@example.com>' },
+        { key: 'Issue', value: '#7' }
+      ]);
+    });
+
     test('should handle commit creation errors', async () => {
       const commitData = {
         message: 'Test commit without staged files',
@@ -259,6 +289,478 @@ describe('GitManager', () => {
     });
   });
 
+  describe('commit signing', () => {
+    let signRepoPath;
+    let signManager;
+    let keyPath;
+
+    const git = (command) => execSync(`git ${command}`, { cwd: signRepoPath, stdio: 'pipe' }).toString().trim();
+
+    beforeEach(async () => {
+      signRepoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-sign-test-'));
+      keyPath = path.join(signRepoPath, '.git', 'signing-key');
+      git('init -q -b main');
+      git('config user.name "Test User"');
+      git('config user.email "test@example.com"');
+      git('config gpg.format ssh');
+      execSync(`ssh-keygen -q -t ed25519 -N "" -f ${keyPath}`);
+
+      signManager = new GitManager(signRepoPath);
+    });
+
+    afterEach(async () => {
+      await fs.rm(signRepoPath, { recursive: true, force: true });
+    });
+
+    test('should require a key for SSH signing', async () => {
+      await expect(signManager.resolveSigning({ sign: true })).rejects.toThrow('SSH signing requires --signing-key');
+      expect(await signManager.resolveSigning({})).toBeNull();
+      expect(await signManager.resolveSigning({ signingKey: keyPath })).toEqual({
+        sign: true,
+        signingKey: keyPath,
+        format: 'ssh',
+        key: keyPath
+      });
+    });
+
+    test('should sign dated commits with an SSH key', async () => {
+      await fs.writeFile(path.join(signRepoPath, 'file.txt'), 'content');
+      git('add file.txt');
+
+      const result = await signManager.commitWithDate('Signed commit', '2023-06-15', '10:00', null, {
+        sign: true,
+        signingKey: keyPath
+      });
+
+      expect(result.signed).toBe(true);
+      expect(git('cat-file commit HEAD')).toContain('gpgsig -----BEGIN SSH SIGNATURE-----');
+      expect(git('log -1 --format=%ad --date=format:%Y-%m-%d')).toBe('2023-06-15');
+    });
+
+    test('should flag signed commits in migration plans', async () => {
+      await fs.writeFile(path.join(signRepoPath, 'a.txt'), 'a');
+      git('add a.txt');
+      git('commit -q -m Unsigned');
+      await fs.writeFile(path.join(signRepoPath, 'b.txt'), 'b');
+      git('add b.txt');
+      git(`commit -q -m Signed --gpg-sign=${keyPath}`);
+
+      const plan = await signManager.migrateCommits('HEAD~1..HEAD', '2023-06-15', 1, '09:00');
+
+      expect(plan.commits.map(commit => commit.signed)).toEqual([true]);
+    });
+  });
+
+  describe('merge-preserving migration', () => {
+    let mergeRepoPath;
+    let mergeManager;
+
+    const git = (command) => execSync(`git ${command}`, { cwd: mergeRepoPath, stdio: 'pipe' }).toString().trim();
+
+    const commitFile = async (file, message) => {
+      await fs.writeFile(path.join(mergeRepoPath, file), message);
+      git(`add ${file}`);
+      git(`commit -q -m "${message}"`);
+    };
+
+    beforeEach(async () => {
+      mergeRepoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-merge-test-'));
+      git('init -q -b main');
+      git('config user.name "Test User"');
+      git('config user.email "test@example.com"');
+
+      await commitFile('root.txt', 'Root');
+      git('checkout -q -b feature');
+      await commitFile('feature.txt', 'Feature');
+      git('checkout -q main');
+      await commitFile('main.txt', 'Main');
+      git('merge -q --no-ff feature -m "Merge feature"');
+
+      mergeManager = new GitManager(mergeRepoPath);
+    });
+
+    afterEach(async () => {
+      await fs.rm(mergeRepoPath, { recursive: true, force: true });
+    });
+
+    test('should rewrite dates across merges and keep the parent graph', async () => {
+      const originalTree = git('rev-parse HEAD^{tree}');
+      const plan = await mergeManager.migrateCommits('HEAD~2..HEAD', '2023-06-15', 2, '09:00');
+
+      expect(plan.strategy).toBe('fast-import');
+      expect(plan.commits.map(commit => commit.parents.length)).toContain(2);
+
+      const result = await mergeManager.executeMigration(plan.commits);
+
+      expect(result.strategy).toBe('fast-import');
+      expect(result.validation.success).toBe(true);
+      expect(result.validation.summary.integrityChecks).toContain('Parent graph and trees: 3 commit(s) verified');
+      expect(git('log -1 --format=%P HEAD').split(' ')).toHaveLength(2);
+      expect(git('rev-parse HEAD^{tree}')).toBe(originalTree);
+      expect(git('log --format=%ad --date=short HEAD^1 -1')).toMatch(/^2023-06-1[5-7]$/);
+      expect(git('log --format=%ad --date=short HEAD^2 -1')).toMatch(/^2023-06-1[5-7]$/);
+    });
+
+    test('should refuse porcelain strategies for ranges with merges', async () => {
+      await expect(mergeManager.migrateCommits('HEAD~2..HEAD', '2023-06-15', 2, '09:00', { strategy: 'cherry-pick' }))
+        .rejects.toThrow('cannot preserve merge commits');
+    });
+
+    test('should only rewrite other refs with the native engine', () => {
+      const linear = [{ originalHash: 'a'.repeat(40), parents: ['b'.repeat(40)] }];
+
+      expect(mergeManager.determineMigrationStrategy(linear, { rewriteRefs: true })).toBe('fast-import');
+      expect(() => mergeManager.determineMigrationStrategy(linear, { strategy: 'cherry-pick', rewriteRefs: true }))
+        .toThrow('cannot rewrite tags, branches and notes');
+    });
+
+    test('should rewrite filtered messages in the migration pass', async () => {
+      const filter = MessageFilter.load(['s/^(Feature|Main)$/PROJ-1: $1/']);
+      const plan = await mergeManager.migrateCommits('HEAD~2..HEAD', '2023-06-15', 2, '09:00', { messageFilter: filter });
+
+      const changed = plan.commits.filter(commit => commit.newMessage);
+      expect(changed.map(commit => commit.newMessage).sort()).toEqual(['PROJ-1: Feature\n', 'PROJ-1: Main\n']);
+      expect(changed[0].originalMessage).toMatch(/^(Feature|Main)\n$/);
+      expect(() => mergeManager.determineMigrationStrategy(
+        [{ originalHash: 'a'.repeat(40), parents: ['b'.repeat(40)], newMessage: 'Renamed\n' }],
+        { strategy: 'filter-branch' }
+      )).toThrow('cannot rewrite commit messages');
+
+      const result = await mergeManager.executeMigration(plan.commits);
+
+      expect(result.rewrittenMessages).toBe(2);
+      expect(git('log --format=%s HEAD^2 -1')).toBe('PROJ-1: Feature');
+      expect(git('log --format=%s HEAD -1')).toBe('Merge feature');
+    });
+
+    test('should remap authors and committers in the migration pass', async () => {
+      const authorMap = AuthorMap.fromMailmap('Tess User <tess@example.com> <test@example.com>');
+      const plan = await mergeManager.migrateCommits('HEAD~2..HEAD', '2023-06-15', 2, '09:00', { authorMap });
+
+      expect(plan.commits.every(commit => commit.newAuthor && commit.newCommitter)).toBe(true);
+      expect(plan.commits[0].newAuthor).toEqual({ name: 'Tess User', email: 'tess@example.com' });
+      expect(() => mergeManager.determineMigrationStrategy(
+        [{ originalHash: 'a'.repeat(40), parents: ['b'.repeat(40)], newAuthor: plan.commits[0].newAuthor }],
+        { strategy: 'cherry-pick' }
+      )).toThrow('cannot rewrite author and committer identities');
+
+      const result = await mergeManager.executeMigration(plan.commits);
+
+      expect(result.rewrittenIdentities).toBe(3);
+      expect(git('log --format="%an <%ae>|%cn <%ce>" HEAD~2..HEAD').split('\n'))
+        .toEqual(Array(3).fill('Tess User <tess@example.com>|Tess User <tess@example.com>'));
+      expect(git('log --format=%ad --date=short HEAD^2 -1')).toMatch(/^2023-06-1[5-7]$/);
+    });
+
+    test('should purge a path from every commit and keep dates and the merge', async () => {
+      const filter = new PurgeFilter({ paths: ['feature.txt'] });
+      const originalDates = git('log --format=%ad --date=raw HEAD');
+      const plan = await mergeManager.planPurge('HEAD', filter);
+
+      expect(plan.totalCommits).toBe(4);
+      expect(plan.commits.map(commit => commit.message).sort()).toEqual(['Feature', 'Merge feature']);
+      await expect(mergeManager.planPurge('--all', filter)).rejects.toThrow();
+
+      const result = await mergeManager.executePurge(plan, filter);
+
+      expect(result.purgedCommits).toBe(2);
+      expect(result.removedPaths).toEqual(['feature.txt']);
+      expect(git('log --format=%H HEAD -- feature.txt')).toBe('');
+      expect(git('ls-tree -r --name-only HEAD')).toBe('main.txt\nroot.txt');
+      expect(git('log --format=%ad --date=raw HEAD')).toBe(originalDates);
+      expect(git('log -1 --format=%P HEAD').split(' ')).toHaveLength(2);
+      expect(git('status --porcelain')).toBe('?? feature.txt');
+    });
+  });
+
+  describe('resumable migrations', () => {
+    let resumeRepoPath;
+    let originalHead;
+    let commits;
+
+    const git = (command) => execSync(`git ${command}`, { cwd: resumeRepoPath, stdio: 'pipe' }).toString().trim();
+
+    // Rewrite the first commit, then stop as if the process had been killed
+    const crashAfterFirstCommit = async () => {
+      const manager = new GitManager(resumeRepoPath);
+      const journal = manager.getMigrationJournal();
+      await journal.start({
+        transactionId: 'crash-test',
+        strategy: 'cherry-pick',
+        originalBranch: 'main',
+        originalHead,
+        backupBranch: 'histofy-backup-crash-test',
+        commits,
+        options: {}
+      });
+      git('branch histofy-backup-crash-test');
+
+      let iterations = 0;
+      manager.isCancelled = () => iterations++ > 0;
+      await expect(manager.executeCherryPickMigration(commits, { journal })).rejects.toThrow('cancelled');
+      await journal.update({ pid: spawnSync('true').pid });
+    };
+
+    beforeEach(async () => {
+      resumeRepoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-resume-test-'));
+      git('init -q -b main');
+      git('config user.name "Test User"');
+      git('config user.email "test@example.com"');
+      for (const name of ['root', 'a', 'b', 'c']) {
+        await fs.writeFile(path.join(resumeRepoPath, `${name}.txt`), name);
+        git(`add ${name}.txt`);
+        git(`commit -q -m "Add ${name}"`);
+      }
+      originalHead = git('rev-parse HEAD');
+
+      const plan = await new GitManager(resumeRepoPath).migrateCommits('HEAD~3..HEAD', '2023-06-15', 3, '09:00');
+      commits = plan.commits.sort((a, b) => new Date(a.originalDate) - new Date(b.originalDate));
+    });
+
+    afterEach(async () => {
+      await fs.rm(resumeRepoPath, { recursive: true, force: true });
+    });
+
+    test('should continue a crashed cherry-pick migration after the last journaled commit', async () => {
+      await crashAfterFirstCommit();
+      const manager = new GitManager(resumeRepoPath);
+
+      const status = await manager.getMigrationStatus();
+      expect(status).toMatchObject({ interrupted: true, completedCommits: 1, totalCommits: 3, originalBranch: 'main' });
+      expect(status.currentBranch).toBe(status.migrationBranch);
+      await expect(manager.executeMigration(commits)).rejects.toThrow('interrupted migration must be resolved first');
+
+      const firstRewrite = (await manager.getMigrationJournal().load()).completed[0].newHash;
+      const result = await manager.continueMigration();
+
+      expect(result).toMatchObject({ success: true, resumed: true, migratedCount: 3, backupBranch: 'histofy-backup-crash-test' });
+      expect(result.commitMap[commits[0].originalHash]).toBe(firstRewrite);
+      expect(git('rev-parse HEAD~2')).toBe(firstRewrite);
+      expect(git('log --format=%s main').split('\n')).toEqual(['Add c', 'Add b', 'Add a', 'Add root']);
+      expect(git('branch --list "histofy-migration-*"')).toBe('');
+      expect(await manager.getMigrationStatus()).toBeNull();
+    });
+
+    test('should abort a crashed migration and remove its leftovers', async () => {
+      await crashAfterFirstCommit();
+      const manager = new GitManager(resumeRepoPath);
+
+      const result = await manager.abortMigration();
+
+      expect(result).toMatchObject({ success: true, restoredBranch: 'main', backupDeleted: true, issues: [] });
+      expect(git('symbolic-ref --short HEAD')).toBe('main');
+      expect(git('rev-parse HEAD')).toBe(originalHead);
+      expect(git('branch --format="%(refname:short)"')).toBe('main');
+      expect(await manager.getMigrationStatus()).toBeNull();
+      await expect(manager.continueMigration()).rejects.toThrow('No interrupted migration found');
+    });
+
+    test('should finish a native migration whose refs moved before the crash', async () => {
+      const manager = new GitManager(resumeRepoPath);
+      const journal = manager.getMigrationJournal();
+      await journal.start({ strategy: 'fast-import', originalBranch: 'main', originalHead, commits, options: {} });
+
+      const setPhase = journal.setPhase.bind(journal);
+      journal.setPhase = async (phase, state) => {
+        if (phase === 'refs-updated') {
+          throw new Error('killed');
+        }
+        return setPhase(phase, state);
+      };
+      await expect(manager.executeNativeMigration(commits, { journal })).rejects.toThrow('killed');
+      const newHead = git('rev-parse main');
+      expect(newHead).not.toBe(originalHead);
+
+      const result = await new GitManager(resumeRepoPath).continueMigration();
+
+      expect(result.commitMap[originalHead]).toBe(newHead);
+      expect(git('rev-parse main')).toBe(newHead);
+      expect(git('log --format=%ad --date=short -1 main')).toMatch(/^2023-06-1[5-7]$/);
+    });
+  });
+
+  describe('isolated migrations', () => {
+    let isolatedRepoPath;
+    let originalHead;
+    let commits;
+
+    const git = (command, cwd = isolatedRepoPath) => execSync(`git ${command}`, { cwd, stdio: 'pipe' }).toString().trim();
+
+    // Leave the cherry-pick half done in its worktree, as if the process had been killed
+    const crashInWorktree = async () => {
+      const manager = new GitManager(isolatedRepoPath);
+      const journal = manager.getMigrationJournal();
+      const worktree = await IsolatedWorktree.create(isolatedRepoPath);
+      await journal.start({
+        strategy: 'cherry-pick',
+        originalBranch: 'main',
+        originalHead,
+        commits,
+        options: { isolated: true },
+        worktree: worktree.toJSON()
+      });
+
+      const worker = manager.createWorktreeManager(worktree);
+      let iterations = 0;
+      worker.isCancelled = () => iterations++ > 0;
+      await expect(worker.executeCherryPickMigration(commits, { journal })).rejects.toThrow('cancelled');
+      await journal.update({ pid: spawnSync('true').pid });
+      return worktree;
+    };
+
+    beforeEach(async () => {
+      isolatedRepoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-isolated-test-'));
+      git('init -q -b main');
+      git('config user.name "Test User"');
+      git('config user.email "test@example.com"');
+      for (const name of ['root', 'a', 'b', 'c']) {
+        await fs.writeFile(path.join(isolatedRepoPath, `${name}.txt`), name);
+        git(`add ${name}.txt`);
+        git(`commit -q -m "Add ${name}"`);
+      }
+      originalHead = git('rev-parse HEAD');
+
+      // Work in progress that a migration must not disturb
+      await fs.writeFile(path.join(isolatedRepoPath, 'a.txt'), 'unstaged edit');
+      await fs.writeFile(path.join(isolatedRepoPath, 'staged.txt'), 'staged file');
+      git('add staged.txt');
+
+      const plan = await new GitManager(isolatedRepoPath).migrateCommits('HEAD~3..HEAD', '2023-06-15', 3, '09:00');
+      commits = plan.commits;
+    });
+
+    afterEach(async () => {
+      await fs.rm(isolatedRepoPath, { recursive: true, force: true });
+    });
+
+    const expectWorkInProgressKept = async () => {
+      expect(await fs.readFile(path.join(isolatedRepoPath, 'a.txt'), 'utf8')).toBe('unstaged edit');
+      expect(git('diff --cached --name-only')).toBe('staged.txt');
+      expect(git('symbolic-ref --short HEAD')).toBe('main');
+      expect(git('worktree list').split('\n')).toHaveLength(1);
+      expect(git('branch --list "histofy-isolated-*"')).toBe('');
+    };
+
+    test('should reject uncommitted changes unless the migration is isolated', async () => {
+      const manager = new GitManager(isolatedRepoPath);
+
+      expect((await manager.validateRepositoryForMigration()).success).toBe(false);
+      const validation = await manager.validateRepositoryForMigration({ isolated: true });
+      expect(validation.success).toBe(true);
+      expect(validation.warnings).toContain('1 staged file(s) will be left untouched');
+    });
+
+    test('should run a cherry-pick migration in a worktree and only move the branch', async () => {
+      const result = await new GitManager(isolatedRepoPath).executeMigration(commits, { strategy: 'cherry-pick', isolated: true });
+
+      expect(result).toMatchObject({ success: true, migratedCount: 3, isolated: true });
+      expect(git('log --format=%s main').split('\n')).toEqual(['Add c', 'Add b', 'Add a', 'Add root']);
+      expect(git('log --format=%ad --date=short -3 main').split('\n').every(date => date >= '2023-06-15')).toBe(true);
+      expect(git('rev-parse main~3')).toBe(git(`rev-parse ${originalHead}~3`));
+      await expectWorkInProgressKept();
+    });
+
+    test('should resume a crashed isolated migration in its worktree', async () => {
+      await crashInWorktree();
+      const manager = new GitManager(isolatedRepoPath);
+
+      const status = await manager.getMigrationStatus();
+      expect(status).toMatchObject({ interrupted: true, isolated: true, completedCommits: 1, currentBranch: 'main' });
+      expect(git('rev-parse main')).toBe(originalHead);
+
+      const result = await manager.continueMigration();
+
+      expect(result).toMatchObject({ success: true, resumed: true, migratedCount: 3 });
+      expect(git('rev-parse main')).toBe(result.commitMap[originalHead]);
+      await expectWorkInProgressKept();
+    });
+
+    test('should abort a crashed isolated migration without touching the checkout', async () => {
+      const worktree = await crashInWorktree();
+
+      const result = await new GitManager(isolatedRepoPath).abortMigration();
+
+      expect(result).toMatchObject({ success: true, restoredBranch: 'main', issues: [] });
+      expect(result.deletedRefs).toContain(`refs/heads/${worktree.branch}`);
+      expect(git('rev-parse main')).toBe(originalHead);
+      expect(git('branch --list "histofy-migration-*"')).toBe('');
+      await expectWorkInProgressKept();
+    });
+  });
+
+  describe('migration plan files', () => {
+    let planRepoPath;
+
+    const git = command => execSync(`git ${command}`, { cwd: planRepoPath, stdio: 'pipe' }).toString().trim();
+
+    beforeEach(async () => {
+      planRepoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-plan-test-'));
+      git('init -q -b main');
+      git('config user.name "Test User"');
+      git('config user.email "test@example.com"');
+      for (const name of ['root', 'a', 'b']) {
+        await fs.writeFile(path.join(planRepoPath, `${name}.txt`), name);
+        git(`add ${name}.txt`);
+        git(`commit -q -m "Add ${name}" -m "Body of ${name}"`);
+      }
+    });
+
+    afterEach(async () => {
+      await fs.rm(planRepoPath, { recursive: true, force: true });
+    });
+
+    test('should apply an edited plan exactly', async () => {
+      const manager = new GitManager(planRepoPath);
+      const generated = await manager.migrateCommits('HEAD~2..HEAD', '2023-06-15', 2, '09:00');
+      const exported = await manager.exportMigrationPlan(generated.commits, { range: 'HEAD~2..HEAD' });
+      expect(exported.commits.map(row => row.message)).toEqual(['Add a\n\nBody of a', 'Add b\n\nBody of b']);
+
+      const file = await exported.save(path.join(planRepoPath, '.git', 'plan.json'));
+      const edited = JSON.parse(await fs.readFile(file, 'utf8'));
+      edited.commits[0].newDate = '2023-07-01 10:30:00';
+      edited.commits[1].message = 'Add b, reworded';
+      edited.commits[1].author = 'Jane Doe <jane@example.com>';
+      // Abbreviated hashes work too
+      edited.commits[0].originalHash = edited.commits[0].originalHash.substring(0, 10);
+      await fs.writeFile(file, JSON.stringify(edited));
+
+      const plan = await manager.applyMigrationPlan(await MigrationPlan.load(file));
+      expect(plan).toMatchObject({ success: true, strategy: 'fast-import', warning: null });
+      expect(plan.commits.map(commit => commit.message)).toEqual(['Add a', 'Add b']);
+      expect(plan.commits[0].newMessage).toBeUndefined();
+      expect(plan.commits[1]).toMatchObject({ newMessage: 'Add b, reworded\n', newAuthor: { name: 'Jane Doe', email: 'jane@example.com' } });
+
+      const result = await manager.executeMigration(plan.commits);
+      expect(result.success).toBe(true);
+      expect(git('log -2 --format="%ad|%an|%B" --date=format:%Y-%m-%d').split('\n').filter(Boolean)).toEqual([
+        '2023-06-16|Jane Doe|Add b, reworded',
+        '2023-07-01|Test User|Add a',
+        'Body of a'
+      ]);
+    });
+
+    test('should reject a plan whose commits are no longer on HEAD', async () => {
+      const manager = new GitManager(planRepoPath);
+      const generated = await manager.migrateCommits('HEAD~2..HEAD', '2023-06-15', 2, '09:00');
+      const plan = await manager.exportMigrationPlan(generated.commits);
+
+      git('commit -q --amend -m "Add b, amended"');
+
+      await expect(manager.applyMigrationPlan(plan))
+        .rejects.toThrow('Plan is stale: 1 commit(s) are no longer on HEAD');
+    });
+
+    test('should warn when HEAD moved but the planned commits are still on it', async () => {
+      const manager = new GitManager(planRepoPath);
+      const generated = await manager.migrateCommits('HEAD~2..HEAD', '2023-06-15', 2, '09:00');
+      const plan = await manager.exportMigrationPlan(generated.commits);
+
+      git('commit -q --allow-empty -m "Later work"');
+
+      expect((await manager.applyMigrationPlan(plan)).warning).toContain('HEAD moved since the plan was written');
+    });
+  });
+
   describe('backup and restore', () => {
     test('should create repository backup', async () => {
       const backupResult = await gitManager.createBackup();
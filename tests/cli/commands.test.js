@@ -0,0 +1,255 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * Command Registration Tests - run the CLI entry point as a user would
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync, spawnSync } = require('child_process');
+const MigrationJournal = require('../../src/core/MigrationJournal');
+
+const CLI = path.join(__dirname, '../../src/index.js');
+
+describe('CLI command registration', () => {
+  let home;
+
+  const histofy = (args, cwd = home) => {
+    const env = { ...process.env, HOME: home };
+    delete env.GIT_EDITOR;
+    const result = spawnSync(process.execPath, [CLI, ...args], { cwd, env, encoding: 'utf8', timeout: 60000 });
+    return { status: result.status, output: `${result.stdout}${result.stderr}` };
+  };
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'histofy-cli-home-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  test('should set up every command', () => {
+    const { status, output } = histofy(['--help']);
+
+    expect(status).toBe(0);
+    expect(output).not.toContain('Error setting up commands');
+  });
+
+  test('should register lint', () => {
+    const { status, output } = histofy(['lint', '--help']);
+
+    expect(status).toBe(0);
+    expect(output).toContain('Usage: histofy lint [options] [range]');
+    expect(output).toContain('--fix <file>');
+  });
+
+  test('should register purge', () => {
+    const { status, output } = histofy(['purge', '--help']);
+
+    expect(status).toBe(0);
+    expect(output).toContain('Usage: histofy purge [options] [range]');
+    expect(output).toContain('--replace-text <secret>');
+  });
+
+  test('should register paint', () => {
+    const { status, output } = histofy(['paint', '--help']);
+
+    expect(status).toBe(0);
+    expect(output).toContain('Usage: histofy paint [options]');
+    expect(output).toContain('--text <text>');
+  });
+
+  test('should register backfill', () => {
+    const { status, output } = histofy(['backfill', '--help']);
+
+    expect(status).toBe(0);
+    expect(output).toContain('Usage: histofy backfill [options]');
+    expect(output).toContain('--min-per-day <count>');
+  });
+
+  describe('migrate', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = path.join(home, 'repo');
+      fs.mkdirSync(repoPath);
+      const git = command => execSync(`git ${command}`, { cwd: repoPath, stdio: 'ignore' });
+      git('init -q -b main');
+      git('config user.name Tester');
+      git('config user.email tester@example.com');
+      ['one', 'two', 'three'].forEach(name => {
+        fs.writeFileSync(path.join(repoPath, `${name}.txt`), name);
+        git('add -A');
+        git(`commit -q -m "Commit ${name}"`);
+      });
+      fs.writeFileSync(path.join(home, 'authors.mailmap'), 'New Name <new@example.com> <tester@example.com>\n');
+    });
+
+    test('should parse the rewrite options into a dry run', () => {
+      const { status, output } = histofy([
+        'migrate', 'HEAD~2..HEAD',
+        '--to-date', '2024-01-01',
+        '--spread', '3',
+        '--distribution', 'jitter',
+        '--seed', '7',
+        '--working-hours', '10:00-16:00',
+        '--tz', 'Europe/Berlin',
+        '--date-target', 'author',
+        '--strategy', 'fast-import',
+        '--rewrite-refs',
+        '--message-filter', 's/Commit/Change/',
+        '--author-map', path.join(home, 'authors.mailmap'),
+        '--isolated',
+        '--dry-run'
+      ], repoPath);
+
+      expect(output).not.toMatch(/unknown option|error:/i);
+      expect(status).toBe(0);
+      expect(output).toContain('distribution: jitter (seed: 7)');
+      expect(output).toContain('strategy: fast-import');
+      expect(output).toContain('messageAfter: Change two');
+      expect(output).toMatch(/authorDate: 2024-01-0\d \d\d:\d\d:\d\d \+0100/);
+    });
+
+    test('should write a plan and report the journal status', () => {
+      const planPath = path.join(home, 'plan.json');
+
+      const planned = histofy(['migrate', 'HEAD~2..HEAD', '--to-date', '2024-01-01', '--plan-out', planPath], repoPath);
+      expect(planned.status).toBe(0);
+      expect(JSON.parse(fs.readFileSync(planPath, 'utf8')).commits).toHaveLength(2);
+
+      const status = histofy(['migrate', '--status'], repoPath);
+      expect(status.status).toBe(0);
+      expect(status.output).toContain('No migration in progress');
+
+      const help = histofy(['migrate', '--help'], repoPath).output;
+      ['--sign', '--signing-key <key>', '--plan-in <file>', '--interactive', '--continue', '--abort'].forEach(flag => {
+        expect(help).toContain(flag);
+      });
+    });
+  });
+
+  test('should number generated template messages from 0 like batch commit', () => {
+    const repoPath = path.join(home, 'repo');
+    fs.mkdirSync(repoPath);
+    execSync('git init -q -b main', { cwd: repoPath, stdio: 'ignore' });
+    fs.writeFileSync(path.join(repoPath, 'message.json'), JSON.stringify({ message: 'Scheduled change {{index}} of {{total}}' }));
+
+    const { output } = histofy([
+      'batch', 'generate',
+      '--from', '2025-01-06',
+      '--to', '2025-01-06',
+      '--per-day', '2',
+      '--seed', 'index',
+      '--template', 'message.json',
+      '--output', 'schedule.json',
+      '--yes'
+    ], repoPath);
+
+    expect(output).not.toMatch(/error/i);
+    const schedule = JSON.parse(fs.readFileSync(path.join(repoPath, 'schedule.json'), 'utf8'));
+    expect(schedule.map(commit => commit.message)).toEqual(['Scheduled change 0 of 2', 'Scheduled change 1 of 2']);
+  });
+
+  test('should merge identities in analyze stats with --author-map', () => {
+    const repoPath = path.join(home, 'repo');
+    fs.mkdirSync(repoPath);
+    execSync('git init -q -b main', { cwd: repoPath, stdio: 'ignore' });
+    execSync('git -c user.name="John Doe" -c user.email=john@example.com commit -q --allow-empty -m "First"', { cwd: repoPath, stdio: 'ignore' });
+    execSync('git -c user.name=jdoe -c user.email=jdoe@old-corp.com commit -q --allow-empty -m "Second"', { cwd: repoPath, stdio: 'ignore' });
+    fs.writeFileSync(path.join(home, 'authors.mailmap'), 'John Doe <john@example.com> <jdoe@old-corp.com>\n');
+
+    const { output } = histofy(['analyze', 'stats', '--author-map', '../authors.mailmap', '--format', 'json'], repoPath);
+
+    expect(output).toContain('"John Doe": 2');
+    expect(output).not.toContain('"jdoe"');
+  });
+
+  describe('batch transplant', () => {
+    let sourcePath;
+    let targetPath;
+
+    const gitIn = (cwd, command) => execSync(`git ${command}`, { cwd, stdio: 'ignore' });
+
+    beforeEach(() => {
+      sourcePath = path.join(home, 'source');
+      targetPath = path.join(home, 'target');
+      [sourcePath, targetPath].forEach(repo => {
+        fs.mkdirSync(repo);
+        gitIn(repo, 'init -q -b main');
+        gitIn(repo, 'config user.name Tester');
+        gitIn(repo, 'config user.email tester@example.com');
+      });
+      gitIn(targetPath, 'commit -q --allow-empty -m "Initial commit"');
+      gitIn(sourcePath, 'commit -q --allow-empty -m "Pair on parser" -m "Co-authored-by: X <x@y.com>"');
+    });
+
+    test('should replay source trailers as they are', () => {
+      const { status, output } = histofy(['batch', 'transplant', '--from', sourcePath, '--dry-run'], targetPath);
+
+      expect(output).not.toContain('Batch validation failed');
+      expect(status).toBe(0);
+    });
+
+    test('should name the source commit a batch would reject', () => {
+      gitIn(sourcePath, '-c user.email=nobody commit -q --allow-empty -m "Broken identity"');
+      const hash = execSync('git rev-parse --short=7 HEAD', { cwd: sourcePath, encoding: 'utf8' }).trim();
+
+      const { output } = histofy(['batch', 'transplant', '--from', sourcePath, '--dry-run'], targetPath);
+
+      expect(output).toContain(`Source commit ${hash} ("Broken identity", row 2): Invalid email format`);
+    });
+  });
+
+  test('should leave a clean checkout after an isolated batch with file operations', () => {
+    const repoPath = path.join(home, 'repo');
+    fs.mkdirSync(repoPath);
+    ['init -q -b main', 'config user.name Tester', 'config user.email tester@example.com', 'commit -q --allow-empty -m "Initial commit"']
+      .forEach(command => execSync(`git ${command}`, { cwd: repoPath, stdio: 'ignore' }));
+    fs.writeFileSync(path.join(home, 'rows.json'), JSON.stringify([
+      { message: 'Add project notes', date: '2025-01-02', files: [{ op: 'write', path: 'new.txt', content: 'notes\n' }] }
+    ]));
+
+    const { output } = histofy(['batch', 'commit', '--input', '../rows.json', '--isolated', '--yes'], repoPath);
+
+    expect(output).not.toMatch(/error/i);
+    expect(execSync('git log -1 --format=%s', { cwd: repoPath, encoding: 'utf8' }).trim()).toBe('Add project notes');
+    expect(execSync('git status --porcelain', { cwd: repoPath, encoding: 'utf8' })).toBe('');
+    expect(fs.readFileSync(path.join(repoPath, 'new.txt'), 'utf8')).toBe('notes\n');
+  });
+
+  describe('interrupted migrations', () => {
+    let repoPath;
+
+    beforeEach(async () => {
+      repoPath = path.join(home, 'repo');
+      fs.mkdirSync(repoPath);
+      execSync('git init -q -b main', { cwd: repoPath, stdio: 'ignore' });
+      fs.writeFileSync(path.join(home, 'rows.json'), JSON.stringify([{ message: 'Add generated fixture' }]));
+
+      const journal = new MigrationJournal(repoPath);
+      await journal.start({
+        strategy: 'cherry-pick',
+        commits: [{ originalHash: 'a'.repeat(40), message: 'First' }],
+        originalBranch: 'main',
+        originalHead: 'b'.repeat(40)
+      });
+      await journal.update({ pid: spawnSync('true').pid });
+    });
+
+    test.each([
+      ['batch commit', ['batch', 'commit', '--input', '../rows.json', '--yes']],
+      ['batch transplant', ['batch', 'transplant', '--from', '..', '--yes']],
+      ['paint', ['paint', '--text', 'HI', '--execute']],
+      ['backfill', ['backfill', '--since', '2025-01-01', '--until', '2025-01-03', '--execute']]
+    ])('should refuse %s', (name, args) => {
+      const { output } = histofy(args, repoPath);
+
+      expect(output).toContain('An interrupted migration must be continued or aborted first');
+    });
+  });
+});
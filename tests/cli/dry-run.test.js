@@ -102,6 +102,7 @@ describe('Dry-Run CLI Integration', () => {
         message: 'Test commit message',
         date: '2023-06-15',
         time: '10:00',
+        timezone: undefined,
         author: undefined,
         addAll: true,
         push: undefined,
@@ -165,7 +166,8 @@ describe('Dry-Run CLI Integration', () => {
         commits: expect.any(Array),
         strategy: undefined,
         targetDate: '2023-06-15',
-        spread: '3'
+        spread: '3',
+        distribution: undefined
       });
       
       expect(mockDryRunManager.displayPreview).toHaveBeenCalledWith({
@@ -0,0 +1,75 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * BatchJournal Tests
+ */
+
+const BatchJournal = require('../../src/core/BatchJournal');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+describe('BatchJournal', () => {
+  let testRepoPath;
+
+  const git = command => execSync(`git ${command}`, { cwd: testRepoPath, encoding: 'utf8' }).trim();
+
+  beforeEach(async () => {
+    testRepoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-batch-journal-test-'));
+    git('init -q -b main');
+    git('config user.name Tester');
+    git('config user.email tester@example.com');
+    git('commit -q --allow-empty -m first');
+  });
+
+  afterEach(async () => {
+    await fs.rm(testRepoPath, { recursive: true, force: true });
+  });
+
+  test('should key rows by content and tell identical rows apart', () => {
+    const row = { message: 'Same commit', date: '2023-06-15' };
+    const keys = BatchJournal.rowKeys([row, { ...row }, { message: 'Other commit', date: '2023-06-15' }]);
+    const reordered = BatchJournal.rowKeys([{ message: 'Other commit', date: '2023-06-15' }, row]);
+
+    expect(new Set(keys).size).toBe(3);
+    expect(reordered).toEqual([keys[2], keys[0]]);
+  });
+
+  test('should append rows in .git/histofy and read them back', async () => {
+    const journal = new BatchJournal(testRepoPath);
+    await journal.begin({ branch: 'main', rows: 2 });
+    await journal.record('key-1', 0, git('rev-parse HEAD'));
+
+    const journalPath = path.join(testRepoPath, '.git', 'histofy', BatchJournal.JOURNAL_FILE);
+    // A crash while appending leaves a partial last line behind
+    await fs.appendFile(journalPath, '{"key":"key-2","ind');
+
+    const resumed = new BatchJournal(testRepoPath, journalPath);
+    expect(await resumed.load()).toMatchObject({ version: 1, branch: 'main', rows: 2 });
+    expect(resumed.get('key-1')).toEqual({ key: 'key-1', index: 0, hash: git('rev-parse HEAD') });
+    expect(resumed.get('key-2')).toBeNull();
+
+    // Beginning a loaded journal keeps its rows
+    await resumed.begin({ branch: 'main' });
+    expect(resumed.rows.size).toBe(1);
+
+    await new BatchJournal(testRepoPath).begin({ branch: 'main' });
+    await expect(new BatchJournal(testRepoPath, path.join(testRepoPath, 'missing.jsonl')).load())
+      .rejects.toThrow('No batch journal at');
+  });
+
+  test('should find recorded commits that left the branch', async () => {
+    const kept = git('rev-parse HEAD');
+    git('commit -q --allow-empty -m second');
+    const dropped = git('rev-parse HEAD');
+    git('reset -q --hard HEAD~1');
+
+    const journal = new BatchJournal(testRepoPath);
+    const missing = await journal.findMissing([{ index: 0, hash: kept }, { index: 1, hash: dropped }]);
+
+    expect(missing).toEqual([{ index: 1, hash: dropped }]);
+  });
+});
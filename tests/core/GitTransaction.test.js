@@ -171,6 +171,46 @@ describe('GitTransaction', () => {
     });
   });
 
+  describe('isolated mode', () => {
+    beforeEach(async () => {
+      transaction = new GitTransaction(testRepoPath, null, { isolated: true });
+      await fs.writeFile(path.join(testRepoPath, 'test.txt'), 'uncommitted work');
+    });
+
+    test('should back up a dirty repository without touching the working tree', async () => {
+      const result = await transaction.createBackup();
+
+      expect(result.success).toBe(true);
+      expect(result.metadata.isolated).toBe(true);
+      expect(await fs.readFile(path.join(testRepoPath, 'test.txt'), 'utf8')).toBe('uncommitted work');
+    });
+
+    test('should only move the branch back from where the operation put it', async () => {
+      await transaction.createBackup();
+      const backupHead = (await git.revparse([transaction.backupBranch])).trim();
+      const tree = (await git.revparse(['HEAD^{tree}'])).trim();
+      const moved = (await git.raw(['commit-tree', tree, '-p', backupHead, '-m', 'Rewritten'])).trim();
+      await git.raw(['update-ref', `refs/heads/${transaction.originalBranch}`, moved]);
+      transaction.recordBranchMove(moved);
+
+      const result = await transaction.rollback();
+
+      expect(result.success).toBe(true);
+      expect((await git.revparse(['HEAD'])).trim()).toBe(backupHead);
+      expect(await fs.readFile(path.join(testRepoPath, 'test.txt'), 'utf8')).toBe('uncommitted work');
+    });
+
+    test('should leave a branch that moved for another reason alone', async () => {
+      await transaction.createBackup();
+      await git.add('test.txt');
+      await git.commit('Work done meanwhile');
+      const head = (await git.revparse(['HEAD'])).trim();
+
+      await expect(transaction.rollback()).rejects.toThrow('has moved since the operation started');
+      expect((await git.revparse(['HEAD'])).trim()).toBe(head);
+    });
+  });
+
   describe('validateCurrentState', () => {
     test('should validate repository state successfully', async () => {
       const result = await transaction.validateCurrentState();
@@ -0,0 +1,419 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * HistoryRewriter Tests
+ */
+
+const HistoryRewriter = require('../../src/core/HistoryRewriter');
+const PurgeFilter = require('../../src/utils/PurgeFilter');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+describe('HistoryRewriter', () => {
+  let testRepoPath;
+  let rewriter;
+
+  const git = (command) => execSync(`git ${command}`, { cwd: testRepoPath, stdio: 'pipe' }).toString().trim();
+
+  const commitFile = async (file, content, message) => {
+    await fs.writeFile(path.join(testRepoPath, file), content);
+    git(`add ${file}`);
+    git(`commit -q -m "${message}"`);
+    return git('rev-parse HEAD');
+  };
+
+  beforeEach(async () => {
+    testRepoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-rewrite-test-'));
+    git('init -q -b main');
+    git('config user.name "Test User"');
+    git('config user.email "test@example.com"');
+
+    rewriter = new HistoryRewriter(testRepoPath);
+  });
+
+  afterEach(async () => {
+    await fs.rm(testRepoPath, { recursive: true, force: true });
+  });
+
+  describe('toRawDate', () => {
+    test('should keep explicit offsets', () => {
+      expect(HistoryRewriter.toRawDate('2023-06-15 10:00:00 +0200')).toBe('1686816000 +0200');
+      expect(HistoryRewriter.toRawDate('2023-06-15T08:00:00Z')).toBe('1686816000 +0000');
+      expect(HistoryRewriter.toRawDate('2023-06-15T10:00:00+02:00')).toBe('1686816000 +0200');
+    });
+
+    test('should pass raw dates through', () => {
+      expect(HistoryRewriter.toRawDate('1686816000 -0400')).toBe('1686816000 -0400');
+    });
+
+    test('should reject invalid dates', () => {
+      expect(() => HistoryRewriter.toRawDate('next tuesday')).toThrow('Invalid commit date');
+    });
+  });
+
+  describe('parseStream / serializeStream', () => {
+    test('should round-trip streams byte for byte', () => {
+      const stream = Buffer.from([
+        'feature done',
+        'commit refs/heads/main',
+        'mark :1',
+        'author A <a@example.com> 1686816000 +0200',
+        'committer A <a@example.com> 1686816000 +0200',
+        'data 12',
+        'data 3\nmark\nM 100644 abc file',
+        '',
+        'done',
+        ''
+      ].join('\n'));
+
+      const commands = HistoryRewriter.parseStream(stream);
+
+      expect(commands.map(command => command.type)).toEqual(['feature', 'commit', 'done']);
+      expect(commands[1].data.toString()).toBe('data 3\nmark\n');
+      expect(HistoryRewriter.getHeader(commands[1], 'mark')).toBe(':1');
+      expect(HistoryRewriter.serializeStream(commands).equals(stream)).toBe(true);
+    });
+
+    test('should only replace the date of identity headers', () => {
+      const [command] = HistoryRewriter.parseStream(Buffer.from('commit x\nauthor Ä <a@example.com> 1 +0000\n'));
+
+      HistoryRewriter.setIdentityDate(command, 'author', '1686816000 +0200');
+
+      expect(command.header[1].toString()).toBe('author Ä <a@example.com> 1686816000 +0200');
+    });
+  });
+
+  describe('streamObjects', () => {
+    test('should hand over objects larger than a pipe read one at a time', async () => {
+      const large = 'x'.repeat(300000);
+      await commitFile('large.txt', large, 'Large');
+      await commitFile('small.txt', 'small', 'Small');
+      const objects = [];
+
+      await rewriter.streamObjects([git('rev-parse HEAD:large.txt'), 'f'.repeat(40), git('rev-parse HEAD:small.txt')],
+        (hash, type, content) => objects.push([type, content.toString()]));
+
+      expect(objects).toEqual([['blob', large], ['blob', 'small']]);
+    });
+  });
+
+  describe('rewrite', () => {
+    test('should rewrite dates and keep trees, messages and descendants', async () => {
+      await commitFile('a.txt', 'a', 'First');
+      const second = await commitFile('b.txt', 'b', 'Second');
+      const third = await commitFile('c.txt', 'c', 'Third');
+      const originalTree = git('rev-parse HEAD^{tree}');
+      const thirdDate = git('log -1 --format=%ad --date=raw HEAD');
+
+      const result = await rewriter.rewrite([{
+        originalHash: second,
+        authorDate: '2020-01-01 10:00:00 +0100',
+        committerDate: '2020-02-01 12:30:00 +0100'
+      }]);
+
+      expect(result.successCount).toBe(1);
+      expect(result.rewrittenCount).toBe(2);
+      expect(result.ref).toBe('refs/heads/main');
+      expect(result.oldHead).toBe(third);
+      expect(result.newHead).toBe(git('rev-parse HEAD'));
+      expect(result.migratedCommits[0].newHash).toBe(result.commitMap[second]);
+
+      expect(git('rev-parse HEAD^{tree}')).toBe(originalTree);
+      expect(git(`log -1 --format='%ad|%cd|%s' --date=iso ${result.commitMap[second]}`))
+        .toBe('2020-01-01 10:00:00 +0100|2020-02-01 12:30:00 +0100|Second');
+      expect(git('log -1 --format=%ad --date=raw HEAD')).toBe(thirdDate);
+      expect(git('log --format=%s')).toBe('Third\nSecond\nFirst');
+      expect(git('status --porcelain')).toBe('');
+      expect(git('for-each-ref refs/histofy')).toBe('');
+    });
+
+    test('should preserve merge topology', async () => {
+      const root = await commitFile('a.txt', 'a', 'Root');
+      git('checkout -q -b feature');
+      const feature = await commitFile('f.txt', 'f', 'Feature');
+      git('checkout -q main');
+      await commitFile('m.txt', 'm', 'Main');
+      git('merge -q --no-ff feature -m "Merge feature"');
+      const merge = git('rev-parse HEAD');
+
+      const result = await rewriter.rewrite([
+        { originalHash: feature, newDate: '2021-03-01 09:00:00 +0000' },
+        { originalHash: merge, newDate: '2021-03-02 09:00:00 +0000' }
+      ]);
+
+      const parents = git('log -1 --format=%P HEAD').split(' ');
+      expect(parents).toHaveLength(2);
+      expect(parents[1]).toBe(result.commitMap[feature]);
+      expect(git(`rev-parse ${parents[1]}^`)).toBe(root);
+      expect(git('rev-parse HEAD^{tree}')).toBe(git(`rev-parse ${merge}^{tree}`));
+      expect(git('log -1 --format=%ad --date=iso HEAD')).toBe('2021-03-02 09:00:00 +0000');
+    });
+
+    test('should rewrite root commits', async () => {
+      const root = await commitFile('a.txt', 'a', 'Root');
+
+      const result = await rewriter.rewrite([{ originalHash: root, newDate: '2019-05-05 05:05:05 +0000' }]);
+
+      expect(result.newHead).not.toBe(root);
+      expect(git('log -1 --format=%cd --date=iso HEAD')).toBe('2019-05-05 05:05:05 +0000');
+    });
+
+    test('should fail without moving refs for unknown commits', async () => {
+      const head = await commitFile('a.txt', 'a', 'Root');
+
+      await expect(rewriter.rewrite([{ originalHash: 'deadbeef', newDate: '2020-01-01 00:00:00' }]))
+        .rejects.toThrow('Commit not found: deadbeef');
+      expect(git('rev-parse HEAD')).toBe(head);
+    });
+
+    test('should report commits whose parents or trees differ from the original', async () => {
+      const first = await commitFile('a.txt', 'a', 'First');
+      const second = await commitFile('b.txt', 'b', 'Second');
+      const unrelated = git(`commit-tree ${second}^{tree} -m Unrelated`);
+
+      const clean = await rewriter.verifyRewrite({ [second]: second });
+      const broken = await rewriter.verifyRewrite({ [first]: first, [second]: unrelated });
+
+      expect(clean).toEqual({ success: true, issues: [], checked: 1 });
+      expect(broken.success).toBe(false);
+      expect(broken.issues).toEqual([`Parent mismatch for rewritten commit ${second.substring(0, 8)}`]);
+    });
+
+    test('should reject commits that are not reachable from HEAD', async () => {
+      await commitFile('a.txt', 'a', 'Root');
+      git('checkout -q -b other');
+      const other = await commitFile('o.txt', 'o', 'Other');
+      git('checkout -q main');
+
+      await expect(rewriter.rewrite([{ originalHash: other, newDate: '2020-01-01 00:00:00' }]))
+        .rejects.toThrow('is not reachable from HEAD');
+    });
+  });
+
+  describe('messages', () => {
+    test('should read full messages decoded from their encoding', async () => {
+      const first = await commitFile('a.txt', 'a', 'First');
+      await fs.writeFile(path.join(testRepoPath, 'b.txt'), 'b');
+      git('add b.txt');
+      await fs.writeFile(path.join(testRepoPath, 'msg'), Buffer.from('Caf\xe9\n\nBody line\n', 'latin1'));
+      git('-c i18n.commitEncoding=ISO-8859-1 commit -q -F msg');
+      const second = git('rev-parse HEAD');
+
+      const messages = await rewriter.readMessages([first, second]);
+
+      expect(messages.get(first)).toBe('First\n');
+      expect(messages.get(second)).toBe('Café\n\nBody line\n');
+    });
+
+    test('should replace messages in the same pass and leave the rest untouched', async () => {
+      const first = await commitFile('a.txt', 'a', 'First');
+      await commitFile('b.txt', 'b', 'Second');
+
+      const result = await rewriter.rewrite([
+        { originalHash: first, newDate: '2020-01-01 10:00:00 +0000', newMessage: 'PROJ-1: First\n\nSee tickét\n' }
+      ]);
+
+      expect(result.rewrittenMessages).toBe(1);
+      expect(git(`log -1 --format=%B ${result.commitMap[first]}`)).toBe('PROJ-1: First\n\nSee tickét');
+      expect(git('log -1 --format=%s HEAD')).toBe('Second');
+      expect(git(`cat-file commit ${result.commitMap[first]}`)).not.toContain('encoding ');
+    });
+  });
+
+  describe('purge', () => {
+    test('should remove paths and redact secrets in every rewritten commit', async () => {
+      await fs.writeFile(path.join(testRepoPath, '.env'), 'API_KEY=sk-1234\n');
+      await fs.writeFile(path.join(testRepoPath, 'my "app".js'), 'const key = "sk-1234";\n');
+      git('add -A');
+      git('commit -q -m "Add app with sk-1234"');
+      const first = git('rev-parse HEAD');
+      await commitFile('b.txt', 'b', 'Second');
+      const filter = new PurgeFilter({ paths: ['.env'], secrets: ['sk-1234'] });
+
+      const preview = await rewriter.previewPurge([first], filter);
+      expect(preview.affected.map(commit => commit.removedPaths)).toEqual([['.env'], ['.env']]);
+      expect(preview.affected[0]).toMatchObject({ redactedPaths: ['my "app".js'], messageRedacted: true });
+
+      const result = await rewriter.rewrite([{ originalHash: first }], { purge: filter });
+
+      expect(result.purge.redactedBlobs).toBe(1);
+      expect(git('ls-tree -r --name-only HEAD')).toBe('b.txt\n"my \\"app\\".js"');
+      expect(git('show "HEAD:my \\"app\\".js"')).toBe('const key = "***REMOVED***";');
+      expect(git(`log -1 --format=%s ${result.commitMap[first]}`)).toBe('Add app with ***REMOVED***');
+      expect(git(`log -1 --format=%ad --date=raw ${result.commitMap[first]}`)).toBe(git(`log -1 --format=%ad --date=raw ${first}`));
+    });
+
+    test('should leave commits before the range untouched', async () => {
+      const root = await commitFile('.env', 'API_KEY=1', 'Root');
+      await commitFile('b.txt', 'b', 'Second');
+
+      const result = await rewriter.rewrite([{ originalHash: 'HEAD' }], { purge: new PurgeFilter({ paths: ['.env'] }) });
+
+      expect(git('ls-tree -r --name-only HEAD')).toBe('b.txt');
+      expect(git('rev-parse HEAD~1')).toBe(root);
+      expect(result.purge.removedPaths).toEqual(['.env']);
+    });
+
+    test('should redact files inherited from before the range, however large', async () => {
+      const root = await commitFile('config.js', `${'// padding\n'.repeat(20000)}const key = "sk-1234";\n`, 'Root');
+      const second = await commitFile('b.txt', 'b', 'Second');
+      await commitFile('c.txt', 'c', 'Third');
+      const filter = new PurgeFilter({ secrets: ['sk-1234'] });
+
+      const preview = await rewriter.previewPurge([second], filter);
+      expect(preview.affected.map(commit => commit.redactedPaths)).toEqual([['config.js'], ['config.js']]);
+
+      const result = await rewriter.rewrite([{ originalHash: second }], { purge: filter });
+
+      expect(result.purge.redactedBlobs).toBe(1);
+      expect(git('show HEAD:config.js')).toBe(`${'// padding\n'.repeat(20000)}const key = "***REMOVED***";`);
+      expect(git('rev-parse HEAD~2')).toBe(root);
+    });
+  });
+
+  describe('identities', () => {
+    test('should replace authors and committers in the same pass and keep the new dates', async () => {
+      const first = await commitFile('a.txt', 'a', 'First');
+      await commitFile('b.txt', 'b', 'Second');
+
+      const result = await rewriter.rewrite([
+        {
+          originalHash: first,
+          newDate: '2020-01-01 10:00:00 +0100',
+          newAuthor: { name: 'Jane Doe', email: 'jane@example.com' },
+          newCommitter: { name: 'Jöhn Smith', email: 'john@example.com' }
+        }
+      ]);
+
+      expect(result.rewrittenIdentities).toBe(1);
+      expect(git(`log -1 --format="%an <%ae> %ad|%cn <%ce> %cd" --date=raw ${result.commitMap[first]}`))
+        .toBe('Jane Doe <jane@example.com> 1577869200 +0100|Jöhn Smith <john@example.com> 1577869200 +0100');
+      expect(git('log -1 --format="%an <%ae>" HEAD')).toBe('Test User <test@example.com>');
+    });
+  });
+
+  describe('signing', () => {
+    let keyDir;
+
+    beforeEach(async () => {
+      // Throwaway SSH key; git signs through ssh-keygen when gpg.format=ssh
+      keyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-signing-key-'));
+      execSync(`ssh-keygen -q -t ed25519 -N "" -f ${path.join(keyDir, 'key')}`);
+      git('config gpg.format ssh');
+      git(`config user.signingkey ${path.join(keyDir, 'key')}`);
+    });
+
+    afterEach(async () => {
+      await fs.rm(keyDir, { recursive: true, force: true });
+    });
+
+    const isSigned = (revision) => git(`cat-file commit ${revision}`).includes('gpgsig -----BEGIN SSH SIGNATURE-----');
+
+    test('should detect signed commits', async () => {
+      const unsigned = await commitFile('a.txt', 'a', 'Unsigned');
+      await fs.writeFile(path.join(testRepoPath, 'b.txt'), 'b');
+      git('add b.txt');
+      git('commit -q -S -m Signed');
+      const signed = git('rev-parse HEAD');
+
+      const result = await rewriter.findSignedCommits([unsigned, signed]);
+
+      expect([...result]).toEqual([signed]);
+    });
+
+    test('should report dropped signatures when not signing', async () => {
+      await commitFile('a.txt', 'a', 'First');
+      git('commit -q -S --amend --no-edit');
+      const signedFirst = git('rev-parse HEAD');
+      await commitFile('b.txt', 'b', 'Second');
+
+      const result = await rewriter.rewrite([{ originalHash: signedFirst, newDate: '2020-01-01 10:00:00 +0000' }]);
+
+      expect(result.signed).toBe(false);
+      expect(result.droppedSignatures).toBe(1);
+      expect(isSigned('HEAD~1')).toBe(false);
+    });
+
+    test('should sign every rewritten commit and keep identities and messages', async () => {
+      git('config user.name "Tëst Üser"');
+      const root = await commitFile('a.txt', 'a', 'Root');
+      git('checkout -q -b feature');
+      await commitFile('f.txt', 'f', 'Feature');
+      git('checkout -q main');
+      await commitFile('m.txt', 'm', 'Main');
+      git('merge -q --no-ff feature -m "Merge feature"');
+      const merge = git('rev-parse HEAD');
+
+      const result = await rewriter.rewrite(
+        [{ originalHash: root, authorDate: '2020-01-01 10:00:00 +0100', committerDate: '2020-01-02 10:00:00 +0100' }],
+        { sign: true }
+      );
+
+      expect(result.signed).toBe(true);
+      expect(result.rewrittenCount).toBe(4);
+      ['HEAD', 'HEAD^1', 'HEAD^2', 'HEAD~2'].forEach(revision => expect(isSigned(revision)).toBe(true));
+      expect(git('rev-parse HEAD^{tree}')).toBe(git(`rev-parse ${merge}^{tree}`));
+      expect(git('rev-list --count HEAD')).toBe('4');
+      expect(git(`log -1 --format='%an|%ad|%cd|%s' --date=iso ${result.commitMap[root]}`))
+        .toBe('Tëst Üser|2020-01-01 10:00:00 +0100|2020-01-02 10:00:00 +0100|Root');
+      expect(git('log -1 --format=%B HEAD')).toBe('Merge feature');
+    });
+  });
+
+  describe('rewriteRefs', () => {
+    test('should move tags, descendant branches and notes in the same transaction', async () => {
+      await commitFile('a.txt', 'a', 'First');
+      const second = await commitFile('b.txt', 'b', 'Second');
+      await commitFile('c.txt', 'c', 'Third');
+      git(`tag light ${second}`);
+      git(`tag -a annotated -m "Release notes" ${second}`);
+      git('tag -a nested -m "Tag of a tag" annotated');
+      git(`branch unrelated ${second}^`);
+      git(`checkout -q -b feature ${second}`);
+      const feature = await commitFile('f.txt', 'f', 'Feature');
+      git('checkout -q main');
+      git(`notes add -m "Reviewed" ${second}`);
+      const unrelated = git('rev-parse unrelated');
+
+      const result = await rewriter.rewrite(
+        [{ originalHash: second, newDate: '2020-01-01 10:00:00 +0000' }],
+        { rewriteRefs: true }
+      );
+      const newSecond = result.commitMap[second];
+
+      expect(result.refUpdates.map(update => [update.ref, update.type])).toEqual([
+        ['refs/heads/main', 'current-branch'],
+        ['refs/heads/feature', 'branch'],
+        ['refs/tags/annotated', 'annotated-tag'],
+        ['refs/tags/light', 'tag'],
+        ['refs/notes/commits', 'notes']
+      ]);
+      expect(result.skippedRefs).toEqual([{ ref: 'refs/tags/nested', reason: 'Nested tag objects are not rewritten' }]);
+
+      expect(git('rev-parse light')).toBe(newSecond);
+      expect(git('rev-parse annotated^{commit}')).toBe(newSecond);
+      expect(git('cat-file -p annotated')).toContain('tag annotated');
+      expect(git('cat-file -p annotated')).toContain('Release notes');
+      expect(git('rev-parse feature^')).toBe(newSecond);
+      expect(git('rev-parse feature^{tree}')).toBe(git(`rev-parse ${feature}^{tree}`));
+      expect(git('rev-parse unrelated')).toBe(unrelated);
+      expect(git(`notes show ${newSecond}`)).toBe('Reviewed');
+      expect(git('for-each-ref refs/histofy refs/notes/histofy-*')).toBe('');
+    });
+
+    test('should leave other refs alone by default', async () => {
+      const first = await commitFile('a.txt', 'a', 'First');
+      await commitFile('b.txt', 'b', 'Second');
+      git(`tag v1 ${first}`);
+
+      const result = await rewriter.rewrite([{ originalHash: first, newDate: '2020-01-01 10:00:00 +0000' }]);
+
+      expect(result.refUpdates).toHaveLength(1);
+      expect(git('rev-parse v1')).toBe(first);
+    });
+  });
+});
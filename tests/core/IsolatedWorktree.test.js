@@ -0,0 +1,99 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * IsolatedWorktree Tests
+ */
+
+const IsolatedWorktree = require('../../src/core/IsolatedWorktree');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+describe('IsolatedWorktree', () => {
+  let testRepoPath;
+
+  const git = (command, cwd = testRepoPath) => execSync(`git ${command}`, { cwd, stdio: 'pipe' }).toString().trim();
+
+  beforeEach(async () => {
+    testRepoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-worktree-test-'));
+    git('init -q -b main');
+    git('config user.name "Test User"');
+    git('config user.email "test@example.com"');
+    await fs.writeFile(path.join(testRepoPath, 'file.txt'), 'committed');
+    git('add file.txt');
+    git('commit -q -m "Initial commit"');
+    await fs.writeFile(path.join(testRepoPath, 'file.txt'), 'uncommitted');
+  });
+
+  afterEach(async () => {
+    await fs.rm(testRepoPath, { recursive: true, force: true });
+  });
+
+  test('should publish commits made in the worktree to the current branch only', async () => {
+    const worktree = await IsolatedWorktree.create(testRepoPath);
+    expect(worktree.targetBranch).toBe('main');
+    expect(worktree.path).toContain(path.join('.git', 'histofy', 'worktrees'));
+
+    git('commit -q --allow-empty -m "Made in isolation"', worktree.path);
+    const newHead = await worktree.publish();
+    await worktree.remove();
+
+    expect(git('rev-parse main')).toBe(newHead);
+    expect(git('log -1 --format=%s')).toBe('Made in isolation');
+    expect(await fs.readFile(path.join(testRepoPath, 'file.txt'), 'utf8')).toBe('uncommitted');
+    expect(git('worktree list').split('\n')).toHaveLength(1);
+    expect(git('branch --list "histofy-isolated-*"')).toBe('');
+  });
+
+  test('should bring the checkout along to the published commits', async () => {
+    const worktree = await IsolatedWorktree.create(testRepoPath);
+    await fs.writeFile(path.join(worktree.path, 'new.txt'), 'notes');
+    git('add new.txt', worktree.path);
+    git('commit -q -m "Add notes"', worktree.path);
+    await worktree.publish();
+    await worktree.remove();
+
+    expect(git('status --porcelain')).toBe('M file.txt');
+    expect(await fs.readFile(path.join(testRepoPath, 'new.txt'), 'utf8')).toBe('notes');
+  });
+
+  test('should keep local edits to files the published commits changed', async () => {
+    const worktree = await IsolatedWorktree.create(testRepoPath);
+    await fs.writeFile(path.join(worktree.path, 'file.txt'), 'rewritten');
+    git('commit -q -a -m "Rewrite file"', worktree.path);
+    await worktree.publish();
+    await worktree.remove();
+
+    expect(git('diff --cached --name-only')).toBe('');
+    expect(await fs.readFile(path.join(testRepoPath, 'file.txt'), 'utf8')).toBe('uncommitted');
+  });
+
+  test('should refuse to publish over a branch that moved and keep the result', async () => {
+    const worktree = await IsolatedWorktree.create(testRepoPath);
+    git('commit -q --allow-empty -m "Made in isolation"', worktree.path);
+    git('commit -q -a -m "Made meanwhile"');
+    const head = git('rev-parse main');
+
+    await expect(worktree.publish()).rejects.toThrow(`the result was kept on ${worktree.branch}`);
+    await worktree.remove();
+
+    expect(git('rev-parse main')).toBe(head);
+    expect(git(`log -1 --format=%s ${worktree.branch}`)).toBe('Made in isolation');
+  });
+
+  test('should recreate a worktree whose directory was removed', async () => {
+    const created = await IsolatedWorktree.create(testRepoPath);
+    git('commit -q --allow-empty -m "Made in isolation"', created.path);
+    await fs.rm(created.path, { recursive: true, force: true });
+
+    const worktree = IsolatedWorktree.fromJSON(testRepoPath, JSON.parse(JSON.stringify(created)));
+    await worktree.ensure();
+
+    expect(await worktree.exists()).toBe(true);
+    expect(git('log -1 --format=%s', worktree.path)).toBe('Made in isolation');
+    await worktree.remove();
+  });
+});
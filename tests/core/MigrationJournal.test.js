@@ -0,0 +1,66 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * MigrationJournal Tests
+ */
+
+const MigrationJournal = require('../../src/core/MigrationJournal');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execSync, spawnSync } = require('child_process');
+
+describe('MigrationJournal', () => {
+  let testRepoPath;
+  let journal;
+
+  const commits = [
+    { originalHash: 'a'.repeat(40), message: 'First', newDate: '2023-06-15T09:00:00Z' },
+    { originalHash: 'b'.repeat(40), message: 'Second', newDate: '2023-06-16T09:00:00Z' }
+  ];
+
+  beforeEach(async () => {
+    testRepoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-journal-test-'));
+    execSync('git init -q', { cwd: testRepoPath });
+    journal = new MigrationJournal(testRepoPath);
+  });
+
+  afterEach(async () => {
+    await fs.rm(testRepoPath, { recursive: true, force: true });
+  });
+
+  test('should persist progress in .git/histofy and clear it', async () => {
+    await journal.start({ strategy: 'cherry-pick', commits, originalBranch: 'main', originalHead: 'c'.repeat(40) });
+    await journal.recordCommit(commits[0].originalHash, 'd'.repeat(40), { migrationBranch: 'histofy-migration-1' });
+
+    const journalPath = path.join(testRepoPath, '.git', 'histofy', MigrationJournal.JOURNAL_FILE);
+    const stored = await new MigrationJournal(testRepoPath).load();
+
+    expect(await journal.getPath()).toBe(await fs.realpath(journalPath));
+    expect(stored.completed).toEqual([{ originalHash: commits[0].originalHash, newHash: 'd'.repeat(40) }]);
+    expect(stored.state.migrationBranch).toBe('histofy-migration-1');
+    expect(MigrationJournal.summarize(stored)).toMatchObject({ completedCommits: 1, totalCommits: 2, nextCommit: commits[1] });
+    await expect(journal.start({ strategy: 'cherry-pick', commits })).rejects.toThrow('already exists');
+
+    await journal.clear();
+    expect(await journal.load()).toBeNull();
+  });
+
+  test('should tell interrupted migrations from running ones', async () => {
+    const deadPid = spawnSync('true').pid;
+
+    expect(MigrationJournal.isInterrupted({ status: 'running', pid: deadPid })).toBe(true);
+    expect(MigrationJournal.isInterrupted({ status: 'running', pid: process.ppid })).toBe(false);
+    expect(MigrationJournal.isInterrupted({ status: 'failed', pid: process.ppid })).toBe(true);
+  });
+
+  test('should reject a corrupt journal', async () => {
+    const journalPath = await journal.getPath();
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    await fs.writeFile(journalPath, '{"version": 1, "commits": [');
+
+    await expect(journal.load()).rejects.toThrow('is corrupt');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * OperationManager Tests
+ */
+
+const OperationManager = require('../../src/core/OperationManager');
+const MigrationJournal = require('../../src/core/MigrationJournal');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execSync, spawnSync } = require('child_process');
+
+describe('OperationManager', () => {
+  describe('interrupted migrations', () => {
+    let testRepoPath;
+    let logSpy;
+
+    beforeEach(async () => {
+      testRepoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-operation-test-'));
+      execSync('git init -q', { cwd: testRepoPath });
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const journal = new MigrationJournal(testRepoPath);
+      await journal.start({
+        strategy: 'cherry-pick',
+        commits: [{ originalHash: 'a'.repeat(40), message: 'First' }],
+        originalBranch: 'main',
+        originalHead: 'b'.repeat(40)
+      });
+      await journal.update({ pid: spawnSync('true').pid });
+    });
+
+    afterEach(async () => {
+      logSpy.mockRestore();
+      await fs.rm(testRepoPath, { recursive: true, force: true });
+    });
+
+    test('should offer to resume or roll back on startup', async () => {
+      const summary = await OperationManager.getInstance().detectInterruptedMigration(testRepoPath);
+
+      expect(summary).toMatchObject({ interrupted: true, strategy: 'cherry-pick', totalCommits: 1 });
+      const output = logSpy.mock.calls.map(call => call[0]).join('\n');
+      expect(output).toContain('histofy migrate --continue');
+      expect(output).toContain('histofy migrate --abort');
+    });
+
+    test('should not start history rewrites until the migration is resolved', async () => {
+      const operation = jest.fn().mockResolvedValue('done');
+
+      const blocked = await OperationManager.execute('migrate', operation, { repoPath: testRepoPath });
+
+      expect(blocked).toMatchObject({ success: false, error: 'An interrupted migration must be continued or aborted first' });
+      expect(operation).not.toHaveBeenCalled();
+      expect(await OperationManager.getInstance().detectInterruptedMigration(os.tmpdir())).toBeNull();
+    });
+
+    test.each(['batch', 'paint', 'backfill'])('should not start %s until the migration is resolved', async (type) => {
+      const operation = jest.fn().mockResolvedValue('done');
+
+      const blocked = await OperationManager.execute(type, operation, { repoPath: testRepoPath });
+
+      expect(blocked).toMatchObject({ success: false, error: 'An interrupted migration must be continued or aborted first' });
+      expect(operation).not.toHaveBeenCalled();
+    });
+  });
+});
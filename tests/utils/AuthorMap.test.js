@@ -0,0 +1,80 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * AuthorMap Tests
+ */
+
+const AuthorMap = require('../../src/utils/AuthorMap');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('AuthorMap', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-author-map-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('fromMailmap', () => {
+    const map = AuthorMap.fromMailmap([
+      '# Consolidated identities',
+      'Jane Doe <jane@example.com>',
+      '<jane@example.com> <jane@old-corp.com>',
+      'John Smith <john@example.com> <jsmith@home.net>',
+      'John Smith <john@example.com> Johnny <shared@example.com>  # only Johnny used the shared inbox'
+    ].join('\n'));
+
+    test('should support every mailmap form', () => {
+      expect(map.size).toBe(4);
+      expect(map.resolve('jane', 'jane@example.com')).toEqual({ name: 'Jane Doe', email: 'jane@example.com', changed: true });
+      expect(map.resolve('Jane', 'jane@old-corp.com')).toEqual({ name: 'Jane', email: 'jane@example.com', changed: true });
+      expect(map.resolve('js', 'JSmith@Home.net')).toEqual({ name: 'John Smith', email: 'john@example.com', changed: true });
+    });
+
+    test('should only apply name-specific entries to that name', () => {
+      expect(map.resolve('johnny', 'shared@example.com').name).toBe('John Smith');
+      expect(map.resolve('Build Bot', 'shared@example.com')).toEqual({ name: 'Build Bot', email: 'shared@example.com', changed: false });
+    });
+
+    test('should reject malformed lines', () => {
+      expect(() => AuthorMap.fromMailmap('Jane Doe jane@example.com', '.mailmap'))
+        .toThrow('Invalid mailmap entry on line 1 of .mailmap');
+    });
+  });
+
+  describe('load', () => {
+    test('should load JSON maps', async () => {
+      const file = path.join(testDir, 'authors.json');
+      await fs.writeFile(file, JSON.stringify({
+        'jane@old-corp.com': 'Jane Doe <jane@example.com>',
+        'J. Smith <jsmith@home.net>': { name: 'John Smith', email: 'john@example.com' },
+        '<ops@example.com>': '<infra@example.com>'
+      }));
+
+      const map = await AuthorMap.load(file);
+
+      expect(map.resolve('jane', 'jane@old-corp.com')).toMatchObject({ name: 'Jane Doe', email: 'jane@example.com' });
+      expect(map.resolve('J. Smith', 'jsmith@home.net')).toMatchObject({ name: 'John Smith', email: 'john@example.com' });
+      expect(map.resolve('Someone', 'jsmith@home.net').changed).toBe(false);
+      expect(map.resolve('Ops', 'ops@example.com')).toMatchObject({ name: 'Ops', email: 'infra@example.com' });
+    });
+
+    test('should load .mailmap files and report bad input', async () => {
+      const mailmap = path.join(testDir, '.mailmap');
+      await fs.writeFile(mailmap, 'Jane Doe <jane@example.com> <jane@old-corp.com>\n');
+      const badJson = path.join(testDir, 'bad.json');
+      await fs.writeFile(badJson, '{"jane@old-corp.com": "<bad"}');
+
+      expect((await AuthorMap.load(mailmap)).resolve('Jane', 'jane@old-corp.com').email).toBe('jane@example.com');
+      await expect(AuthorMap.load(badJson)).rejects.toThrow('Invalid identity for "jane@old-corp.com"');
+      await expect(AuthorMap.load(path.join(testDir, 'missing'))).rejects.toThrow('Cannot read author map');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * BackfillPlanner Tests
+ */
+
+const BackfillPlanner = require('../../src/utils/BackfillPlanner');
+
+describe('BackfillPlanner', () => {
+  const today = new Date(2024, 2, 20);
+
+  test('should resolve the window and stop it at today', () => {
+    const window = BackfillPlanner.getWindow({ since: '2024-03-01', until: '2024-04-30', today });
+
+    expect(window.start.format('YYYY-MM-DD')).toBe('2024-03-01');
+    expect(window.end.format('YYYY-MM-DD')).toBe('2024-03-20');
+    expect(BackfillPlanner.getWindow({ since: '2024-03-18', today }).end.format('YYYY-MM-DD')).toBe('2024-03-20');
+    expect(() => BackfillPlanner.getWindow({ today })).toThrow('--since is required');
+    expect(() => BackfillPlanner.getWindow({ since: '2024/03/01', today })).toThrow('YYYY-MM-DD format');
+    expect(() => BackfillPlanner.getWindow({ since: '2024-04-01', today })).toThrow('Nothing to backfill');
+  });
+
+  test('should fill empty days only by default', () => {
+    const window = BackfillPlanner.getWindow({ since: '2024-03-01', until: '2024-03-05', today });
+    const plan = BackfillPlanner.findGaps(new Map([['2024-03-01', 2], ['2024-03-04', 1]]), window);
+
+    expect(plan.days).toEqual([
+      { date: '2024-03-02', existing: 0, add: 1 },
+      { date: '2024-03-03', existing: 0, add: 1 },
+      { date: '2024-03-05', existing: 0, add: 1 }
+    ]);
+    expect(plan.totalCommits).toBe(3);
+    expect(plan.skippedWeekends).toBe(0);
+  });
+
+  test('should top up quiet days and leave weekends alone', () => {
+    // 2024-03-02 and 2024-03-03 are a Saturday and a Sunday
+    const window = BackfillPlanner.getWindow({ since: '2024-03-01', until: '2024-03-05', today });
+    const plan = BackfillPlanner.findGaps(new Map([['2024-03-01', 3], ['2024-03-04', 1]]), window, {
+      minPerDay: 2,
+      weekdaysOnly: true
+    });
+
+    expect(plan.days).toEqual([
+      { date: '2024-03-04', existing: 1, add: 1 },
+      { date: '2024-03-05', existing: 0, add: 2 }
+    ]);
+    expect(plan.skippedWeekends).toBe(2);
+    expect(() => BackfillPlanner.findGaps(new Map(), window, { minPerDay: 0 })).toThrow('at least 1');
+  });
+
+  test('should schedule commits an hour apart from the start time', () => {
+    const plan = { days: [{ date: '2024-03-04', add: 1 }, { date: '2024-03-05', add: 2 }] };
+
+    expect(BackfillPlanner.schedule(plan, { startTime: '9:30' })).toEqual([
+      { date: '2024-03-04', time: '09:30', index: 1, total: 3 },
+      { date: '2024-03-05', time: '09:30', index: 2, total: 3 },
+      { date: '2024-03-05', time: '10:30', index: 3, total: 3 }
+    ]);
+    expect(() => BackfillPlanner.schedule(plan, { startTime: '23:30' })).toThrow('run past midnight');
+    expect(() => BackfillPlanner.schedule(plan, { startTime: '25:00' })).toThrow('Invalid start time');
+  });
+});
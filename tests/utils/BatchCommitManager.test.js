@@ -7,6 +7,7 @@
  */
 
 const BatchCommitManager = require('../../src/utils/BatchCommitManager');
+const TemplateEngine = require('../../src/utils/TemplateEngine');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
@@ -14,9 +15,11 @@ const os = require('os');
 // Mock dependencies
 jest.mock('../../src/core/GitManager');
 jest.mock('../../src/core/OperationManager');
+jest.mock('../../src/core/IsolatedWorktree');
 
 const GitManager = require('../../src/core/GitManager');
 const OperationManager = require('../../src/core/OperationManager');
+const IsolatedWorktree = require('../../src/core/IsolatedWorktree');
 
 describe('BatchCommitManager', () => {
   let batchManager;
@@ -97,6 +100,18 @@ describe('BatchCommitManager', () => {
         .toThrow('Variable 1 missing name');
     });
 
+    test('should report template syntax errors with line and column', () => {
+      const invalidTemplate = {
+        message: 'Release\n{{#if type == }}',
+        trailers: { Issue: '{{issue | shout}}' }
+      };
+
+      expect(() => batchManager.validateTemplate(invalidTemplate))
+        .toThrow('Template message has a syntax error: Expected a value but the tag ended at line 2, column 14');
+      expect(() => batchManager.validateTemplate({ message: 'Release', trailers: { Issue: '{{issue | shout}}' } }))
+        .toThrow('Template trailers[0] has a syntax error: Unknown helper "shout" at line 1, column 11');
+    });
+
     test('should reject template with invalid variable type', () => {
       const invalidTemplate = {
         message: 'Test message',
@@ -152,6 +167,23 @@ describe('BatchCommitManager', () => {
       expect(result.message).toBe('Commit 5/10 on 2023-06-15');
     });
 
+    test('should process conditionals, date math and seeded picks', () => {
+      const template = {
+        message: "{{#if type == 'fix'}}Fix{{else}}Add{{/if}} {{title}} #{{index | pad(3)}} due {{date | addDays(3) | format('YYYY-MM-DD')}}",
+        coAuthors: ["{{['Jane Doe <jane@example.com>', 'Ana Lee <ana@example.com>'] | pick}}"],
+        seed: 'release'
+      };
+      const row = { type: 'fix', title: 'parser crash', date: '2023-06-29', index: 7 };
+
+      const first = batchManager.processTemplate(template, row);
+      const again = batchManager.processTemplate(template, row);
+
+      expect(first.message).toBe('Fix parser crash #007 due 2023-07-02');
+      expect(batchManager.processTemplate(template, { ...row, type: 'feat' }).message).toMatch(/^Add parser crash/);
+      expect(first.coAuthors).toEqual(again.coAuthors);
+      expect(['Jane Doe <jane@example.com>', 'Ana Lee <ana@example.com>']).toContain(first.coAuthors[0]);
+    });
+
     test('should handle missing variables gracefully', () => {
       const template = {
         message: 'Fix {{issue}}: {{description}}',
@@ -170,6 +202,30 @@ describe('BatchCommitManager', () => {
 
       expect(result.message).toBe('Fix BUG-123: {{description}}'); // Unchanged placeholder
     });
+
+    test('should substitute variables in template trailers', () => {
+      const template = {
+        message: 'Fix {{issue}}',
+        coAuthors: ['{{pair}}'],
+        trailers: { Issue: '{{issue}}' },
+        variables: [
+          { name: 'issue', type: 'string' },
+          { name: 'pair', type: 'string' }
+        ]
+      };
+
+      const result = batchManager.processTemplate(template, {
+        issue: 'BUG-123',
+        pair: 'Jane Doe <jane@example.com>',
+        trailers: 'Reviewed-by=Ana Lee <ana@example.com>'
+      });
+
+      expect(result.coAuthors).toEqual(['Jane Doe <jane@example.com>']);
+      expect(result.trailers).toEqual([
+        { key: 'Issue', value: 'BUG-123' },
+        'Reviewed-by=Ana Lee <ana@example.com>'
+      ]);
+    });
   });
 
   describe('CSV import', () => {
@@ -198,6 +254,33 @@ describe('BatchCommitManager', () => {
       });
     });
 
+    test('should keep author brackets in trailer columns', async () => {
+      const csvContent = 'message,coAuthors,trailers\n' +
+                        '"Pair commit","Jane Doe <jane@example.com>; Ana Lee <ana@example.com>","Issue=#7"';
+
+      const csvFile = path.join(testDir, 'test-trailers.csv');
+      await fs.writeFile(csvFile, csvContent);
+
+      const result = await batchManager.importFromCSV(csvFile);
+
+      expect(result[0].coAuthors).toBe('Jane Doe <jane@example.com>; Ana Lee <ana@example.com>');
+      expect(batchManager.validateCommitData(result[0]).trailers).toHaveLength(3);
+    });
+
+    test('should drop control characters but keep newlines in trailer columns', async () => {
+      const jsonFile = path.join(testDir, 'test-control.json');
+      await fs.writeFile(jsonFile, JSON.stringify([{
+        message: 'Pair commit',
+        coAuthors: 'Jane\u0000 Doe\t<jane@example.com>\u007f',
+        trailers: 'Issue=#7\r\nRefs=#8'
+      }]));
+
+      const [entry] = await batchManager.importFromJSON(jsonFile);
+
+      expect(entry.coAuthors).toBe('Jane Doe<jane@example.com>');
+      expect(entry.trailers).toBe('Issue=#7\nRefs=#8');
+    });
+
     test('should handle CSV with custom separator', async () => {
       const csvContent = 'message;date;author\n' +
                         'Test commit;2023-06-15;Test Author';
@@ -288,6 +371,40 @@ describe('BatchCommitManager', () => {
     });
   });
 
+  describe('YAML import', () => {
+    test('should import entries with their file operations', async () => {
+      const yamlFile = path.join(testDir, 'history.yaml');
+      await fs.writeFile(yamlFile, [
+        '- message: Add parser',
+        '  date: 2023-06-15',
+        '  time: "10:00"',
+        '  files:',
+        '    - op: write',
+        '      path: src/parser.js',
+        '      content: |',
+        '        module.exports = {};',
+        ''
+      ].join('\n'));
+
+      const result = await batchManager.importFromYAML(yamlFile);
+
+      expect(result).toEqual([{
+        message: 'Add parser',
+        date: '2023-06-15',
+        time: '10:00',
+        files: [{ op: 'write', path: 'src/parser.js', content: 'module.exports = {};\n' }]
+      }]);
+    });
+
+    test('should reject a YAML document that is not a list', async () => {
+      const yamlFile = path.join(testDir, 'single.yaml');
+      await fs.writeFile(yamlFile, 'message: Single commit\n');
+
+      await expect(batchManager.importFromYAML(yamlFile))
+        .rejects.toThrow('YAML file must contain an array of commit data');
+    });
+  });
+
   describe('batch validation', () => {
     test('should validate valid batch data', async () => {
       const commitData = [
@@ -344,6 +461,20 @@ describe('BatchCommitManager', () => {
       );
     });
 
+    test('should reject file operations that leave the repository', async () => {
+      mockGitManager.repoPath = testDir;
+      const commitData = [
+        { message: 'Write inside', date: '2023-06-15', files: [{ op: 'write', path: 'src/a.js', content: '' }] },
+        { message: 'Write outside', date: '2023-06-16', files: [{ op: 'write', path: '../outside.js', content: '' }] }
+      ];
+
+      const result = await batchManager.validateBatchData(commitData);
+
+      expect(result.validCount).toBe(1);
+      expect(result.errors[0]).toEqual(expect.objectContaining({ index: 1 }));
+      expect(result.errors[0].error).toContain('File operation 1 (write)');
+    });
+
     test('should handle non-array input', async () => {
       const result = await batchManager.validateBatchData('not an array');
 
@@ -398,6 +529,53 @@ describe('BatchCommitManager', () => {
       expect(mockGitManager.createCommit).not.toHaveBeenCalled();
     });
 
+    test('should apply file operations before each commit', async () => {
+      const repoPath = path.join(testDir, 'files-repo');
+      await fs.mkdir(repoPath, { recursive: true });
+      mockGitManager.repoPath = repoPath;
+      mockGitManager.stagePaths = jest.fn().mockResolvedValue(true);
+      const commitData = [
+        { message: 'Add project notes', date: '2023-06-15', files: [{ op: 'write', path: 'docs/notes.md', content: 'notes\n' }] }
+      ];
+
+      const result = await batchManager.executeBatchCommit(commitData, null, { dryRun: false });
+
+      expect(result.successfulCommits).toBe(1);
+      expect(await fs.readFile(path.join(repoPath, 'docs/notes.md'), 'utf8')).toBe('notes\n');
+      expect(mockGitManager.stagePaths).toHaveBeenCalledWith(['docs/notes.md']);
+      expect(mockGitManager.stagePaths.mock.invocationCallOrder[0])
+        .toBeLessThan(mockGitManager.createCommit.mock.invocationCallOrder[0]);
+    });
+
+    test('should skip rows the journal already holds and record the rest', async () => {
+      const BatchJournal = require('../../src/core/BatchJournal');
+      const commitData = [
+        { message: 'First commit', date: '2023-06-15', time: '10:00' },
+        { message: 'Second commit', date: '2023-06-16', time: '11:00' }
+      ];
+      const [firstKey, secondKey] = BatchJournal.rowKeys(commitData.map(commit => ({ ...commit, trailers: [], files: [] })));
+      const recorded = new Map([[firstKey, { key: firstKey, index: 0, hash: 'aaa111' }]]);
+      const journal = {
+        get: key => recorded.get(key) || null,
+        findMissing: jest.fn().mockResolvedValue([]),
+        begin: jest.fn().mockResolvedValue({}),
+        record: jest.fn().mockResolvedValue(),
+        getPath: jest.fn().mockResolvedValue('/repo/.git/histofy/batch-journal.jsonl')
+      };
+
+      const result = await batchManager.executeBatchCommit(commitData, null, { journal });
+
+      expect(journal.findMissing).toHaveBeenCalledWith([{ key: firstKey, index: 0, hash: 'aaa111' }]);
+      expect(mockGitManager.createCommit).toHaveBeenCalledTimes(1);
+      expect(mockGitManager.createCommit).toHaveBeenCalledWith(expect.objectContaining({ message: 'Second commit' }));
+      expect(journal.record).toHaveBeenCalledWith(secondKey, 1, 'abc123');
+      expect(result).toMatchObject({ successfulCommits: 1, skippedCommits: 1, journalPath: '/repo/.git/histofy/batch-journal.jsonl' });
+
+      journal.findMissing.mockResolvedValue([{ key: firstKey, index: 0, hash: 'aaa111' }]);
+      await expect(batchManager.executeBatchCommit(commitData, null, { journal }))
+        .rejects.toThrow('Record 0 was committed as aaa111, which is no longer on the current branch');
+    });
+
     test('should continue on error when configured', async () => {
       const commitData = [
         { message: 'Good commit', date: '2023-06-15' },
@@ -457,6 +635,84 @@ describe('BatchCommitManager', () => {
         })
       );
     });
+
+    test('should pass author and committer dates to commit creation', async () => {
+      const commitData = [
+        { message: 'Audit adjusted commit', authorDate: '2023-06-15 10:00', committerDate: '2023-07-01 09:30' }
+      ];
+
+      await batchManager.executeBatchCommit(commitData, null, { dryRun: false });
+
+      expect(mockGitManager.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          authorDate: '2023-06-15 10:00',
+          committerDate: '2023-07-01 09:30'
+        })
+      );
+    });
+
+    test('should pass entry timezone to commit creation', async () => {
+      const commitData = [
+        { message: 'Timezone aware commit', date: '2023-06-15', time: '10:00', timezone: 'Europe/Berlin' }
+      ];
+
+      await batchManager.executeBatchCommit(commitData, null, { dryRun: false });
+
+      expect(mockGitManager.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          date: '2023-06-15',
+          time: '10:00',
+          timezone: 'Europe/Berlin'
+        })
+      );
+    });
+
+    describe('isolated', () => {
+      let worktree;
+      let worktreeGitManager;
+
+      beforeEach(() => {
+        worktree = {
+          targetBranch: 'main',
+          publish: jest.fn().mockResolvedValue('def456'),
+          remove: jest.fn().mockResolvedValue()
+        };
+        worktreeGitManager = { createCommit: jest.fn().mockResolvedValue({ success: true, hash: 'abc123' }) };
+        IsolatedWorktree.create.mockResolvedValue(worktree);
+        mockGitManager.repoPath = '/repo';
+        mockGitManager.createWorktreeManager = jest.fn().mockReturnValue(worktreeGitManager);
+      });
+
+      test('should commit in a worktree and publish the branch once', async () => {
+        const commitData = [
+          { message: 'First commit', date: '2023-06-15' },
+          { message: 'Second commit', date: '2023-06-16' }
+        ];
+
+        const result = await batchManager.executeBatchCommit(commitData, null, { isolated: true });
+
+        expect(result).toMatchObject({ success: true, successfulCommits: 2, isolated: true });
+        expect(IsolatedWorktree.create).toHaveBeenCalledWith('/repo');
+        expect(worktreeGitManager.createCommit).toHaveBeenCalledWith(expect.objectContaining({ allowEmpty: true }));
+        expect(mockGitManager.createCommit).not.toHaveBeenCalled();
+        expect(worktree.publish).toHaveBeenCalledTimes(1);
+        expect(worktree.remove).toHaveBeenCalled();
+      });
+
+      test('should leave the branch alone when a commit fails', async () => {
+        worktreeGitManager.createCommit
+          .mockResolvedValueOnce({ success: true, hash: 'abc123' })
+          .mockRejectedValueOnce(new Error('Commit failed'));
+
+        await expect(batchManager.executeBatchCommit([
+          { message: 'Good commit', date: '2023-06-15' },
+          { message: 'Bad commit', date: '2023-06-16' }
+        ], null, { isolated: true })).rejects.toThrow('Commit failed');
+
+        expect(worktree.publish).not.toHaveBeenCalled();
+        expect(worktree.remove).toHaveBeenCalled();
+      });
+    });
   });
 
   describe('data export', () => {
@@ -536,10 +792,19 @@ describe('BatchCommitManager', () => {
       expect(result.templatePath).toBe(outputFile);
       expect(result.template).toEqual(templateData);
 
-      // Verify file content
+      // Verify file content; generated templates document the template language
       const fileContent = await fs.readFile(outputFile, 'utf8');
       const parsedTemplate = JSON.parse(fileContent);
-      expect(parsedTemplate).toEqual(templateData);
+      expect(parsedTemplate).toEqual({ ...templateData, help: TemplateEngine.describe() });
+    });
+
+    test('should document helpers as comments in YAML templates', async () => {
+      const outputFile = path.join(testDir, 'template.yaml');
+      await batchManager.createTemplate({ message: 'Fix {{issue}}' }, outputFile);
+
+      const fileContent = await fs.readFile(outputFile, 'utf8');
+      expect(fileContent).toContain('# addDays: Move a date by days (negative to go back) - {{date | addDays(3)}}');
+      expect(await batchManager.loadTemplate(outputFile)).toEqual({ message: 'Fix {{issue}}' });
     });
 
     test('should validate template before creation', async () => {
@@ -608,5 +873,76 @@ describe('BatchCommitManager', () => {
       expect(result.valid).toBe(false);
       expect(result.error).toBe('Invalid email format');
     });
+
+    test('should accept independent author and committer dates', () => {
+      const commit = {
+        message: 'Valid message',
+        authorDate: '2023-06-15 10:00',
+        committerDate: '2023-07-01 09:30'
+      };
+
+      expect(batchManager.validateCommitData(commit).valid).toBe(true);
+    });
+
+    test('should reject malformed committer date', () => {
+      const commit = {
+        message: 'Valid message',
+        committerDate: '2023-07-01'
+      };
+
+      const result = batchManager.validateCommitData(commit);
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('committerDate');
+    });
+
+    test('should reject unknown timezone', () => {
+      const commit = {
+        message: 'Valid message',
+        timezone: 'Nowhere/Special'
+      };
+
+      const result = batchManager.validateCommitData(commit);
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('Unknown timezone');
+    });
+
+    test('should reject times skipped by DST in the entry timezone', () => {
+      const commit = {
+        message: 'Valid message',
+        date: '2023-03-26',
+        time: '02:30',
+        timezone: 'Europe/Berlin'
+      };
+
+      const result = batchManager.validateCommitData(commit);
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('does not exist');
+    });
+
+    test('should validate co-authors and trailers', () => {
+      const result = batchManager.validateCommitData({
+        message: 'Valid message',
+        coAuthors: 'Jane Doe <jane@example.com>',
+        trailers: { 'Signed-off-by': 'John Doe <john@example.com>' }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.trailers).toEqual([
+        { key: 'Co-authored-by', value: 'Jane Doe <jane@example.com>' },
+        { key: 'Signed-off-by', value: 'John Doe <john@example.com>' }
+      ]);
+
+      const invalid = batchManager.validateCommitData({ message: 'Valid message', coAuthors: 'Jane Doe' });
+      expect(invalid.valid).toBe(false);
+      expect(invalid.error).toContain('Invalid co-author');
+    });
+
+    test('should apply trailer rules from the options', () => {
+      const commit = { message: 'Valid message', trailers: [{ key: 'Co-authored-by', value: 'X <x@y.com>' }] };
+
+      expect(batchManager.validateCommitData(commit).error).toContain('Invalid Co-authored-by trailer');
+      expect(batchManager.validateCommitData(commit, { trailerOptions: { checkIdentities: false } }).trailers)
+        .toEqual([{ key: 'Co-authored-by', value: 'X <x@y.com>' }]);
+    });
   });
 });
\ No newline at end of file
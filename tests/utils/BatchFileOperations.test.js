@@ -0,0 +1,102 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * BatchFileOperations Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const GitManager = require('../../src/core/GitManager');
+const BatchFileOperations = require('../../src/utils/BatchFileOperations');
+
+describe('BatchFileOperations', () => {
+  let repoPath;
+  let fixturesDir;
+
+  const git = command => execSync(`git ${command}`, { cwd: repoPath, encoding: 'utf8' }).trim();
+
+  beforeEach(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'histofy-files-'));
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'histofy-fixtures-'));
+    git('init -q -b main');
+    git('config user.name Tester');
+    git('config user.email tester@example.com');
+    fs.writeFileSync(path.join(repoPath, 'README.md'), 'hello\n');
+    fs.writeFileSync(path.join(repoPath, 'old.txt'), 'old\n');
+    git('add -A');
+    git('commit -q -m initial');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  describe('normalize', () => {
+    test('should read lists and the JSON strings of CSV columns', () => {
+      expect(BatchFileOperations.normalize(undefined)).toEqual([]);
+      expect(BatchFileOperations.normalize('[{"op":"Write","path":" a.txt ","content":1}]'))
+        .toEqual([{ op: 'write', path: 'a.txt', content: '1' }]);
+      expect(BatchFileOperations.normalize({ op: 'delete', path: 'a.txt' })).toEqual([{ op: 'delete', path: 'a.txt' }]);
+    });
+
+    test('should reject unknown operations and missing fields', () => {
+      expect(() => BatchFileOperations.normalize('write a.txt')).toThrow('files must be a JSON list');
+      expect(() => BatchFileOperations.normalize([{ op: 'chmod', path: 'a' }])).toThrow('unknown op "chmod"');
+      expect(() => BatchFileOperations.normalize([{ op: 'rename', from: 'a' }])).toThrow('File operation 1 (rename) needs "to"');
+    });
+  });
+
+  test('should keep operations inside the repository and the fixtures directory', () => {
+    const check = operation => BatchFileOperations.validate([operation], { repoPath, fixturesDir });
+
+    expect(check({ op: 'write', path: 'src/a.txt' }).valid).toBe(true);
+    expect(check({ op: 'write', path: '../escape.txt' }).error).toMatch(/^File operation 1 \(write\): Path traversal detected/);
+    expect(check({ op: 'delete', path: '/etc/passwd' }).error).toContain('outside the allowed directory');
+    expect(check({ op: 'write', path: '.git/hooks/pre-commit' }).error).toContain('is not a file in the working tree');
+    expect(check({ op: 'copy', source: '/etc/passwd', path: 'a' }).error).toContain('outside the allowed directory');
+    expect(BatchFileOperations.validate([{ op: 'patch', source: 'fix.patch' }], { repoPath }).error)
+      .toContain('needs a fixtures directory');
+  });
+
+  test('should change the working tree and stage every change', async () => {
+    fs.writeFileSync(path.join(fixturesDir, 'logo.svg'), '<svg/>\n');
+    fs.writeFileSync(path.join(fixturesDir, 'readme.patch'), [
+      '--- a/README.md',
+      '+++ b/README.md',
+      '@@ -1 +1,2 @@',
+      ' hello',
+      '+patched',
+      ''
+    ].join('\n'));
+
+    const operations = BatchFileOperations.normalize([
+      { op: 'write', path: 'src/index.js', content: 'module.exports = 1;\n' },
+      { op: 'append', path: 'CHANGELOG.md', content: '- first\n' },
+      { op: 'rename', from: 'old.txt', to: 'docs/new.txt' },
+      { op: 'copy', source: 'logo.svg', path: 'assets/logo.svg' },
+      { op: 'patch', source: 'readme.patch' }
+    ]);
+    await BatchFileOperations.apply(operations, new GitManager(repoPath), { fixturesDir });
+
+    expect(git('status --porcelain').split('\n').sort()).toEqual([
+      'A  CHANGELOG.md',
+      'A  assets/logo.svg',
+      'A  src/index.js',
+      'M  README.md',
+      'R  old.txt -> docs/new.txt'
+    ]);
+    expect(fs.readFileSync(path.join(repoPath, 'README.md'), 'utf8')).toBe('hello\npatched\n');
+
+    git('commit -q -m changes');
+    await BatchFileOperations.apply([{ op: 'delete', path: 'docs' }], new GitManager(repoPath), { fixturesDir });
+    expect(git('status --porcelain')).toBe('D  docs/new.txt');
+
+    await expect(BatchFileOperations.apply([{ op: 'delete', path: 'missing.txt' }], new GitManager(repoPath), { fixturesDir }))
+      .rejects.toThrow('Cannot delete missing.txt: no such file');
+  });
+});
@@ -7,6 +7,7 @@
  */
 
 const CommitAnalyzer = require('../../src/utils/CommitAnalyzer');
+const AuthorMap = require('../../src/utils/AuthorMap');
 const moment = require('moment');
 
 // Mock dependencies
@@ -176,6 +177,35 @@ describe('CommitAnalyzer', () => {
       expect(stats.collaboration).toEqual({});
     });
 
+    test('should merge identities through an author map', () => {
+      const commits = [
+        { author: 'John Doe', email: 'john@example.com', date: '2023-06-15T10:00:00Z', message: 'First' },
+        { author: 'jdoe', email: 'jdoe@old-corp.com', date: '2023-06-16T10:00:00Z', message: 'Second' },
+        { author: 'Jane Smith', email: 'jane@example.com', date: '2023-06-17T10:00:00Z', message: 'Third' }
+      ];
+      const authorMap = AuthorMap.fromMailmap('John Doe <john@example.com> <jdoe@old-corp.com>');
+
+      const stats = analyzer.calculateAuthorStats(commits, authorMap);
+
+      expect(stats.byAuthor).toEqual({ 'John Doe': 2, 'Jane Smith': 1 });
+      expect(stats.topAuthors[0]).toMatchObject({ author: 'John Doe', commits: 2, activeDays: 2 });
+    });
+
+    test('should not reuse cached statistics for another author map from the same file', async () => {
+      mockGitManager.getCommitHistory.mockResolvedValue([
+        { author: 'John Doe', email: 'john@example.com', date: '2023-06-15T10:00:00Z', message: 'First' },
+        { author: 'jdoe', email: 'jdoe@old-corp.com', date: '2023-06-16T10:00:00Z', message: 'Second' },
+        { author: 'Jane Smith', email: 'jane@example.com', date: '2023-06-17T10:00:00Z', message: 'Third' }
+      ]);
+      const toJohn = AuthorMap.fromMailmap('John Doe <john@example.com> <jdoe@old-corp.com>', 'authors.mailmap');
+      const toJane = AuthorMap.fromMailmap('Jane Smith <jane@example.com> <jdoe@old-corp.com>', 'authors.mailmap');
+
+      expect((await analyzer.getComprehensiveStats({ authorMap: toJohn })).authors.byAuthor)
+        .toEqual({ 'John Doe': 2, 'Jane Smith': 1 });
+      expect((await analyzer.getComprehensiveStats({ authorMap: toJane })).authors.byAuthor)
+        .toEqual({ 'John Doe': 1, 'Jane Smith': 2 });
+    });
+
     test('should calculate active days correctly', () => {
       const commits = [
         { author: 'John', date: '2023-06-15T09:00:00Z', message: 'Commit 1' },
@@ -459,6 +489,12 @@ describe('CommitAnalyzer', () => {
       expect(heatmap.summary.totalCommits).toBe(4);
       expect(heatmap.summary.maxCommitsPerDay).toBe(3);
     });
+
+    test('should bucket counts into quarters of the busiest day', () => {
+      expect([0, 1, 2, 3, 4, 5, 6, 7, 8].map(count => CommitAnalyzer.intensityFor(count, 8)))
+        .toEqual([0, 1, 1, 2, 2, 3, 3, 4, 4]);
+      expect(CommitAnalyzer.intensityFor(0, 0)).toBe(0);
+    });
   });
 
   describe('commit pattern analysis', () => {
@@ -0,0 +1,140 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * ContributionPainter Tests
+ */
+
+const ContributionPainter = require('../../src/utils/ContributionPainter');
+const CommitAnalyzer = require('../../src/utils/CommitAnalyzer');
+
+describe('ContributionPainter', () => {
+  describe('designs', () => {
+    test('should render text with the pixel font, one blank column between glyphs', () => {
+      const design = ContributionPainter.fromText('hi', { level: 3 });
+
+      expect(design).toHaveLength(7);
+      expect(design[0]).toEqual([3, 0, 0, 0, 3, 0, 3, 3, 3]);
+      expect(design[3]).toEqual([3, 3, 3, 3, 3, 0, 0, 3, 0]);
+      expect(() => ContributionPainter.fromText('a+b')).toThrow('No pixel font glyph for "+"');
+      expect(() => ContributionPainter.fromText('hi', { level: 5 })).toThrow('between 1 and 4');
+    });
+
+    test('should parse grids and pad short lines', () => {
+      const design = ContributionPainter.parseGrid('#..\n.1\n..2\n...3\n░▒▓█\n\n.\n', 'design.txt');
+
+      expect(design[0]).toEqual([4, 0, 0, 0]);
+      expect(design[1]).toEqual([0, 1, 0, 0]);
+      expect(design[4]).toEqual([1, 2, 3, 4]);
+      expect(design[5]).toEqual([0, 0, 0, 0]);
+      expect(() => ContributionPainter.parseGrid('#\n#\n#', 'short.txt')).toThrow('must have 7 lines');
+      expect(() => ContributionPainter.parseGrid('#\n#\n#\n#\n#\n#\n@', 'bad.txt'))
+        .toThrow('Invalid character "@" at line 7, column 1');
+    });
+
+    test('should parse intensity matrices', () => {
+      const rows = [[4], [3], [2], [1], [0], [0], [0, 4]];
+
+      expect(ContributionPainter.parseMatrix(JSON.stringify(rows))[6]).toEqual([0, 4]);
+      expect(ContributionPainter.parseMatrix(JSON.stringify(rows))[0]).toEqual([4, 0]);
+      expect(() => ContributionPainter.parseMatrix('[[1]]', 'm.json')).toThrow('list of 7 rows');
+      expect(() => ContributionPainter.parseMatrix(JSON.stringify([[5], [], [], [], [], [], []]), 'm.json'))
+        .toThrow('Invalid level 5 at row 1, column 1');
+      expect(() => ContributionPainter.parseMatrix(JSON.stringify([[0], [], [], [], [], [], []]), 'm.json'))
+        .toThrow('has no painted days');
+    });
+  });
+
+  describe('calendar layout', () => {
+    test('should lay out the last 53 weeks with Sunday rows', () => {
+      // 2024-06-12 is a Wednesday
+      const window = ContributionPainter.getWindow({ today: new Date(2024, 5, 12) });
+
+      expect(window.start.format('YYYY-MM-DD')).toBe('2023-06-11');
+      expect(window.start.day()).toBe(0);
+      expect(window.columns).toBe(53);
+      expect(ContributionPainter.cellDate(window, 52, 3).format('YYYY-MM-DD')).toBe('2024-06-12');
+    });
+
+    test('should skip painted days before the year starts or in the future', () => {
+      // 2023-01-01 is a Sunday; 2024 starts on a Monday
+      const window = ContributionPainter.getWindow({ year: 2024, today: new Date(2024, 0, 10) });
+      const design = [[4, 4], [4, 4], [0, 0], [0, 0], [0, 0], [0, 0], [0, 0]];
+
+      const placement = ContributionPainter.place(design, window, { offset: 0 });
+
+      expect(window.firstSunday.format('YYYY-MM-DD')).toBe('2023-12-31');
+      expect(placement.clipped).toBe(1);
+      expect(placement.targets.get('2024-01-01')).toBe(4);
+      expect(placement.targets.get('2024-01-07')).toBe(4);
+      expect(placement.targets.get('2024-01-08')).toBe(4);
+      expect(placement.targets.get('2024-01-09')).toBe(0);
+      expect(placement.targets.has('2024-01-11')).toBe(false);
+      expect(() => ContributionPainter.place(design, window, { offset: 52 })).toThrow('2 weeks wide');
+    });
+  });
+
+  describe('planCounts', () => {
+    const targets = new Map([
+      ['2024-01-01', 4],
+      ['2024-01-02', 3],
+      ['2024-01-03', 2],
+      ['2024-01-04', 1],
+      ['2024-01-05', 0]
+    ]);
+
+    test('should reproduce every level with the heatmap bucketing', () => {
+      const plan = ContributionPainter.planCounts(targets);
+
+      expect(plan.peak).toBe(4);
+      expect(plan.days.map(day => day.count)).toEqual([4, 3, 2, 1, 0]);
+      expect(plan.totalCommits).toBe(10);
+      expect(plan.mismatches).toEqual([]);
+      plan.days.forEach(day => {
+        expect(CommitAnalyzer.intensityFor(day.count, plan.peak)).toBe(day.level);
+      });
+    });
+
+    test('should raise the peak above existing commits and keep them', () => {
+      const existing = new Map([['2024-01-04', 3], ['2024-01-05', 1]]);
+
+      const plan = ContributionPainter.planCounts(targets, existing);
+
+      // 3 existing commits only stay at level 1 once the darkest day has 12
+      expect(plan.peak).toBe(12);
+      expect(plan.days.map(day => day.add)).toEqual([12, 7, 4, 0, 0]);
+      expect(plan.conflicts).toEqual(['2024-01-05']);
+      expect(plan.mismatches).toEqual(['2024-01-05']);
+      expect(() => ContributionPainter.planCounts(targets, existing, { peak: 8 })).toThrow('too low');
+    });
+
+    test('should spread commits a minute apart from the start time', () => {
+      const plan = ContributionPainter.planCounts(new Map([['2024-01-01', 4], ['2024-01-02', 1]]), new Map(), { peak: 6 });
+
+      expect(ContributionPainter.buildCommits(plan, { startTime: '09:58' })).toEqual([
+        { date: '2024-01-01', time: '09:58' },
+        { date: '2024-01-01', time: '09:59' },
+        { date: '2024-01-01', time: '10:00' },
+        { date: '2024-01-01', time: '10:01' },
+        { date: '2024-01-01', time: '10:02' },
+        { date: '2024-01-01', time: '10:03' },
+        { date: '2024-01-02', time: '09:58' }
+      ]);
+      expect(() => ContributionPainter.buildCommits(plan, { startTime: '23:57' })).toThrow('run past midnight');
+    });
+  });
+
+  test('should render month and weekday labels', () => {
+    const window = ContributionPainter.getWindow({ today: new Date(2024, 5, 12) });
+    const preview = ContributionPainter.render(new Map([['2024-06-12', 4]]), window)
+      // eslint-disable-next-line no-control-regex
+      .replace(/\u001b\[[0-9;]*m/g, '');
+    const lines = preview.split('\n');
+
+    expect(lines).toHaveLength(9);
+    expect(lines[0]).toMatch(/^ {4}Jun/);
+    expect(lines[4]).toMatch(/^Wed .*█$/);
+    expect(lines[8]).toBe('    Less · ░ ▒ ▓ █ More');
+  });
+});
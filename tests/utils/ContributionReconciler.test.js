@@ -0,0 +1,210 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * ContributionReconciler Tests
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const GitManager = require('../../src/core/GitManager');
+const GitHubManager = require('../../src/core/GitHubManager');
+const ContributionReconciler = require('../../src/utils/ContributionReconciler');
+
+/**
+ * Start a fake GitHub API answering the calendar, repository and email requests
+ */
+function startGitHub(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+
+      let status = 200;
+      let payload;
+      if (req.url === '/graphql') {
+        const { query } = JSON.parse(body);
+        payload = query.includes('contributionCalendar') ? responses.calendar : responses.repository;
+      } else if (req.url === '/user/emails') {
+        [status, payload] = responses.emails;
+      } else {
+        status = 404;
+        payload = { message: 'Not Found' };
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}`;
+    resolve({ server, requests, url });
+  }));
+}
+
+/**
+ * Calendar response with the given contributions by date
+ */
+function calendar(days) {
+  return {
+    data: {
+      user: {
+        contributionsCollection: {
+          contributionCalendar: {
+            totalContributions: Object.values(days).reduce((a, b) => a + b, 0),
+            weeks: [{
+              contributionDays: Object.entries(days).map(([date, contributionCount]) => ({ date, contributionCount }))
+            }]
+          }
+        }
+      }
+    }
+  };
+}
+
+function repository(isFork = false) {
+  return {
+    data: {
+      repository: {
+        nameWithOwner: 'octo/demo',
+        isFork,
+        parent: isFork ? { nameWithOwner: 'upstream/demo' } : null,
+        defaultBranchRef: { name: 'main' }
+      }
+    }
+  };
+}
+
+describe('ContributionReconciler', () => {
+  let repoPath;
+  let github;
+  const hashes = {};
+
+  const commit = (name, email, date) => {
+    execSync(`git commit -q --allow-empty -m "${name}"`, {
+      cwd: repoPath,
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: 'Octo Cat',
+        GIT_AUTHOR_EMAIL: email,
+        GIT_AUTHOR_DATE: date,
+        GIT_COMMITTER_NAME: 'Octo Cat',
+        GIT_COMMITTER_EMAIL: email,
+        GIT_COMMITTER_DATE: date
+      }
+    });
+    hashes[name] = execSync('git rev-parse HEAD', { cwd: repoPath, encoding: 'utf8' }).trim();
+  };
+
+  const reconcile = (options = {}) => {
+    const reconciler = new ContributionReconciler({
+      gitManager: new GitManager(repoPath),
+      githubManager: new GitHubManager('test-token', { baseURL: github.url, graphqlURL: `${github.url}/graphql` })
+    });
+    return reconciler.reconcile({ username: 'octo', year: 2024, today: new Date(2024, 2, 20), ...options });
+  };
+
+  beforeAll(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'histofy-reconcile-'));
+    execSync('git init -q -b main', { cwd: repoPath });
+    execSync('git remote add origin https://github.com/octo/demo.git', { cwd: repoPath });
+
+    // Noon UTC is the same date in every local timezone the tests may run in
+    commit('counted', 'octo@example.com', '2024-03-05T12:00:00Z');
+    commit('old-email', 'old@example.com', '2024-03-06T12:00:00Z');
+    execSync('git update-ref refs/remotes/origin/main HEAD', { cwd: repoPath });
+    commit('unpushed', 'octo@example.com', '2024-03-10T12:00:00Z');
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  afterEach(done => {
+    if (!github) {
+      done();
+      return;
+    }
+    github.server.close(() => done());
+    github = null;
+  });
+
+  test('should explain each day GitHub shows fewer commits', async () => {
+    github = await startGitHub({
+      calendar: calendar({ '2024-03-05': 3, '2024-03-06': 0, '2024-03-09': 1, '2024-03-10': 0 }),
+      repository: repository(),
+      emails: [200, [
+        { email: 'octo@example.com', verified: true },
+        { email: 'old@example.com', verified: false }
+      ]]
+    });
+
+    const report = await reconcile();
+    const day = date => report.days.find(entry => entry.date === date);
+
+    expect(report.repository).toEqual({ nameWithOwner: 'octo/demo', isFork: false, parent: null, defaultBranch: 'main' });
+    expect(report.summary).toMatchObject({ missingDays: 2, missingCommits: 2, extraDays: 2, localCommits: 3 });
+    expect(day('2024-03-05')).toMatchObject({ local: 1, github: 3, status: 'extra' });
+    expect(day('2024-03-06').reasons).toEqual({ 'unverified-email': 1 });
+    expect(day('2024-03-10').reasons).toEqual({ 'not-default-branch': 1 });
+    expect(day('2024-03-12')).toMatchObject({ local: 0, github: 0, status: 'match' });
+
+    expect(report.findings.map(finding => finding.reason)).toEqual(['unverified-email', 'not-default-branch']);
+    expect(report.findings[0].message).toBe('1 commit(s) on 1 day(s) by old@example.com, not a verified email of octo');
+    expect(report.findings[1].commits).toEqual([hashes.unpushed]);
+    expect(report.notes).toEqual([]);
+
+    const graphql = github.requests.filter(request => request.url === '/graphql');
+    expect(graphql[0].headers.authorization).toBe('Bearer test-token');
+    expect(graphql[0].body.variables).toMatchObject({ username: 'octo', from: '2024-01-01T00:00:00Z' });
+  });
+
+  test('should blame forks and note the checks it could not run', async () => {
+    github = await startGitHub({
+      calendar: calendar({ '2024-03-05': 1 }),
+      repository: repository(true),
+      emails: [403, { message: 'Resource not accessible by integration' }]
+    });
+
+    const report = await reconcile({ remote: 'upstream' });
+
+    expect(report.repository).toBeNull();
+    expect(report.notes[0]).toBe('Remote upstream does not point at GitHub; fork and branch checks were skipped');
+    expect(report.notes[1]).toMatch(/^Could not read verified emails .*user:email scope$/);
+    expect(report.findings.map(finding => finding.reason)).toEqual(['unexplained']);
+
+    const forked = ContributionReconciler.compare(new Map([['2024-03-05', 1]]), {}, [
+      { hash: 'abc', email: '1+octo@users.noreply.github.com', date: '2024-03-05T12:00:00Z' }
+    ], {
+      repository: { nameWithOwner: 'octo/demo', isFork: true, parent: 'upstream/demo' },
+      verifiedEmails: new Set(),
+      username: 'Octo'
+    });
+    expect(forked.findings).toHaveLength(1);
+    expect(forked.findings[0].message).toBe('1 commit(s) on 1 day(s): octo/demo is a fork of upstream/demo');
+  });
+
+  test('should notice commits that fall on another date in UTC', () => {
+    const commit = { hash: 'abc', email: 'octo@example.com', date: '2024-03-08T21:00:00-05:00' };
+
+    expect(ContributionReconciler.explain(commit, '2024-03-08')).toEqual(['timezone']);
+    expect(ContributionReconciler.explain(commit, '2024-03-09')).toEqual(['unexplained']);
+  });
+
+  test('should fail when the calendar cannot be fetched', async () => {
+    github = await startGitHub({
+      calendar: { errors: [{ message: 'Could not resolve to a User with the login of \'octo\'.' }] },
+      repository: repository(),
+      emails: [200, []]
+    });
+
+    await expect(reconcile()).rejects.toThrow('Failed to fetch the GitHub calendar of octo: Could not resolve');
+  });
+});
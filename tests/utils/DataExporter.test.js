@@ -488,6 +488,50 @@ describe('DataExporter', () => {
       expect(transformed.files[0].path).toBe('test.js');
     });
 
+    test('should export author and committer dates separately', () => {
+      const commit = {
+        hash: 'abc123',
+        message: 'Moved commit',
+        author: 'John Doe',
+        email: 'john@example.com',
+        date: '2023-06-15T10:00:00Z',
+        authorDate: '2023-06-15T10:00:00Z',
+        committerDate: '2023-07-01T09:30:00Z'
+      };
+
+      const transformed = dataExporter.transformCommitForExport(commit);
+
+      expect(transformed.author).toBe('John Doe');
+      expect(transformed.authorDate).toBe('2023-06-15T10:00:00Z');
+      expect(transformed.committerDate).toBe('2023-07-01T09:30:00Z');
+
+      const csv = dataExporter.convertCommitsToCSV([transformed]);
+      expect(csv.split('\n')[0]).toContain('"Author Date","Committer Date"');
+      expect(csv).toContain('"2023-07-01T09:30:00Z"');
+    });
+
+    test('should export trailers as structured fields', () => {
+      const commit = {
+        hash: 'abc123',
+        message: 'Pair on parser',
+        author: 'John Doe',
+        email: 'john@example.com',
+        date: '2023-06-15T10:00:00Z',
+        trailers: [
+          { key: 'Co-authored-by', value: 'Jane Doe <jane@example.com>' },
+          { key: 'Issue', value: '#7' }
+        ]
+      };
+
+      const transformed = dataExporter.transformCommitForExport(commit);
+
+      expect(transformed.trailers).toEqual(commit.trailers);
+
+      const csv = dataExporter.convertCommitsToCSV([transformed]);
+      expect(csv.split('\n')[0]).toContain('"Trailers"');
+      expect(csv).toContain('"Co-authored-by: Jane Doe <jane@example.com>; Issue: #7"');
+    });
+
     test('should transform operation data for export', () => {
       const operation = {
         id: 'op1',
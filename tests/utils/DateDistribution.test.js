@@ -0,0 +1,190 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * DateDistribution Tests
+ */
+
+const moment = require('moment');
+const DateDistribution = require('../../src/utils/DateDistribution');
+
+const format = (dates) => dates.map(date => date.format('YYYY-MM-DD HH:mm'));
+
+const isMonotonic = (dates) => dates.every((date, i) => i === 0 || !date.isBefore(dates[i - 1]));
+
+describe('DateDistribution', () => {
+  const baseOptions = {
+    startDate: '2023-06-12', // Monday
+    startTime: '09:00',
+    spreadDays: 7
+  };
+
+  describe('strategy registry', () => {
+    test('should register built-in strategies', () => {
+      expect(DateDistribution.getStrategyNames()).toEqual(
+        expect.arrayContaining(['even', 'weekdays', 'working-hours', 'jitter', 'poisson', 'mirror'])
+      );
+    });
+
+    test('should validate strategy names', () => {
+      expect(DateDistribution.validateStrategy(undefined)).toEqual({ isValid: true, value: 'even' });
+      expect(DateDistribution.validateStrategy('weekdays').isValid).toBe(true);
+
+      const result = DateDistribution.validateStrategy('lunar');
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('lunar');
+      expect(result.suggestion).toContain('working-hours');
+    });
+
+    test('should allow registering custom strategies', () => {
+      DateDistribution.register('test-fixed', {
+        description: 'All commits at the start',
+        generate: (count, context) => Array.from({ length: count }, () => moment(context.start))
+      });
+
+      const { dates, distribution } = DateDistribution.generate(3, { ...baseOptions, strategy: 'test-fixed' });
+
+      expect(format(dates)).toEqual(['2023-06-12 09:00', '2023-06-12 09:00', '2023-06-12 09:00']);
+      expect(distribution.strategy).toBe('test-fixed');
+
+      DateDistribution.strategies.delete('test-fixed');
+    });
+
+    test('should reject strategies without a generator', () => {
+      expect(() => DateDistribution.register('broken', {})).toThrow('must provide a generate function');
+    });
+
+    test('should throw for unknown strategies', () => {
+      expect(() => DateDistribution.generate(2, { ...baseOptions, strategy: 'unknown' }))
+        .toThrow('Unknown distribution strategy: unknown');
+    });
+  });
+
+  describe('validateWorkingHours', () => {
+    test('should parse valid ranges', () => {
+      expect(DateDistribution.validateWorkingHours('10:30-18:00')).toMatchObject({
+        isValid: true,
+        start: 630,
+        end: 1080
+      });
+    });
+
+    test('should reject malformed or inverted ranges', () => {
+      expect(DateDistribution.validateWorkingHours('9-5').isValid).toBe(false);
+      expect(DateDistribution.validateWorkingHours('17:00-09:00').isValid).toBe(false);
+    });
+  });
+
+  describe('even', () => {
+    test('should match the legacy hourly interval', () => {
+      const { dates } = DateDistribution.generate(4, { ...baseOptions, spreadDays: 1 });
+
+      expect(format(dates)).toEqual([
+        '2023-06-12 09:00',
+        '2023-06-12 15:00',
+        '2023-06-12 21:00',
+        '2023-06-13 03:00'
+      ]);
+    });
+  });
+
+  describe('weekdays', () => {
+    test('should never place commits on weekends', () => {
+      const { dates } = DateDistribution.generate(20, { ...baseOptions, strategy: 'weekdays', spreadDays: 14 });
+
+      expect(dates).toHaveLength(20);
+      expect(dates.every(date => date.day() !== 0 && date.day() !== 6)).toBe(true);
+      expect(isMonotonic(dates)).toBe(true);
+    });
+
+    test('should move a weekend-only window to the next weekday', () => {
+      const { dates } = DateDistribution.generate(2, {
+        ...baseOptions,
+        startDate: '2023-06-17', // Saturday
+        strategy: 'weekdays',
+        spreadDays: 2
+      });
+
+      expect(dates.every(date => date.format('YYYY-MM-DD') === '2023-06-19')).toBe(true);
+    });
+  });
+
+  describe('working-hours', () => {
+    test('should keep commits inside the working hours window', () => {
+      const { dates, distribution } = DateDistribution.generate(15, {
+        ...baseOptions,
+        strategy: 'working-hours',
+        workingHours: '10:00-16:00'
+      });
+
+      dates.forEach(date => {
+        const minutes = date.hour() * 60 + date.minute();
+        expect(minutes).toBeGreaterThanOrEqual(600);
+        expect(minutes).toBeLessThanOrEqual(960);
+        expect([0, 6]).not.toContain(date.day());
+      });
+      expect(isMonotonic(dates)).toBe(true);
+      expect(distribution.workingHours).toBe('10:00-16:00');
+    });
+  });
+
+  describe('seeded strategies', () => {
+    test.each(['jitter', 'poisson'])('%s should be reproducible with the same seed', (strategy) => {
+      const first = DateDistribution.generate(10, { ...baseOptions, strategy, seed: 'abc' });
+      const second = DateDistribution.generate(10, { ...baseOptions, strategy, seed: 'abc' });
+      const other = DateDistribution.generate(10, { ...baseOptions, strategy, seed: 'xyz' });
+
+      expect(format(first.dates)).toEqual(format(second.dates));
+      expect(format(first.dates)).not.toEqual(format(other.dates));
+      expect(first.distribution.seed).toBe('abc');
+    });
+
+    test.each(['jitter', 'poisson'])('%s should stay ordered and inside the window', (strategy) => {
+      const { dates } = DateDistribution.generate(25, { ...baseOptions, strategy, seed: 7 });
+      const start = moment.utc('2023-06-12 09:00', 'YYYY-MM-DD HH:mm');
+      const end = moment.utc('2023-06-19 09:00', 'YYYY-MM-DD HH:mm');
+
+      expect(isMonotonic(dates)).toBe(true);
+      expect(dates[0].isBefore(start)).toBe(false);
+      expect(dates[dates.length - 1].isAfter(end)).toBe(false);
+    });
+
+    test('should generate and report a seed when none is given', () => {
+      const { distribution } = DateDistribution.generate(3, { ...baseOptions, strategy: 'poisson' });
+
+      expect(distribution.seed).toMatch(/^[0-9a-f]{8}$/);
+    });
+
+    test('should not report a seed for deterministic strategies', () => {
+      const { distribution } = DateDistribution.generate(3, { ...baseOptions, seed: 'abc' });
+
+      expect(distribution.seed).toBeNull();
+    });
+  });
+
+  describe('mirror', () => {
+    test('should scale original gaps into the new window', () => {
+      const { dates } = DateDistribution.generate(3, {
+        ...baseOptions,
+        strategy: 'mirror',
+        spreadDays: 3,
+        originalDates: ['2020-01-01T00:00:00Z', '2020-01-01T01:00:00Z', '2020-01-01T04:00:00Z']
+      });
+
+      // 72h window, last commit at 48h; original gaps are 1h and 3h
+      expect(format(dates)).toEqual([
+        '2023-06-12 09:00',
+        '2023-06-12 21:00',
+        '2023-06-14 09:00'
+      ]);
+    });
+
+    test('should fall back to even spacing without usable original dates', () => {
+      const mirror = DateDistribution.generate(3, { ...baseOptions, strategy: 'mirror', originalDates: [] });
+      const even = DateDistribution.generate(3, baseOptions);
+
+      expect(format(mirror.dates)).toEqual(format(even.dates));
+    });
+  });
+});
@@ -386,6 +386,76 @@ describe('DryRunManager', () => {
         expect(migrationDryRun.warnings).toHaveLength(3); // standard warnings + large migration warning
         expect(migrationDryRun.warnings.some(w => w.message.includes('Large migration'))).toBe(true);
       });
+
+      test('should warn when signed commits lose their signatures', () => {
+        const commits = [
+          { hash: 'abc123', message: 'Signed', originalDate: '2023-06-01', newDate: '2023-06-15', signed: true },
+          { hash: 'def456', message: 'Unsigned', originalDate: '2023-06-02', newDate: '2023-06-16', signed: false }
+        ];
+
+        const unsigned = DryRunManager.forMigrationOperation({ commits });
+        const resigned = DryRunManager.forMigrationOperation({ commits, sign: true });
+
+        expect(unsigned.warnings.find(w => w.message.includes('signature'))).toMatchObject({
+          message: '1 signed commit(s) will lose their signatures (use --sign to re-sign rewritten commits)',
+          severity: 'warning'
+        });
+        expect(resigned.warnings.find(w => w.message.includes('signature')).severity).toBe('info');
+      });
+
+      test('should preview message filter changes before and after', () => {
+        const commits = [
+          {
+            hash: 'abc123',
+            message: 'Fix crash',
+            originalDate: '2023-06-01',
+            newDate: '2023-06-15',
+            originalMessage: 'Fix crash\n\nSeen on build.internal\n',
+            newMessage: 'Fix crash\n\nSeen on <host>\n'
+          },
+          { hash: 'def456', message: 'Docs', originalDate: '2023-06-02', newDate: '2023-06-16' }
+        ];
+
+        const dryRun = DryRunManager.forMigrationOperation({ commits, messageFilter: ['s/build\\.internal/<host>/'] });
+        const [changed, unchanged] = dryRun.operations.filter(op => op.type === 'commit_migration');
+
+        expect(changed.details.messageBefore).toBe('line 3: Seen on build.internal');
+        expect(changed.details.messageAfter).toBe('line 3: Seen on <host>');
+        expect(unchanged.details.messageBefore).toBeUndefined();
+        expect(dryRun.warnings.find(w => w.message.includes('rewritten by'))).toMatchObject({
+          message: '1 of 2 commit message(s) will be rewritten by s/build\\.internal/<host>/',
+          severity: 'warning'
+        });
+      });
+    });
+
+    describe('forPurgeOperation', () => {
+      test('should list affected commits without revealing secrets', () => {
+        const dryRun = DryRunManager.forPurgeOperation({
+          commits: [
+            { hash: 'abc12345', message: 'Add config', author: 'Jane', date: '2023-06-01', removedPaths: ['.env'], redactedPaths: ['app.js'], messageRedacted: true, signed: true },
+            { hash: 'def67890', message: 'Tweak config', author: 'Jane', date: '2023-06-02', removedPaths: ['.env'], redactedPaths: [], messageRedacted: false }
+          ],
+          rewrittenCount: 3,
+          removedPaths: ['.env'],
+          redactedBlobs: 1,
+          filter: { paths: ['.env'], secrets: 1 },
+          rewriteRefs: true
+        });
+
+        expect(dryRun.operations.map(op => op.type)).toEqual(['git_backup', 'commit_purge', 'commit_purge', 'ref_rewrite']);
+        expect(dryRun.operations[1].details).toMatchObject({ removedPaths: '.env', redactedFiles: 'app.js', messageRedacted: true });
+        expect(dryRun.operations[2].details.redactedFiles).toBeUndefined();
+        expect(dryRun.warnings.map(w => w.message)).toContain('2 of 3 rewritten commit(s) will change: 1 path(s) removed, 1 file version(s) redacted');
+        expect(dryRun.warnings.some(w => w.message.includes('1 signed commit(s)'))).toBe(true);
+      });
+
+      test('should report when nothing matches', () => {
+        const dryRun = DryRunManager.forPurgeOperation({ commits: [], totalCommits: 4, filter: { paths: ['*.pem'], secrets: 0 } });
+
+        expect(dryRun.operations).toHaveLength(1);
+        expect(dryRun.warnings.map(w => w.message)).toContain('No commit in range contains *.pem');
+      });
     });
 
     describe('forConfigOperation', () => {
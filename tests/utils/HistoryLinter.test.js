@@ -0,0 +1,132 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * HistoryLinter Tests
+ */
+
+const HistoryLinter = require('../../src/utils/HistoryLinter');
+const MigrationPlan = require('../../src/utils/MigrationPlan');
+
+/**
+ * Linear history, oldest first in the arguments and newest first in the result like git log
+ */
+function history(...entries) {
+  return entries.map(([hash, authorDate, committerDate], index) => ({
+    hash: hash.padEnd(40, '0'),
+    parents: index > 0 ? [entries[index - 1][0].padEnd(40, '0')] : [],
+    authorDate,
+    committerDate: committerDate || authorDate,
+    subject: `commit ${hash}`
+  })).reverse();
+}
+
+describe('HistoryLinter', () => {
+  const now = new Date('2024-06-01T00:00:00Z');
+
+  test('should report impossible chronology', () => {
+    const commits = history(
+      ['a1', '2024-03-01T10:00:00+01:00'],
+      ['b2', '2024-02-01T10:00:00Z'],
+      ['c3', '2024-03-05T10:00:00Z', '2024-03-05T09:00:00Z'],
+      ['d4', '2024-07-01T10:00:00Z']
+    );
+
+    const report = HistoryLinter.lint(commits, { now });
+    const rules = report.findings.map(finding => [finding.rule, finding.hash.substring(0, 2)]);
+
+    expect(rules).toEqual([
+      ['parent-order', 'b2'],
+      ['committer-before-author', 'c3'],
+      ['future-date', 'd4']
+    ]);
+    expect(report.findings[0].message).toBe('Authored 2024-02-01T10:00:00Z, before its parent a1000000 (2024-03-01T10:00:00+01:00)');
+    expect(report.findings[1].message).toBe('Committed 2024-03-05T09:00:00Z, 1h before it was authored');
+    expect(report.summary).toMatchObject({ commits: 4, errors: 2, warnings: 1, notes: 0 });
+  });
+
+  test('should report dates outside the window and duplicate timestamps', () => {
+    const commits = history(
+      ['a1', '2023-12-31T23:00:00Z'],
+      ['b2', '2024-01-02T12:00:00+02:00'],
+      ['c3', '2024-01-02T10:00:00Z']
+    );
+
+    const report = HistoryLinter.lint(commits, { now, since: '2024-01-01', until: '2024-12-31' });
+
+    expect(report.findings.map(finding => finding.rule)).toEqual(['outside-window', 'duplicate-timestamp']);
+    expect(report.findings[1].hash.substring(0, 2)).toBe('c3');
+    expect(report.findings[1].message).toBe('Same author date as b2000000 (2024-01-02T10:00:00Z)');
+    expect(() => HistoryLinter.lint(commits, { since: '2024-02-01', until: '2024-01-01' })).toThrow('is after its end');
+  });
+
+  test('should spot runs of perfectly uniform spacing', () => {
+    const commits = history(
+      ['a1', '2024-01-01T08:00:00Z'],
+      ['b2', '2024-01-01T09:00:00Z'],
+      ['c3', '2024-01-01T13:00:00Z'],
+      ['d4', '2024-01-01T17:00:00Z'],
+      ['e5', '2024-01-01T21:00:00Z'],
+      ['f6', '2024-01-02T01:00:00Z'],
+      ['g7', '2024-01-02T01:30:00Z']
+    );
+
+    const report = HistoryLinter.lint(commits, { now });
+
+    expect(report.findings).toHaveLength(1);
+    expect(report.findings[0]).toMatchObject({ rule: 'uniform-spacing', level: 'note' });
+    expect(report.findings[0].message).toBe('5 commits in a row spaced exactly 4h apart, b2000000 to f6000000');
+    expect(HistoryLinter.lint(commits, { now, minRun: 6 }).findings).toHaveLength(0);
+  });
+
+  test('should plan new dates that repair the chronology', () => {
+    const commits = history(
+      ['a1', '2024-03-01T10:00:00+01:00'],
+      ['b2', '2024-02-01T10:00:00-05:00'],
+      ['c3', '2024-03-01T10:00:00+01:00'],
+      ['d4', '2024-03-05T10:00:00Z', '2024-03-05T09:00:00Z'],
+      ['e5', '2024-07-01T10:00:00Z']
+    );
+
+    const fix = HistoryLinter.fix(commits, { now }, { branch: 'main', range: 'HEAD' });
+
+    expect(fix.changes.map(change => [change.hash.substring(0, 2), change.to])).toEqual([
+      ['b2', '2024-03-01T04:01:00-05:00'],
+      ['c3', '2024-03-01T10:02:00+01:00'],
+      ['d4', '2024-03-05T10:00:00+00:00'],
+      ['e5', '2024-06-01T00:00:00+00:00']
+    ]);
+    expect(fix.unresolved).toEqual([]);
+    expect(fix.plan).toBeInstanceOf(MigrationPlan);
+    expect(fix.plan.branch).toBe('main');
+
+    // The plan must load back as a valid plan file, and the repaired history must lint clean
+    const reloaded = MigrationPlan.parse(fix.plan.serialize('yaml'), 'yaml', 'fix.yaml');
+    expect(reloaded.commits).toHaveLength(4);
+    const dates = new Map(fix.changes.map(change => [change.hash, change.to]));
+    const repaired = commits.map(commit => ({
+      ...commit,
+      authorDate: dates.get(commit.hash) || commit.authorDate,
+      committerDate: dates.get(commit.hash) || commit.committerDate
+    }));
+    expect(HistoryLinter.lint(repaired, { now }).findings).toEqual([]);
+  });
+
+  test('should convert findings to SARIF', () => {
+    const report = HistoryLinter.lint(history(['a1', '2024-07-01T10:00:00Z']), { now });
+    const sarif = HistoryLinter.toSarif(report, { range: 'main' });
+    const run = sarif.runs[0];
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(Object.keys(HistoryLinter.RULES));
+    expect(run.results).toEqual([expect.objectContaining({
+      ruleId: 'future-date',
+      ruleIndex: 2,
+      level: 'error',
+      message: { text: 'Dated 2024-07-01T10:00:00Z, in the future: commit a1' },
+      locations: [{ logicalLocations: [{ name: 'a1'.padEnd(40, '0'), kind: 'commit' }] }]
+    })]);
+    expect(HistoryLinter.formatInterval(90061)).toBe('1d 1h 1m 1s');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * HistoryTransplant Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const GitManager = require('../../src/core/GitManager');
+const HistoryTransplant = require('../../src/utils/HistoryTransplant');
+
+describe('HistoryTransplant', () => {
+  const commits = [
+    {
+      hash: 'a'.repeat(40),
+      message: 'First',
+      author: 'Alice',
+      email: 'alice@example.com',
+      authorDate: '2023-06-15T23:30:00+02:00',
+      committerDate: '2023-06-15T23:30:00+02:00',
+      trailers: []
+    },
+    {
+      hash: 'b'.repeat(40),
+      message: 'Second',
+      author: 'Bob',
+      email: 'bob@example.com',
+      authorDate: '2023-06-16T10:00:00+02:00',
+      committerDate: '2023-06-17T09:15:00+02:00',
+      trailers: [{ key: 'Co-authored-by', value: 'Alice <alice@example.com>' }]
+    }
+  ];
+
+  test('should parse offsets and reject anything else', () => {
+    expect(HistoryTransplant.parseOffset('+30d')).toBe(30 * 24 * 60);
+    expect(HistoryTransplant.parseOffset('-2w')).toBe(-2 * 7 * 24 * 60);
+    expect(HistoryTransplant.parseOffset('90m')).toBe(90);
+    expect(() => HistoryTransplant.parseOffset('3 days')).toThrow('Invalid offset "3 days"');
+  });
+
+  test('should move the first commit to a start date in the target timezone', () => {
+    // 23:30 +02:00 is 21:30 UTC on the same day, but already the next day in Tokyo
+    expect(HistoryTransplant.offsetToStart(commits, '2024-01-01', 'UTC')).toBe(200 * 24 * 60);
+    expect(HistoryTransplant.offsetToStart(commits, '2024-01-01', 'Asia/Tokyo')).toBe(199 * 24 * 60);
+    expect(() => HistoryTransplant.offsetToStart(commits, '01/01/2024')).toThrow('Invalid start date');
+  });
+
+  test('should turn commits into batch entries', () => {
+    const patches = new Map([[commits[1].hash, `${commits[1].hash}.patch`]]);
+    const entries = HistoryTransplant.toEntries(commits, { offset: 24 * 60, patches });
+
+    expect(entries).toEqual([
+      { message: 'First', date: '2023-06-16', time: '21:30', timezone: 'UTC', author: 'Alice', email: 'alice@example.com' },
+      {
+        message: 'Second',
+        date: '2023-06-17',
+        time: '08:00',
+        timezone: 'UTC',
+        author: 'Bob',
+        email: 'bob@example.com',
+        committerDate: '2023-06-18 07:15',
+        trailers: [{ key: 'Co-authored-by', value: 'Alice <alice@example.com>' }],
+        files: [{ op: 'patch', source: `${commits[1].hash}.patch` }]
+      }
+    ]);
+  });
+
+  test('should keep the body of a message but not its trailer block', () => {
+    const commit = {
+      ...commits[1],
+      body: 'Explain the change\nover two lines.\n\nSecond paragraph.\n\nCo-authored-by: Alice <alice@example.com>\n'
+    };
+
+    expect(HistoryTransplant.fullMessage(commit))
+      .toBe('Second\n\nExplain the change\nover two lines.\n\nSecond paragraph.');
+    expect(HistoryTransplant.fullMessage({ ...commit, trailers: [] }))
+      .toBe('Second\n\nExplain the change\nover two lines.\n\nSecond paragraph.\n\nCo-authored-by: Alice <alice@example.com>');
+    expect(HistoryTransplant.fullMessage(commits[0])).toBe('First');
+  });
+
+  describe('writePatches', () => {
+    let repoPath;
+    let patchDir;
+
+    const git = command => execSync(`git ${command}`, { cwd: repoPath, encoding: 'utf8' }).trim();
+
+    beforeEach(() => {
+      repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'histofy-transplant-src-'));
+      patchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'histofy-transplant-patches-'));
+      git('init -q -b main');
+      git('config user.name Tester');
+      git('config user.email tester@example.com');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+      fs.rmSync(patchDir, { recursive: true, force: true });
+    });
+
+    test('should read multi-paragraph messages from the source log', async () => {
+      git('commit -q --allow-empty -m fix -m "Body line explaining" -m "Another paragraph" -m "Co-authored-by: Jane Doe <jane@example.com>"');
+
+      const history = await new GitManager(repoPath).getCommitHistory({ limit: 1 });
+      const [entry] = HistoryTransplant.toEntries(history);
+
+      expect(entry.message).toBe('fix\n\nBody line explaining\n\nAnother paragraph');
+      expect(entry.trailers).toEqual([{ key: 'Co-authored-by', value: 'Jane Doe <jane@example.com>' }]);
+    });
+
+    test('should write patches that rebuild every tree from an empty one', async () => {
+      fs.writeFileSync(path.join(repoPath, 'a.txt'), 'a\n');
+      git('add -A');
+      git('commit -q -m first');
+      git('commit -q --allow-empty -m empty');
+      git('mv a.txt b.txt');
+      git('commit -q -m rename');
+
+      const history = git('rev-list --reverse HEAD').split('\n').map(hash => ({ hash }));
+      const patches = await HistoryTransplant.writePatches(new GitManager(repoPath), history, patchDir);
+
+      expect([...patches.keys()]).toEqual([history[0].hash, history[2].hash]);
+      expect(fs.readFileSync(path.join(patchDir, patches.get(history[0].hash)), 'utf8')).toContain('+++ b/a.txt');
+      expect(fs.readFileSync(path.join(patchDir, patches.get(history[2].hash)), 'utf8')).toContain('rename to b.txt');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * MessageFilter Tests
+ */
+
+const MessageFilter = require('../../src/utils/MessageFilter');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('MessageFilter', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-message-filter-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe('load', () => {
+    test('should return null without filters', () => {
+      expect(MessageFilter.load(undefined)).toBeNull();
+      expect(MessageFilter.load([])).toBeNull();
+    });
+
+    test('should reject values that are neither expressions nor modules', () => {
+      expect(() => MessageFilter.load('add a prefix')).toThrow('Invalid message filter');
+      expect(() => MessageFilter.load('missing.js', testDir)).toThrow('Invalid message filter');
+      expect(() => MessageFilter.load('s/only-pattern/')).toThrow('Expected s/pattern/replacement/flags');
+      expect(() => MessageFilter.load('s/a/b/x')).toThrow('Invalid message filter flags');
+      expect(() => MessageFilter.load('s/(/b/')).toThrow('Invalid message filter pattern');
+    });
+
+    test('should reject modules that do not export a function', async () => {
+      await fs.writeFile(path.join(testDir, 'bad.js'), 'module.exports = { prefix: "x" };');
+
+      expect(() => MessageFilter.load('bad.js', testDir)).toThrow('must export a function');
+    });
+  });
+
+  describe('apply', () => {
+    test('should apply sed-style expressions with any delimiter', async () => {
+      const filter = MessageFilter.load(['s/^fix: /fix(core): /', 's|build\\|ci\\.example\\.com|<internal>|g']);
+
+      expect(await filter.apply('fix: crash on build|ci.example.com\n', { hash: 'abc' }))
+        .toBe('fix(core): crash on <internal>\n');
+      expect(filter.describe()).toHaveLength(2);
+    });
+
+    test('should return null when nothing changes', async () => {
+      const filter = MessageFilter.load('s/PROJ-1/PROJ-2/');
+
+      expect(await filter.apply('Unrelated message\n', { hash: 'abc' })).toBeNull();
+    });
+
+    test('should pass the commit to module filters', async () => {
+      await fs.writeFile(path.join(testDir, 'prefix.js'),
+        "module.exports = (message, commit) => '[' + commit.hash.slice(0, 3) + '] ' + message;");
+      const filter = MessageFilter.load('prefix.js', testDir);
+
+      expect(await filter.apply('Add parser\n\nBody\n', { hash: 'abcdef' })).toBe('[abc] Add parser\n\nBody\n');
+    });
+
+    test('should reject filters that return an empty message or a non-string', async () => {
+      await fs.writeFile(path.join(testDir, 'broken.js'), 'module.exports = () => 42;');
+
+      await expect(MessageFilter.load('s/.*//s').apply('Gone', { hash: 'abc' })).rejects.toThrow('empty message');
+      await expect(MessageFilter.load('broken.js', testDir).apply('Kept', { hash: 'abc' }))
+        .rejects.toThrow('returned number instead of a string');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * MigrationPlan Tests
+ */
+
+const MigrationPlan = require('../../src/utils/MigrationPlan');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('MigrationPlan', () => {
+  let testDir;
+
+  const commit = {
+    originalHash: 'a'.repeat(40),
+    newDate: '2023-06-15 09:00:00',
+    authorDate: '2023-06-15 09:00:00',
+    committerDate: '2023-06-15 09:00:00',
+    message: 'Add feature',
+    author: 'Jane Doe',
+    authorEmail: 'jane@example.com'
+  };
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-migration-plan-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('should write one row per commit with the full message and planned identity', () => {
+    const plan = MigrationPlan.fromCommits([
+      commit,
+      { ...commit, originalHash: 'b'.repeat(40), authorDate: '2023-01-01 10:00:00', newAuthor: { name: 'Jane', email: 'jane@new.com' } }
+    ], { messages: new Map([[commit.originalHash, 'Add feature\n\nWith a body\n']]), branch: 'main', range: 'HEAD~2..HEAD' });
+
+    expect(plan).toMatchObject({ version: 1, branch: 'main', range: 'HEAD~2..HEAD' });
+    expect(plan.commits[0]).toEqual({
+      originalHash: commit.originalHash,
+      message: 'Add feature\n\nWith a body',
+      newDate: '2023-06-15 09:00:00',
+      author: 'Jane Doe <jane@example.com>'
+    });
+    expect(plan.commits[1]).toMatchObject({ authorDate: '2023-01-01 10:00:00', author: 'Jane <jane@new.com>' });
+  });
+
+  test('should round-trip through JSON and YAML files', async () => {
+    const plan = MigrationPlan.fromCommits([commit], { head: 'c'.repeat(40) });
+
+    for (const name of ['plan.json', 'plan.yaml']) {
+      const file = await plan.save(path.join(testDir, name));
+      const loaded = await MigrationPlan.load(file);
+
+      expect(loaded.head).toBe('c'.repeat(40));
+      expect(loaded.commits).toEqual([{
+        originalHash: commit.originalHash,
+        message: 'Add feature',
+        newDate: '2023-06-15 09:00:00',
+        author: { name: 'Jane Doe', email: 'jane@example.com' }
+      }]);
+    }
+    expect(await fs.readFile(path.join(testDir, 'plan.yaml'), 'utf8')).toContain('originalHash: ');
+  });
+
+  test('should accept a bare list of rows written by other tools', () => {
+    const plan = MigrationPlan.parse('- originalHash: ABCDEF12\n  newDate: 2023-06-15T09:00:00+02:00\n', 'yaml');
+
+    expect(plan.commits).toEqual([{ originalHash: 'abcdef12', newDate: '2023-06-15T09:00:00+02:00' }]);
+  });
+
+  test('should reject invalid rows with their row number', () => {
+    const parse = rows => () => MigrationPlan.parse(JSON.stringify({ commits: rows }), 'json', 'plan.json');
+
+    expect(parse([])).toThrow('Migration plan plan.json has no commits');
+    expect(parse([{ originalHash: 'abc1234', newDate: 'next tuesday' }]))
+      .toThrow('Invalid row 1 in migration plan plan.json: newDate "next tuesday" is not a valid date');
+    expect(parse([{ originalHash: 'abc1234', newDate: '2023-06-15', author: 'Jane' }])).toThrow('author must be "Name <email>"');
+    expect(parse([{ originalHash: 'abc1234', newDate: '2023-06-15', sha: 'x' }])).toThrow('unknown field(s) sha');
+    expect(parse([{ originalHash: 'abc1234', newDate: '2023-06-15' }, { originalHash: 'ABC1234', newDate: '2023-06-16' }]))
+      .toThrow('Invalid row 2 in migration plan plan.json: commit abc1234 is listed more than once');
+  });
+});
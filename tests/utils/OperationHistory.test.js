@@ -44,7 +44,8 @@ describe('OperationHistory', () => {
       getParentCommitHash: jest.fn().mockResolvedValue('def456'),
       resetToCommit: jest.fn().mockResolvedValue({ success: true }),
       getBranches: jest.fn().mockResolvedValue(['main', 'backup-branch']),
-      restoreFromBackup: jest.fn().mockResolvedValue({ success: true })
+      restoreFromBackup: jest.fn().mockResolvedValue({ success: true }),
+      updateRef: jest.fn().mockResolvedValue({ success: true })
     };
     GitManager.mockImplementation(() => mockGitManager);
 
@@ -53,6 +54,7 @@ describe('OperationHistory', () => {
     operationHistory.historyDir = path.join(testDir, 'history');
     operationHistory.historyFile = path.join(testDir, 'history', 'operations.json');
     operationHistory.backupDir = path.join(testDir, 'history', 'backups');
+    operationHistory.mapsDir = path.join(testDir, 'maps');
   });
 
   describe('initialization', () => {
@@ -428,6 +430,100 @@ describe('OperationHistory', () => {
     });
   });
 
+  describe('commit maps', () => {
+    const oldHead = 'a'.repeat(40);
+    const newHead = 'b'.repeat(40);
+    const oldParent = 'c'.repeat(40);
+    const newParent = 'd'.repeat(40);
+
+    beforeEach(async () => {
+      operationHistory.mapsDir = await fs.mkdtemp(path.join(testDir, 'maps-'));
+    });
+
+    const recordMigration = () => operationHistory.recordOperation({
+      type: 'migrate',
+      command: 'migrate',
+      description: 'Migration with map',
+      backupInfo: { backupBranch: 'missing-backup' },
+      commitMap: { [oldParent]: newParent, [oldHead]: newHead }
+    });
+
+    test('should write the commit map to the history entry and a map file', async () => {
+      const operationId = await recordMigration();
+
+      const operation = await operationHistory.getOperation(operationId);
+      expect(operation.commitMap[oldHead]).toBe(newHead);
+      expect(operation.commitMapFile).toBe(path.join(operationHistory.mapsDir, `${operationId}.txt`));
+
+      const content = await fs.readFile(operation.commitMapFile, 'utf8');
+      expect(content).toBe(`old new\n${oldParent} ${newParent}\n${oldHead} ${newHead}\n`);
+      expect(await operationHistory.readCommitMap(operationId)).toEqual(operation.commitMap);
+    });
+
+    test('should not write a map file for operations without one', async () => {
+      const operationId = await operationHistory.recordOperation({ type: 'commit', command: 'commit' });
+
+      const operation = await operationHistory.getOperation(operationId);
+      expect(operation.commitMapFile).toBeNull();
+      expect(await operationHistory.readCommitMap(operationId)).toBeNull();
+    });
+
+    test('should look up old and new hashes by prefix', async () => {
+      const operationId = await recordMigration();
+
+      const byOriginal = await operationHistory.lookupCommit('aaaaaaa');
+      const byRewritten = await operationHistory.lookupCommit(newParent.substring(0, 8));
+
+      expect(byOriginal).toHaveLength(1);
+      expect(byOriginal[0]).toMatchObject({ operationId, original: oldHead, rewritten: newHead, matched: 'original' });
+      expect(byOriginal[0].operation.type).toBe('migrate');
+      expect(byRewritten[0]).toMatchObject({ original: oldParent, matched: 'rewritten' });
+      expect(await operationHistory.lookupCommit('eeeeeee')).toEqual([]);
+      await expect(operationHistory.lookupCommit('not-a-sha')).rejects.toThrow('Invalid commit hash');
+    });
+
+    test('should undo a migration through the commit map', async () => {
+      mockGitManager.getCurrentCommitHash.mockResolvedValue(newHead);
+      mockGitManager.getBranches.mockResolvedValue(['main']); // Backup branch is gone
+      const operationId = await recordMigration();
+
+      const result = await operationHistory.undoOperation(operationId);
+
+      expect(result.success).toBe(true);
+      expect(result.undoResult.restoredFrom).toBe('commit-map');
+      expect(mockGitManager.resetToCommit).toHaveBeenCalledWith(oldHead, { hard: true });
+      expect(mockGitManager.restoreFromBackup).not.toHaveBeenCalled();
+    });
+
+    test('should move rewritten tags, branches and notes back on undo', async () => {
+      mockGitManager.getCurrentCommitHash.mockResolvedValue(newHead);
+      mockGitManager.updateRef
+        .mockResolvedValueOnce({ success: true })
+        .mockRejectedValueOnce(new Error('Failed to update refs/notes/commits: ref moved'));
+
+      const operationId = await operationHistory.recordOperation({
+        type: 'migrate',
+        command: 'migrate',
+        commitMap: { [oldHead]: newHead },
+        refUpdates: [
+          { ref: 'refs/heads/main', type: 'current-branch', oldValue: oldHead, newValue: newHead },
+          { ref: 'refs/tags/v1.0', type: 'tag', oldValue: oldParent, newValue: newParent },
+          { ref: 'refs/notes/commits', type: 'notes', oldValue: 'e'.repeat(40), newValue: 'f'.repeat(40) }
+        ]
+      });
+
+      const result = await operationHistory.undoOperation(operationId);
+
+      expect(result.success).toBe(true);
+      expect(mockGitManager.updateRef).toHaveBeenCalledTimes(2);
+      expect(mockGitManager.updateRef).toHaveBeenCalledWith('refs/tags/v1.0', oldParent, newParent);
+      expect(result.undoResult.restoredRefs).toEqual(['refs/tags/v1.0']);
+      expect(result.undoResult.failedRefs).toEqual([
+        { ref: 'refs/notes/commits', error: 'Failed to update refs/notes/commits: ref moved' }
+      ]);
+    });
+  });
+
   describe('undo last operations', () => {
     beforeEach(async () => {
       // Add test operations
@@ -0,0 +1,135 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * PlanEditor Tests
+ */
+
+jest.mock('inquirer', () => ({
+  prompt: jest.fn(),
+  Separator: jest.fn()
+}));
+
+const inquirer = require('inquirer');
+const PlanEditor = require('../../src/utils/PlanEditor');
+
+describe('PlanEditor', () => {
+  const hash = letter => letter.repeat(40);
+  const commit = (letter, parent, newDate) => ({
+    originalHash: hash(letter),
+    parents: [hash(parent)],
+    newDate,
+    authorDate: newDate,
+    committerDate: newDate,
+    message: `Commit ${letter}`,
+    timezone: null
+  });
+
+  let editor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    editor = new PlanEditor([
+      commit('a', 'f', '2023-06-15 09:00:00'),
+      commit('b', 'a', '2023-06-15 13:00:00'),
+      commit('c', 'b', '2023-06-16 09:00:00')
+    ], { parentDates: new Map([[hash('f'), { authorDate: '2023-06-01T10:00:00+00:00', committerDate: '2023-06-01T10:00:00+00:00' }]]) });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should parse relative shifts', () => {
+    expect(PlanEditor.parseShift('+2h')).toBe(7200);
+    expect(PlanEditor.parseShift('-1d 3h 30m')).toBe(-(86400 + 3 * 3600 + 1800));
+    expect(() => PlanEditor.parseShift('2 hours')).toThrow('Invalid shift: 2 hours');
+  });
+
+  test('should shift zoned dates across daylight saving transitions', () => {
+    expect(PlanEditor.shiftDate('2023-03-26 01:30:00 +0100', 3600, 'Europe/Berlin')).toBe('2023-03-26 03:30:00 +0200');
+    expect(PlanEditor.shiftDate('2023-06-15T09:00:00+02:00', -1800)).toBe('2023-06-15 08:30:00 +0200');
+  });
+
+  test('should edit dates from a full date, a time or a shift', () => {
+    editor.setDate(0, '2023-06-14 08:30');
+    editor.setDate(1, '17:45');
+    editor.setDate(2, '-1d');
+
+    expect(editor.getCommits().map(row => row.newDate)).toEqual([
+      '2023-06-14 08:30:00', '2023-06-15 17:45:00', '2023-06-15 09:00:00'
+    ]);
+    expect(editor.getCommits()[0]).toMatchObject({ authorDate: '2023-06-14 08:30:00', committerDate: '2023-06-14 08:30:00' });
+    expect(() => editor.setDate(0, 'tomorrow')).toThrow('Use YYYY-MM-DD HH:mm');
+  });
+
+  test('should keep a date that the plan left at its original value', () => {
+    const kept = new PlanEditor([{ ...commit('a', 'f', '2023-06-15 09:00:00'), committerDate: '2024-01-01T10:00:00+00:00' }]);
+    kept.shift(0, 0, 3600);
+
+    expect(kept.getCommits()[0]).toMatchObject({ newDate: '2023-06-15 10:00:00', committerDate: '2024-01-01T10:00:00+00:00' });
+  });
+
+  test('should shift a range but leave locked commits and reset edits', () => {
+    editor.setLocked(1, true);
+
+    expect(editor.shift(0, 2, 2 * 86400)).toBe(2);
+    expect(editor.getCommits().map(row => row.newDate)).toEqual([
+      '2023-06-17 09:00:00', '2023-06-15 13:00:00', '2023-06-18 09:00:00'
+    ]);
+    expect(() => editor.setDate(1, '10:00')).toThrow('is locked');
+
+    editor.reset(0);
+    expect(editor.getCommits()[0].newDate).toBe('2023-06-15 09:00:00');
+  });
+
+  test('should flag commits dated before their parents, in and outside the plan', () => {
+    expect(editor.validate()).toEqual([]);
+
+    editor.setDate(1, '2023-06-15 08:00');
+    editor.setDate(0, '2023-05-31 09:00');
+
+    expect(editor.validate().map(issue => [issue.message, issue.external])).toEqual([
+      ['aaaaaaaa is dated before its parent ffffffff (author date)', true],
+      ['aaaaaaaa is dated before its parent ffffffff (committer date)', true]
+    ]);
+
+    editor.setDate(0, '2023-06-15 09:00');
+    expect(editor.validate().map(issue => [issue.index, issue.parent, issue.field, issue.external])).toEqual([
+      [1, hash('a'), 'authorDate', false], [1, hash('a'), 'committerDate', false]
+    ]);
+  });
+
+  test('should run until the plan is accepted, refusing to finish while dates are out of order', async () => {
+    // Moving the first commit before its parent outside the plan only warns
+    editor.setDate(0, '2023-05-01 09:00');
+    inquirer.prompt
+      .mockResolvedValueOnce({ action: 'edit' })
+      .mockResolvedValueOnce({ value: '3' })
+      .mockResolvedValueOnce({ date: '2023-06-15 12:00' })
+      .mockResolvedValueOnce({ action: 'shift' })
+      .mockResolvedValueOnce({ value: '2' })
+      .mockResolvedValueOnce({ value: '2' })
+      .mockResolvedValueOnce({ amount: '-1h' })
+      .mockResolvedValueOnce({ action: 'done' });
+
+    const commits = await editor.run({ doneLabel: 'Rewrite history with this plan' });
+
+    expect(commits.map(row => row.newDate)).toEqual(['2023-05-01 09:00:00', '2023-06-15 12:00:00', '2023-06-15 12:00:00']);
+
+    // While commit 3 was dated before commit 2, finishing was disabled
+    const menus = inquirer.prompt.mock.calls.filter(([questions]) => questions[0].name === 'action');
+    const done = menu => menu[0][0].choices.find(choice => choice.value === 'done');
+    expect(done(menus[0]).disabled).toBe(false);
+    expect(done(menus[1]).disabled).toBe('fix the date issues first');
+    expect(done(menus[2])).toMatchObject({ name: 'Rewrite history with this plan', disabled: false });
+  });
+
+  test('should return null when cancelled', async () => {
+    inquirer.prompt.mockResolvedValueOnce({ action: 'cancel' });
+
+    expect(await editor.run()).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * PurgeFilter Tests
+ */
+
+const PurgeFilter = require('../../src/utils/PurgeFilter');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('PurgeFilter', () => {
+  describe('matchesPath', () => {
+    const filter = new PurgeFilter({ paths: ['.env', '*.pem', 'config/secrets/', 'deploy/**/id_*', '/build'] });
+
+    test('should match names without a slash at any depth', () => {
+      expect(filter.matchesPath('.env')).toBe(true);
+      expect(filter.matchesPath('services/api/.env')).toBe(true);
+      expect(filter.matchesPath('certs/server.pem')).toBe(true);
+      expect(filter.matchesPath('.env.example')).toBe(false);
+    });
+
+    test('should anchor patterns with a slash and remove whole directories', () => {
+      expect(filter.matchesPath('config/secrets/prod.json')).toBe(true);
+      expect(filter.matchesPath('app/config/secrets/prod.json')).toBe(false);
+      expect(filter.matchesPath('deploy/id_rsa')).toBe(true);
+      expect(filter.matchesPath('deploy/eu/west/id_ed25519')).toBe(true);
+      expect(filter.matchesPath('build/out.js')).toBe(true);
+      expect(filter.matchesPath('src/build/out.js')).toBe(false);
+    });
+  });
+
+  describe('redact', () => {
+    test('should replace every occurrence, longest secret first', () => {
+      const filter = new PurgeFilter({ secrets: ['sk-1', 'sk-1234'] });
+
+      expect(filter.redact(Buffer.from('a=sk-1234 b=sk-1 c=sk-1234')).toString())
+        .toBe('a=***REMOVED*** b=***REMOVED*** c=***REMOVED***');
+      expect(filter.redact(Buffer.from('nothing here'))).toBeNull();
+    });
+
+    test('should leave binary content alone', () => {
+      const filter = new PurgeFilter({ secrets: ['sk-1234'] });
+
+      expect(filter.redact(Buffer.concat([Buffer.from([0, 1, 2]), Buffer.from('sk-1234')]))).toBeNull();
+    });
+  });
+
+  describe('load', () => {
+    test('should read secrets files and never describe the secrets', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'histofy-purge-filter-'));
+      const file = path.join(dir, 'secrets.txt');
+      await fs.writeFile(file, '# leaked on 2024-05-01\nsk-1234\n\nghp_abcdef\n');
+
+      try {
+        const filter = await PurgeFilter.load({ paths: ['.env'], replaceText: ['hunter2'], secretsFile: file });
+
+        expect(filter.describe()).toEqual({ paths: ['.env'], secrets: 3 });
+        expect(filter.redact(Buffer.from('ghp_abcdef')).toString()).toBe('***REMOVED***');
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should require something to purge', async () => {
+      await expect(PurgeFilter.load({})).rejects.toThrow('Nothing to purge');
+      await expect(PurgeFilter.load({ secretsFile: '/nonexistent/secrets.txt' })).rejects.toThrow('Cannot read secrets file');
+    });
+  });
+});
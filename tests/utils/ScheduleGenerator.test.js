@@ -0,0 +1,105 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * ScheduleGenerator Tests
+ */
+
+const ScheduleGenerator = require('../../src/utils/ScheduleGenerator');
+
+describe('ScheduleGenerator', () => {
+  const window = ScheduleGenerator.getWindow({ from: '2025-01-01', to: '2025-03-31' });
+
+  test('should parse density options and reject malformed ones', () => {
+    expect(ScheduleGenerator.parsePerDay('2-5')).toEqual({ min: 2, max: 5 });
+    expect(ScheduleGenerator.parsePerDay('3')).toEqual({ min: 3, max: 3 });
+    expect(() => ScheduleGenerator.parsePerDay('5-2')).toThrow('ends below its start');
+    expect(() => ScheduleGenerator.parsePerDay('0')).toThrow('at least one commit');
+
+    expect(ScheduleGenerator.parseWeekdays('mon=2,saturday=0.5,sun=0')).toEqual([0, 1, 0.5, 0.5, 0.5, 0.5, 0.25]);
+    expect(() => ScheduleGenerator.parseWeekdays('funday=1')).toThrow('Invalid weekday weight "funday=1"');
+
+    expect(ScheduleGenerator.parseHours('9-10:3,22,10:0')).toEqual([{ hour: 9, weight: 3 }, { hour: 22, weight: 1 }]);
+    expect(() => ScheduleGenerator.parseHours('18-9')).toThrow('Invalid hours "18-9"');
+
+    expect(ScheduleGenerator.parseBlackouts(['2025-08-01..2025-08-14,2025-12-25'])).toEqual([
+      { start: '2025-08-01', end: '2025-08-14' },
+      { start: '2025-12-25', end: '2025-12-25' }
+    ]);
+    expect(() => ScheduleGenerator.parseBlackouts('2025-08-14..2025-08-01')).toThrow('Invalid blackout');
+    expect(() => ScheduleGenerator.getWindow({ from: '2025-02-01', to: '2025-01-01' })).toThrow('is after --to');
+  });
+
+  test('should honour the per-day range, weekday weights and blackouts', () => {
+    const plan = ScheduleGenerator.plan(window, {
+      perDay: ScheduleGenerator.parsePerDay('1-3'),
+      weekdays: ScheduleGenerator.parseWeekdays('sat=0,sun=0'),
+      blackouts: ScheduleGenerator.parseBlackouts('2025-02-10..2025-02-16'),
+      seed: 'year'
+    });
+
+    expect(plan.days).toHaveLength(90);
+    expect(plan.blackoutDays).toBe(7);
+    plan.days.forEach(day => {
+      const weekday = new Date(`${day.date}T00:00:00Z`).getUTCDay();
+      if (day.blackout || weekday === 0 || weekday === 6) {
+        expect(day.count).toBe(0);
+      } else {
+        expect(day.count).toBeGreaterThanOrEqual(1);
+        expect(day.count).toBeLessThanOrEqual(3);
+      }
+    });
+    expect(plan.totalCommits).toBe(plan.days.reduce((sum, day) => sum + day.count, 0));
+  });
+
+  test('should generate the same schedule for the same seed and keep other days when blacking some out', () => {
+    const generate = (seed, blackouts = []) => {
+      const plan = ScheduleGenerator.plan(window, { blackouts, seed });
+      return { plan, commits: ScheduleGenerator.schedule(plan, { hours: ScheduleGenerator.parseHours('9-12:3,20'), seed }) };
+    };
+
+    const first = generate('42');
+    expect(generate('42')).toEqual(first);
+    expect(generate('43').commits).not.toEqual(first.commits);
+
+    const blackedOut = generate('42', ScheduleGenerator.parseBlackouts('2025-01-06..2025-01-12'));
+    blackedOut.plan.days.forEach((day, index) => {
+      expect(day.count).toBe(day.blackout ? 0 : first.plan.days[index].count);
+    });
+
+    first.commits.forEach(commit => {
+      expect(['09', '10', '11', '12', '20']).toContain(commit.time.slice(0, 2));
+    });
+    const keys = first.commits.map(commit => `${commit.date} ${commit.time}`);
+    expect(new Set(keys).size).toBe(keys.length);
+    expect([...keys].sort()).toEqual(keys);
+  });
+
+  test('should refuse days that need more commits than the hours hold', () => {
+    const plan = ScheduleGenerator.plan(window, { perDay: ScheduleGenerator.parsePerDay('61'), seed: 'busy' });
+
+    expect(() => ScheduleGenerator.schedule(plan, { hours: ScheduleGenerator.parseHours('9'), seed: 'busy' }))
+      .toThrow('A day needs 61 commits but the hours only hold 60 distinct minutes');
+  });
+
+  test('should pick messages and build one heatmap calendar per year', () => {
+    const messages = ScheduleGenerator.parseWordList('# ideas\nTune cache eviction\n\n  Fix flaky login test  \n');
+    expect(messages).toEqual(['Tune cache eviction', 'Fix flaky login test']);
+
+    const picked = ScheduleGenerator.pickMessages(messages, 20, 'seed');
+    expect(picked).toEqual(ScheduleGenerator.pickMessages(messages, 20, 'seed'));
+    expect(new Set(picked)).toEqual(new Set(messages));
+
+    const plan = ScheduleGenerator.plan(ScheduleGenerator.getWindow({ from: '2024-12-30', to: '2025-01-02' }), {
+      perDay: ScheduleGenerator.parsePerDay('2'),
+      blackouts: ScheduleGenerator.parseBlackouts('2024-12-31'),
+      seed: 'heatmap'
+    });
+    const { levels, calendars } = ScheduleGenerator.heatmap(plan);
+
+    expect([...levels.entries()]).toEqual([['2024-12-30', 4], ['2024-12-31', 0], ['2025-01-01', 4], ['2025-01-02', 4]]);
+    expect(calendars.map(({ label, window: calendar }) => [label, calendar.start.format('YYYY-MM-DD'), calendar.end.format('YYYY-MM-DD'), calendar.columns]))
+      .toEqual([['2024', '2024-12-30', '2024-12-31', 1], ['2025', '2025-01-01', '2025-01-02', 1]]);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * TemplateEngine Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TemplateEngine = require('../../src/utils/TemplateEngine');
+
+describe('TemplateEngine', () => {
+  const render = (source, data = {}, options = {}) => TemplateEngine.render(source, data, options);
+
+  describe('expressions', () => {
+    test('should chain helpers and keep unknown placeholders as written', () => {
+      expect(render("{{date | addDays(3) | format('YYYY-MM-DD')}}", { date: '2024-02-27' })).toBe('2024-03-01');
+      expect(render('{{date | addWeeks(1)}} {{stamp | addHours(20)}}', { date: '2024-01-01', stamp: '2024-01-01 10:00' }))
+        .toBe('2024-01-08 2024-01-02 06:00');
+      expect(render('{{index | pad(4)}} {{pad(index, 3, "_")}} {{index | add(1)}}', { index: 7 })).toBe('0007 __7 8');
+      expect(render("{{title | truncate(6) | upper}} {{scope | default('core')}} {{tags | split(';') | join(' + ')}}", {
+        title: 'parser crash',
+        tags: 'a; b'
+      })).toBe('PARSER core a + b');
+      expect(render('{{missing}} [{{missing | lower}}]')).toBe('{{missing}} []');
+    });
+
+    test('should pick the same items for the same seed', () => {
+      const source = "{{['a', 'b', 'c', 'd'] | pick}}{{pick(['a', 'b', 'c', 'd'])}}{{['a', 'b', 'c', 'd'] | pick}}";
+      const picks = render(source, {}, { seed: 'release#1' });
+
+      expect(picks).toMatch(/^[abcd]{3}$/);
+      expect(render(source, {}, { seed: 'release#1' })).toBe(picks);
+    });
+  });
+
+  describe('blocks', () => {
+    test('should branch on conditions', () => {
+      const source = "{{#if type == 'fix'}}Fix{{else if type == 'feat' and not draft}}Add{{else}}Chore{{/if}}";
+
+      expect(render(source, { type: 'fix' })).toBe('Fix');
+      expect(render(source, { type: 'feat', draft: '' })).toBe('Add');
+      expect(render(source, { type: 'feat', draft: 'yes' })).toBe('Chore');
+      expect(render('{{#if count >= 10}}many{{/if}}', { count: '12' })).toBe('many');
+      expect(render('{{#if due < "2024-01-02" || !due}}early{{/if}}', { due: '2024-01-01' })).toBe('early');
+    });
+
+    test('should loop over lists and drop the lines of standalone block tags', () => {
+      const source = [
+        'Release {{version}}',
+        '',
+        '{{#each changes as change}}',
+        '- {{change}}{{#if @last}} (last){{/if}}',
+        '{{/each}}',
+        '{{! no trailing note }}',
+        'Done'
+      ].join('\n');
+
+      expect(render(source, { version: '1.2', changes: ['Fix a', 'Add b'] }))
+        .toBe('Release 1.2\n\n- Fix a\n- Add b (last)\nDone');
+    });
+  });
+
+  test('should include files relative to the including template', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'histofy-template-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'partials'));
+      fs.writeFileSync(path.join(dir, 'partials', 'footer.txt'), 'Refs {{issue}}{{> sign.txt}}\n');
+      fs.writeFileSync(path.join(dir, 'partials', 'sign.txt'), ' by {{author | default("bot")}}');
+      fs.writeFileSync(path.join(dir, 'partials', 'loop.txt'), '{{> loop.txt}}');
+
+      expect(render("{{title}}; {{> 'partials/footer.txt'}}", { title: 'Fix', issue: '#12' }, { baseDir: dir }))
+        .toBe('Fix; Refs #12 by bot');
+      expect(() => render('{{> partials/missing.txt}}', {}, { baseDir: dir }))
+        .toThrow('Cannot include "partials/missing.txt": no such file at line 1, column 1');
+      expect(() => render('{{> ../secret.txt}}', {}, { baseDir: dir })).toThrow('Cannot include "../secret.txt"');
+      expect(() => render('{{> partials/loop.txt}}', {}, { baseDir: dir })).toThrow('"loop.txt" includes itself');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should report syntax and runtime errors with line and column', () => {
+    const error = source => {
+      try {
+        TemplateEngine.compile(source);
+      } catch (caught) {
+        return caught;
+      }
+      return null;
+    };
+
+    expect(error('Title\n  {{#if a}}body')).toMatchObject({ message: 'Unclosed {{#if}} at line 2, column 3', line: 2, column: 3 });
+    expect(error('{{#if a}}{{/each}}').message).toBe('{{/each}} closes {{#if}}; expected {{/if}} at line 1, column 10');
+    expect(error('{{ title | shout }}').message).toBe('Unknown helper "shout" at line 1, column 12');
+    expect(error("{{ 'open }}").message).toBe('Unterminated string at line 1, column 4');
+    expect(error('{{ title ')).toMatchObject({ line: 1, column: 1 });
+    expect(error('{{else}}').message).toBe('{{else}} outside an {{#if}} block at line 1, column 1');
+    expect(() => render('x\n{{date | format}}', { date: 'soon' }))
+      .toThrow('format needs a date (YYYY-MM-DD or YYYY-MM-DD HH:mm), got "soon" at line 2, column 10');
+  });
+});
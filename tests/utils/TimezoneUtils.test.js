@@ -0,0 +1,85 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * TimezoneUtils Tests
+ */
+
+const TimezoneUtils = require('../../src/utils/TimezoneUtils');
+
+describe('TimezoneUtils', () => {
+  describe('isValidTimezone', () => {
+    test('should accept IANA timezones', () => {
+      expect(TimezoneUtils.isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(TimezoneUtils.isValidTimezone('America/New_York')).toBe(true);
+      expect(TimezoneUtils.isValidTimezone('UTC')).toBe(true);
+    });
+
+    test('should reject unknown or invalid timezones', () => {
+      expect(TimezoneUtils.isValidTimezone('Mars/Base')).toBe(false);
+      expect(TimezoneUtils.isValidTimezone('')).toBe(false);
+      expect(TimezoneUtils.isValidTimezone(null)).toBe(false);
+    });
+  });
+
+  describe('formatOffset', () => {
+    test('should format positive, negative and fractional offsets', () => {
+      expect(TimezoneUtils.formatOffset(120)).toBe('+02:00');
+      expect(TimezoneUtils.formatOffset(-240)).toBe('-04:00');
+      expect(TimezoneUtils.formatOffset(330)).toBe('+05:30');
+      expect(TimezoneUtils.formatOffset(0)).toBe('+00:00');
+    });
+  });
+
+  describe('toGitDate', () => {
+    test('should use the offset in effect on the given date', () => {
+      expect(TimezoneUtils.toGitDate('2023-01-15', '10:00', 'Europe/Berlin')).toBe('2023-01-15 10:00:00 +0100');
+      expect(TimezoneUtils.toGitDate('2023-07-15', '10:00', 'Europe/Berlin')).toBe('2023-07-15 10:00:00 +0200');
+      expect(TimezoneUtils.toGitDate('2023-06-15', '10:00', 'America/New_York')).toBe('2023-06-15 10:00:00 -0400');
+      expect(TimezoneUtils.toGitDate('2023-01-15', '10:00', 'Asia/Kolkata')).toBe('2023-01-15 10:00:00 +0530');
+    });
+
+    test('should handle the hours either side of a DST transition', () => {
+      expect(TimezoneUtils.toGitDate('2023-03-26', '01:59', 'Europe/Berlin')).toBe('2023-03-26 01:59:00 +0100');
+      expect(TimezoneUtils.toGitDate('2023-03-26', '03:00', 'Europe/Berlin')).toBe('2023-03-26 03:00:00 +0200');
+    });
+
+    test('should throw for times in a DST gap', () => {
+      expect(() => TimezoneUtils.toGitDate('2023-03-26', '02:30', 'Europe/Berlin')).toThrow('does not exist');
+    });
+
+    test('should shift times in a DST gap forward when requested', () => {
+      expect(TimezoneUtils.toGitDate('2023-03-26', '02:30', 'Europe/Berlin', { shiftGaps: true }))
+        .toBe('2023-03-26 03:30:00 +0200');
+    });
+
+    test('should throw for unknown timezones', () => {
+      expect(() => TimezoneUtils.toGitDate('2023-06-15', '10:00', 'Mars/Base')).toThrow('Unknown timezone');
+    });
+  });
+
+  describe('resolve', () => {
+    test('should pick the first occurrence of ambiguous times', () => {
+      const result = TimezoneUtils.resolve('2023-10-29', '02:30', 'Europe/Berlin');
+
+      expect(result.valid).toBe(true);
+      expect(result.ambiguous).toBe(true);
+      expect(result.offset).toBe('+02:00');
+      expect(result.iso).toBe('2023-10-29T02:30:00+02:00');
+    });
+
+    test('should flag nonexistent times', () => {
+      const result = TimezoneUtils.resolve('2023-03-12', '02:15', 'America/New_York');
+
+      expect(result.valid).toBe(false);
+      expect(result.nonexistent).toBe(true);
+      expect(result.suggestion).toBeDefined();
+    });
+
+    test('should reject malformed input', () => {
+      expect(TimezoneUtils.resolve('15/06/2023', '10:00', 'UTC').valid).toBe(false);
+      expect(TimezoneUtils.resolve('2023-06-15', 'ten', 'UTC').valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Histofy v3 - Terminal-based GitHub history manipulation tool
+ * Copyright (c) 2025 Ishaq (ishaq2321@proton.me)
+ * Licensed under MIT License - https://opensource.org/licenses/MIT
+ *
+ * TrailerUtils Tests
+ */
+
+const TrailerUtils = require('../../src/utils/TrailerUtils');
+const ValidationUtils = require('../../src/utils/validation');
+
+describe('TrailerUtils', () => {
+  describe('parseTrailer', () => {
+    test('should parse key=value and "Key: value" forms', () => {
+      expect(TrailerUtils.parseTrailer('signed-off-by=Jane Doe <jane@example.com>')).toEqual({
+        key: 'Signed-off-by',
+        value: 'Jane Doe <jane@example.com>'
+      });
+      expect(TrailerUtils.parseTrailer('Link: https://example.com/a=b')).toEqual({
+        key: 'Link',
+        value: 'https://example.com/a=b'
+      });
+      expect(TrailerUtils.parseTrailer({ key: 'Issue', value: 42 })).toEqual({ key: 'Issue', value: '42' });
+    });
+
+    test('should return null for text without a separator', () => {
+      expect(TrailerUtils.parseTrailer('just text')).toBeNull();
+      expect(TrailerUtils.parseTrailer(null)).toBeNull();
+    });
+  });
+
+  describe('toList', () => {
+    test('should split strings and expand key/value maps', () => {
+      expect(TrailerUtils.toList('A <a@example.com>; B <b@example.com>')).toEqual(['A <a@example.com>', 'B <b@example.com>']);
+      expect(TrailerUtils.toList({ 'Reviewed-by': ['A <a@example.com>', 'B <b@example.com>'], Issue: '#7' })).toEqual([
+        { key: 'Reviewed-by', value: 'A <a@example.com>' },
+        { key: 'Reviewed-by', value: 'B <b@example.com>' },
+        { key: 'Issue', value: '#7' }
+      ]);
+      expect(TrailerUtils.toList(undefined)).toEqual([]);
+    });
+  });
+
+  describe('append', () => {
+    const coAuthor = { key: 'Co-authored-by', value: 'Jane Doe <jane@example.com>' };
+
+    test('should start a trailer block after the message', () => {
+      expect(TrailerUtils.append('Add parser\n', [coAuthor]))
+        .toBe('Add parser\n\nCo-authored-by: Jane Doe <jane@example.com>');
+    });
+
+    test('should join an existing trailer block and skip duplicates', () => {
+      const message = 'Add parser\n\nBody text\n\nCo-authored-by: Jane Doe <jane@example.com>';
+      const result = TrailerUtils.append(message, [coAuthor, { key: 'Issue', value: '#7' }]);
+
+      expect(result).toBe(`${message}\nIssue: #7`);
+    });
+  });
+
+  describe('parse', () => {
+    test('should parse trailer lines into structured fields', () => {
+      expect(TrailerUtils.parse('Co-authored-by: Jane Doe <jane@example.com>\nIssue: #7\n')).toEqual([
+        { key: 'Co-authored-by', value: 'Jane Doe <jane@example.com>' },
+        { key: 'Issue', value: '#7' }
+      ]);
+      expect(TrailerUtils.parse('')).toEqual([]);
+    });
+  });
+
+  describe('validateTrailers', () => {
+    test('should combine co-authors and trailers', () => {
+      const result = ValidationUtils.validateTrailers({
+        coAuthors: ['Jane Doe <jane@example.com>'],
+        trailers: ['Issue=#7']
+      });
+
+      expect(result.isValid).toBe(true);
+      expect(result.value).toEqual([
+        { key: 'Co-authored-by', value: 'Jane Doe <jane@example.com>' },
+        { key: 'Issue', value: '#7' }
+      ]);
+    });
+
+    test('should validate identity trailers as authors', () => {
+      expect(ValidationUtils.validateTrailers({ coAuthors: ['Jane Doe'] }).error).toContain('Invalid co-author');
+      expect(ValidationUtils.validateTrailers({ trailers: ['Signed-off-by=nobody'] }).error)
+        .toContain('Invalid Signed-off-by trailer');
+      expect(ValidationUtils.validateTrailers({ trailers: ['bad key=value'] }).isValid).toBe(false);
+    });
+
+    test('should pass identity trailers through when identities are not checked', () => {
+      const trailers = [{ key: 'Co-authored-by', value: 'X <x@y.com>' }];
+
+      expect(ValidationUtils.validateTrailers({ trailers }).error).toContain('Invalid Co-authored-by trailer');
+      expect(ValidationUtils.validateTrailers({ trailers }, { checkIdentities: false })).toEqual({
+        isValid: true,
+        value: [{ key: 'Co-authored-by', value: 'X <x@y.com>' }]
+      });
+      expect(ValidationUtils.validateTrailers({ trailers: ['bad key=value'] }, { checkIdentities: false }).isValid).toBe(false);
+    });
+  });
+});
@@ -151,6 +151,54 @@ describe('ValidationUtils', () => {
       expect(result.valid).toBe(true);
       expect(result.formatted).toBe('09:05');
     });
+
+    test('should reject times skipped by a DST transition', () => {
+      const result = ValidationUtils.validateTime('02:30', { timezone: 'Europe/Berlin', date: '2023-03-26' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('does not exist');
+
+      const dateResult = ValidationUtils.validateDate('2023-03-12', { timezone: 'America/New_York', time: '02:15' });
+      expect(dateResult.valid).toBe(false);
+    });
+
+    test('should accept times outside DST gaps', () => {
+      expect(ValidationUtils.validateTime('03:30', { timezone: 'Europe/Berlin', date: '2023-03-26' }).valid).toBe(true);
+      expect(ValidationUtils.validateTime('02:30', { timezone: 'UTC', date: '2023-03-26' }).valid).toBe(true);
+    });
+  });
+
+  describe('validateDateTime', () => {
+    test('should split valid date and time', () => {
+      const result = ValidationUtils.validateDateTime('2023-06-15 9:30');
+      expect(result.valid).toBe(true);
+      expect(result.date).toBe('2023-06-15');
+      expect(result.time).toBe('09:30');
+      expect(result.formatted).toBe('2023-06-15 09:30');
+    });
+
+    test('should reject missing time or DST gap times', () => {
+      expect(ValidationUtils.validateDateTime('2023-06-15').valid).toBe(false);
+      expect(ValidationUtils.validateDateTime('2023-03-26 02:30', { timezone: 'Europe/Berlin' }).valid).toBe(false);
+    });
+  });
+
+  describe('validateTimezone', () => {
+    test('should accept IANA timezones', () => {
+      expect(ValidationUtils.validateTimezone('Europe/Berlin').valid).toBe(true);
+      expect(ValidationUtils.validateTimezone('UTC').valid).toBe(true);
+    });
+
+    test('should reject unknown timezones', () => {
+      const result = ValidationUtils.validateTimezone('Mars/Olympus_Mons');
+      expect(result.valid).toBe(false);
+      expect(result.suggestion).toContain('IANA');
+      expect(ValidationUtils.validateTimezone(null).valid).toBe(false);
+    });
+
+    test('should report the resolved offset', () => {
+      expect(ValidationUtils.validateTimezone('Europe/Berlin', '2023-07-01', '12:00').offset).toBe('+02:00');
+      expect(ValidationUtils.validateTimezone('Europe/Berlin', '2023-01-01', '12:00').offset).toBe('+01:00');
+    });
   });
 
   describe('validateRepositoryUrl', () => {